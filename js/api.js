@@ -6,12 +6,25 @@
 import { ONLYWORLDS } from './constants.js';
 import { authManager } from './auth.js';
 import { getFieldType, isRelationshipField } from './field-types.js';
+import { localStore } from './local-store.js';
+import { outbox } from './outbox.js';
+import { revisions } from './revisions.js';
 
 export default class OnlyWorldsAPI {
     constructor(authManager) {
         this.auth = authManager;
         this.cache = new Map();
         this.worldId = null;
+        
+        // Stale-while-revalidate bookkeeping for the persistent local store
+        this.unverified = new Set();
+        this.revalidating = new Map();
+        this.lastRevalidated = new Map();
+        this.revalidateListeners = new Set();
+        this.writeListeners = new Set();
+        
+        // Outbox replay in progress, shared by concurrent syncOutbox() calls
+        this.syncing = null;
     }
     
     /**
@@ -43,11 +56,40 @@ export default class OnlyWorldsAPI {
     
     /**
      * Fetch all elements of a specific type
+     * Collects every page from iterateElements()
      * @param {string} elementType - Type of element (e.g., 'character', 'location')
      * @param {Object} filters - Optional filters (e.g., { supertype: 'protagonist' })
      * @returns {Promise<Array>} Array of elements
      */
     async getElements(elementType, filters = {}) {
+        const elements = [];
+        
+        try {
+            for await (const batch of this.iterateElements(elementType, filters)) {
+                elements.push(...batch);
+            }
+            
+            return elements;
+        
+        } catch (error) {
+            console.error(`Error fetching ${elementType}s:`, error);
+            throw error;
+        }
+    }
+    
+    /**
+     * Iterate over all elements of a type, one page at a time
+     * Unfiltered reads are served from the local store when the category is cached
+     * there (stale-while-revalidate): the cached elements come back at once and the
+     * category is refreshed in the background. Otherwise pages stream from the API
+     * and the complete category is stored locally afterwards; if the connection drops
+     * partway, an unfiltered read finishes from the local store when it can.
+     * @param {string} elementType - Type of element (e.g., 'character', 'location')
+     * @param {Object} filters - Optional filters (e.g., { supertype: 'protagonist' })
+     * @param {Object} options - { pageSize: elements per request, fresh: skip the local store }
+     * @yields {Array} A batch of elements
+     */
+    async *iterateElements(elementType, filters = {}, { pageSize = ONLYWORLDS.PAGE_SIZE, fresh = false } = {}) {
         if (!this.auth.checkAuth()) {
             throw new Error('Not authenticated');
         }
@@ -56,6 +98,76 @@ export default class OnlyWorldsAPI {
             throw new Error(`Invalid element type: ${elementType}`);
         }
         
+        const scope = this.getStoreScope();
+        const storable = Object.keys(filters).length === 0;
+        
+        if (storable && !fresh) {
+            const cached = await this.readStore(() => localStore.getCategory(scope, elementType));
+            
+            if (cached) {
+                cached.elements.forEach(element => {
+                    const cacheKey = `${elementType}_${element.id}`;
+                    this.cache.set(cacheKey, element);
+                    this.unverified.add(cacheKey);
+                });
+                
+                if (cached.elements.length > 0) {
+                    yield cached.elements;
+                }
+                
+                this.revalidateCategory(elementType);
+                return;
+            }
+        }
+        
+        const collected = [];
+        
+        try {
+            for await (const batch of this.fetchElementPages(elementType, filters, pageSize)) {
+                if (storable) {
+                    collected.push(...batch);
+                }
+                yield batch;
+            }
+        } catch (error) {
+            // The connection dropped: finish from the local store if it holds the category
+            const fallback = error.isNetworkError && storable && !fresh
+                ? await this.readStore(() => localStore.getCategory(scope, elementType))
+                : null;
+            if (!fallback) throw error;
+            
+            const seenIds = new Set(collected.map(element => element.id));
+            const rest = fallback.elements.filter(element => !seenIds.has(element.id));
+            rest.forEach(element => {
+                const cacheKey = `${elementType}_${element.id}`;
+                this.cache.set(cacheKey, element);
+                this.unverified.add(cacheKey);
+            });
+            
+            if (rest.length > 0) {
+                yield rest;
+            }
+            return;
+        }
+        
+        if (storable) {
+            this.lastRevalidated.set(elementType, Date.now());
+            await this.writeStore(() => localStore.putCategory(scope, elementType, collected));
+        }
+    }
+    
+    /**
+     * Fetch all elements of a type from the API, one page at a time
+     * Requests pages with limit/offset. Paginated responses ({ items|results, count, next })
+     * are followed through their `next` cursor or count; plain list responses continue
+     * while full pages come back, and stop as soon as a page brings nothing new
+     * (for endpoints that ignore paging and always return everything).
+     * @param {string} elementType - Type of element (e.g., 'character', 'location')
+     * @param {Object} filters - Optional filters (e.g., { supertype: 'protagonist' })
+     * @param {number} pageSize - Elements per request
+     * @yields {Array} A batch of elements
+     */
+    async *fetchElementPages(elementType, filters = {}, pageSize = ONLYWORLDS.PAGE_SIZE) {
         const params = new URLSearchParams();
         const worldId = this.auth.apiKey;
         
@@ -69,9 +181,19 @@ export default class OnlyWorldsAPI {
             }
         });
         
-        try {
-            const url = `${ONLYWORLDS.API_BASE}/${elementType}/?${params}`;
-            const response = await fetch(url, {
+        const pageUrl = (offset) => {
+            const pageParams = new URLSearchParams(params);
+            pageParams.set('limit', pageSize);
+            pageParams.set('offset', offset);
+            return `${ONLYWORLDS.API_BASE}/${elementType}/?${pageParams}`;
+        };
+        
+        const seenIds = new Set();
+        let offset = 0;
+        let url = pageUrl(offset);
+        
+        while (url) {
+            const response = await this.send(url, {
                 headers: this.auth.getHeaders()
             });
             
@@ -80,47 +202,75 @@ export default class OnlyWorldsAPI {
             }
             
             const data = await response.json();
-            const processedData = [];
+            const page = Array.isArray(data) ? data : (data.items || data.results || []);
             
-            for (const element of data) {
-                // Cache world ID from first element that has it
-                if (!this.worldId && element.world) {
-                    this.worldId = typeof element.world === 'string' 
-                        ? element.world 
-                        : element.world.id;
-                }
-                
-                // Ensure world field is present and in correct format
-                if (!element.world) {
+            const newElements = page.filter(element => !seenIds.has(element.id));
+            newElements.forEach(element => seenIds.add(element.id));
+            
+            if (newElements.length > 0) {
+                yield await this.normalizeElements(elementType, newElements);
+            }
+            
+            offset += page.length;
+            
+            if (!Array.isArray(data) && data.next) {
+                url = data.next;
+            } else if (!Array.isArray(data) && typeof data.count === 'number') {
+                url = page.length > 0 && offset < data.count ? pageUrl(offset) : null;
+            } else {
+                url = page.length === pageSize && newElements.length > 0 ? pageUrl(offset) : null;
+            }
+        }
+    }
+    
+    /**
+     * Normalize a batch of fetched elements and cache them
+     * Ensures every element carries its world as an ID string. The world ID is looked
+     * up at most once per batch, and only when an element arrives without one.
+     * @param {string} elementType - Type of the elements
+     * @param {Array} elements - Elements as returned by the API
+     * @returns {Promise<Array>} The same elements, normalized
+     */
+    async normalizeElements(elementType, elements) {
+        let fallbackWorldId;
+        
+        for (const element of elements) {
+            // Cache world ID from first element that has it
+            if (!this.worldId && element.world) {
+                this.worldId = typeof element.world === 'string' 
+                    ? element.world 
+                    : element.world.id;
+            }
+            
+            if (!element.world) {
+                if (fallbackWorldId === undefined) {
                     try {
-                        const worldId = await this.getWorldId();
-                        if (worldId) {
-                            element.world = worldId;
-                        }
+                        fallbackWorldId = await this.getWorldId();
                     } catch (error) {
-                        console.error('Failed to get world ID for element:', element.id, error);
+                        console.error('Failed to get world ID for elements:', error);
+                        fallbackWorldId = null;
                     }
-                } else if (typeof element.world === 'object' && element.world.id) {
-                    element.world = element.world.id;
                 }
-                processedData.push(element);
+                
+                if (fallbackWorldId) {
+                    element.world = fallbackWorldId;
+                }
+            } else if (typeof element.world === 'object' && element.world.id) {
+                element.world = element.world.id;
             }
             
-            processedData.forEach(element => {
-                const cacheKey = `${elementType}_${element.id}`;
-                this.cache.set(cacheKey, element);
-            });
-            
-            return processedData;
-            
-        } catch (error) {
-            console.error(`Error fetching ${elementType}s:`, error);
-            throw error;
+            const cacheKey = `${elementType}_${element.id}`;
+            this.cache.set(cacheKey, element);
+            this.unverified.delete(cacheKey);
         }
+        
+        return elements;
     }
     
     /**
      * Fetch a single element by ID
+     * Falls back to the local store before the network; a stored copy is returned
+     * immediately and checked against the server in the background
      * @param {string} elementType - Type of element
      * @param {string} elementId - ID of the element
      * @returns {Promise<Object>} The element object
@@ -135,9 +285,31 @@ export default class OnlyWorldsAPI {
             return this.cache.get(cacheKey);
         }
         
+        const stored = await this.readStore(() => 
+            localStore.getElement(this.getStoreScope(), elementType, elementId)
+        );
+        if (stored) {
+            this.cache.set(cacheKey, stored);
+            this.unverified.add(cacheKey);
+            this.revalidateElement(elementType, elementId);
+            return stored;
+        }
+        
+        return this.fetchElement(elementType, elementId);
+    }
+    
+    /**
+     * Fetch a single element from the API, bypassing every cache
+     * @param {string} elementType - Type of element
+     * @param {string} elementId - ID of the element
+     * @returns {Promise<Object>} The element object
+     */
+    async fetchElement(elementType, elementId) {
+        const cacheKey = `${elementType}_${elementId}`;
+        
         try {
             const url = `${ONLYWORLDS.API_BASE}/${elementType}/${elementId}/`;
-            const response = await fetch(url, {
+            const response = await this.send(url, {
                 headers: this.auth.getHeaders()
             });
             
@@ -150,6 +322,8 @@ export default class OnlyWorldsAPI {
             
             const element = await response.json();
             this.cache.set(cacheKey, element);
+            this.unverified.delete(cacheKey);
+            this.writeStore(() => localStore.putElement(this.getStoreScope(), elementType, element));
             
             return element;
             
@@ -187,32 +361,50 @@ export default class OnlyWorldsAPI {
             elementData.id = this.generateId();
         }
         
+        if (this.isOffline()) {
+            return this.queueWrite('create', elementType, elementData.id, elementData);
+        }
+        
         try {
-            const url = `${ONLYWORLDS.API_BASE}/${elementType}/`;
-            const response = await fetch(url, {
-                method: 'POST',
-                headers: this.auth.getHeaders(),
-                body: JSON.stringify(elementData)
-            });
-            
-            if (!response.ok) {
-                const errorText = await response.text();
-                throw new Error(`Failed to create ${elementType}: ${errorText}`);
-            }
-            
-            const createdElement = await response.json();
-            
-            const cacheKey = `${elementType}_${createdElement.id}`;
-            this.cache.set(cacheKey, createdElement);
-            
-            return createdElement;
-            
+            return await this.sendCreate(elementType, elementData);
         } catch (error) {
+            if (error.isNetworkError) {
+                return this.queueWrite('create', elementType, elementData.id, elementData);
+            }
             console.error(`Error creating ${elementType}:`, error);
             throw error;
         }
     }
     
+    /**
+     * POST a new element to the API
+     * @param {string} elementType - Type of element to create
+     * @param {Object} elementData - The element data, including id and world
+     * @returns {Promise<Object>} The created element
+     */
+    async sendCreate(elementType, elementData) {
+        const url = `${ONLYWORLDS.API_BASE}/${elementType}/`;
+        const response = await this.send(url, {
+            method: 'POST',
+            headers: this.auth.getHeaders(),
+            body: JSON.stringify(elementData)
+        });
+        
+        if (!response.ok) {
+            const errorText = await response.text();
+            throw new Error(`Failed to create ${elementType}: ${errorText}`);
+        }
+        
+        const createdElement = await response.json();
+        
+        const cacheKey = `${elementType}_${createdElement.id}`;
+        this.cache.set(cacheKey, createdElement);
+        this.writeStore(() => localStore.putElement(this.getStoreScope(), elementType, createdElement));
+        this.notifyWrite(elementType, createdElement.id, createdElement);
+        
+        return createdElement;
+    }
+    
     /**
      * Update an existing element
      * @param {string} elementType - Type of element
@@ -225,59 +417,82 @@ export default class OnlyWorldsAPI {
             throw new Error('Not authenticated');
         }
         
+        if (this.isOffline()) {
+            return this.queueWrite('update', elementType, elementId, updates);
+        }
+        
         try {
-            const currentElement = await this.getElement(elementType, elementId);
-            
-            // Extract world ID if it's missing or an object
-            if (!currentElement.world || typeof currentElement.world === 'object') {
-                if (currentElement.world && currentElement.world.id) {
-                    currentElement.world = currentElement.world.id;
-                } else {
-                    const worldId = await this.getWorldId();
-                    if (worldId) {
-                        currentElement.world = worldId;
-                    }
-                }
+            return await this.sendUpdate(elementType, elementId, updates);
+        } catch (error) {
+            if (error.isNetworkError) {
+                return this.queueWrite('update', elementType, elementId, updates);
             }
-            
-            const updatedElement = { ...currentElement, ...updates };
-            const cleanedElement = this.cleanLinkFields(updatedElement);
-            
-            // Ensure world field is present
-            if (!cleanedElement.world && currentElement.world) {
-                cleanedElement.world = typeof currentElement.world === 'string' 
-                    ? currentElement.world 
-                    : currentElement.world.id;
-            } else if (!cleanedElement.world) {
+            console.error(`Error updating ${elementType} ${elementId}:`, error);
+            throw error;
+        }
+    }
+    
+    /**
+     * PUT an updated element to the API
+     * @param {string} elementType - Type of element
+     * @param {string} elementId - ID of the element to update
+     * @param {Object} updates - The fields to update
+     * @returns {Promise<Object>} The updated element
+     */
+    async sendUpdate(elementType, elementId, updates) {
+        // Never build a full PUT on top of a copy the server hasn't confirmed yet
+        const cacheKey = `${elementType}_${elementId}`;
+        const currentElement = this.unverified.has(cacheKey)
+            ? await this.fetchElement(elementType, elementId)
+            : await this.getElement(elementType, elementId);
+        
+        // Extract world ID if it's missing or an object
+        if (!currentElement.world || typeof currentElement.world === 'object') {
+            if (currentElement.world && currentElement.world.id) {
+                currentElement.world = currentElement.world.id;
+            } else {
                 const worldId = await this.getWorldId();
                 if (worldId) {
-                    cleanedElement.world = worldId;
+                    currentElement.world = worldId;
                 }
             }
-            
-            const url = `${ONLYWORLDS.API_BASE}/${elementType}/${elementId}/`;
-            const response = await fetch(url, {
-                method: 'PUT',
-                headers: this.auth.getHeaders(),
-                body: JSON.stringify(cleanedElement)
-            });
-            
-            if (!response.ok) {
-                const errorText = await response.text();
-                throw new Error(`Failed to update ${elementType}: ${errorText}`);
+        }
+        
+        const updatedElement = { ...currentElement, ...updates };
+        const cleanedElement = this.cleanLinkFields(updatedElement, elementType);
+        
+        // Ensure world field is present
+        if (!cleanedElement.world && currentElement.world) {
+            cleanedElement.world = typeof currentElement.world === 'string' 
+                ? currentElement.world 
+                : currentElement.world.id;
+        } else if (!cleanedElement.world) {
+            const worldId = await this.getWorldId();
+            if (worldId) {
+                cleanedElement.world = worldId;
             }
-            
-            const result = await response.json();
-            
-            const cacheKey = `${elementType}_${elementId}`;
-            this.cache.set(cacheKey, result);
-            
-            return result;
-            
-        } catch (error) {
-            console.error(`Error updating ${elementType} ${elementId}:`, error);
-            throw error;
         }
+        
+        const url = `${ONLYWORLDS.API_BASE}/${elementType}/${elementId}/`;
+        const response = await this.send(url, {
+            method: 'PUT',
+            headers: this.auth.getHeaders(),
+            body: JSON.stringify(cleanedElement)
+        });
+        
+        if (!response.ok) {
+            const errorText = await response.text();
+            throw new Error(`Failed to update ${elementType}: ${errorText}`);
+        }
+        
+        const result = await response.json();
+        
+        this.cache.set(cacheKey, result);
+        this.writeStore(() => localStore.putElement(this.getStoreScope(), elementType, result));
+        this.writeStore(() => revisions.record(this.getStoreScope(), elementType, currentElement, result));
+        this.notifyWrite(elementType, elementId, result);
+        
+        return result;
     }
     
     /**
@@ -291,24 +506,274 @@ export default class OnlyWorldsAPI {
             throw new Error('Not authenticated');
         }
         
+        if (this.isOffline()) {
+            return this.queueWrite('delete', elementType, elementId, null);
+        }
+        
         try {
-            const url = `${ONLYWORLDS.API_BASE}/${elementType}/${elementId}/`;
-            const response = await fetch(url, {
-                method: 'DELETE',
-                headers: this.auth.getHeaders()
-            });
-            
-            if (!response.ok) {
-                throw new Error(`Failed to delete ${elementType}: ${response.statusText}`);
+            return await this.sendDelete(elementType, elementId);
+        } catch (error) {
+            if (error.isNetworkError) {
+                return this.queueWrite('delete', elementType, elementId, null);
             }
-            
-            const cacheKey = `${elementType}_${elementId}`;
+            console.error(`Error deleting ${elementType} ${elementId}:`, error);
+            throw error;
+        }
+    }
+    
+    /**
+     * DELETE an element through the API
+     * @param {string} elementType - Type of element
+     * @param {string} elementId - ID of the element to delete
+     * @returns {Promise<boolean>} Success status
+     */
+    async sendDelete(elementType, elementId) {
+        const url = `${ONLYWORLDS.API_BASE}/${elementType}/${elementId}/`;
+        const response = await this.send(url, {
+            method: 'DELETE',
+            headers: this.auth.getHeaders()
+        });
+        
+        if (!response.ok) {
+            throw new Error(`Failed to delete ${elementType}: ${response.statusText}`);
+        }
+        
+        const cacheKey = `${elementType}_${elementId}`;
+        this.cache.delete(cacheKey);
+        this.unverified.delete(cacheKey);
+        this.writeStore(() => localStore.deleteElement(this.getStoreScope(), elementType, elementId));
+        this.notifyWrite(elementType, elementId, null);
+        
+        return true;
+    }
+    
+    /**
+     * Queue a write in the outbox and apply it to the local copies right away
+     * The caller gets the same kind of result it would get online, so the UI carries on
+     * @param {string} action - 'create', 'update' or 'delete'
+     * @param {string} elementType - Type of element
+     * @param {string} elementId - ID of the element
+     * @param {Object|null} data - Element data (create) or changed fields (update)
+     * @returns {Promise<Object|boolean>} The element as it will be once synced, or true for deletes
+     */
+    async queueWrite(action, elementType, elementId, data) {
+        const scope = this.getStoreScope();
+        const cacheKey = `${elementType}_${elementId}`;
+        const current = this.cache.get(cacheKey) ||
+            await this.readStore(() => localStore.getElement(scope, elementType, elementId));
+        
+        await outbox.add({
+            world: scope,
+            action,
+            type: elementType,
+            id: elementId,
+            data: data ? { ...data } : null,
+            // The server version this write was based on, checked again on replay
+            baseUpdatedAt: current?.updated_at || null,
+            name: data?.name || current?.name || ''
+        });
+        
+        if (action === 'delete') {
             this.cache.delete(cacheKey);
-            
+            this.unverified.delete(cacheKey);
+            await this.writeStore(() => localStore.deleteElement(scope, elementType, elementId));
+            this.notifyWrite(elementType, elementId, null);
             return true;
+        }
+        
+        const element = { ...(current || {}), ...data, id: elementId };
+        this.cache.set(cacheKey, element);
+        await this.writeStore(() => localStore.putElement(scope, elementType, element));
+        this.notifyWrite(elementType, elementId, element);
+        
+        return element;
+    }
+    
+    /**
+     * Replay queued offline writes in order
+     * Updates and deletes are first checked against the server's updated_at: if the
+     * element changed (or vanished) since the write was queued, the entry is marked as
+     * a conflict and left for the user to resolve. Replay stops at the first
+     * connection failure and picks up from there next time.
+     * @returns {Promise<Object>} { synced, conflicts, failed }
+     */
+    syncOutbox() {
+        if (this.syncing) {
+            return this.syncing;
+        }
+        
+        this.syncing = this.replayOutbox().finally(() => {
+            this.syncing = null;
+        });
+        
+        return this.syncing;
+    }
+    
+    /**
+     * Replay worker behind syncOutbox()
+     */
+    async replayOutbox() {
+        const result = { synced: 0, conflicts: 0, failed: 0 };
+        
+        await outbox.load();
+        
+        if (!this.auth.checkAuth() || this.isOffline()) {
+            return result;
+        }
+        
+        const changedTypes = new Set();
+        
+        for (const entry of outbox.list(this.getStoreScope())) {
+            if (entry.status !== 'pending') continue;
             
+            try {
+                if (entry.action !== 'create') {
+                    const serverElement = await this.fetchServerCopy(entry.type, entry.id);
+                    
+                    if (!serverElement && entry.action === 'delete') {
+                        // Already gone on the server: the delete is done
+                        await outbox.remove(entry.seq);
+                        result.synced++;
+                        continue;
+                    }
+                    
+                    const conflict = !serverElement
+                        ? 'Deleted on the server'
+                        : (entry.baseUpdatedAt && serverElement.updated_at !== entry.baseUpdatedAt
+                            ? 'Changed on the server since this edit was made'
+                            : null);
+                    
+                    if (conflict) {
+                        await outbox.update(entry.seq, { status: 'conflict', error: conflict });
+                        result.conflicts++;
+                        continue;
+                    }
+                }
+                
+                if (entry.action === 'create') {
+                    // Later offline edits may have been folded in with display field names
+                    await this.sendCreate(entry.type, this.cleanLinkFields(entry.data, entry.type));
+                } else if (entry.action === 'update') {
+                    await this.sendUpdate(entry.type, entry.id, entry.data);
+                } else {
+                    await this.sendDelete(entry.type, entry.id);
+                }
+                
+                await outbox.remove(entry.seq);
+                changedTypes.add(entry.type);
+                result.synced++;
+            
+            } catch (error) {
+                if (error.isNetworkError) break;
+                
+                console.error(`Could not sync queued ${entry.action} of ${entry.type} ${entry.id}:`, error);
+                await outbox.update(entry.seq, { status: 'failed', error: error.message });
+                result.failed++;
+            }
+        }
+        
+        changedTypes.forEach(type => {
+            this.revalidateListeners.forEach(listener => listener(type));
+        });
+        
+        return result;
+    }
+    
+    /**
+     * Resolve a conflicted or failed outbox entry
+     * 'mine' sends the queued write anyway (an update to an element deleted on the
+     * server recreates it); 'theirs' discards the queued write
+     * @param {number} seq - Outbox entry seq
+     * @param {string} resolution - 'mine' or 'theirs'
+     */
+    async resolveOutboxEntry(seq, resolution) {
+        const entry = outbox.get(seq);
+        if (!entry) return;
+        
+        if (resolution === 'theirs') {
+            await this.discardOutboxEntry(seq);
+            return;
+        }
+        
+        const changes = { status: 'pending', error: null };
+        
+        if (entry.action !== 'create') {
+            const serverElement = await this.fetchServerCopy(entry.type, entry.id);
+            changes.baseUpdatedAt = serverElement?.updated_at || null;
+            
+            if (!serverElement && entry.action === 'update') {
+                const localElement = this.cache.get(`${entry.type}_${entry.id}`) || {};
+                changes.action = 'create';
+                changes.data = this.cleanLinkFields({ ...localElement, ...entry.data, id: entry.id }, entry.type);
+            }
+        }
+        
+        await outbox.update(seq, changes);
+        await this.syncOutbox();
+    }
+    
+    /**
+     * Drop a queued write and restore the local copies to the server's version
+     * @param {number} seq - Outbox entry seq
+     */
+    async discardOutboxEntry(seq) {
+        const entry = outbox.get(seq);
+        if (!entry) return;
+        
+        await outbox.remove(seq);
+        
+        const cacheKey = `${entry.type}_${entry.id}`;
+        const serverElement = entry.action === 'create' || this.isOffline()
+            ? null
+            : await this.fetchServerCopy(entry.type, entry.id).catch(() => null);
+        
+        if (!serverElement && !this.isOffline()) {
+            this.cache.delete(cacheKey);
+            this.unverified.delete(cacheKey);
+            await this.writeStore(() => localStore.deleteElement(entry.world, entry.type, entry.id));
+        }
+        
+        this.revalidateListeners.forEach(listener => listener(entry.type));
+    }
+    
+    /**
+     * Fetch the server's current copy of an element
+     * @returns {Promise<Object|null>} The element, or null if it doesn't exist on the server
+     */
+    async fetchServerCopy(elementType, elementId) {
+        try {
+            return await this.fetchElement(elementType, elementId);
         } catch (error) {
-            console.error(`Error deleting ${elementType} ${elementId}:`, error);
+            if (error.message === `${elementType} not found`) {
+                return null;
+            }
+            throw error;
+        }
+    }
+    
+    /**
+     * Check whether an element has writes waiting in the outbox
+     */
+    hasPendingChanges(elementType, elementId) {
+        return outbox.find(this.getStoreScope(), elementType, elementId) !== null;
+    }
+    
+    /**
+     * Check whether the browser reports being offline
+     */
+    isOffline() {
+        return typeof navigator !== 'undefined' && navigator.onLine === false;
+    }
+    
+    /**
+     * fetch() wrapper that marks connection failures so writes can be queued
+     * fetch() only rejects when no response arrives at all; HTTP errors resolve normally
+     */
+    async send(url, options) {
+        try {
+            return await fetch(url, options);
+        } catch (error) {
+            error.isNetworkError = true;
             throw error;
         }
     }
@@ -377,9 +842,10 @@ export default class OnlyWorldsAPI {
      * Clean link fields before sending to API
      * Converts object references to just IDs
      * @param {Object} element - Element with potential object references
+     * @param {string} [elementType] - Element type, so fields are typed by its schema
      * @returns {Object} Cleaned element with ID strings instead of objects
      */
-    cleanLinkFields(element) {
+    cleanLinkFields(element, elementType) {
         const cleaned = {};
         const skipFields = ['created_at', 'updated_at'];
         
@@ -400,15 +866,15 @@ export default class OnlyWorldsAPI {
                 continue;
             }
             
-            const isLinkField = (isRelationshipField && isRelationshipField(fieldName)) ||
-                               (getFieldType && ['uuid', 'array<uuid>'].includes(getFieldType(fieldName)?.type)) ||
+            const isLinkField = (isRelationshipField && isRelationshipField(fieldName, elementType)) ||
+                               (getFieldType && ['uuid', 'array<uuid>'].includes(getFieldType(fieldName, elementType)?.type)) ||
                                (typeof value === 'object' && value !== null && value.id) ||
                                (Array.isArray(value) && value.length > 0 && 
                                 typeof value[0] === 'object' && value[0] !== null && value[0].id);
             
             // Handle null/undefined values for link fields
             if ((value === null || value === undefined) && isLinkField) {
-                const fieldType = getFieldType ? getFieldType(fieldName) : null;
+                const fieldType = getFieldType ? getFieldType(fieldName, elementType) : null;
                 if (fieldType && fieldType.type === 'array<uuid>') {
                     const apiFieldName = fieldName.endsWith('_ids') ? fieldName : `${fieldName}_ids`;
                     cleaned[apiFieldName] = [];
@@ -439,7 +905,7 @@ export default class OnlyWorldsAPI {
                     const apiFieldName = fieldName.endsWith('_id') ? fieldName : `${fieldName}_id`;
                     cleaned[apiFieldName] = value.id;
                 } else if (typeof value === 'string' && value) {
-                    if (getFieldType && getFieldType(fieldName).type === 'array<uuid>') {
+                    if (getFieldType && getFieldType(fieldName, elementType).type === 'array<uuid>') {
                         const apiFieldName = fieldName.endsWith('_ids') ? fieldName : `${fieldName}_ids`;
                         cleaned[apiFieldName] = [value];
                     } else {
@@ -511,13 +977,14 @@ export default class OnlyWorldsAPI {
         // Try to get world from any element type
         try {
             for (const elementType of ONLYWORLDS.ELEMENT_TYPES) {
-                const response = await fetch(`${ONLYWORLDS.API_BASE}/${elementType}/`, {
+                const response = await fetch(`${ONLYWORLDS.API_BASE}/${elementType}/?limit=1`, {
                     headers: this.auth.getHeaders()
                 });
                 
                 if (response.ok) {
-                    const elements = await response.json();
-                    if (elements && elements.length > 0 && elements[0].world) {
+                    const data = await response.json();
+                    const elements = Array.isArray(data) ? data : (data.items || data.results || []);
+                    if (elements.length > 0 && elements[0].world) {
                         this.worldId = typeof elements[0].world === 'string' 
                             ? elements[0].world 
                             : elements[0].world.id;
@@ -533,13 +1000,179 @@ export default class OnlyWorldsAPI {
         return null;
     }
     
+    /**
+     * Refresh a cached category in the background (stale-while-revalidate)
+     * New elements, elements whose updated_at changed and deleted elements are written
+     * to the local store, and listeners hear about the category if anything changed.
+     * Categories refreshed within ONLYWORLDS.REVALIDATE_INTERVAL are skipped.
+     * @param {string} elementType - Type of element
+     * @returns {Promise<boolean>} Whether anything changed
+     */
+    revalidateCategory(elementType) {
+        if (this.revalidating.has(elementType)) {
+            return this.revalidating.get(elementType);
+        }
+        
+        const lastRun = this.lastRevalidated.get(elementType) || 0;
+        if (Date.now() - lastRun < ONLYWORLDS.REVALIDATE_INTERVAL) {
+            return Promise.resolve(false);
+        }
+        
+        const scope = this.getStoreScope();
+        
+        const task = (async () => {
+            try {
+                const cached = await this.readStore(() => localStore.getCategory(scope, elementType));
+                const cachedById = new Map((cached?.elements || []).map(element => [element.id, element]));
+                
+                const freshElements = [];
+                for await (const batch of this.fetchElementPages(elementType)) {
+                    freshElements.push(...batch);
+                }
+                
+                // Local copies with writes still queued are ahead of the server: an element
+                // created offline isn't there yet, and an edit mustn't be overwritten
+                await outbox.load();
+                const queued = id => outbox.find(scope, elementType, id) !== null;
+                
+                // Fetching cached the server copies; put the local ones back
+                freshElements.forEach(element => {
+                    if (queued(element.id) && cachedById.has(element.id)) {
+                        this.cache.set(`${elementType}_${element.id}`, cachedById.get(element.id));
+                    }
+                });
+                
+                const changed = freshElements.filter(element => {
+                    const previous = cachedById.get(element.id);
+                    return !queued(element.id) && (!previous || previous.updated_at !== element.updated_at);
+                });
+                
+                const freshIds = new Set(freshElements.map(element => element.id));
+                const removedIds = [...cachedById.keys()].filter(id => !freshIds.has(id) && !queued(id));
+                removedIds.forEach(id => this.cache.delete(`${elementType}_${id}`));
+                
+                this.lastRevalidated.set(elementType, Date.now());
+                await this.writeStore(() => localStore.updateCategory(scope, elementType, changed, removedIds));
+                
+                // Ignore results for a world that has been switched away from meanwhile
+                const hasChanges = changed.length > 0 || removedIds.length > 0;
+                if (hasChanges && scope === this.getStoreScope()) {
+                    this.revalidateListeners.forEach(listener => listener(elementType));
+                }
+                
+                return hasChanges;
+            
+            } catch (error) {
+                console.warn(`Background refresh of ${elementType}s failed:`, error);
+                return false;
+            } finally {
+                this.revalidating.delete(elementType);
+            }
+        })();
+        
+        this.revalidating.set(elementType, task);
+        return task;
+    }
+    
+    /**
+     * Check a locally stored element against the server in the background
+     * @param {string} elementType - Type of element
+     * @param {string} elementId - ID of the element
+     */
+    async revalidateElement(elementType, elementId) {
+        const cacheKey = `${elementType}_${elementId}`;
+        const stored = this.cache.get(cacheKey);
+        
+        try {
+            const element = await this.fetchElement(elementType, elementId);
+            if (!stored || stored.updated_at !== element.updated_at) {
+                this.revalidateListeners.forEach(listener => listener(elementType));
+            }
+        } catch (error) {
+            if (error.message === `${elementType} not found`) {
+                this.cache.delete(cacheKey);
+                this.unverified.delete(cacheKey);
+                await this.writeStore(() => localStore.deleteElement(this.getStoreScope(), elementType, elementId));
+                this.revalidateListeners.forEach(listener => listener(elementType));
+            }
+        }
+    }
+    
+    /**
+     * Register a listener for background refreshes
+     * @param {Function} listener - Called with the element type whenever a refresh changed it
+     * @returns {Function} Unsubscribe function
+     */
+    onRevalidate(listener) {
+        this.revalidateListeners.add(listener);
+        return () => this.revalidateListeners.delete(listener);
+    }
+    
+    /**
+     * Register a listener for writes made from this app
+     * Called once the local copy has changed, whether the write was sent or queued
+     * @param {Function} listener - Called with (elementType, elementId, element), element being null after a delete
+     * @returns {Function} Unsubscribe function
+     */
+    onWrite(listener) {
+        this.writeListeners.add(listener);
+        return () => this.writeListeners.delete(listener);
+    }
+    
+    /**
+     * Tell write listeners about a changed element
+     */
+    notifyWrite(elementType, elementId, element) {
+        this.writeListeners.forEach(listener => listener(elementType, elementId, element));
+    }
+    
+    /**
+     * Key that separates locally stored data per world
+     */
+    getStoreScope() {
+        return this.auth.getCurrentWorld()?.id || this.auth.apiKey;
+    }
+    
+    /**
+     * Read from the local store, treating any storage failure as a cache miss
+     */
+    async readStore(read) {
+        try {
+            return await read();
+        } catch (error) {
+            console.warn('Local store read failed:', error);
+            return null;
+        }
+    }
+    
+    /**
+     * Write to the local store; failures are logged and never block API calls
+     */
+    async writeStore(write) {
+        try {
+            await write();
+        } catch (error) {
+            console.warn('Local store write failed:', error);
+        }
+    }
+    
     /**
      * Clear the cache
      */
     clearCache() {
         this.cache.clear();
+        this.unverified.clear();
+        this.lastRevalidated.clear();
         this.worldId = null;
     }
+    
+    /**
+     * Clear the in-memory cache and everything stored locally in IndexedDB
+     */
+    async clearLocalData() {
+        this.clearCache();
+        await localStore.clear();
+    }
 }
 
 // Create and export singleton instance
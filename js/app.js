@@ -5,9 +5,28 @@
 
 import { apiService } from './api.js';
 import { authManager } from './auth.js';
+import { BulkActionsPanel } from './bulk-actions-panel.js';
+import { CommandPalette } from './command-palette.js';
+import { commands } from './commands.js';
 import ElementEditor from './editor.js';
+import { GlobalSearch } from './global-search.js';
+import { GraphView } from './graph-view.js';
 import { ImportExportManager } from './import-export.js';
+import { LineageView } from './lineage-view.js';
+import { MapView } from './map-view.js';
+import { outbox } from './outbox.js';
+import { OutboxPanel } from './outbox-panel.js';
+import { ReferenceCheckPanel } from './reference-check-panel.js';
+import { references } from './references.js';
+import { router } from './router.js';
+import { searchIndex } from './search-index.js';
+import { TableView } from './table-view.js';
 import { themeManager } from './theme.js';
+import { TimelineView } from './timeline-view.js';
+import { trash } from './trash.js';
+import { TrashPanel } from './trash-panel.js';
+import { undoHistory } from './undo-history.js';
+import { UndoPanel } from './undo-panel.js';
 import ElementViewer from './viewer.js';
 
 class OnlyWorldsApp {
@@ -22,12 +41,189 @@ class OnlyWorldsApp {
         
         this.elementViewer = new ElementViewer(apiService);
         this.elementEditor = new ElementEditor(apiService);
+        this.outboxPanel = new OutboxPanel(apiService);
+        this.undoPanel = new UndoPanel();
+        this.trashPanel = new TrashPanel();
+        this.referenceCheckPanel = new ReferenceCheckPanel(apiService);
+        this.graphView = new GraphView(apiService);
+        this.timelineView = new TimelineView(apiService);
+        this.mapView = new MapView(apiService);
+        this.lineageView = new LineageView(apiService);
+        this.globalSearch = new GlobalSearch();
+        this.tableView = new TableView(apiService);
+        this.bulkActionsPanel = new BulkActionsPanel(apiService);
+        this.commandPalette = new CommandPalette({ canSearchElements: () => this.isConnected });
+        undoHistory.init(apiService);
+        references.init(apiService);
+        trash.init(apiService);
+        searchIndex.init(apiService);
+        router.init(this.elementViewer);
         
         // Make globally accessible for debugging
         window.elementViewer = this.elementViewer;
         window.elementEditor = this.elementEditor;
         
         this.attachEventListeners();
+        this.registerCommands();
+    }
+    
+    /**
+     * Offer the app's panels and views in the command palette
+     * Other modules register their own commands when they start
+     */
+    registerCommands() {
+        const connected = () => this.isConnected;
+        
+        commands.register(
+            {
+                id: 'search.global',
+                title: 'Search everything',
+                group: 'Search',
+                icon: 'manage_search',
+                shortcut: '/',
+                when: connected,
+                run: () => this.globalSearch.open()
+            },
+            {
+                id: 'view.graph',
+                title: 'Open relationship graph',
+                group: 'View',
+                icon: 'bubble_chart',
+                when: connected,
+                run: () => this.graphView.open()
+            },
+            {
+                id: 'view.timeline',
+                title: 'Open timeline',
+                group: 'View',
+                icon: 'timeline',
+                when: connected,
+                run: () => this.timelineView.open()
+            },
+            {
+                id: 'view.map',
+                title: 'Open maps',
+                group: 'View',
+                icon: 'map',
+                when: connected,
+                run: () => this.mapView.open()
+            },
+            {
+                id: 'view.lineage',
+                title: 'Open family tree',
+                group: 'View',
+                icon: 'family_restroom',
+                keywords: ['lineage', 'ancestors', 'descendants'],
+                when: connected,
+                run: () => this.lineageView.open()
+            },
+            {
+                id: 'view.table',
+                title: 'Show category as a table',
+                group: 'View',
+                icon: 'table_chart',
+                keywords: ['spreadsheet', 'columns'],
+                when: () => this.isConnected && Boolean(this.elementViewer.currentCategory),
+                run: () => this.tableView.open(this.elementViewer.currentCategory)
+            },
+            {
+                id: 'list.bulk',
+                title: 'Change selected elements',
+                group: 'List',
+                icon: 'checklist',
+                keywords: ['bulk', 'delete', 'retag', 'export'],
+                when: () => this.isConnected && this.elementViewer.checkedIds.size > 0,
+                run: () => this.bulkActionsPanel.open(this.elementViewer.currentCategory, this.elementViewer.getCheckedElements())
+            },
+            {
+                id: 'edit.undo',
+                title: 'Undo',
+                group: 'Edit',
+                icon: 'undo',
+                shortcut: 'Ctrl+Z',
+                when: () => this.isConnected && undoHistory.canUndo(),
+                run: () => this.undoPanel.step('undo')
+            },
+            {
+                id: 'edit.redo',
+                title: 'Redo',
+                group: 'Edit',
+                icon: 'redo',
+                shortcut: 'Ctrl+Shift+Z',
+                when: () => this.isConnected && undoHistory.canRedo(),
+                run: () => this.undoPanel.step('redo')
+            },
+            {
+                id: 'edit.history',
+                title: 'Show undo history',
+                group: 'Edit',
+                icon: 'history',
+                when: connected,
+                run: () => this.undoPanel.open()
+            },
+            {
+                id: 'world.trash',
+                title: 'Open trash',
+                group: 'World',
+                icon: 'delete',
+                keywords: ['restore', 'deleted'],
+                when: connected,
+                run: () => this.trashPanel.open()
+            },
+            {
+                id: 'world.references',
+                title: 'Check for broken references',
+                group: 'World',
+                icon: 'link_off',
+                keywords: ['links', 'repair'],
+                when: connected,
+                run: () => this.referenceCheckPanel.open()
+            },
+            {
+                id: 'world.outbox',
+                title: 'Show pending changes',
+                group: 'World',
+                icon: 'cloud_upload',
+                keywords: ['offline', 'sync', 'outbox'],
+                when: connected,
+                run: () => this.outboxPanel.open()
+            },
+            {
+                id: 'world.switch',
+                title: 'Switch world',
+                group: 'World',
+                icon: 'swap_horiz',
+                keywords: ['api key', 'pin', 'login'],
+                run: () => {
+                    const input = document.getElementById('api-key');
+                    input.focus();
+                    input.select();
+                }
+            },
+            {
+                id: 'world.clear-local',
+                title: 'Clear local data',
+                group: 'World',
+                icon: 'cleaning_services',
+                keywords: ['cache', 'indexeddb'],
+                run: () => this.clearLocalData()
+            },
+            {
+                id: 'app.theme',
+                title: 'Toggle dark mode',
+                group: 'App',
+                icon: 'dark_mode',
+                keywords: ['theme', 'light'],
+                run: () => themeManager.toggleTheme()
+            },
+            {
+                id: 'app.help',
+                title: 'Show help',
+                group: 'App',
+                icon: 'help_outline',
+                run: () => this.showHelp()
+            }
+        );
     }
     
     setupErrorHandling() {
@@ -51,6 +247,95 @@ class OnlyWorldsApp {
             this.showHelp();
         });
         
+        document.getElementById('clear-data-btn')?.addEventListener('click', () => {
+            this.clearLocalData();
+        });
+        
+        document.getElementById('outbox-btn')?.addEventListener('click', () => {
+            this.outboxPanel.open();
+        });
+        
+        document.getElementById('undo-btn')?.addEventListener('click', () => {
+            this.undoPanel.open();
+        });
+        
+        document.getElementById('trash-btn')?.addEventListener('click', () => {
+            this.trashPanel.open();
+        });
+        
+        document.getElementById('reference-check-btn')?.addEventListener('click', () => {
+            this.referenceCheckPanel.open();
+        });
+        
+        document.getElementById('graph-btn')?.addEventListener('click', () => {
+            this.graphView.open();
+        });
+        
+        document.getElementById('timeline-btn')?.addEventListener('click', () => {
+            this.timelineView.open();
+        });
+        
+        document.getElementById('map-btn')?.addEventListener('click', () => {
+            this.mapView.open();
+        });
+        
+        document.getElementById('lineage-btn')?.addEventListener('click', () => {
+            this.lineageView.open();
+        });
+        
+        document.getElementById('table-view-btn')?.addEventListener('click', () => {
+            if (this.elementViewer.currentCategory) {
+                this.tableView.open(this.elementViewer.currentCategory);
+            }
+        });
+        
+        document.getElementById('bulk-actions-btn')?.addEventListener('click', () => {
+            this.bulkActionsPanel.open(this.elementViewer.currentCategory, this.elementViewer.getCheckedElements());
+        });
+        
+        document.getElementById('command-palette-btn')?.addEventListener('click', () => {
+            this.commandPalette.open();
+        });
+        
+        document.getElementById('global-search-btn')?.addEventListener('click', () => {
+            this.globalSearch.open();
+        });
+        
+        // Ctrl+K opens the command palette from anywhere, text fields included
+        document.addEventListener('keydown', (e) => {
+            if (!(e.ctrlKey || e.metaKey) || e.altKey || e.key.toLowerCase() !== 'k') return;
+            
+            e.preventDefault();
+            this.commandPalette.toggle();
+        });
+        
+        // "/" opens the global search, except while typing
+        document.addEventListener('keydown', (e) => {
+            if (!this.isConnected || e.key !== '/' || e.ctrlKey || e.metaKey || e.altKey) return;
+            if (e.target.closest('input, textarea, select, [contenteditable="true"]')) return;
+            
+            e.preventDefault();
+            this.globalSearch.open();
+        });
+        
+        // Ctrl+Z / Ctrl+Shift+Z, left to the browser inside text fields
+        document.addEventListener('keydown', (e) => {
+            if (!this.isConnected || !(e.ctrlKey || e.metaKey) || e.key.toLowerCase() !== 'z') return;
+            if (e.target.closest('input, textarea, select, [contenteditable="true"]')) return;
+            
+            e.preventDefault();
+            this.undoPanel.step(e.shiftKey ? 'redo' : 'undo');
+        });
+        
+        outbox.onChange(() => this.updateOutboxIndicator());
+        window.addEventListener('offline', () => this.updateOutboxIndicator());
+        window.addEventListener('online', () => {
+            this.updateOutboxIndicator();
+            if (this.isConnected) {
+                apiService.syncOutbox();
+            }
+        });
+        
         // Enter key on auth inputs
         ['api-key', 'api-pin'].forEach(id => {
             document.getElementById(id)?.addEventListener('keypress', (e) => {
@@ -90,6 +375,12 @@ class OnlyWorldsApp {
     }
     
     attachImportExportListeners() {
+        document.getElementById('import-btn')?.addEventListener('click', () => {
+            if (this.importExportManager) {
+                this.importExportManager.importWorld();
+            }
+        });
+        
         document.getElementById('export-btn')?.addEventListener('click', () => {
             if (this.importExportManager) {
                 this.importExportManager.exportWorld();
@@ -151,6 +442,42 @@ class OnlyWorldsApp {
         }
     }
     
+    async clearLocalData() {
+        if (!confirm('Clear all locally stored world data? It will be downloaded again from OnlyWorlds.')) {
+            return;
+        }
+        
+        try {
+            await apiService.clearLocalData();
+        } catch (error) {
+            console.error('Failed to clear local data:', error);
+            this.showError(`Could not clear local data: ${error.message}`);
+            return;
+        }
+        
+        if (this.isConnected) {
+            this.elementViewer.updateCategoryCounts();
+            
+            if (this.elementViewer.currentCategory) {
+                this.elementViewer.loadElements(this.elementViewer.currentCategory);
+            }
+        }
+    }
+    
+    updateOutboxIndicator() {
+        const button = document.getElementById('outbox-btn');
+        if (!button) return;
+        
+        const entries = this.isConnected ? outbox.list(apiService.getStoreScope()) : [];
+        const offline = apiService.isOffline();
+        
+        button.classList.toggle('hidden', entries.length === 0 && !offline);
+        button.classList.toggle('offline', offline);
+        button.classList.toggle('has-conflicts', entries.some(entry => entry.status !== 'pending'));
+        button.title = offline ? 'Offline - changes are queued' : 'Pending changes';
+        document.getElementById('outbox-count').textContent = entries.length > 0 ? entries.length : '';
+    }
+    
     showHelp() {
         const existingModal = document.getElementById('help-modal');
         if (existingModal) {
@@ -180,6 +507,7 @@ class OnlyWorldsApp {
                             <li>Get world API credentials from <a href="https://www.onlyworlds.com" target="_blank">onlyworlds.com</a></li>
                             <li>Enter them in the top bar and click "load world"</li>
                             <li>Select a category to view and edit elements</li>
+                            <li>Press Ctrl+K to find any element or command</li>
                         </ol>
                     </div>
                     
@@ -231,6 +559,7 @@ class OnlyWorldsApp {
         // Initialize import/export manager
         setTimeout(() => {
             this.importExportManager = new ImportExportManager(apiService);
+            this.importExportManager.registerCommands();
             
             const controls = document.getElementById('import-export-controls');
             if (controls) {
@@ -239,9 +568,31 @@ class OnlyWorldsApp {
         }, 100);
         
         this.isConnected = true;
+        
+        // Send anything left over from an earlier offline session
+        this.updateOutboxIndicator();
+        apiService.syncOutbox();
+        
+        document.getElementById('undo-btn')?.classList.remove('hidden');
+        document.getElementById('trash-btn')?.classList.remove('hidden');
+        document.getElementById('reference-check-btn')?.classList.remove('hidden');
+        document.getElementById('graph-btn')?.classList.remove('hidden');
+        document.getElementById('timeline-btn')?.classList.remove('hidden');
+        document.getElementById('map-btn')?.classList.remove('hidden');
+        document.getElementById('lineage-btn')?.classList.remove('hidden');
+        document.getElementById('global-search-btn')?.classList.remove('hidden');
+        
+        // Open the category or element the URL points at, e.g. after a reload or from a bookmark
+        router.start();
     }
     
     clearMainUI() {
+        // Undo entries belong to the world they were made in
+        undoHistory.clear();
+        
+        // Links into the previous world mean nothing in the next one
+        router.record(null, { replace: true });
+        
         if (this.elementViewer) {
             this.elementViewer.clear();
             
@@ -4,7 +4,10 @@
  * Extracted from inline-editor.js for better modularity
  */
 
+import { ConflictDialog, resolveConflicts } from './conflict-dialog.js';
 import { isRelationshipField } from './field-types.js';
+import { undoHistory } from './undo-history.js';
+import { readInputValue, showFieldError, validateField } from './validation.js';
 
 export class AutoSaveManager {
     constructor(api, updateCallback) {
@@ -16,6 +19,7 @@ export class AutoSaveManager {
         this.originalValues = {};
         this.editingElement = null;
         this.editingType = null;
+        this.conflictDialog = new ConflictDialog();
         
         // Auto-save is always enabled
         this.enabled = true;
@@ -39,14 +43,20 @@ export class AutoSaveManager {
     storeOriginalValues(element) {
         this.originalValues = {};
         for (const [key, value] of Object.entries(element)) {
-            if (Array.isArray(value)) {
-                this.originalValues[key] = [...value];
-            } else if (typeof value === 'object' && value !== null) {
-                this.originalValues[key] = {...value};
-            } else {
-                this.originalValues[key] = value;
-            }
+            this.originalValues[key] = this.copyValue(value);
+        }
+    }
+    
+    /**
+     * Shallow-copy arrays and objects so later in-place edits don't leak into a snapshot
+     */
+    copyValue(value) {
+        if (Array.isArray(value)) {
+            return [...value];
+        } else if (typeof value === 'object' && value !== null) {
+            return {...value};
         }
+        return value;
     }
     
     /**
@@ -103,25 +113,64 @@ export class AutoSaveManager {
     
     /**
      * Save a single field immediately (for relationship editor)
+     * Goes through the same conflict check as saveChanges(), so a link edit never
+     * overwrites fields someone else changed on the server
      */
     async saveField(fieldName, value) {
+        // The relationship editor mutates link arrays in place, so snapshot both sides
+        const before = this.copyValue(this.originalValues[fieldName]);
+        const after = this.copyValue(value);
+        
         try {
-            const updated = await this.api.updateElement(
-                this.editingType,
-                this.editingElement.id,
-                { [fieldName]: value }
-            );
+            const { updates, serverElement } = await this.resolveConflicts({ [fieldName]: value });
+            
+            if (!updates) {
+                // Dialog dismissed: put the link back and show the element as it was
+                this.editingElement[fieldName] = this.copyValue(before);
+                this.updateSaveStatus('conflict');
+                window.elementViewer?.displayElementDetails(this.editingElement);
+                return false;
+            }
+            
+            const kept = fieldName in updates;
+            const updated = kept
+                ? await this.api.updateElement(this.editingType, this.editingElement.id, updates)
+                : serverElement;
             
             Object.assign(this.editingElement, updated);
+            this.originalValues[fieldName] = this.copyValue(this.editingElement[fieldName]);
+            
+            // Only a save nobody raced moves the base forward; otherwise the next
+            // field save still has to check the other changes against it
+            if (!serverElement) {
+                this.originalValues.updated_at = this.editingElement.updated_at;
+            }
+            
+            if (kept) {
+                undoHistory.record({
+                    action: 'update',
+                    type: this.editingType,
+                    id: this.editingElement.id,
+                    name: this.editingElement.name,
+                    before: { [fieldName]: before },
+                    after: { [fieldName]: after }
+                });
+            }
             
             if (this.updateCallback) {
                 this.updateCallback(this.editingElement);
             }
             
+            if (!kept) {
+                // Their link was kept, so what the relationship editor shows is stale
+                window.elementViewer?.displayElementDetails(this.editingElement);
+                return false;
+            }
+            
             return true;
         } catch (error) {
             // Enhanced error message for relationship fields
-            const isRelField = isRelationshipField && isRelationshipField(fieldName);
+            const isRelField = isRelationshipField && isRelationshipField(fieldName, this.editingType);
             let errorMessage = `Failed to save ${fieldName}: ${error.message}`;
             
             if (isRelField) {
@@ -145,33 +194,93 @@ export class AutoSaveManager {
         
         if (this.dirtyFields.size === 0 || this.isSaving) return;
         
+        const changes = this.collectChangedValues();
+        if (changes.invalid.length > 0) {
+            // Nothing is sent until every edited field is valid
+            this.updateSaveStatus('invalid');
+            return;
+        }
+        
         this.isSaving = true;
         this.updateSaveStatus('saving');
         
+        // The fields in this save; anything typed while it runs (the conflict dialog
+        // can stay open for a while) marks its field dirty again for the next save
+        const sent = [...this.dirtyFields];
+        sent.forEach(field => this.dirtyFields.delete(field));
+        let saved = false;
+        
         try {
-            const updates = this.collectChangedValues();
+            const baseUpdatedAt = this.originalValues.updated_at;
+            const { updates, serverElement } = await this.resolveConflicts(changes.updates);
+            
+            if (!updates) {
+                // Dialog dismissed: keep the edits dirty and don't touch the server
+                this.updateSaveStatus('conflict');
+                return;
+            }
             
-            const updated = await this.api.updateElement(
-                this.editingType,
-                this.editingElement.id,
-                updates
-            );
+            // Every conflicting field resolved to theirs leaves nothing to send
+            const updated = Object.keys(updates).length > 0
+                ? await this.api.updateElement(this.editingType, this.editingElement.id, updates)
+                : serverElement;
             
             Object.assign(this.editingElement, updated);
             
+            if (Object.keys(updates).length > 0) {
+                const before = {};
+                Object.keys(updates).forEach(field => {
+                    before[field] = this.originalValues[field];
+                });
+                
+                undoHistory.record({
+                    action: 'update',
+                    type: this.editingType,
+                    id: this.editingElement.id,
+                    name: this.editingElement.name,
+                    before,
+                    after: updates
+                });
+            }
+            
+            // Fields edited during the save keep their originals, so they still diff against the base
+            const pending = {};
+            this.dirtyFields.forEach(field => {
+                pending[field] = this.originalValues[field];
+            });
             this.storeOriginalValues(this.editingElement);
+            Object.assign(this.originalValues, pending);
+            
+            // Their changes to those fields haven't been checked yet, so keep the old base for them
+            if (serverElement && this.dirtyFields.size > 0) {
+                this.originalValues.updated_at = baseUpdatedAt;
+            }
+            saved = true;
             
-            this.dirtyFields.clear();
-            document.querySelectorAll('.dirty').forEach(el => {
-                el.classList.remove('dirty');
+            sent.forEach(field => {
+                if (!this.dirtyFields.has(field)) {
+                    document.querySelector(`[data-field="${field}"]`)?.classList.remove('dirty');
+                }
             });
             
-            this.updateSaveStatus('saved');
+            if (this.dirtyFields.size > 0) {
+                this.updateSaveStatus('typing');
+            } else {
+                // Saved to the outbox while offline rather than to the server
+                this.updateSaveStatus(
+                    this.api.hasPendingChanges(this.editingType, this.editingElement.id) ? 'queued' : 'saved'
+                );
+            }
             
             if (this.updateCallback) {
                 this.updateCallback(this.editingElement);
             }
             
+            // Fields changed by someone else are stale on screen; redrawing would drop edits still in progress
+            if (serverElement && this.dirtyFields.size === 0) {
+                window.elementViewer?.displayElementDetails(this.editingElement);
+            }
+        
         } catch (error) {
             console.error('Save failed:', error);
             this.updateSaveStatus('error');
@@ -179,60 +288,61 @@ export class AutoSaveManager {
             alert(`Failed to save: ${error.message}`);
         } finally {
             this.isSaving = false;
+            
+            if (!saved) {
+                sent.forEach(field => this.dirtyFields.add(field));
+            } else if (this.dirtyFields.size > 0) {
+                // Their own timers fired while this save ran and were skipped
+                clearTimeout(this.saveTimeout);
+                this.saveTimeout = setTimeout(() => this.saveChanges(), 2000);
+            }
         }
     }
     
+    /**
+     * Check the server copy before saving and resolve concurrent edits
+     * The originals captured by storeOriginalValues() are the base version
+     * @param {Object} updates - Changed values from collectChangedValues()
+     * @returns {Promise<Object>} { updates, serverElement } as resolveConflicts() returns them
+     */
+    resolveConflicts(updates) {
+        return resolveConflicts(this.api, this.editingType,
+            { ...this.originalValues, id: this.editingElement.id }, updates, this.conflictDialog);
+    }
+    
     /**
      * Collect values that have changed
+     * Invalid values get an inline error and are left out of the updates
+     * @returns {Object} { updates, invalid } with the names of the invalid fields
      */
     collectChangedValues() {
         const updates = {};
+        const invalid = [];
         
         this.dirtyFields.forEach(fieldName => {
             const input = document.querySelector(`[name="${fieldName}"]`);
             if (!input) return;
             
-            const fieldType = input.closest('[data-type]')?.dataset.type || 'string';
-            let value;
+            const fieldDiv = input.closest('[data-type]');
+            const fieldType = fieldDiv?.dataset.type || 'string';
+            const value = readInputValue(input, fieldType);
             
-            switch (fieldType) {
-                case 'boolean':
-                    value = input.checked;
-                    break;
-                    
-                case 'number':
-                    value = input.value ? parseFloat(input.value) : null;
-                    break;
-                    
-                case 'array<uuid>':
-                case 'array<string>':
-                    value = input.value
-                        .split(',')
-                        .map(v => v.trim())
-                        .filter(v => v);
-                    break;
-                    
-                case 'object':
-                    try {
-                        value = input.value ? JSON.parse(input.value) : null;
-                    } catch {
-                        value = input.value; // Keep as string if invalid JSON
-                    }
-                    break;
-                    
-                default:
-                    value = input.value.trim() || null;
-            }
+            const error = validateField(this.editingType, fieldName, value);
+            showFieldError(fieldDiv, error);
             
-            updates[fieldName] = value;
+            if (error) {
+                invalid.push(fieldName);
+            } else {
+                updates[fieldName] = value;
+            }
         });
         
-        return updates;
+        return { updates, invalid };
     }
     
     /**
      * Update save status indicator
-     * @param {string} status - Status type: typing, saving, saved, error
+     * @param {string} status - Status type: typing, saving, saved, error, conflict, queued, invalid
      */
     updateSaveStatus(status) {
         const statusEl = document.getElementById('save-status');
@@ -260,6 +370,21 @@ export class AutoSaveManager {
                 statusEl.classList.add('error');
                 statusEl.querySelector('.status-text').textContent = 'Failed to save';
                 break;
+            
+            case 'conflict':
+                statusEl.classList.add('error');
+                statusEl.querySelector('.status-text').textContent = 'Conflict – not saved';
+                break;
+            
+            case 'queued':
+                statusEl.classList.add('queued');
+                statusEl.querySelector('.status-text').textContent = 'Saved offline – will sync';
+                break;
+            
+            case 'invalid':
+                statusEl.classList.add('error');
+                statusEl.querySelector('.status-text').textContent = 'Fix invalid fields to save';
+                break;
         }
     }
     
@@ -0,0 +1,799 @@
+/**
+ * Bulk Actions Panel Module
+ * Applies one action to every element selected in the list: move to the trash,
+ * set supertype/subtype, add or remove a link, move into a location, export,
+ * or change the element type. Elements are changed one at a time, with
+ * progress and a report of the ones that failed.
+ */
+
+import { ONLYWORLDS } from './constants.js';
+import { getElementSchema, getSchemaField } from './element-schemas.js';
+import { getLinkIds } from './field-types.js';
+import { getHierarchyField, wouldCreateCycle } from './hierarchy.js';
+import { ImportExportManager } from './import-export.js';
+import { getPinTypeNumber } from './map-data.js';
+import { references } from './references.js';
+import { trash } from './trash.js';
+import { undoHistory } from './undo-history.js';
+
+const ACTION_LABELS = {
+    retag: 'Set supertype / subtype',
+    'add-link': 'Add a link',
+    'remove-link': 'Remove a link',
+    move: 'Move into a location',
+    retype: 'Change element type',
+    export: 'Export to a file',
+    delete: 'Move to the trash'
+};
+
+// Fields every element has that don't carry over to another element
+const SYSTEM_FIELDS = ['id', 'world', 'created_at', 'updated_at'];
+
+export class BulkActionsPanel {
+    constructor(apiService) {
+        this.api = apiService;
+        this.modal = null;
+        this.type = null;
+        this.elements = [];
+        this.running = false;
+        
+        // Changes made by the current run, recorded as one undo entry when it ends
+        this.undoEntries = [];
+    }
+    
+    /**
+     * Open the panel for the elements selected in the list
+     * @param {string} type - Element type
+     * @param {Array} elements - Selected elements
+     */
+    open(type, elements) {
+        this.close();
+        
+        if (!type || elements.length === 0) return;
+        
+        this.type = type;
+        this.elements = elements;
+        
+        const modal = document.createElement('div');
+        modal.id = 'bulk-actions-modal';
+        modal.className = 'modal compact';
+        modal.innerHTML = `
+            <div class="modal-content compact">
+                <div class="modal-header">
+                    <h2 id="bulk-title"></h2>
+                    <button class="modal-close">&times;</button>
+                </div>
+                <div class="modal-body">
+                    <div class="form-group">
+                        <label for="bulk-action">Action</label>
+                        <select id="bulk-action"></select>
+                    </div>
+                    <div id="bulk-options"></div>
+                    <div id="bulk-progress" class="progress-bar hidden">
+                        <div class="progress-fill" style="width: 0%">0%</div>
+                    </div>
+                    <div id="bulk-report" class="bulk-report hidden"></div>
+                    <div class="modal-footer">
+                        <button type="button" id="bulk-close" class="btn btn-secondary">Close</button>
+                        <button type="button" id="bulk-apply" class="btn btn-primary">Apply</button>
+                    </div>
+                </div>
+            </div>
+        `;
+        
+        document.body.appendChild(modal);
+        this.modal = modal;
+        
+        modal.querySelector('.modal-close').addEventListener('click', () => this.close());
+        modal.querySelector('#bulk-close').addEventListener('click', () => this.close());
+        modal.addEventListener('click', (e) => {
+            if (e.target === modal) this.close();
+        });
+        
+        const actionSelect = modal.querySelector('#bulk-action');
+        this.getActions().forEach(action => {
+            const option = document.createElement('option');
+            option.value = action;
+            option.textContent = ACTION_LABELS[action];
+            actionSelect.appendChild(option);
+        });
+        actionSelect.addEventListener('change', () => this.renderOptions());
+        
+        modal.querySelector('#bulk-apply').addEventListener('click', () => this.apply());
+        
+        this.updateTitle();
+        this.renderOptions();
+    }
+    
+    /**
+     * Show how many elements the action applies to
+     */
+    updateTitle() {
+        const count = this.elements.length;
+        const label = count === 1
+            ? `1 ${ONLYWORLDS.ELEMENT_SINGULAR[this.type].toLowerCase()}`
+            : `${count} ${ONLYWORLDS.ELEMENT_LABELS[this.type].toLowerCase()}`;
+        
+        this.modal.querySelector('#bulk-title').textContent = `Change ${label}`;
+    }
+    
+    /**
+     * Close the panel
+     * A running action carries on; its report is just not shown
+     */
+    close() {
+        if (this.modal) {
+            this.modal.remove();
+            this.modal = null;
+        }
+    }
+    
+    /**
+     * Actions that make sense for the current type
+     */
+    getActions() {
+        return Object.keys(ACTION_LABELS).filter(action => {
+            if (action === 'add-link' || action === 'remove-link') return this.getLinkFields().length > 0;
+            if (action === 'move') return Boolean(this.getMoveField());
+            return true;
+        });
+    }
+    
+    /**
+     * Link fields of the type that point at one element type
+     */
+    getLinkFields() {
+        return [...getElementSchema(this.type).fields.values()].filter(field => field.target);
+    }
+    
+    /**
+     * Field that places an element inside a location
+     * Locations nest through their parent field, other types have a location field
+     */
+    getMoveField() {
+        if (this.type === 'location') return getHierarchyField('location');
+        
+        const field = getSchemaField(this.type, 'location');
+        return field?.target === 'Location' ? 'location' : null;
+    }
+    
+    /**
+     * Draw the inputs of the chosen action
+     */
+    async renderOptions() {
+        const action = this.modal.querySelector('#bulk-action').value;
+        const options = this.modal.querySelector('#bulk-options');
+        const count = this.elements.length;
+        const applyBtn = this.modal.querySelector('#bulk-apply');
+        
+        options.innerHTML = '';
+        this.modal.querySelector('#bulk-report').classList.add('hidden');
+        applyBtn.disabled = this.running || this.elements.length === 0;
+        
+        try {
+            switch (action) {
+                case 'retag': {
+                    options.innerHTML = `
+                        <div class="form-group">
+                            <label for="bulk-supertype">Supertype</label>
+                            <input type="text" id="bulk-supertype" list="bulk-supertypes" placeholder="Leave unchanged" />
+                            <datalist id="bulk-supertypes"></datalist>
+                        </div>
+                        <div class="form-group">
+                            <label for="bulk-subtype">Subtype</label>
+                            <input type="text" id="bulk-subtype" list="bulk-subtypes" placeholder="Leave unchanged" />
+                            <datalist id="bulk-subtypes"></datalist>
+                        </div>
+                    `;
+                
+                    const lists = [...options.querySelectorAll('datalist')];
+                    const all = await this.api.getElements(this.type);
+                    ['supertype', 'subtype'].forEach((field, index) => {
+                        const list = lists[index];
+                        [...new Set(all.map(element => element[field]).filter(Boolean))].sort().forEach(value => {
+                            const option = document.createElement('option');
+                            option.value = value;
+                            list.appendChild(option);
+                        });
+                    });
+                    break;
+                }
+            
+                case 'add-link':
+                case 'remove-link': {
+                    options.innerHTML = `
+                        <div class="form-group">
+                            <label for="bulk-link-field">Field</label>
+                            <select id="bulk-link-field"></select>
+                        </div>
+                        <div class="form-group">
+                            <label for="bulk-link-target">${action === 'add-link' ? 'Link to' : 'Unlink from'}</label>
+                            <select id="bulk-link-target"></select>
+                        </div>
+                    `;
+                
+                    const fieldSelect = options.querySelector('#bulk-link-field');
+                    this.getLinkFields().forEach(field => {
+                        const option = document.createElement('option');
+                        option.value = field.name;
+                        option.textContent = field.label;
+                        fieldSelect.appendChild(option);
+                    });
+                    fieldSelect.addEventListener('change', () => this.fillLinkTargets(action));
+                    await this.fillLinkTargets(action);
+                    break;
+                }
+            
+                case 'move': {
+                    options.innerHTML = `
+                        <div class="form-group">
+                            <label for="bulk-location">Location</label>
+                            <select id="bulk-location"></select>
+                        </div>
+                    `;
+                
+                    const select = options.querySelector('#bulk-location');
+                    const locations = await this.api.getElements('location');
+                    this.fillSelect(select, locations, this.type === 'location' ? '(top level)' : '(none)');
+                    break;
+                }
+            
+                case 'retype': {
+                    options.innerHTML = `
+                        <div class="form-group">
+                            <label for="bulk-new-type">New type</label>
+                            <select id="bulk-new-type"></select>
+                        </div>
+                        <p id="bulk-retype-preview" class="bulk-note"></p>
+                    `;
+                
+                    const typeSelect = options.querySelector('#bulk-new-type');
+                    ONLYWORLDS.ELEMENT_TYPES.filter(type => type !== this.type).forEach(type => {
+                        const option = document.createElement('option');
+                        option.value = type;
+                        option.textContent = ONLYWORLDS.ELEMENT_SINGULAR[type];
+                        typeSelect.appendChild(option);
+                    });
+                
+                    const preview = () => {
+                        const blocked = this.elements.filter(element => this.getLostFields(element, typeSelect.value).length > 0);
+                        options.querySelector('#bulk-retype-preview').textContent = blocked.length === 0
+                            ? `Each element is recreated as a ${ONLYWORLDS.ELEMENT_SINGULAR[typeSelect.value].toLowerCase()} and links to it are moved over. The originals go to the trash.`
+                            : `${blocked.length} of ${count} have fields a ${ONLYWORLDS.ELEMENT_SINGULAR[typeSelect.value].toLowerCase()} doesn't have and will be skipped.`;
+                    };
+                    typeSelect.addEventListener('change', preview);
+                    preview();
+                    break;
+                }
+            
+                case 'export':
+                    options.innerHTML = `<p class="bulk-note">Download the ${count} selected as an OnlyWorlds JSON file.</p>`;
+                    break;
+                
+                case 'delete':
+                    options.innerHTML = `<p class="bulk-note">Move the ${count} selected to the trash. They can be restored from there.</p>`;
+                    break;
+            }
+        } catch (error) {
+            console.error('Could not load bulk action options:', error);
+            
+            // Without its choices the action would run with empty inputs, e.g. move everything to the top
+            options.innerHTML = '';
+            const message = document.createElement('p');
+            message.className = 'bulk-note';
+            message.textContent = `Could not load the choices for this action: ${error.message}`;
+            options.appendChild(message);
+            applyBtn.disabled = true;
+        }
+    }
+    
+    /**
+     * List the elements the chosen link field can point at
+     * For removal, only the ones some selected element links to
+     */
+    async fillLinkTargets(action) {
+        const fieldName = this.modal.querySelector('#bulk-link-field').value;
+        const field = getSchemaField(this.type, fieldName);
+        
+        let targets;
+        try {
+            targets = await this.api.getElements(field.target.toLowerCase());
+        } catch (error) {
+            console.error(`Could not load ${field.target} elements:`, error);
+            const select = this.modal?.querySelector('#bulk-link-target');
+            if (select) {
+                select.innerHTML = '<option value="">Could not load elements</option>';
+            }
+            return;
+        }
+        
+        if (action === 'remove-link') {
+            const linked = new Set(this.elements.flatMap(element => getLinkIds(element[fieldName])));
+            targets = targets.filter(target => linked.has(target.id));
+        }
+        
+        const select = this.modal?.querySelector('#bulk-link-target');
+        if (!select) return;
+        
+        this.fillSelect(select, targets);
+        if (targets.length === 0) {
+            select.innerHTML = '<option value="">Nothing to choose from</option>';
+        }
+    }
+    
+    /**
+     * Fill a select with elements sorted by name
+     * @param {string} [emptyLabel] - Label of a first option with no value
+     */
+    fillSelect(select, elements, emptyLabel = null) {
+        select.innerHTML = '';
+        
+        if (emptyLabel) {
+            const option = document.createElement('option');
+            option.value = '';
+            option.textContent = emptyLabel;
+            select.appendChild(option);
+        }
+        
+        [...elements]
+            .sort((a, b) => (a.name || '').localeCompare(b.name || ''))
+            .forEach(element => {
+                const option = document.createElement('option');
+                option.value = element.id;
+                option.textContent = element.name || 'Unnamed';
+                select.appendChild(option);
+            });
+    }
+    
+    /**
+     * Read the chosen action and its inputs
+     * @returns {Object|null} The action, or null if something is missing
+     */
+    readAction() {
+        const action = this.modal.querySelector('#bulk-action').value;
+        const value = (selector) => this.modal.querySelector(selector)?.value.trim() || '';
+        
+        switch (action) {
+            case 'retag': {
+                const changes = {};
+                if (value('#bulk-supertype')) changes.supertype = value('#bulk-supertype');
+                if (value('#bulk-subtype')) changes.subtype = value('#bulk-subtype');
+                
+                if (Object.keys(changes).length === 0) {
+                    alert('Enter a supertype or subtype to set.');
+                    return null;
+                }
+                return { action, changes };
+            }
+            
+            case 'add-link':
+            case 'remove-link':
+                if (!value('#bulk-link-target')) {
+                    alert('Choose an element to link to.');
+                    return null;
+                }
+                return { action, field: value('#bulk-link-field'), targetId: value('#bulk-link-target') };
+            
+            case 'move':
+                return { action, field: this.getMoveField(), parentId: value('#bulk-location') || null };
+            
+            case 'retype':
+                return { action, newType: value('#bulk-new-type') };
+            
+            default:
+                return { action };
+        }
+    }
+    
+    /**
+     * Run the chosen action on every selected element
+     */
+    async apply() {
+        if (this.running) return;
+        
+        const chosen = this.readAction();
+        if (!chosen) return;
+        
+        if (chosen.action === 'export') {
+            new ImportExportManager(this.api).exportElements(this.type, this.elements);
+            return;
+        }
+        
+        const count = this.elements.length;
+        if (chosen.action === 'delete' && !confirm(`Move ${count} element${count === 1 ? '' : 's'} to the trash?`)) return;
+        if (chosen.action === 'retype' && !confirm(`Turn ${count} element${count === 1 ? '' : 's'} into ${ONLYWORLDS.ELEMENT_LABELS[chosen.newType].toLowerCase()}? The originals go to the trash.`)) return;
+        
+        const modal = this.modal;
+        const type = this.type;
+        const progress = modal.querySelector('#bulk-progress');
+        const report = modal.querySelector('#bulk-report');
+        const failures = [];
+        const done = [];
+        
+        this.setBusy(true);
+        progress.classList.remove('hidden');
+        report.classList.add('hidden');
+        this.updateProgress(progress, 0, count);
+        
+        try {
+            // Location parents are checked against the moves made so far
+            const locations = chosen.action === 'move' && type === 'location'
+                ? (await this.api.getElements('location')).map(element => ({ ...element }))
+                : null;
+            
+            // Links into the selection are looked up once for the whole batch
+            const inbound = chosen.action === 'delete' || chosen.action === 'retype'
+                ? await references.findInboundMany(this.elements.map(element => element.id))
+                : null;
+            
+            for (const element of this.elements) {
+                try {
+                    await this.applyTo(chosen, type, element, locations, inbound);
+                    done.push(element);
+                } catch (error) {
+                    console.warn(`Bulk ${chosen.action} failed for ${type} ${element.id}:`, error);
+                    failures.push({ element, message: error.message });
+                }
+                this.updateProgress(progress, done.length + failures.length, count);
+            }
+        } catch (error) {
+            console.error(`Bulk ${chosen.action} could not start:`, error);
+            progress.classList.add('hidden');
+            alert(`Could not ${ACTION_LABELS[chosen.action].toLowerCase()}: ${error.message}`);
+            return;
+        } finally {
+            this.setBusy(false);
+            this.recordRun(chosen, type);
+        }
+        
+        await this.refreshViewer(chosen, type, done);
+        
+        // Keep the failed ones selected to try again
+        this.elements = failures.map(failure => failure.element);
+        
+        if (this.modal === modal) {
+            this.updateTitle();
+            this.renderReport(report, done.length, failures);
+            if (this.elements.length === 0) {
+                modal.querySelector('#bulk-apply').disabled = true;
+            }
+        }
+    }
+    
+    /**
+     * Apply an action to one element
+     * Throws when the element can't be changed; the message ends up in the report
+     */
+    async applyTo(chosen, type, element, locations, inbound) {
+        const name = element.name || 'Unnamed';
+        
+        switch (chosen.action) {
+            case 'delete': {
+                const entry = await trash.deleteElement(type, element.id, inbound.get(element.id));
+                this.undoEntries.push({ action: 'delete', type, id: element.id, name: entry.name, element: entry.element });
+                this.replaceSource(inbound, element.id, null);
+                return;
+            }
+            
+            case 'retag':
+                await this.updateFields(type, element, chosen.changes, `Retag "${name}"`);
+                return;
+            
+            case 'add-link':
+            case 'remove-link': {
+                const current = await this.readCurrent(type, element.id);
+                const field = getSchemaField(type, chosen.field);
+                const ids = getLinkIds(current[chosen.field]);
+                const adding = chosen.action === 'add-link';
+                
+                // Already the way it should be
+                if (ids.includes(chosen.targetId) === adding) return;
+                
+                let value;
+                if (field.type === 'array<uuid>') {
+                    value = adding ? [...ids, chosen.targetId] : ids.filter(id => id !== chosen.targetId);
+                } else {
+                    value = adding ? chosen.targetId : null;
+                }
+                
+                await this.updateFields(type, element, { [chosen.field]: value },
+                    `${adding ? 'Add' : 'Remove'} ${field.label.toLowerCase()} link ${adding ? 'to' : 'from'} "${name}"`, current);
+                return;
+            }
+            
+            case 'move': {
+                if (locations) {
+                    if (wouldCreateCycle(locations, chosen.field, element.id, chosen.parentId)) {
+                        throw new Error('It would end up inside itself');
+                    }
+                    const location = locations.find(candidate => candidate.id === element.id);
+                    if (location) {
+                        location[chosen.field] = chosen.parentId;
+                    }
+                }
+                
+                await this.updateFields(type, element, { [chosen.field]: chosen.parentId }, `Move "${name}"`);
+                return;
+            }
+            
+            case 'retype':
+                await this.retype(type, element, chosen.newType, inbound);
+                return;
+        }
+    }
+    
+    /**
+     * Update fields of one element and keep the change for the run's undo entry
+     * The values to undo to come from the element as it is now, not as it was selected
+     * @param {Object} [current] - The element as just read, when the caller already has it
+     */
+    async updateFields(type, element, changes, label, current = null) {
+        current = current || await this.readCurrent(type, element.id);
+        
+        const before = {};
+        Object.keys(changes).forEach(field => {
+            before[field] = current[field] ?? null;
+        });
+        
+        const updated = await this.api.updateElement(type, element.id, changes);
+        Object.assign(element, updated || changes);
+        
+        this.undoEntries.push({ action: 'update', type, id: element.id, name: element.name, before, after: changes, label });
+    }
+    
+    /**
+     * Read an element from the server, or from the local copies while offline
+     */
+    readCurrent(type, id) {
+        return this.api.isOffline() ? this.api.getElement(type, id) : this.api.fetchElement(type, id);
+    }
+    
+    /**
+     * Record everything a bulk run changed as one undo entry
+     */
+    recordRun(chosen, type) {
+        const entries = this.undoEntries;
+        this.undoEntries = [];
+        
+        if (entries.length === 0) return;
+        if (entries.length === 1) {
+            undoHistory.record(entries[0]);
+            return;
+        }
+        
+        undoHistory.record({
+            action: 'batch',
+            type,
+            id: null,
+            name: null,
+            label: `${ACTION_LABELS[chosen.action]}: ${entries.length} ${ONLYWORLDS.ELEMENT_LABELS[type].toLowerCase()}`,
+            entries: entries.flatMap(entry => (entry.action === 'batch' ? entry.entries : [entry]))
+        });
+    }
+    
+    /**
+     * Fields of an element that have no place in another type
+     * A field carries over when the new type has a field of the same name, kind and target
+     * @returns {Array} Labels of the filled fields that would be lost
+     */
+    getLostFields(element, newType) {
+        const lost = [];
+        
+        Object.entries(element).forEach(([name, value]) => {
+            if (SYSTEM_FIELDS.includes(name)) return;
+            if (value === null || value === undefined || value === '' || (Array.isArray(value) && value.length === 0)) return;
+            
+            const field = getSchemaField(this.type, name);
+            if (!field) return;
+            
+            const target = getSchemaField(newType, name);
+            if (!target || target.type !== field.type || (target.target ?? null) !== (field.target ?? null)) {
+                lost.push(field.label);
+            }
+        });
+        
+        return lost;
+    }
+    
+    /**
+     * Recreate an element as another type
+     * The links pointing at it are moved to the new element, then the original goes to the trash.
+     * Elements with fields or inbound links the new type can't take are left alone.
+     * Every linking element is read before anything is written; if a write fails, the
+     * writes already made are reverted. The whole retype is one undo entry.
+     * @param {Map} inbound - Links pointing at each selected element, by ID
+     */
+    async retype(type, element, newType, inbound) {
+        const singular = ONLYWORLDS.ELEMENT_SINGULAR[newType].toLowerCase();
+        
+        const lost = this.getLostFields(element, newType);
+        if (lost.length > 0) {
+            throw new Error(`A ${singular} has no place for: ${lost.join(', ')}`);
+        }
+        
+        const links = inbound.get(element.id) || [];
+        const stuck = links.find(link => {
+            const field = getSchemaField(link.type, link.field);
+            return field?.target && field.target.toLowerCase() !== newType;
+        });
+        if (stuck) {
+            throw new Error(`"${stuck.name || 'Unnamed'}" links to it as ${getSchemaField(stuck.type, stuck.field).label}, which can't point at a ${singular}`);
+        }
+        
+        const data = {};
+        Object.entries(element).forEach(([name, value]) => {
+            if (!SYSTEM_FIELDS.includes(name) && getSchemaField(newType, name)) {
+                data[name] = value;
+            }
+        });
+        data.id = this.api.generateId();
+        
+        const relinks = [];
+        for (const link of links) {
+            const source = await this.api.getElement(link.type, link.id);
+            const ids = getLinkIds(source[link.field]).map(id => (id === element.id ? data.id : id));
+            const after = { [link.field]: link.fieldType === 'array<uuid>' ? ids : ids[0] };
+            const before = { [link.field]: source[link.field] ?? null };
+            
+            // A Pin names the type it points at by number, so that has to follow too
+            if (link.type === 'pin' && link.field === 'element_id') {
+                after.element_type = getPinTypeNumber(newType);
+                before.element_type = source.element_type ?? null;
+            }
+            
+            relinks.push({ action: 'update', type: link.type, id: link.id, name: source.name, before, after });
+        }
+        
+        const created = await this.api.createElement(newType, this.api.cleanLinkFields(data, newType));
+        const applied = [];
+        let entry;
+        
+        try {
+            for (const relink of relinks) {
+                await this.api.updateElement(relink.type, relink.id, relink.after);
+                applied.push(relink);
+            }
+            
+            // Nothing links to the original any more
+            entry = await trash.deleteElement(type, element.id, []);
+        } catch (error) {
+            await this.rollBackRetype(newType, created.id, applied);
+            throw error;
+        }
+        
+        this.undoEntries.push({
+            action: 'batch',
+            type: newType,
+            id: created.id,
+            name: created.name,
+            label: `Change "${entry.name || 'Unnamed'}" to a ${singular}`,
+            entries: [
+                { action: 'create', type: newType, id: created.id, name: created.name, element: created },
+                ...relinks,
+                { action: 'delete', type, id: element.id, name: entry.name, element: entry.element }
+            ]
+        });
+        this.replaceSource(inbound, element.id, { type: newType, id: created.id, name: created.name });
+    }
+    
+    /**
+     * Undo the writes of a retype that failed partway
+     * Links already moved go back to the original, then the new element is deleted
+     * @param {Array} applied - Relink changes already written, as undo entries
+     */
+    async rollBackRetype(newType, createdId, applied) {
+        for (const relink of [...applied].reverse()) {
+            try {
+                await this.api.updateElement(relink.type, relink.id, relink.before);
+            } catch (error) {
+                console.error(`Could not move the link from ${relink.type} ${relink.id} back:`, error);
+            }
+        }
+        
+        try {
+            await this.api.deleteElement(newType, createdId);
+        } catch (error) {
+            console.error(`Could not delete the unfinished ${newType} ${createdId}:`, error);
+        }
+    }
+    
+    /**
+     * Keep the batch's inbound links in step after a selected element is gone
+     * Its links into the rest of the selection now come from its replacement, or
+     * from nowhere when it was deleted
+     * @param {Map} inbound - Links pointing at each selected element, by ID
+     * @param {string} sourceId - ID of the element that is gone
+     * @param {Object|null} replacement - { type, id, name } of the element recreated in its place, or null
+     */
+    replaceSource(inbound, sourceId, replacement) {
+        inbound.forEach((links, targetId) => {
+            const updated = links
+                .filter(link => link.id !== sourceId || replacement)
+                .map(link => (link.id === sourceId
+                    ? { ...link, type: replacement.type, id: replacement.id, name: replacement.name }
+                    : link));
+            inbound.set(targetId, updated);
+        });
+    }
+    
+    /**
+     * Redraw the list and detail view after a bulk action
+     */
+    async refreshViewer(chosen, type, done) {
+        const viewer = window.elementViewer;
+        if (!viewer) return;
+        
+        const removed = chosen.action === 'delete' || chosen.action === 'retype';
+        const doneIds = new Set(done.map(element => element.id));
+        
+        viewer.updateCategoryCount(type);
+        if (chosen.action === 'retype') {
+            viewer.updateCategoryCount(chosen.newType);
+        }
+        
+        viewer.uncheckElements(doneIds);
+        
+        if (viewer.currentCategory === type) {
+            await viewer.loadElements(type);
+        }
+        
+        if (!viewer.selectedElement || !doneIds.has(viewer.selectedElement.id)) return;
+        
+        if (removed) {
+            viewer.clearSelection();
+        } else {
+            await viewer.selectElement(await this.api.getElement(type, viewer.selectedElement.id));
+        }
+    }
+    
+    /**
+     * Show how many succeeded and why the others failed
+     */
+    renderReport(report, succeeded, failures) {
+        report.innerHTML = '';
+        report.classList.remove('hidden');
+        
+        const summary = document.createElement('p');
+        summary.className = 'bulk-summary';
+        summary.textContent = failures.length === 0
+            ? `Done: ${succeeded} changed.`
+            : `${succeeded} changed, ${failures.length} failed. The failed ones are still selected.`;
+        report.appendChild(summary);
+        
+        if (failures.length === 0) return;
+        
+        const list = document.createElement('ul');
+        list.className = 'bulk-failures';
+        failures.forEach(({ element, message }) => {
+            const item = document.createElement('li');
+            const name = document.createElement('strong');
+            name.textContent = element.name || 'Unnamed';
+            item.appendChild(name);
+            item.appendChild(document.createTextNode(`: ${message}`));
+            list.appendChild(item);
+        });
+        report.appendChild(list);
+    }
+    
+    /**
+     * Update the progress bar
+     */
+    updateProgress(progress, done, total) {
+        const percent = total > 0 ? Math.round((done / total) * 100) : 100;
+        const fill = progress.querySelector('.progress-fill');
+        fill.style.width = `${percent}%`;
+        fill.textContent = `${done}/${total}`;
+    }
+    
+    /**
+     * Disable the inputs while an action runs
+     */
+    setBusy(busy) {
+        this.running = busy;
+        if (!this.modal) return;
+        
+        this.modal.querySelectorAll('#bulk-action, #bulk-options input, #bulk-options select, #bulk-apply').forEach(control => {
+            control.disabled = busy;
+        });
+    }
+}
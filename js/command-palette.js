@@ -0,0 +1,345 @@
+/**
+ * Command Palette Module
+ * Ctrl+K panel that fuzzy-searches the registered commands and the elements of
+ * the world, so everything can be reached from the keyboard. Start the query
+ * with ">" to search commands only.
+ */
+
+import { ONLYWORLDS } from './constants.js';
+import { commands } from './commands.js';
+import { escapeHtml } from './format.js';
+import { searchIndex } from './search-index.js';
+
+const MAX_COMMANDS = 8;
+const MAX_ELEMENTS = 12;
+
+// Commands run recently come first when nothing is typed
+const MAX_RECENT = 5;
+
+export class CommandPalette {
+    /**
+     * @param {Object} [options]
+     * @param {Function} [options.canSearchElements] - Returns false while no world is loaded
+     */
+    constructor({ canSearchElements = () => true } = {}) {
+        this.canSearchElements = canSearchElements;
+        this.modal = null;
+        this.items = [];
+        this.activeIndex = 0;
+        this.searchId = 0;
+        this.recent = [];
+    }
+    
+    /**
+     * Open the palette
+     */
+    open() {
+        this.close();
+        
+        const modal = document.createElement('div');
+        modal.id = 'command-palette-modal';
+        modal.className = 'modal command-palette-modal';
+        modal.innerHTML = `
+            <div class="modal-content command-palette-content">
+                <div class="command-palette-header">
+                    <span class="material-icons-outlined">keyboard_command_key</span>
+                    <input type="text" id="command-palette-input" placeholder="Type a command or an element name..." autocomplete="off" />
+                </div>
+                <div id="command-palette-results" class="command-palette-results" role="listbox"></div>
+                <div class="command-palette-footer">↑↓ to move · Enter to run · Esc to close · start with &gt; for commands only</div>
+            </div>
+        `;
+        
+        document.body.appendChild(modal);
+        this.modal = modal;
+        
+        modal.addEventListener('click', (e) => {
+            if (e.target === modal) this.close();
+        });
+        
+        const input = modal.querySelector('#command-palette-input');
+        let searchTimeout;
+        
+        input.addEventListener('input', () => {
+            // Commands show at once; elements follow when typing pauses
+            this.update(input.value, false);
+            clearTimeout(searchTimeout);
+            searchTimeout = setTimeout(() => this.update(input.value, true), 120);
+        });
+        
+        input.addEventListener('keydown', (e) => {
+            switch (e.key) {
+                case 'ArrowDown':
+                    e.preventDefault();
+                    this.setActive(this.activeIndex + 1);
+                    break;
+                
+                case 'ArrowUp':
+                    e.preventDefault();
+                    this.setActive(this.activeIndex - 1);
+                    break;
+                
+                case 'Enter':
+                    e.preventDefault();
+                    if (this.items[this.activeIndex]) {
+                        this.runItem(this.items[this.activeIndex]);
+                    }
+                    break;
+                
+                case 'Escape':
+                    e.stopPropagation();
+                    this.close();
+                    break;
+            }
+        });
+        
+        input.focus();
+        this.update('', false);
+    }
+    
+    /**
+     * Close the palette
+     */
+    close() {
+        if (this.modal) {
+            this.modal.remove();
+            this.modal = null;
+        }
+    }
+    
+    /**
+     * Toggle the palette, for the keyboard shortcut
+     */
+    toggle() {
+        if (this.modal) {
+            this.close();
+        } else {
+            this.open();
+        }
+    }
+    
+    /**
+     * Match the query against the commands, and the elements if asked to
+     * @param {string} query - Text typed
+     * @param {boolean} withElements - Also search the world
+     */
+    async update(query, withElements) {
+        const searchId = ++this.searchId;
+        const commandsOnly = query.trimStart().startsWith('>');
+        const text = query.trim().replace(/^>\s*/, '');
+        
+        const commandItems = this.matchCommands(text);
+        let elementItems = this.items.filter(item => item.kind === 'element');
+        
+        if (!text || commandsOnly || !this.canSearchElements()) {
+            elementItems = [];
+        } else if (withElements) {
+            try {
+                const results = await searchIndex.search(text, { limit: MAX_ELEMENTS });
+                
+                // A newer query has been typed, or the palette was closed
+                if (searchId !== this.searchId || !this.modal) return;
+                
+                elementItems = results.map(result => ({ kind: 'element', result }));
+            } catch (error) {
+                console.error('Element search failed:', error);
+                elementItems = [];
+            }
+        }
+        
+        if (!this.modal) return;
+        
+        this.items = [...commandItems, ...elementItems];
+        this.activeIndex = 0;
+        this.render();
+    }
+    
+    /**
+     * Find the commands matching a query, best first
+     * Without a query, recently run commands come first
+     */
+    matchCommands(text) {
+        const available = commands.list();
+        
+        if (!text) {
+            const recent = this.recent.map(id => available.find(command => command.id === id)).filter(Boolean);
+            const rest = available.filter(command => !recent.includes(command));
+            return [...recent, ...rest].map(command => ({ kind: 'command', command, positions: [] }));
+        }
+        
+        return available
+            .map(command => {
+                const title = fuzzyMatch(text, command.title);
+                const keywords = fuzzyMatch(text, [command.group, ...(command.keywords || [])].filter(Boolean).join(' '));
+                
+                // Matches in the title count more than in the group or keywords
+                const score = Math.max(title?.score ?? -Infinity, (keywords?.score ?? -Infinity) - 20);
+                return score === -Infinity ? null : { kind: 'command', command, positions: title?.positions || [], score };
+            })
+            .filter(Boolean)
+            .sort((a, b) => b.score - a.score)
+            .slice(0, MAX_COMMANDS);
+    }
+    
+    /**
+     * Draw the results, commands first
+     */
+    render() {
+        const list = this.modal.querySelector('#command-palette-results');
+        list.innerHTML = '';
+        
+        if (this.items.length === 0) {
+            list.innerHTML = '<p class="empty-state">No matching commands or elements</p>';
+            return;
+        }
+        
+        let section = null;
+        
+        this.items.forEach((item, index) => {
+            if (item.kind !== section) {
+                section = item.kind;
+                const heading = document.createElement('div');
+                heading.className = 'command-palette-section';
+                heading.textContent = section === 'command' ? 'Commands' : 'Elements';
+                list.appendChild(heading);
+            }
+            
+            const row = document.createElement('div');
+            row.className = `command-palette-item${index === this.activeIndex ? ' active' : ''}`;
+            row.setAttribute('role', 'option');
+            
+            const icon = document.createElement('span');
+            icon.className = 'material-icons-outlined command-palette-icon';
+            
+            const label = document.createElement('span');
+            label.className = 'command-palette-label';
+            
+            const hint = document.createElement('span');
+            hint.className = 'command-palette-hint';
+            
+            if (item.kind === 'command') {
+                icon.textContent = item.command.icon || 'bolt';
+                label.innerHTML = this.highlight(item.command.title, item.positions);
+                hint.textContent = item.command.shortcut || item.command.group || '';
+            } else {
+                icon.textContent = ONLYWORLDS.ELEMENT_ICONS[item.result.type];
+                icon.style.color = ONLYWORLDS.ELEMENT_COLORS[item.result.type];
+                label.textContent = item.result.name;
+                hint.textContent = ONLYWORLDS.ELEMENT_SINGULAR[item.result.type];
+            }
+            
+            row.append(icon, label, hint);
+            row.addEventListener('mousemove', () => {
+                if (this.activeIndex !== index) {
+                    this.setActive(index);
+                }
+            });
+            row.addEventListener('click', () => this.runItem(item));
+            list.appendChild(row);
+        });
+    }
+    
+    /**
+     * Move the keyboard selection
+     */
+    setActive(index) {
+        const rows = this.modal.querySelectorAll('.command-palette-item');
+        if (rows.length === 0) return;
+        
+        this.activeIndex = (index + rows.length) % rows.length;
+        rows.forEach((row, rowIndex) => {
+            row.classList.toggle('active', rowIndex === this.activeIndex);
+        });
+        rows[this.activeIndex].scrollIntoView({ block: 'nearest' });
+    }
+    
+    /**
+     * Close the palette and run a command or open an element
+     */
+    async runItem(item) {
+        this.close();
+        
+        try {
+            if (item.kind === 'command') {
+                this.recent = [item.command.id, ...this.recent.filter(id => id !== item.command.id)].slice(0, MAX_RECENT);
+                await item.command.run();
+            } else {
+                await window.elementViewer?.openElement(item.result.type, item.result.id);
+            }
+        } catch (error) {
+            console.error('Command failed:', error);
+            alert(`Could not ${item.kind === 'command' ? `run "${item.command.title}"` : `open "${item.result.name}"`}: ${error.message}`);
+        }
+    }
+    
+    /**
+     * Escape a text and mark the matched letters
+     * @param {string} text - Text to show
+     * @param {Array} positions - Indexes of the matched letters
+     * @returns {string} HTML
+     */
+    highlight(text, positions) {
+        const matched = new Set(positions);
+        return [...text].map((letter, index) => {
+            const escaped = escapeHtml(letter);
+            return matched.has(index) ? `<mark>${escaped}</mark>` : escaped;
+        }).join('');
+    }
+}
+
+/**
+ * Match a query against a text, letters in order with gaps allowed, starting at a word
+ * Consecutive letters and letters at the start of words score higher, so
+ * "exw" finds "Export world" and "gchar" finds "Go to Characters"
+ * @param {string} query - Text typed
+ * @param {string} text - Text to match
+ * @returns {Object|null} { score, positions } or null if the letters aren't all there
+ */
+function fuzzyMatch(query, text) {
+    const needle = query.toLowerCase().replace(/\s+/g, '');
+    const haystack = text.toLowerCase();
+    if (!needle) return null;
+    
+    // The whole query as one piece beats any scattered match
+    const index = haystack.indexOf(query.toLowerCase());
+    if (index !== -1) {
+        const atWordStart = index === 0 || /\W/.test(haystack[index - 1]);
+        return {
+            score: 100 + (atWordStart ? 20 : 0) - index,
+            positions: Array.from({ length: query.length }, (_, offset) => index + offset)
+        };
+    }
+    
+    const positions = [];
+    let score = 0;
+    let position = 0;
+    
+    for (const letter of needle) {
+        // Prefer the next word start with this letter, then any occurrence
+        let found = -1;
+        for (let i = position; i < haystack.length; i++) {
+            if (haystack[i] === letter && (i === 0 || /\W/.test(haystack[i - 1]))) {
+                found = i;
+                break;
+            }
+        }
+        const next = haystack.indexOf(letter, position);
+        if (next === -1) return null;
+        if (found === -1 || (positions.length > 0 && next === positions[positions.length - 1] + 1)) {
+            found = next;
+        }
+        
+        const atWordStart = found === 0 || /\W/.test(haystack[found - 1]);
+        
+        // Letters picked from the middle of words are noise ("mord" in "Import world")
+        if (positions.length === 0 && !atWordStart) return null;
+        
+        const consecutive = positions.length > 0 && found === positions[positions.length - 1] + 1;
+        score += (atWordStart ? 10 : 0) + (consecutive ? 5 : 0) + 1;
+        
+        positions.push(found);
+        position = found + 1;
+    }
+    
+    return { score: score - (haystack.length - positions.length) * 0.1, positions };
+}
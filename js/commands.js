@@ -0,0 +1,49 @@
+/**
+ * Commands Module
+ * Registry of the actions the command palette offers. Modules register their
+ * own commands (create an element, go to a category, export the world...)
+ * when they start.
+ */
+
+class CommandRegistry {
+    constructor() {
+        this.commands = new Map();
+    }
+    
+    /**
+     * Add commands, replacing any already registered under the same ID
+     * @param {...Object} commands - { id, title, run, group?, icon?, keywords?, shortcut?, when? }
+     *   run is called to carry the command out; when, if given, hides the command while it returns false
+     */
+    register(...commands) {
+        commands.forEach(command => this.commands.set(command.id, command));
+    }
+    
+    /**
+     * Remove a command
+     * @param {string} id - Command ID
+     */
+    unregister(id) {
+        this.commands.delete(id);
+    }
+    
+    /**
+     * Get a command by ID
+     * @param {string} id - Command ID
+     * @returns {Object|null} Command
+     */
+    get(id) {
+        return this.commands.get(id) || null;
+    }
+    
+    /**
+     * Commands that can run right now
+     * @returns {Array} Commands, in the order they were registered
+     */
+    list() {
+        return [...this.commands.values()].filter(command => !command.when || command.when());
+    }
+}
+
+// Create and export singleton instance
+export const commands = new CommandRegistry();
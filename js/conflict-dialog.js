@@ -0,0 +1,211 @@
+/**
+ * Conflict Dialog Module
+ * Three-way comparison (base / mine / theirs) shown when an element was
+ * changed by someone else while it was being edited, and the save path that
+ * checks the server copy before writing
+ */
+
+import { isSameFieldValue } from './field-types.js';
+import { escapeHtml, formatFieldValue, getFieldLabel } from './format.js';
+
+export class ConflictDialog {
+    /**
+     * Show the dialog and wait for the user's choice per field
+     * @param {Object} options - { name, type, conflicts: [{ field, base, mine, theirs }] }
+     * @returns {Promise<Object|null>} Field name to 'mine' or 'theirs', or null if cancelled
+     */
+    show({ name, type, conflicts }) {
+        document.getElementById('conflict-modal')?.remove();
+        
+        const modal = document.createElement('div');
+        modal.id = 'conflict-modal';
+        modal.className = 'modal compact';
+        modal.innerHTML = `
+            <div class="modal-content compact wide">
+                <div class="modal-header">
+                    <h2>Edit Conflict</h2>
+                    <button class="modal-close">&times;</button>
+                </div>
+                <div class="modal-body">
+                    <p class="conflict-intro">
+                        <strong>${escapeHtml(name || 'This element')}</strong> was changed somewhere else while you were editing it.
+                        Choose which version to keep for each field. Nothing has been saved yet.
+                    </p>
+                    <table class="merge-diff conflict-diff">
+                        <tr>
+                            <th>Field</th>
+                            <th>Base</th>
+                            <th>Mine</th>
+                            <th>Theirs</th>
+                        </tr>
+                    </table>
+                    <div class="modal-footer">
+                        <button type="button" id="conflict-cancel" class="btn btn-secondary">Decide later</button>
+                        <button type="button" id="conflict-theirs" class="btn btn-secondary">Use all theirs</button>
+                        <button type="button" id="conflict-apply" class="btn btn-primary">Save choices</button>
+                    </div>
+                </div>
+            </div>
+        `;
+        
+        const table = modal.querySelector('.conflict-diff');
+        const choices = {};
+        
+        conflicts.forEach(conflict => {
+            // Mine by default: the user is looking at their own edit
+            choices[conflict.field] = 'mine';
+            table.appendChild(this.renderRow(conflict, choices, type));
+        });
+        
+        document.body.appendChild(modal);
+        
+        return new Promise((resolve) => {
+            const finish = (result) => {
+                modal.remove();
+                resolve(result);
+            };
+            
+            modal.querySelector('.modal-close').addEventListener('click', () => finish(null));
+            modal.querySelector('#conflict-cancel').addEventListener('click', () => finish(null));
+            modal.querySelector('#conflict-apply').addEventListener('click', () => finish(choices));
+            modal.querySelector('#conflict-theirs').addEventListener('click', () => {
+                conflicts.forEach(conflict => {
+                    choices[conflict.field] = 'theirs';
+                });
+                finish(choices);
+            });
+        });
+    }
+    
+    /**
+     * Build the table row for one conflicting field
+     * The mine and theirs cells are radio options; base is for reference only
+     */
+    renderRow(conflict, choices, type) {
+        const row = document.createElement('tr');
+        row.dataset.choice = choices[conflict.field];
+        
+        const nameCell = document.createElement('td');
+        nameCell.textContent = getFieldLabel(type, conflict.field);
+        row.appendChild(nameCell);
+        
+        const baseCell = document.createElement('td');
+        baseCell.className = 'conflict-base';
+        baseCell.textContent = formatFieldValue(type, conflict.field, conflict.base);
+        row.appendChild(baseCell);
+        
+        ['mine', 'theirs'].forEach(side => {
+            const cell = document.createElement('td');
+            cell.className = `conflict-${side}`;
+            
+            const label = document.createElement('label');
+            const radio = document.createElement('input');
+            radio.type = 'radio';
+            radio.name = `conflict-${conflict.field}`;
+            radio.value = side;
+            radio.checked = choices[conflict.field] === side;
+            radio.addEventListener('change', () => {
+                choices[conflict.field] = side;
+                row.dataset.choice = side;
+            });
+            
+            const text = document.createElement('span');
+            text.textContent = formatFieldValue(type, conflict.field, conflict[side]);
+            
+            label.appendChild(radio);
+            label.appendChild(text);
+            cell.appendChild(label);
+            row.appendChild(cell);
+        });
+        
+        return row;
+    }
+}
+
+/**
+ * Check the server copy before saving and resolve concurrent edits
+ * The base is the copy the changes were made on: if the server's updated_at has
+ * moved on from it, fields changed on only one side merge cleanly and fields
+ * changed on both sides go to the three-way conflict dialog
+ * @param {Object} api - API service
+ * @param {string} type - Element type
+ * @param {Object} base - The element as it was when editing started (id, updated_at and field values)
+ * @param {Object} updates - Changed field values
+ * @param {ConflictDialog} [dialog] - Dialog to ask with
+ * @returns {Promise<Object>} { updates, serverElement }; updates is null if the user
+ *   cancelled, serverElement is set only when the server copy had changed
+ */
+export async function resolveConflicts(api, type, base, updates, dialog = new ConflictDialog()) {
+    const baseUpdatedAt = base.updated_at;
+    
+    // Offline saves are queued; the outbox checks updated_at itself on replay
+    if (!baseUpdatedAt || api.isOffline()) {
+        return { updates, serverElement: null };
+    }
+    
+    let serverElement;
+    try {
+        serverElement = await api.fetchElement(type, base.id);
+    } catch (error) {
+        if (error.isNetworkError) {
+            return { updates, serverElement: null };
+        }
+        throw error;
+    }
+    
+    if (serverElement.updated_at === baseUpdatedAt) {
+        return { updates, serverElement: null };
+    }
+    
+    const conflicts = [];
+    for (const [field, mine] of Object.entries(updates)) {
+        const baseValue = base[field];
+        const theirs = serverElement[field];
+        
+        if (isSameFieldValue(field, theirs, baseValue, type) || isSameFieldValue(field, theirs, mine, type)) {
+            continue;
+        }
+        
+        conflicts.push({ field, base: baseValue, mine, theirs });
+    }
+    
+    let choices = {};
+    if (conflicts.length > 0) {
+        choices = await dialog.show({ name: serverElement.name, type, conflicts });
+        if (!choices) {
+            return { updates: null, serverElement };
+        }
+    }
+    
+    const resolved = {};
+    for (const [field, value] of Object.entries(updates)) {
+        if (choices[field] !== 'theirs') {
+            resolved[field] = value;
+        }
+    }
+    
+    return { updates: resolved, serverElement };
+}
+
+/**
+ * Save changes to an element through the conflict check
+ * For views that edit an element in one step (drags, table cells) rather than
+ * through the inline editor
+ * @param {Object} api - API service
+ * @param {string} type - Element type
+ * @param {Object} base - The element the changes were made on
+ * @param {Object} updates - Changed field values
+ * @returns {Promise<Object|null>} { element, updates } with the saved element and the
+ *   changes actually sent, or null if the user cancelled
+ */
+export async function saveWithConflictCheck(api, type, base, updates) {
+    const { updates: resolved, serverElement } = await resolveConflicts(api, type, base, updates);
+    if (!resolved) return null;
+    
+    // Every conflicting field resolved to theirs leaves nothing to send
+    const element = Object.keys(resolved).length > 0
+        ? await api.updateElement(type, base.id, resolved)
+        : serverElement;
+    
+    return { element: element || { ...base, ...resolved }, updates: resolved };
+}
@@ -6,6 +6,12 @@
 const ONLYWORLDS = {
     API_BASE: 'https://www.onlyworlds.com/api/worldapi',
     
+    // Elements requested per page when listing a category
+    PAGE_SIZE: 100,
+    
+    // Minimum time between background refreshes of a locally cached category
+    REVALIDATE_INTERVAL: 30 * 1000,
+    
     // All 22 OnlyWorlds element types
     ELEMENT_TYPES: [
         'ability',
@@ -123,6 +129,32 @@ const ONLYWORLDS = {
         zone: 'architecture'
     },
     
+    // Colours for each element type in visualizations
+    ELEMENT_COLORS: {
+        ability: '#8e44ad',
+        character: '#2980b9',
+        collective: '#16a085',
+        construct: '#7f8c8d',
+        creature: '#27ae60',
+        event: '#e67e22',
+        family: '#c0392b',
+        institution: '#34495e',
+        language: '#1abc9c',
+        law: '#8d6e63',
+        location: '#d35400',
+        map: '#2c3e50',
+        marker: '#e74c3c',
+        narrative: '#9b59b6',
+        object: '#f39c12',
+        phenomenon: '#3498db',
+        pin: '#e84393',
+        relation: '#00b894',
+        species: '#6ab04c',
+        title: '#b8860b',
+        trait: '#0984e3',
+        zone: '#636e72'
+    },
+    
     // Emoji fallbacks for when Material Icons aren't loaded
     ELEMENT_EMOJI: {
         ability: '✨',
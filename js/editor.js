@@ -4,8 +4,14 @@
  * Note: Editing existing elements is now handled by inline-editor.js
  */
 
+import { authManager } from './auth.js';
+import { commands } from './commands.js';
 import { ONLYWORLDS } from './constants.js';
-import { getFieldType } from './field-types.js';
+import { getElementSchema } from './element-schemas.js';
+import { getLinkIds, isRelationshipField } from './field-types.js';
+import { getPinElementType, getPinTypeNumber } from './map-data.js';
+import { undoHistory } from './undo-history.js';
+import { readInputValue, showFieldError, validateElement } from './validation.js';
 
 export default class ElementEditor {
     constructor(apiService) {
@@ -21,6 +27,22 @@ export default class ElementEditor {
     init() {
         this.attachEventListeners();
         this.populateElementTypes();
+        this.registerCommands();
+    }
+    
+    /**
+     * Offer "Create <type>" for every type in the command palette
+     */
+    registerCommands() {
+        commands.register(...ONLYWORLDS.ELEMENT_TYPES.map(type => ({
+            id: `create.${type}`,
+            title: `Create ${ONLYWORLDS.ELEMENT_SINGULAR[type].toLowerCase()}`,
+            group: 'Create',
+            icon: ONLYWORLDS.ELEMENT_ICONS[type],
+            keywords: ['new', 'add'],
+            when: () => Boolean(authManager.checkAuth()),
+            run: () => this.createNewElement(type)
+        })));
     }
     
     /**
@@ -42,13 +64,14 @@ export default class ElementEditor {
     
     /**
      * Open the modal for creating a new element
+     * @param {string} [type] - Element type to create; defaults to the category shown
      */
-    createNewElement() {
+    createNewElement(type = null) {
         this.isEditMode = false;
         this.currentElement = null;
         
         const createBtn = document.getElementById('create-element-btn');
-        const preselectedType = createBtn?.dataset.elementType || null;
+        const preselectedType = type || createBtn?.dataset.elementType || null;
         this.currentType = preselectedType;
         
         document.getElementById('element-form').reset();
@@ -88,15 +111,168 @@ export default class ElementEditor {
     }
     
     /**
-     * Generate dynamic form fields based on element type
-     * Currently disabled - inline editor handles field editing after creation
+     * Generate dynamic form fields from the element type's schema
+     * Links are left to the inline editor, which has pickers for them; required
+     * links get a picker here, since the element can't be saved without them
      */
     generateDynamicFields(elementType, elementData = {}) {
         const container = document.getElementById('dynamic-fields-container');
         if (!container) return;
         
         container.innerHTML = '';
-        // Dynamic field generation disabled - use inline editor after creation
+        
+        const schema = getElementSchema(elementType);
+        if (!schema) return;
+        
+        schema.groups.forEach(group => {
+            // Required links (a pin's map) can't wait for the inline editor
+            const fields = group.fields.filter(field => 
+                !['name', 'description'].includes(field.name) && 
+                (field.required || !isRelationshipField(field.name, elementType))
+            );
+            if (fields.length === 0) return;
+            
+            const section = document.createElement('div');
+            if (group.name !== 'Base') {
+                section.className = 'form-separator';
+                section.innerHTML = `<h4>${group.name}</h4>`;
+            }
+            
+            fields.forEach(field => {
+                section.appendChild(this.createFormField(field, elementData[field.name], elementType));
+            });
+            
+            container.appendChild(section);
+        });
+        
+        // A pin's element_id can point at any type; its element_type picker says which
+        const typePicker = container.querySelector('#field-element_type');
+        const targetPicker = container.querySelector('#field-element_id');
+        if (typePicker && targetPicker) {
+            typePicker.addEventListener('change', () => {
+                this.fillLinkPicker(targetPicker, getPinElementType(typePicker.value));
+            });
+            this.fillLinkPicker(targetPicker, getPinElementType(typePicker.value), getLinkIds(elementData.element_id)[0]);
+        }
+        
+        // Only the links that got no picker above are left for later
+        const links = schema.groups
+            .flatMap(group => group.fields)
+            .filter(field => isRelationshipField(field.name, elementType));
+        if (links.some(field => !field.required)) {
+            const hint = document.createElement('small');
+            hint.className = 'form-help-text';
+            hint.textContent = links.some(field => field.required)
+                ? 'Other links can be added once the element is saved.'
+                : 'Links to other elements can be added once the element is saved.';
+            container.appendChild(hint);
+        }
+    }
+    
+    /**
+     * Create a form group for one schema field
+     * Inputs carry data-field-type so getFormData() can convert their values
+     */
+    createFormField(field, value, elementType) {
+        const group = document.createElement('div');
+        group.className = 'form-group';
+        
+        const inputId = `field-${field.name}`;
+        
+        const label = document.createElement('label');
+        label.htmlFor = inputId;
+        label.textContent = field.required ? `${field.label} *` : field.label;
+        group.appendChild(label);
+        
+        let input;
+        if (isRelationshipField(field.name, elementType)) {
+            input = document.createElement('select');
+            if (field.target) {
+                this.fillLinkPicker(input, field.target.toLowerCase(), getLinkIds(value)[0]);
+            }
+        } else if (elementType === 'pin' && field.name === 'element_type') {
+            // Types are numbered 1-22; pick one by name instead
+            input = document.createElement('select');
+            input.innerHTML = '<option value="">Choose a type</option>';
+            ONLYWORLDS.ELEMENT_TYPES.forEach(type => {
+                const option = document.createElement('option');
+                option.value = getPinTypeNumber(type);
+                option.textContent = ONLYWORLDS.ELEMENT_SINGULAR[type];
+                input.appendChild(option);
+            });
+            input.value = value ?? '';
+        } else if (field.type === 'longtext' || field.type === 'object') {
+            input = document.createElement('textarea');
+            input.rows = 3;
+            input.value = field.type === 'object' && value ? JSON.stringify(value, null, 2) : (value || '');
+        } else {
+            input = document.createElement('input');
+            
+            if (field.type === 'boolean') {
+                input.type = 'checkbox';
+                input.checked = value === true;
+            } else if (field.type === 'number') {
+                input.type = 'number';
+                input.value = value ?? '';
+            } else if (field.type === 'date') {
+                input.type = 'date';
+                input.value = value ? value.split('T')[0] : '';
+            } else {
+                input.type = 'text';
+                input.value = Array.isArray(value) ? value.join(', ') : (value || '');
+            }
+        }
+        
+        input.id = inputId;
+        input.name = field.name;
+        input.setAttribute('data-field-type', field.type);
+        group.appendChild(input);
+        
+        return group;
+    }
+    
+    /**
+     * Fill a link picker with the elements of a type, sorted by name
+     * @param {HTMLSelectElement} select - Picker to fill
+     * @param {string|null} type - Element type to list; null until a type is chosen
+     * @param {string} [selectedId] - ID to select once loaded
+     */
+    async fillLinkPicker(select, type, selectedId = null) {
+        select.innerHTML = '';
+        select.dataset.loading = type || '';
+        
+        const placeholder = document.createElement('option');
+        placeholder.value = '';
+        placeholder.textContent = type ? 'Loading...' : 'Choose a type first';
+        select.appendChild(placeholder);
+        if (!type) return;
+        
+        let elements;
+        try {
+            elements = await this.api.getElements(type);
+        } catch (error) {
+            console.error(`Could not load ${type} elements:`, error);
+            placeholder.textContent = 'Could not load elements';
+            return;
+        }
+        
+        // Another type was chosen while this one loaded
+        if (select.dataset.loading !== type) return;
+        
+        placeholder.textContent = elements.length > 0
+            ? `Choose a ${ONLYWORLDS.ELEMENT_SINGULAR[type].toLowerCase()}`
+            : `No ${ONLYWORLDS.ELEMENT_LABELS[type].toLowerCase()} yet`;
+        
+        [...elements]
+            .sort((a, b) => (a.name || '').localeCompare(b.name || ''))
+            .forEach(element => {
+                const option = document.createElement('option');
+                option.value = element.id;
+                option.textContent = element.name || 'Unnamed';
+                select.appendChild(option);
+            });
+        
+        select.value = selectedId || '';
     }
     
     /**
@@ -105,13 +281,13 @@ export default class ElementEditor {
     async saveElement() {
         const formData = this.getFormData();
         
-        if (!formData.name) {
-            alert('Name is required');
+        if (!this.isEditMode && !formData.type) {
+            alert('Please select an element type');
             return false;
         }
         
-        if (!this.isEditMode && !formData.type) {
-            alert('Please select an element type');
+        const { type, ...fields } = formData;
+        if (!this.showFormErrors(validateElement(this.isEditMode ? this.currentType : type, fields))) {
             return false;
         }
         
@@ -123,6 +299,20 @@ export default class ElementEditor {
                 delete updates.type;
                 
                 result = await this.api.updateElement(this.currentType, this.currentElement.id, updates);
+                
+                const before = {};
+                Object.keys(updates).forEach(field => {
+                    before[field] = this.currentElement[field];
+                });
+                undoHistory.record({
+                    action: 'update',
+                    type: this.currentType,
+                    id: this.currentElement.id,
+                    name: result.name,
+                    before,
+                    after: updates
+                });
+                
                 alert('Element updated successfully');
                 
             } else {
@@ -131,6 +321,14 @@ export default class ElementEditor {
                 delete elementData.type;
                 
                 result = await this.api.createElement(elementType, elementData);
+                
+                undoHistory.record({
+                    action: 'create',
+                    type: elementType,
+                    id: result.id,
+                    name: result.name,
+                    element: result
+                });
             }
             
             this.hideModal();
@@ -158,6 +356,35 @@ export default class ElementEditor {
         }
     }
     
+    /**
+     * Show validation errors next to their fields
+     * Errors for fields the form doesn't show are reported in an alert
+     * @param {Object} errors - Error message per field, from validateElement()
+     * @returns {boolean} True if there were no errors
+     */
+    showFormErrors(errors) {
+        const form = document.getElementById('element-form');
+        form.querySelectorAll('.form-group').forEach(group => showFieldError(group, null));
+        
+        const unshown = [];
+        Object.entries(errors).forEach(([fieldName, message]) => {
+            const input = form.querySelector(`[name="${fieldName}"]`) || document.getElementById(`element-${fieldName}`);
+            if (input) {
+                showFieldError(input.closest('.form-group'), message);
+            } else {
+                unshown.push(message);
+            }
+        });
+        
+        if (unshown.length > 0) {
+            alert(unshown.join('\n'));
+        }
+        
+        form.querySelector('.form-group.invalid input, .form-group.invalid select, .form-group.invalid textarea')?.focus();
+        
+        return Object.keys(errors).length === 0;
+    }
+    
     /**
      * Get form data
      * @returns {Object} Form data
@@ -176,45 +403,7 @@ export default class ElementEditor {
             
             if (!fieldName) return;
             
-            let value;
-            switch(fieldType) {
-                case 'boolean':
-                    value = input.checked;
-                    break;
-                    
-                case 'number':
-                    value = input.value ? parseFloat(input.value) : null;
-                    break;
-                    
-                case 'date':
-                    value = input.value || null;
-                    break;
-                    
-                case 'array<uuid>':
-                case 'array<string>':
-                    if (input.value.trim()) {
-                        value = input.value.split(',').map(v => v.trim()).filter(v => v);
-                    } else {
-                        value = [];
-                    }
-                    break;
-                    
-                case 'object':
-                    if (input.value.trim()) {
-                        try {
-                            value = JSON.parse(input.value);
-                        } catch (e) {
-                            value = input.value.trim();
-                        }
-                    } else {
-                        value = null;
-                    }
-                    break;
-                    
-                default:
-                    value = input.value.trim() || null;
-                    break;
-            }
+            const value = readInputValue(input, fieldType);
             
             if (value !== null && value !== '' && (!Array.isArray(value) || value.length > 0)) {
                 formData[fieldName] = value;
@@ -285,6 +474,14 @@ export default class ElementEditor {
             }
         });
         
+        // Clear a field's error once it's edited
+        document.getElementById('element-form')?.addEventListener('input', (e) => {
+            const group = e.target.closest('.form-group.invalid');
+            if (group) {
+                showFieldError(group, null);
+            }
+        });
+        
         document.getElementById('element-type')?.addEventListener('change', async (e) => {
             const type = e.target.value;
             
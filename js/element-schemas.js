@@ -0,0 +1,642 @@
+/**
+ * Element Schemas for OnlyWorlds Elements
+ *
+ * Full field list of every element type, grouped and ordered the way the
+ * editor shows them. Field names that mean different things on different
+ * elements (background, location, affinities...) are typed per element here.
+ *
+ * Fields are written as 'name', 'name:type' or 'name:type:Target'.
+ * Anything without a type is a string, and a name ending in '!' is required.
+ */
+
+// Fields every element has, shown before the type-specific groups
+const BASE_FIELDS = [
+    'name!',
+    'description:longtext',
+    'supertype',
+    'subtype',
+    'image_url'
+];
+
+// Labels that can't be derived from the field name
+const LABELS = {
+    'image_url': 'Image URL',
+    'element_id': 'Element ID',
+    'STR': 'Strength',
+    'DEX': 'Dexterity',
+    'CON': 'Constitution',
+    'INT': 'Intelligence',
+    'WIS': 'Wisdom',
+    'CHA': 'Charisma',
+    'x': 'X',
+    'y': 'Y',
+    'z': 'Z'
+};
+
+// Value rules checked by validation.js
+// Rules belong to a field of one element type: the same name can mean something
+// else elsewhere (a character's charisma is a 0-100 stat, a trait's is a modifier)
+const STAT = { min: 0, max: 100, integer: true };
+const ABILITY_SCORE = { min: 1, max: 30, integer: true };
+const NON_NEGATIVE = { min: 0 };
+const COUNT = { min: 0, integer: true };
+const ORDER = { integer: true };
+
+// Rules for the fields every element has
+const BASE_RULES = {
+    'image_url': { format: 'url' }
+};
+
+const RULES = {
+    ability: {
+        'duration': NON_NEGATIVE,
+        'range': NON_NEGATIVE
+    },
+    character: {
+        'charisma': STAT,
+        'coercion': STAT,
+        'competence': STAT,
+        'compassion': STAT,
+        'creativity': STAT,
+        'courage': STAT,
+        'STR': ABILITY_SCORE,
+        'DEX': ABILITY_SCORE,
+        'CON': ABILITY_SCORE,
+        'INT': ABILITY_SCORE,
+        'WIS': ABILITY_SCORE,
+        'CHA': ABILITY_SCORE,
+        'level': { min: 1, max: 20, integer: true },
+        'hit_points': COUNT,
+        'height': NON_NEGATIVE,
+        'weight': NON_NEGATIVE
+    },
+    collective: {
+        'count': COUNT
+    },
+    creature: {
+        'height': NON_NEGATIVE,
+        'weight': NON_NEGATIVE,
+        'hit_points': COUNT,
+        'armor_class': COUNT,
+        'challenge_rating': NON_NEGATIVE,
+        'speed': NON_NEGATIVE
+    },
+    map: {
+        'height': NON_NEGATIVE,
+        'width': NON_NEGATIVE,
+        'depth': NON_NEGATIVE,
+        'hierarchy': { integer: true }
+    },
+    marker: {
+        'order': ORDER
+    },
+    narrative: {
+        'order': ORDER
+    },
+    object: {
+        'amount': COUNT,
+        'weight': NON_NEGATIVE
+    },
+    phenomenon: {
+        'duration': NON_NEGATIVE
+    },
+    pin: {
+        'element_type': { min: 1, max: 22, integer: true },
+        'order': ORDER
+    },
+    species: {
+        'weight': NON_NEGATIVE,
+        'life_span': NON_NEGATIVE
+    }
+};
+
+// Relationships to every other kind of element, used by the "Involves" groups
+const INVOLVES = [
+    'characters:array<uuid>:Character',
+    'objects:array<uuid>:Object',
+    'locations:array<uuid>:Location',
+    'species:array<uuid>:Species',
+    'creatures:array<uuid>:Creature',
+    'institutions:array<uuid>:Institution',
+    'traits:array<uuid>:Trait',
+    'collectives:array<uuid>:Collective',
+    'zones:array<uuid>:Zone',
+    'abilities:array<uuid>:Ability',
+    'phenomena:array<uuid>:Phenomenon',
+    'languages:array<uuid>:Language',
+    'families:array<uuid>:Family',
+    'relations:array<uuid>:Relation',
+    'titles:array<uuid>:Title',
+    'constructs:array<uuid>:Construct',
+    'events:array<uuid>:Event',
+    'narratives:array<uuid>:Narrative'
+];
+
+// Map and marker coordinates
+const POSITION = ['x:number', 'y:number', 'z:number', 'order:number'];
+
+const SCHEMAS = {
+    ability: {
+        'Mechanics': [
+            'activation',
+            'duration:number',
+            'potency:number',
+            'range:number',
+            'effects:array<uuid>:Phenomenon',
+            'challenges',
+            'talents:array<uuid>:Trait',
+            'requisites:array<uuid>:Construct'
+        ],
+        'World': [
+            'prevalence',
+            'tradition:uuid:Construct',
+            'source:uuid:Phenomenon',
+            'locus:uuid:Location',
+            'instruments:array<uuid>:Object',
+            'systems:array<uuid>:Construct'
+        ]
+    },
+    character: {
+        'Constitution': [
+            'physicality',
+            'mentality',
+            'height:number',
+            'weight:number',
+            'species:array<uuid>:Species',
+            'traits:array<uuid>:Trait',
+            'abilities:array<uuid>:Ability'
+        ],
+        'Origins': [
+            'background:longtext',
+            'motivations:longtext',
+            'birth_date:number',
+            'birthplace:uuid:Location',
+            'languages:array<uuid>:Language'
+        ],
+        'World': [
+            'reputation',
+            'location:uuid:Location',
+            'objects:array<uuid>:Object',
+            'institutions:array<uuid>:Institution'
+        ],
+        'Personality': [
+            'charisma:number',
+            'coercion:number',
+            'competence:number',
+            'compassion:number',
+            'creativity:number',
+            'courage:number'
+        ],
+        'Social': [
+            'family:array<uuid>:Family',
+            'friends:array<uuid>:Character',
+            'rivals:array<uuid>:Character'
+        ],
+        'Tabletop': [
+            'level:number',
+            'hit_points:number',
+            'STR:number',
+            'DEX:number',
+            'CON:number',
+            'INT:number',
+            'WIS:number',
+            'CHA:number'
+        ]
+    },
+    collective: {
+        'Formation': [
+            'composition',
+            'count:number',
+            'formation_date:number',
+            'operator:uuid:Institution',
+            'equipment:array<uuid>:Construct'
+        ],
+        'Dynamics': [
+            'activity',
+            'disposition',
+            'state',
+            'abilities:array<uuid>:Ability',
+            'symbolism:array<uuid>:Construct'
+        ],
+        'World': [
+            'species:array<uuid>:Species',
+            'characters:array<uuid>:Character',
+            'creatures:array<uuid>:Creature',
+            'phenomena:array<uuid>:Phenomenon'
+        ]
+    },
+    construct: {
+        'Nature': [
+            'rationale',
+            'history:longtext',
+            'status',
+            'reach',
+            'start_date:number',
+            'end_date:number',
+            'founder:uuid:Character',
+            'custodian:uuid:Institution'
+        ],
+        'Involves': INVOLVES.filter(field => !field.startsWith('constructs:'))
+    },
+    creature: {
+        'Biology': [
+            'appearance',
+            'weight:number',
+            'height:number',
+            'species:array<uuid>:Species'
+        ],
+        'Behaviour': [
+            'habits',
+            'demeanour',
+            'traits:array<uuid>:Trait',
+            'abilities:array<uuid>:Ability'
+        ],
+        'World': [
+            'status',
+            'birth_date:number',
+            'location:uuid:Location',
+            'zone:uuid:Zone'
+        ],
+        'Tabletop': [
+            'challenge_rating:number',
+            'hit_points:number',
+            'armor_class:number',
+            'speed:number',
+            'actions:array<uuid>:Ability'
+        ]
+    },
+    event: {
+        'Nature': [
+            'history:longtext',
+            'challenges',
+            'consequences',
+            'start_date:number',
+            'end_date:number',
+            'triggers:array<uuid>:Event'
+        ],
+        'Involves': INVOLVES.filter(field => !field.startsWith('events:'))
+    },
+    family: {
+        'Identity': [
+            'spirit',
+            'history:longtext',
+            'traditions:array<uuid>:Construct',
+            'traits:array<uuid>:Trait'
+        ],
+        'World': [
+            'ancestors:array<uuid>:Character',
+            'estates:array<uuid>:Location',
+            'governs:array<uuid>:Institution',
+            'heirlooms:array<uuid>:Object',
+            'creatures:array<uuid>:Creature',
+            'languages:array<uuid>:Language'
+        ]
+    },
+    institution: {
+        'Foundation': [
+            'doctrine',
+            'founding_date:number',
+            'parent_institution:uuid:Institution'
+        ],
+        'Claims': [
+            'zones:array<uuid>:Zone',
+            'objects:array<uuid>:Object',
+            'creatures:array<uuid>:Creature'
+        ],
+        'World': [
+            'status',
+            'allies:array<uuid>:Institution',
+            'adversaries:array<uuid>:Institution',
+            'constructs:array<uuid>:Construct'
+        ]
+    },
+    language: {
+        'Structure': [
+            'phonology',
+            'grammar',
+            'lexicon',
+            'writing',
+            'classification:uuid:Construct'
+        ],
+        'World': [
+            'spread:array<uuid>:Location',
+            'dialects:array<uuid>:Language'
+        ]
+    },
+    law: {
+        'Code': [
+            'declaration',
+            'purpose',
+            'date:number',
+            'parent_law:uuid:Law',
+            'penalties:array<uuid>:Construct'
+        ],
+        'World': [
+            'author:uuid:Institution',
+            'locations:array<uuid>:Location',
+            'zones:array<uuid>:Zone',
+            'prohibitions:array<uuid>:Construct',
+            'adjudicators:array<uuid>:Title',
+            'enforcers:array<uuid>:Title'
+        ]
+    },
+    location: {
+        'Setting': [
+            'form',
+            'function',
+            'founding_date:number',
+            'parent_location:uuid:Location',
+            'populations:array<uuid>:Collective'
+        ],
+        'Politics': [
+            'political_climate',
+            'primary_power:uuid:Institution',
+            'governing_title:uuid:Title',
+            'secondary_powers:array<uuid>:Institution',
+            'zone:uuid:Zone',
+            'rival:uuid:Location',
+            'partner:uuid:Location'
+        ],
+        'Production': [
+            'extraction_methods:array<uuid>:Construct',
+            'extraction_goods:array<uuid>:Construct',
+            'industry_methods:array<uuid>:Construct',
+            'industry_goods:array<uuid>:Construct'
+        ],
+        'Commerce': [
+            'infrastructure',
+            'extraction_markets:array<uuid>:Location',
+            'industry_markets:array<uuid>:Location',
+            'currencies:array<uuid>:Construct'
+        ],
+        'Construction': [
+            'architecture',
+            'buildings:array<uuid>:Construct',
+            'building_methods:array<uuid>:Construct'
+        ],
+        'Defense': [
+            'defensibility',
+            'elevation:number',
+            'fighters:array<uuid>:Construct',
+            'defensive_objects:array<uuid>:Object'
+        ]
+    },
+    map: {
+        'Details': [
+            // A map's background is its image, not a story
+            'background',
+            'width:number',
+            'height:number',
+            'depth:number',
+            'parent_map:uuid:Map',
+            'location:uuid:Location',
+            'hierarchy:number'
+        ]
+    },
+    marker: {
+        'Details': [
+            'map!:uuid:Map',
+            'zone:uuid:Zone',
+            ...POSITION
+        ]
+    },
+    narrative: {
+        'Context': [
+            'story:longtext',
+            'consequences',
+            'start_date:number',
+            'end_date:number',
+            'order:number',
+            'parent_narrative:uuid:Narrative',
+            'protagonist:uuid:Character',
+            'antagonist:uuid:Character',
+            'narrator:uuid:Character',
+            'conservator:uuid:Institution'
+        ],
+        'Involves': INVOLVES.filter(field => !field.startsWith('narratives:'))
+    },
+    object: {
+        'Form': [
+            'aesthetics',
+            'weight:number',
+            'amount:number',
+            'parent_object:uuid:Object',
+            'materials:array<uuid>:Construct',
+            'technology:array<uuid>:Construct'
+        ],
+        'Function': [
+            'utility',
+            'effects:array<uuid>:Phenomenon',
+            'abilities:array<uuid>:Ability',
+            'consumes:array<uuid>:Construct'
+        ],
+        'Value': [
+            'origins',
+            'location:uuid:Location',
+            'language:uuid:Language',
+            'affinities:array<uuid>:Trait'
+        ]
+    },
+    phenomenon: {
+        'Mechanics': [
+            'expression',
+            'effects',
+            'duration:number',
+            'catalysts:array<uuid>:Object',
+            'empowerments:array<uuid>:Ability'
+        ],
+        'World': [
+            'mythology',
+            'system:uuid:Phenomenon',
+            'triggers:array<uuid>:Event',
+            'wielders:array<uuid>:Character',
+            'environments:array<uuid>:Location'
+        ]
+    },
+    pin: {
+        'Details': [
+            'map!:uuid:Map',
+            // element_type is the numeric type (1-22) and element_id can point at any element
+            'element_type!:number',
+            'element_id!:uuid:',
+            ...POSITION
+        ]
+    },
+    relation: {
+        'Nature': [
+            'background:longtext',
+            'start_date:number',
+            'end_date:number',
+            'intensity:number',
+            'actor:uuid:Character',
+            'events:array<uuid>:Event'
+        ],
+        'Involves': INVOLVES.filter(field => !field.startsWith('relations:') && !field.startsWith('events:'))
+    },
+    species: {
+        'Biology': [
+            'appearance',
+            'life_span:number',
+            'weight:number',
+            'nourishment:array<uuid>:Species',
+            'reproduction:array<uuid>:Construct',
+            'adaptations:array<uuid>:Ability'
+        ],
+        'Psychology': [
+            'instincts',
+            'sociality',
+            'temperament',
+            'communication',
+            'aggression:number',
+            'traits:array<uuid>:Trait'
+        ],
+        'World': [
+            'role',
+            'parent_species:uuid:Species',
+            'locations:array<uuid>:Location',
+            'zones:array<uuid>:Zone',
+            'affinities:array<uuid>:Phenomenon'
+        ]
+    },
+    title: {
+        'Mandate': [
+            'authority',
+            'eligibility',
+            'grant_date:number',
+            'revoke_date:number',
+            'issuer:uuid:Institution',
+            'body:uuid:Institution',
+            'superior_title:uuid:Title',
+            'holders:array<uuid>:Character',
+            'symbols:array<uuid>:Object'
+        ],
+        'World': [
+            'status',
+            'history:longtext',
+            'characters:array<uuid>:Character',
+            'institutions:array<uuid>:Institution',
+            'families:array<uuid>:Family',
+            'zones:array<uuid>:Zone',
+            'locations:array<uuid>:Location',
+            'objects:array<uuid>:Object',
+            'constructs:array<uuid>:Construct',
+            'laws:array<uuid>:Law',
+            'collectives:array<uuid>:Collective',
+            'creatures:array<uuid>:Creature',
+            'phenomena:array<uuid>:Phenomenon',
+            'species:array<uuid>:Species',
+            'languages:array<uuid>:Language'
+        ]
+    },
+    trait: {
+        'Qualitative': [
+            'social_effects',
+            'physical_effects',
+            'functional_effects',
+            'personality_effects',
+            'behaviour_effects'
+        ],
+        'Quantitative': [
+            'charisma:number',
+            'coercion:number',
+            'competence:number',
+            'compassion:number',
+            'creativity:number',
+            'courage:number'
+        ],
+        'World': [
+            'significance',
+            'anti_trait:uuid:Trait',
+            'empowered_abilities:array<uuid>:Ability'
+        ]
+    },
+    zone: {
+        'Scope': [
+            'role',
+            'start_date:number',
+            'end_date:number',
+            'phenomena:array<uuid>:Phenomenon',
+            'linked_zones:array<uuid>:Zone'
+        ],
+        'World': [
+            'context',
+            'populations:array<uuid>:Collective',
+            'titles:array<uuid>:Title',
+            'principles:array<uuid>:Construct'
+        ]
+    }
+};
+
+// Parsed schemas, built on first use
+const parsed = new Map();
+
+/**
+ * Turn a field spec into a field definition
+ * An empty target ('element_id:uuid:') marks a link that can point at any element
+ * @param {Object} rules - Value rules of the element type, by field name
+ */
+function parseField(spec, group, order, rules) {
+    const [key, type = 'string', target] = spec.split(':');
+    const name = key.replace(/!$/, '');
+    
+    const field = {
+        name,
+        type,
+        label: LABELS[name] || name.split('_').map(word => word.charAt(0).toUpperCase() + word.slice(1)).join(' '),
+        group,
+        order,
+        required: key.endsWith('!'),
+        rules: rules[name] || {}
+    };
+    
+    if (type === 'uuid' || type === 'array<uuid>') {
+        field.target = target || null;
+    }
+    
+    return field;
+}
+
+/**
+ * Get the schema of an element type
+ * @param {string} elementType - Element type (e.g. 'character')
+ * @returns {Object|null} { type, groups: [{ name, fields }], fields: Map } or null for unknown types
+ */
+function getElementSchema(elementType) {
+    if (!SCHEMAS[elementType]) {
+        return null;
+    }
+    
+    if (!parsed.has(elementType)) {
+        const groups = [{ name: 'Base', specs: BASE_FIELDS }]
+            .concat(Object.entries(SCHEMAS[elementType]).map(([name, specs]) => ({ name, specs })));
+        
+        const schema = { type: elementType, groups: [], fields: new Map() };
+        const rules = { ...BASE_RULES, ...RULES[elementType] };
+        let order = 0;
+        
+        groups.forEach(group => {
+            const fields = group.specs.map(spec => parseField(spec, group.name, order++, rules));
+            fields.forEach(field => schema.fields.set(field.name, field));
+            schema.groups.push({ name: group.name, fields });
+        });
+        
+        parsed.set(elementType, schema);
+    }
+    
+    return parsed.get(elementType);
+}
+
+/**
+ * Get the definition of one field of an element type
+ * @param {string} elementType - Element type
+ * @param {string} fieldName - Name of the field
+ * @returns {Object|null} { name, type, target, label, group, order, required, rules } or null if the type has no such field
+ */
+function getSchemaField(elementType, fieldName) {
+    return getElementSchema(elementType)?.fields.get(fieldName) || null;
+}
+
+export {
+    getElementSchema,
+    getSchemaField
+};
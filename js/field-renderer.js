@@ -5,7 +5,9 @@
  */
 
 import { getFieldType } from './field-types.js';
+import { getFieldLabel } from './format.js';
 import typeManager from './type-manager.js';
+import { readInputValue, showFieldError, validateField } from './validation.js';
 
 export class FieldRenderer {
     constructor(onFieldChange) {
@@ -23,26 +25,24 @@ export class FieldRenderer {
     }
     
     /**
-     * Format field name for display
+     * Get the display label of a field from the element type's schema
      */
-    formatFieldName(fieldName) {
-        return fieldName
-            .split('_')
-            .map(word => word.charAt(0).toUpperCase() + word.slice(1))
-            .join(' ');
+    getFieldLabel(fieldName) {
+        return getFieldLabel(this.elementType, fieldName);
     }
     
     /**
      * Create an editable field with appropriate input type
+     * The type comes from the element type's schema when not given
      */
-    createEditableField(fieldName, value, fieldType) {
+    createEditableField(fieldName, value, fieldType = getFieldType(fieldName, this.elementType).type) {
         const fieldDiv = document.createElement('div');
         fieldDiv.className = 'editable-field';
         fieldDiv.dataset.field = fieldName;
         fieldDiv.dataset.type = fieldType;
         
         const label = document.createElement('label');
-        label.textContent = this.formatFieldName(fieldName);
+        label.textContent = this.getFieldLabel(fieldName);
         fieldDiv.appendChild(label);
         
         let input;
@@ -73,6 +73,10 @@ export class FieldRenderer {
                 input = this.createObjectInput(fieldName, value);
                 break;
                 
+            case 'longtext':
+                input = this.createTextareaInput(fieldName, value);
+                break;
+            
             default: // string or description
                 if (fieldName === 'description' || fieldName === 'content') {
                     input = this.createTextareaInput(fieldName, value);
@@ -356,11 +360,20 @@ export class FieldRenderer {
         const actualInput = input.querySelector('input, textarea') || input;
         
         actualInput.addEventListener('input', () => {
+            // Clear a shown error as soon as the value is fixed
+            if (actualInput.closest('[data-field]')?.classList.contains('invalid')) {
+                this.validateInput(actualInput, fieldName, fieldType);
+            }
+            
             if (this.onFieldChange) {
                 this.onFieldChange(fieldName, actualInput);
             }
         });
         
+        actualInput.addEventListener('blur', () => {
+            this.validateInput(actualInput, fieldName, fieldType);
+        });
+        
         // Handle checkbox changes immediately
         if (actualInput.type === 'checkbox') {
             actualInput.addEventListener('change', () => {
@@ -393,4 +406,14 @@ export class FieldRenderer {
             }
         });
     }
+    
+    /**
+     * Validate an input against the schema and show the result on its field
+     * @returns {boolean} True if the value is valid
+     */
+    validateInput(input, fieldName, fieldType) {
+        const error = validateField(this.elementType, fieldName, readInputValue(input, fieldType));
+        showFieldError(input.closest('[data-field]'), error);
+        return !error;
+    }
 }
\ No newline at end of file
@@ -1,14 +1,19 @@
 /**
  * Field Types for OnlyWorlds Elements
  * 
- * Single source of truth for all field type definitions.
+ * Field type lookups for all element fields.
  * Based on authoritative OnlyWorlds schema from MCP server.
+ * Per-element-type schemas live in element-schemas.js; the flat map below
+ * covers lookups made without an element type.
  * 
  * Philosophy: Everything defaults to 'string' for safety.
  * Only explicitly define non-string fields here.
  */
 
+import { getSchemaField } from './element-schemas.js';
+
 // Field type definitions with relationship targets
+// Fallback for fields looked up without an element type, or missing from its schema
 const FIELD_TYPES = {
     // Base fields (shared by all elements)
     'created_at': { type: 'date' },
@@ -177,10 +182,20 @@ const FIELD_TYPES = {
 
 /**
  * Get field type and relationship info for a field
+ * The element's schema wins over the shared map, since the same field name can
+ * mean different things on different elements
  * @param {string} fieldName - Name of the field
+ * @param {string} [elementType] - Type of the element the field belongs to
  * @returns {Object} Field type info with type and optional related_to
  */
-function getFieldType(fieldName) {
+function getFieldType(fieldName, elementType) {
+    const schemaField = elementType ? getSchemaField(elementType, fieldName) : null;
+    if (schemaField) {
+        return 'target' in schemaField
+            ? { type: schemaField.type, related_to: schemaField.target }
+            : { type: schemaField.type };
+    }
+    
     const fieldInfo = FIELD_TYPES[fieldName];
     if (fieldInfo) {
         return fieldInfo;
@@ -193,30 +208,85 @@ function getFieldType(fieldName) {
 /**
  * Get just the type string for a field (for backward compatibility)
  * @param {string} fieldName - Name of the field
+ * @param {string} [elementType] - Type of the element the field belongs to
  * @returns {string} Field type string
  */
-function getFieldTypeString(fieldName) {
-    return getFieldType(fieldName).type;
+function getFieldTypeString(fieldName, elementType) {
+    return getFieldType(fieldName, elementType).type;
 }
 
 /**
  * Get the target element type for relationship fields
  * @param {string} fieldName - Name of the field
+ * @param {string} [elementType] - Type of the element the field belongs to
  * @returns {string|null} Target element type or null if not a relationship
  */
-function getRelationshipTarget(fieldName) {
-    const fieldInfo = getFieldType(fieldName);
+function getRelationshipTarget(fieldName, elementType) {
+    const fieldInfo = getFieldType(fieldName, elementType);
     return fieldInfo.related_to || null;
 }
 
 /**
  * Check if a field is a relationship field
  * @param {string} fieldName - Name of the field
+ * @param {string} [elementType] - Type of the element the field belongs to
  * @returns {boolean} True if field is a relationship
  */
-function isRelationshipField(fieldName) {
-    const fieldInfo = getFieldType(fieldName);
+function isRelationshipField(fieldName, elementType) {
+    const fieldInfo = getFieldType(fieldName, elementType);
     return fieldInfo.type === 'uuid' || fieldInfo.type === 'array<uuid>';
 }
 
-export { getFieldType, getFieldTypeString, getRelationshipTarget, isRelationshipField };
\ No newline at end of file
+/**
+ * Normalize a relationship value to a list of IDs
+ * The API returns links as plain IDs or as objects with an id, singly or in arrays
+ * @param {*} value - Value of a uuid or array<uuid> field
+ * @returns {Array<string>} Linked IDs (empty when nothing is linked)
+ */
+function getLinkIds(value) {
+    const values = Array.isArray(value) ? value : [value];
+    
+    return values
+        .map(item => (typeof item === 'object' && item !== null ? item.id : item))
+        .filter(id => typeof id === 'string' && id);
+}
+
+/**
+ * Normalize a field value for comparison
+ * Empty strings, empty arrays and missing values all become null, and links
+ * become a sorted list of IDs so expanded objects and plain IDs compare equal
+ * @param {string} fieldName - Name of the field
+ * @param {*} value - Field value
+ * @param {string} [elementType] - Type of the element; some link fields are only known per type
+ * @returns {*} Comparable value
+ */
+function normalizeFieldValue(fieldName, value, elementType) {
+    if (isRelationshipField(fieldName, elementType)) {
+        const ids = getLinkIds(value).sort();
+        return ids.length > 0 ? ids : null;
+    }
+    
+    if (value === undefined || value === '' || (Array.isArray(value) && value.length === 0)) {
+        return null;
+    }
+    
+    return value;
+}
+
+/**
+ * Check whether two values of a field are the same once normalized
+ * @param {string} [elementType] - Type of the element the field belongs to
+ */
+function isSameFieldValue(fieldName, a, b, elementType) {
+    return JSON.stringify(normalizeFieldValue(fieldName, a, elementType)) === JSON.stringify(normalizeFieldValue(fieldName, b, elementType));
+}
+
+export {
+    getFieldType,
+    getFieldTypeString,
+    getLinkIds,
+    getRelationshipTarget,
+    isRelationshipField,
+    isSameFieldValue,
+    normalizeFieldValue
+};
\ No newline at end of file
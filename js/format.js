@@ -0,0 +1,86 @@
+/**
+ * Format Module
+ * Turns field names and values into text for panels, diffs and history,
+ * and escapes text before it goes into HTML
+ */
+
+import { getSchemaField } from './element-schemas.js';
+import { getLinkIds, isRelationshipField } from './field-types.js';
+
+/**
+ * Get the display label of a field
+ * Fields outside the type's schema are title-cased from their name
+ * @param {string|null} elementType - Element type, or null when fields of several types are listed together
+ * @param {string} fieldName - Name of the field
+ * @returns {string} Label
+ */
+function getFieldLabel(elementType, fieldName) {
+    const schemaField = elementType ? getSchemaField(elementType, fieldName) : null;
+    if (schemaField) {
+        return schemaField.label;
+    }
+    
+    return fieldName
+        .split('_')
+        .map(word => word.charAt(0).toUpperCase() + word.slice(1))
+        .join(' ');
+}
+
+/**
+ * Format a field value as text
+ * Links show the names of the elements they point at where known: expanded links
+ * carry their name, plain IDs are looked up in names and otherwise shown as they are
+ * @param {string} elementType - Type of the element the field belongs to
+ * @param {string} fieldName - Name of the field
+ * @param {*} value - Field value
+ * @param {Map} [names] - Element names by ID
+ * @returns {string} Text, '—' when empty
+ */
+function formatFieldValue(elementType, fieldName, value, names = null) {
+    if (isRelationshipField(fieldName, elementType)) {
+        const items = Array.isArray(value) ? value : (value ? [value] : []);
+        const labels = items
+            .map(item => {
+                const id = getLinkIds(item)[0];
+                return item?.name || names?.get(id) || id;
+            })
+            .filter(Boolean);
+        return labels.length > 0 ? labels.join(', ') : '—';
+    }
+    
+    if (value === null || value === undefined || value === '') {
+        return '—';
+    }
+    
+    if (Array.isArray(value)) {
+        return value.length > 0 ? value.join(', ') : '—';
+    }
+    
+    if (typeof value === 'object') {
+        return JSON.stringify(value, null, 2);
+    }
+    
+    return String(value);
+}
+
+/**
+ * Escape text to prevent XSS
+ * Quotes are escaped too, so the result is safe inside attribute values
+ * @param {*} text - Text to escape; null and undefined become ''
+ * @returns {string} Escaped text
+ */
+function escapeHtml(text) {
+    if (text === null || text === undefined) return '';
+    return String(text)
+        .replace(/&/g, '&amp;')
+        .replace(/</g, '&lt;')
+        .replace(/>/g, '&gt;')
+        .replace(/"/g, '&quot;')
+        .replace(/'/g, '&#39;');
+}
+
+export {
+    escapeHtml,
+    formatFieldValue,
+    getFieldLabel
+};
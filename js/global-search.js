@@ -0,0 +1,305 @@
+/**
+ * Global Search Module
+ * Search panel over every element type and text field, with matches
+ * highlighted, results filtered by type and keyboard navigation
+ */
+
+import { ONLYWORLDS } from './constants.js';
+import { escapeHtml } from './format.js';
+import { searchIndex } from './search-index.js';
+
+// Results fetched per search; the type counts are based on these
+const MAX_RESULTS = 200;
+
+// Results shown at once
+const SHOWN_RESULTS = 50;
+
+// Characters of context around the first match in a snippet
+const SNIPPET_BEFORE = 40;
+const SNIPPET_LENGTH = 160;
+
+export class GlobalSearch {
+    constructor() {
+        this.modal = null;
+        this.results = [];
+        this.typeFilter = null;
+        this.activeIndex = 0;
+        this.searchId = 0;
+    }
+    
+    /**
+     * Open the search panel
+     * @param {string} [query] - Text to start with
+     */
+    open(query = '') {
+        this.close();
+        
+        const modal = document.createElement('div');
+        modal.id = 'global-search-modal';
+        modal.className = 'modal global-search-modal';
+        modal.innerHTML = `
+            <div class="modal-content global-search-content">
+                <div class="global-search-header">
+                    <span class="material-icons-outlined">search</span>
+                    <input type="text" id="global-search-input" placeholder="Search the whole world..." autocomplete="off" />
+                    <button class="modal-close">&times;</button>
+                </div>
+                <div id="global-search-types" class="global-search-types"></div>
+                <div id="global-search-results" class="global-search-results" role="listbox"></div>
+                <div class="global-search-footer">↑↓ to move · Enter to open · Esc to close</div>
+            </div>
+        `;
+        
+        document.body.appendChild(modal);
+        this.modal = modal;
+        
+        modal.querySelector('.modal-close').addEventListener('click', () => this.close());
+        modal.addEventListener('click', (e) => {
+            if (e.target === modal) this.close();
+        });
+        
+        const input = modal.querySelector('#global-search-input');
+        let searchTimeout;
+        
+        input.addEventListener('input', () => {
+            clearTimeout(searchTimeout);
+            searchTimeout = setTimeout(() => this.runSearch(input.value), 150);
+        });
+        
+        input.addEventListener('keydown', (e) => {
+            switch (e.key) {
+                case 'ArrowDown':
+                    e.preventDefault();
+                    this.setActive(this.activeIndex + 1);
+                    break;
+                
+                case 'ArrowUp':
+                    e.preventDefault();
+                    this.setActive(this.activeIndex - 1);
+                    break;
+                
+                case 'Enter': {
+                    e.preventDefault();
+                    const result = this.getShownResults()[this.activeIndex];
+                    if (result) {
+                        this.openResult(result);
+                    }
+                    break;
+                }
+                
+                case 'Escape':
+                    this.close();
+                    break;
+            }
+        });
+        
+        input.value = query;
+        input.focus();
+        this.runSearch(query);
+    }
+    
+    /**
+     * Close the search panel
+     */
+    close() {
+        if (this.modal) {
+            this.modal.remove();
+            this.modal = null;
+        }
+    }
+    
+    /**
+     * Search and show the results
+     */
+    async runSearch(query) {
+        const searchId = ++this.searchId;
+        const status = this.modal.querySelector('#global-search-results');
+        
+        if (!query.trim()) {
+            this.results = [];
+            this.render();
+            return;
+        }
+        
+        if (this.results.length === 0) {
+            status.innerHTML = '<p class="loading-text">Searching...</p>';
+        }
+        
+        try {
+            const results = await searchIndex.search(query, { limit: MAX_RESULTS });
+            
+            // A newer search has started, or the panel was closed
+            if (searchId !== this.searchId || !this.modal) return;
+            
+            this.results = results;
+            this.activeIndex = 0;
+            this.render();
+        } catch (error) {
+            console.error('Search failed:', error);
+            if (searchId === this.searchId && this.modal) {
+                status.innerHTML = `<p class="error-text">Search failed: ${escapeHtml(error.message)}</p>`;
+            }
+        }
+    }
+    
+    /**
+     * Results that pass the type filter
+     */
+    getShownResults() {
+        const filtered = this.typeFilter
+            ? this.results.filter(result => result.type === this.typeFilter)
+            : this.results;
+        return filtered.slice(0, SHOWN_RESULTS);
+    }
+    
+    /**
+     * Draw the type filters and the results
+     */
+    render() {
+        const query = this.modal.querySelector('#global-search-input').value.trim();
+        
+        // Drop a filter on a type that no longer has results
+        const counts = new Map();
+        this.results.forEach(result => counts.set(result.type, (counts.get(result.type) || 0) + 1));
+        if (this.typeFilter && !counts.has(this.typeFilter)) {
+            this.typeFilter = null;
+        }
+        
+        const types = this.modal.querySelector('#global-search-types');
+        types.innerHTML = '';
+        
+        if (this.results.length > 0) {
+            const chips = [[null, 'All', this.results.length]];
+            ONLYWORLDS.ELEMENT_TYPES.filter(type => counts.has(type)).forEach(type => {
+                chips.push([type, ONLYWORLDS.ELEMENT_LABELS[type], counts.get(type)]);
+            });
+            
+            chips.forEach(([type, label, count]) => {
+                const chip = document.createElement('button');
+                chip.type = 'button';
+                chip.className = `global-search-type${this.typeFilter === type ? ' active' : ''}`;
+                chip.innerHTML = type ? `<span class="material-icons-outlined">${ONLYWORLDS.ELEMENT_ICONS[type]}</span>` : '';
+                chip.appendChild(document.createTextNode(`${label} (${count})`));
+                chip.addEventListener('click', () => {
+                    this.typeFilter = type;
+                    this.activeIndex = 0;
+                    this.render();
+                    this.modal.querySelector('#global-search-input').focus();
+                });
+                types.appendChild(chip);
+            });
+        }
+        
+        const list = this.modal.querySelector('#global-search-results');
+        list.innerHTML = '';
+        
+        const shown = this.getShownResults();
+        
+        if (shown.length === 0) {
+            list.innerHTML = query
+                ? '<p class="empty-state">Nothing found</p>'
+                : '<p class="empty-state">Search names, descriptions and every other text field</p>';
+            return;
+        }
+        
+        shown.forEach((result, index) => {
+            const item = document.createElement('div');
+            item.className = `global-search-result${index === this.activeIndex ? ' active' : ''}`;
+            item.setAttribute('role', 'option');
+            
+            const snippet = result.field === 'name'
+                ? ''
+                : `<div class="global-search-snippet"><span class="global-search-field">${escapeHtml(result.label)}:</span> ${this.renderSnippet(result.text, result.ranges)}</div>`;
+            
+            item.innerHTML = `
+                <span class="material-icons-outlined global-search-icon" style="color: ${ONLYWORLDS.ELEMENT_COLORS[result.type]}">${ONLYWORLDS.ELEMENT_ICONS[result.type]}</span>
+                <div class="global-search-text">
+                    <div class="global-search-name">
+                        ${this.highlight(result.name, result.nameRanges)}
+                        <span class="global-search-kind">${ONLYWORLDS.ELEMENT_SINGULAR[result.type]}</span>
+                    </div>
+                    ${snippet}
+                </div>
+            `;
+            
+            item.addEventListener('mousemove', () => {
+                if (this.activeIndex !== index) {
+                    this.setActive(index);
+                }
+            });
+            item.addEventListener('click', () => this.openResult(result));
+            list.appendChild(item);
+        });
+        
+        const hidden = (this.typeFilter ? counts.get(this.typeFilter) : this.results.length) - shown.length;
+        if (hidden > 0) {
+            const more = document.createElement('p');
+            more.className = 'global-search-more';
+            more.textContent = `${hidden} more - refine the search or filter by type`;
+            list.appendChild(more);
+        }
+    }
+    
+    /**
+     * Move the keyboard selection
+     */
+    setActive(index) {
+        const items = this.modal.querySelectorAll('.global-search-result');
+        if (items.length === 0) return;
+        
+        this.activeIndex = (index + items.length) % items.length;
+        items.forEach((item, itemIndex) => {
+            item.classList.toggle('active', itemIndex === this.activeIndex);
+        });
+        items[this.activeIndex].scrollIntoView({ block: 'nearest' });
+    }
+    
+    /**
+     * Close the panel and show a result in the inline editor
+     */
+    async openResult(result) {
+        this.close();
+        
+        try {
+            await window.elementViewer?.openElement(result.type, result.id);
+        } catch (error) {
+            console.error('Could not open element:', error);
+            alert(`Could not open "${result.name}": ${error.message}`);
+        }
+    }
+    
+    /**
+     * Cut a long text down to the part around its first match
+     */
+    renderSnippet(text, ranges) {
+        const first = ranges[0]?.[0] ?? 0;
+        const start = Math.max(0, first - SNIPPET_BEFORE);
+        const end = Math.min(text.length, start + SNIPPET_LENGTH);
+        
+        const shifted = ranges
+            .filter(([rangeStart, rangeEnd]) => rangeStart >= start && rangeEnd <= end)
+            .map(([rangeStart, rangeEnd]) => [rangeStart - start, rangeEnd - start]);
+        
+        return `${start > 0 ? '…' : ''}${this.highlight(text.slice(start, end), shifted)}${end < text.length ? '…' : ''}`;
+    }
+    
+    /**
+     * Escape a text and mark the matched parts
+     * @param {string} text - Text to show
+     * @param {Array} ranges - [start, end) of each match
+     * @returns {string} HTML
+     */
+    highlight(text, ranges = []) {
+        let html = '';
+        let position = 0;
+        
+        [...ranges].sort((a, b) => a[0] - b[0]).forEach(([start, end]) => {
+            if (start < position) return;
+            html += escapeHtml(text.slice(position, start));
+            html += `<mark>${escapeHtml(text.slice(start, end))}</mark>`;
+            position = end;
+        });
+        
+        return html + escapeHtml(text.slice(position));
+    }
+}
@@ -0,0 +1,85 @@
+/**
+ * Graph Data Module
+ * Turns the elements of a world into nodes and labelled edges: one edge per
+ * element linked through a relationship field
+ */
+
+import { ONLYWORLDS } from './constants.js';
+import { getLinkIds, isRelationshipField } from './field-types.js';
+
+/**
+ * Build the relationship graph of the current world
+ * Links to elements that don't exist are left out; the reference check lists those
+ * @param {Object} api - API service
+ * @returns {Promise<Object>} { nodes: Map<id, node>, edges: Array }
+ *   node: { id, type, name, element }, edge: { source, target, field, type }
+ */
+async function buildGraph(api) {
+    const nodes = new Map();
+    
+    for (const type of ONLYWORLDS.ELEMENT_TYPES) {
+        const elements = await api.getElements(type);
+        elements.forEach(element => {
+            nodes.set(element.id, { id: element.id, type, name: element.name || 'Unnamed', element });
+        });
+    }
+    
+    const edges = [];
+    const seen = new Set();
+    
+    nodes.forEach(node => {
+        Object.keys(node.element).forEach(field => {
+            if (field === 'world' || !isRelationshipField(field, node.type)) return;
+            
+            getLinkIds(node.element[field]).forEach(targetId => {
+                const key = `${node.id}:${field}:${targetId}`;
+                if (targetId === node.id || !nodes.has(targetId) || seen.has(key)) return;
+                
+                seen.add(key);
+                edges.push({ source: node.id, target: targetId, field, type: node.type });
+            });
+        });
+    });
+    
+    return { nodes, edges };
+}
+
+/**
+ * Find every node within a number of hops of a node, following edges both ways
+ * @param {Array} edges - Graph edges
+ * @param {string} startId - Node to start from
+ * @param {number} hops - Maximum distance
+ * @returns {Map<string, number>} Distance of each reached node
+ */
+function getNeighbourhood(edges, startId, hops) {
+    const adjacent = new Map();
+    edges.forEach(edge => {
+        if (!adjacent.has(edge.source)) adjacent.set(edge.source, []);
+        if (!adjacent.has(edge.target)) adjacent.set(edge.target, []);
+        adjacent.get(edge.source).push(edge.target);
+        adjacent.get(edge.target).push(edge.source);
+    });
+    
+    const distances = new Map([[startId, 0]]);
+    let frontier = [startId];
+    
+    for (let hop = 1; hop <= hops && frontier.length > 0; hop++) {
+        const next = [];
+        frontier.forEach(id => {
+            (adjacent.get(id) || []).forEach(neighbour => {
+                if (!distances.has(neighbour)) {
+                    distances.set(neighbour, hop);
+                    next.push(neighbour);
+                }
+            });
+        });
+        frontier = next;
+    }
+    
+    return distances;
+}
+
+export {
+    buildGraph,
+    getNeighbourhood
+};
@@ -0,0 +1,147 @@
+/**
+ * Graph Layout Module
+ * Force-directed layout: linked nodes pull together, all nodes push apart and a
+ * weak pull towards the centre keeps loose parts in view
+ * Repulsion only looks at nearby nodes through a grid, so large worlds stay fast
+ */
+
+const LINK_DISTANCE = 80;
+const LINK_STRENGTH = 0.05;
+const REPULSION = 2400;
+const REPULSION_RANGE = 240;
+const CENTER_STRENGTH = 0.004;
+const DAMPING = 0.6;
+const ALPHA_DECAY = 0.985;
+const ALPHA_MIN = 0.01;
+
+export class ForceLayout {
+    /**
+     * @param {Array} nodes - Nodes to place; x and y are added (existing ones are kept)
+     * @param {Array} edges - { source, target } pairs of node IDs
+     */
+    constructor(nodes, edges) {
+        this.nodes = nodes;
+        this.byId = new Map(nodes.map(node => [node.id, node]));
+        this.edges = edges.filter(edge => this.byId.has(edge.source) && this.byId.has(edge.target));
+        this.alpha = 1;
+        
+        // Start on a spiral so no two nodes share a position
+        nodes.forEach((node, index) => {
+            if (node.x === undefined || node.y === undefined) {
+                const angle = index * 2.4;
+                const radius = 12 * Math.sqrt(index + 1);
+                node.x = Math.cos(angle) * radius;
+                node.y = Math.sin(angle) * radius;
+            }
+            node.vx = 0;
+            node.vy = 0;
+        });
+    }
+    
+    /**
+     * Whether the layout has settled
+     */
+    isStable() {
+        return this.alpha < ALPHA_MIN;
+    }
+    
+    /**
+     * Restart the simulation, for example after a node was dragged
+     */
+    reheat(alpha = 0.5) {
+        this.alpha = Math.max(this.alpha, alpha);
+    }
+    
+    /**
+     * Advance the simulation one tick
+     */
+    step() {
+        this.applyLinks();
+        this.applyRepulsion();
+        
+        this.nodes.forEach(node => {
+            node.vx -= node.x * CENTER_STRENGTH * this.alpha;
+            node.vy -= node.y * CENTER_STRENGTH * this.alpha;
+            
+            if (node.fixed) {
+                node.vx = 0;
+                node.vy = 0;
+                return;
+            }
+            
+            node.vx *= DAMPING;
+            node.vy *= DAMPING;
+            node.x += node.vx;
+            node.y += node.vy;
+        });
+        
+        this.alpha *= ALPHA_DECAY;
+    }
+    
+    /**
+     * Pull linked nodes towards their rest distance
+     */
+    applyLinks() {
+        this.edges.forEach(edge => {
+            const source = this.byId.get(edge.source);
+            const target = this.byId.get(edge.target);
+            
+            const dx = target.x - source.x;
+            const dy = target.y - source.y;
+            const distance = Math.sqrt(dx * dx + dy * dy) || 1;
+            const force = (distance - LINK_DISTANCE) * LINK_STRENGTH * this.alpha;
+            
+            const fx = dx / distance * force;
+            const fy = dy / distance * force;
+            source.vx += fx;
+            source.vy += fy;
+            target.vx -= fx;
+            target.vy -= fy;
+        });
+    }
+    
+    /**
+     * Push nodes within REPULSION_RANGE of each other apart
+     */
+    applyRepulsion() {
+        const grid = new Map();
+        const cellOf = value => Math.floor(value / REPULSION_RANGE);
+        
+        this.nodes.forEach(node => {
+            const key = `${cellOf(node.x)}:${cellOf(node.y)}`;
+            if (!grid.has(key)) grid.set(key, []);
+            grid.get(key).push(node);
+        });
+        
+        this.nodes.forEach(node => {
+            const cx = cellOf(node.x);
+            const cy = cellOf(node.y);
+            
+            for (let gx = cx - 1; gx <= cx + 1; gx++) {
+                for (let gy = cy - 1; gy <= cy + 1; gy++) {
+                    (grid.get(`${gx}:${gy}`) || []).forEach(other => {
+                        if (other === node) return;
+                        
+                        let dx = node.x - other.x;
+                        let dy = node.y - other.y;
+                        let distanceSq = dx * dx + dy * dy;
+                        
+                        // Nudge apart nodes that sit exactly on top of each other
+                        if (distanceSq === 0) {
+                            dx = Math.random() - 0.5;
+                            dy = Math.random() - 0.5;
+                            distanceSq = dx * dx + dy * dy;
+                        }
+                        
+                        if (distanceSq > REPULSION_RANGE * REPULSION_RANGE) return;
+                        
+                        const distance = Math.sqrt(distanceSq);
+                        const force = REPULSION / distanceSq * this.alpha;
+                        node.vx += dx / distance * force;
+                        node.vy += dy / distance * force;
+                    });
+                }
+            }
+        });
+    }
+}
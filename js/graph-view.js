@@ -0,0 +1,487 @@
+/**
+ * Graph View Module
+ * Full-screen relationship graph of the world: elements are nodes, links are
+ * labelled edges. Nodes can be filtered by type, edges by field, and the view
+ * narrowed to the neighbourhood of one element. Clicking a node opens it in
+ * the inline editor.
+ */
+
+import { ONLYWORLDS } from './constants.js';
+import { getFieldLabel } from './format.js';
+import { buildGraph, getNeighbourhood } from './graph-data.js';
+import { ForceLayout } from './graph-layout.js';
+
+const SVG_NS = 'http://www.w3.org/2000/svg';
+const NODE_RADIUS = 14;
+
+// Above this many edges, labels only show on hover to keep the graph readable
+const MAX_EDGE_LABELS = 300;
+
+// Simulation ticks per animation frame
+const TICKS_PER_FRAME = 3;
+
+export class GraphView {
+    constructor(apiService) {
+        this.api = apiService;
+        this.modal = null;
+        this.graph = null;
+        this.layout = null;
+        this.frame = null;
+        this.hiddenTypes = new Set();
+        this.field = '';
+        this.focusId = null;
+        this.hops = 1;
+        this.transform = { x: 0, y: 0, k: 1 };
+        this.nodeEls = new Map();
+        this.edgeEls = [];
+        this.onKeydown = (e) => {
+            if (e.key === 'Escape') {
+                this.close();
+            }
+        };
+    }
+    
+    /**
+     * Open the graph
+     * @param {Object} [options] - { focusId } to start on an element's neighbourhood
+     */
+    async open({ focusId = null } = {}) {
+        this.close();
+        
+        this.focusId = focusId;
+        
+        const modal = document.createElement('div');
+        modal.id = 'graph-modal';
+        modal.className = 'modal visualizer-modal';
+        modal.innerHTML = `
+            <div class="modal-content visualizer-content">
+                <div class="modal-header">
+                    <h2>Relationship Graph</h2>
+                    <button class="modal-close">&times;</button>
+                </div>
+                <div class="visualizer-toolbar">
+                    <select id="graph-field" title="Show links of one field"></select>
+                    <input type="text" id="graph-focus" list="graph-focus-options" placeholder="Focus on an element..." />
+                    <datalist id="graph-focus-options"></datalist>
+                    <select id="graph-hops" title="Neighbourhood size">
+                        <option value="1">1 hop</option>
+                        <option value="2">2 hops</option>
+                        <option value="3">3 hops</option>
+                    </select>
+                    <button type="button" id="graph-clear-focus" class="btn btn-secondary btn-small">Whole world</button>
+                    <span id="graph-status" class="visualizer-status"></span>
+                </div>
+                <div id="graph-types" class="graph-types"></div>
+                <div class="graph-canvas">
+                    <svg id="graph-svg">
+                        <g class="graph-viewport">
+                            <g class="graph-edges"></g>
+                            <g class="graph-nodes"></g>
+                        </g>
+                    </svg>
+                </div>
+            </div>
+        `;
+        
+        document.body.appendChild(modal);
+        this.modal = modal;
+        
+        modal.querySelector('.modal-close').addEventListener('click', () => this.close());
+        modal.addEventListener('click', (e) => {
+            if (e.target === modal) this.close();
+        });
+        document.addEventListener('keydown', this.onKeydown);
+        
+        modal.querySelector('#graph-field').addEventListener('change', (e) => {
+            this.field = e.target.value;
+            this.update();
+        });
+        
+        modal.querySelector('#graph-focus').addEventListener('change', (e) => {
+            const option = [...modal.querySelectorAll('#graph-focus-options option')]
+                .find(candidate => candidate.value === e.target.value);
+            if (option) {
+                this.focusId = option.dataset.id;
+                this.update();
+            }
+        });
+        
+        modal.querySelector('#graph-hops').addEventListener('change', (e) => {
+            this.hops = parseInt(e.target.value, 10);
+            if (this.focusId) {
+                this.update();
+            }
+        });
+        
+        modal.querySelector('#graph-clear-focus').addEventListener('click', () => {
+            this.focusId = null;
+            modal.querySelector('#graph-focus').value = '';
+            this.update();
+        });
+        
+        this.attachPanZoom(modal.querySelector('#graph-svg'));
+        
+        modal.querySelector('#graph-status').textContent = 'Loading the world...';
+        
+        try {
+            this.graph = await buildGraph(this.api);
+        } catch (error) {
+            console.error('Could not build graph:', error);
+            if (this.modal === modal) {
+                modal.querySelector('#graph-status').textContent = `Could not load the world: ${error.message}`;
+            }
+            return;
+        }
+        
+        // Closed while loading
+        if (this.modal !== modal) return;
+        
+        this.renderFilters();
+        this.update();
+    }
+    
+    /**
+     * Close the graph and stop the simulation
+     */
+    close() {
+        if (this.frame) {
+            cancelAnimationFrame(this.frame);
+            this.frame = null;
+        }
+        
+        document.removeEventListener('keydown', this.onKeydown);
+        
+        if (this.modal) {
+            this.modal.remove();
+            this.modal = null;
+        }
+    }
+    
+    /**
+     * Fill the type chips, field choices and focus suggestions
+     */
+    renderFilters() {
+        const counts = new Map();
+        this.graph.nodes.forEach(node => counts.set(node.type, (counts.get(node.type) || 0) + 1));
+        
+        const types = this.modal.querySelector('#graph-types');
+        types.innerHTML = '';
+        
+        ONLYWORLDS.ELEMENT_TYPES.filter(type => counts.has(type)).forEach(type => {
+            const chip = document.createElement('label');
+            chip.className = 'graph-type-chip';
+            chip.style.setProperty('--type-color', ONLYWORLDS.ELEMENT_COLORS[type]);
+            chip.innerHTML = `
+                <input type="checkbox" ${this.hiddenTypes.has(type) ? '' : 'checked'} />
+                <span class="material-icons-outlined">${ONLYWORLDS.ELEMENT_ICONS[type]}</span>
+                ${ONLYWORLDS.ELEMENT_LABELS[type]} (${counts.get(type)})
+            `;
+            chip.querySelector('input').addEventListener('change', (e) => {
+                if (e.target.checked) {
+                    this.hiddenTypes.delete(type);
+                } else {
+                    this.hiddenTypes.add(type);
+                }
+                this.update();
+            });
+            types.appendChild(chip);
+        });
+        
+        const fields = [...new Set(this.graph.edges.map(edge => edge.field))].sort();
+        const fieldSelect = this.modal.querySelector('#graph-field');
+        fieldSelect.innerHTML = '<option value="">All links</option>';
+        fields.forEach(field => {
+            const option = document.createElement('option');
+            option.value = field;
+            option.textContent = getFieldLabel(null, field);
+            option.selected = field === this.field;
+            fieldSelect.appendChild(option);
+        });
+        
+        const focusOptions = this.modal.querySelector('#graph-focus-options');
+        focusOptions.innerHTML = '';
+        this.graph.nodes.forEach(node => {
+            const option = document.createElement('option');
+            option.value = `${node.name} · ${ONLYWORLDS.ELEMENT_SINGULAR[node.type]}`;
+            option.dataset.id = node.id;
+            focusOptions.appendChild(option);
+        });
+        
+        if (this.focusId && this.graph.nodes.has(this.focusId)) {
+            const node = this.graph.nodes.get(this.focusId);
+            this.modal.querySelector('#graph-focus').value = `${node.name} · ${ONLYWORLDS.ELEMENT_SINGULAR[node.type]}`;
+        }
+    }
+    
+    /**
+     * Work out which nodes and edges pass the filters
+     * The focused element always shows, even when its type is filtered out
+     */
+    getVisible() {
+        let edges = this.graph.edges.filter(edge => !this.field || edge.field === this.field);
+        let nodes = [...this.graph.nodes.values()].filter(node =>
+            !this.hiddenTypes.has(node.type) || node.id === this.focusId
+        );
+        
+        let ids = new Set(nodes.map(node => node.id));
+        edges = edges.filter(edge => ids.has(edge.source) && ids.has(edge.target));
+        
+        let distances = null;
+        if (this.focusId && this.graph.nodes.has(this.focusId)) {
+            distances = getNeighbourhood(edges, this.focusId, this.hops);
+            nodes = nodes.filter(node => distances.has(node.id));
+            ids = new Set(nodes.map(node => node.id));
+            edges = edges.filter(edge => ids.has(edge.source) && ids.has(edge.target));
+        }
+        
+        return { nodes, edges, distances };
+    }
+    
+    /**
+     * Redraw the graph after a filter change and restart the layout
+     */
+    update() {
+        if (!this.modal || !this.graph) return;
+        
+        const { nodes, edges, distances } = this.getVisible();
+        
+        this.modal.querySelector('#graph-status').textContent =
+            `${nodes.length} element${nodes.length === 1 ? '' : 's'} · ${edges.length} link${edges.length === 1 ? '' : 's'}`;
+        
+        this.layout = new ForceLayout(nodes, edges);
+        this.draw(nodes, edges, distances);
+        this.centerView();
+        
+        if (!this.frame) {
+            this.frame = requestAnimationFrame(() => this.tick());
+        }
+    }
+    
+    /**
+     * Build the SVG elements for the visible nodes and edges
+     */
+    draw(nodes, edges, distances) {
+        const edgeLayer = this.modal.querySelector('.graph-edges');
+        const nodeLayer = this.modal.querySelector('.graph-nodes');
+        edgeLayer.innerHTML = '';
+        nodeLayer.innerHTML = '';
+        this.nodeEls.clear();
+        this.edgeEls = [];
+        
+        const showLabels = edges.length <= MAX_EDGE_LABELS || Boolean(this.focusId);
+        
+        edges.forEach(edge => {
+            const group = document.createElementNS(SVG_NS, 'g');
+            group.setAttribute('class', `graph-edge${showLabels ? ' labelled' : ''}`);
+            
+            const line = document.createElementNS(SVG_NS, 'line');
+            group.appendChild(line);
+            
+            const label = document.createElementNS(SVG_NS, 'text');
+            label.setAttribute('class', 'graph-edge-label');
+            label.textContent = getFieldLabel(edge.type, edge.field);
+            group.appendChild(label);
+            
+            edgeLayer.appendChild(group);
+            this.edgeEls.push({ edge, line, label });
+        });
+        
+        nodes.forEach(node => {
+            const group = document.createElementNS(SVG_NS, 'g');
+            group.setAttribute('class', 'graph-node');
+            if (node.id === this.focusId) {
+                group.classList.add('focused');
+            } else if (distances && distances.get(node.id) > 1) {
+                group.classList.add('distant');
+            }
+            
+            const circle = document.createElementNS(SVG_NS, 'circle');
+            circle.setAttribute('r', NODE_RADIUS);
+            circle.setAttribute('fill', ONLYWORLDS.ELEMENT_COLORS[node.type]);
+            group.appendChild(circle);
+            
+            const icon = document.createElementNS(SVG_NS, 'text');
+            icon.setAttribute('class', 'graph-node-icon material-icons-outlined');
+            icon.textContent = ONLYWORLDS.ELEMENT_ICONS[node.type];
+            group.appendChild(icon);
+            
+            const name = document.createElementNS(SVG_NS, 'text');
+            name.setAttribute('class', 'graph-node-name');
+            name.setAttribute('y', NODE_RADIUS + 14);
+            name.textContent = node.name;
+            group.appendChild(name);
+            
+            const title = document.createElementNS(SVG_NS, 'title');
+            title.textContent = `${node.name} (${ONLYWORLDS.ELEMENT_SINGULAR[node.type]})`;
+            group.appendChild(title);
+            
+            this.attachNodeDrag(group, node);
+            
+            nodeLayer.appendChild(group);
+            this.nodeEls.set(node.id, group);
+        });
+        
+        this.updatePositions();
+    }
+    
+    /**
+     * Run the simulation until it settles, redrawing every frame
+     */
+    tick() {
+        this.frame = null;
+        if (!this.modal || !this.layout) return;
+        
+        for (let i = 0; i < TICKS_PER_FRAME && !this.layout.isStable(); i++) {
+            this.layout.step();
+        }
+        this.updatePositions();
+        
+        if (!this.layout.isStable()) {
+            this.frame = requestAnimationFrame(() => this.tick());
+        }
+    }
+    
+    /**
+     * Move the SVG elements to the current layout positions
+     */
+    updatePositions() {
+        this.edgeEls.forEach(({ edge, line, label }) => {
+            const source = this.layout.byId.get(edge.source);
+            const target = this.layout.byId.get(edge.target);
+            
+            line.setAttribute('x1', source.x);
+            line.setAttribute('y1', source.y);
+            line.setAttribute('x2', target.x);
+            line.setAttribute('y2', target.y);
+            
+            label.setAttribute('x', (source.x + target.x) / 2);
+            label.setAttribute('y', (source.y + target.y) / 2);
+        });
+        
+        this.nodeEls.forEach((group, id) => {
+            const node = this.layout.byId.get(id);
+            group.setAttribute('transform', `translate(${node.x}, ${node.y})`);
+        });
+    }
+    
+    /**
+     * Put the origin, where the layout is centred, in the middle of the canvas
+     */
+    centerView() {
+        const svg = this.modal.querySelector('#graph-svg');
+        const { width, height } = svg.getBoundingClientRect();
+        this.transform = { x: width / 2, y: height / 2, k: 1 };
+        this.applyTransform();
+    }
+    
+    /**
+     * Apply the pan and zoom to the viewport group
+     */
+    applyTransform() {
+        const { x, y, k } = this.transform;
+        this.modal.querySelector('.graph-viewport').setAttribute('transform', `translate(${x}, ${y}) scale(${k})`);
+    }
+    
+    /**
+     * Pan by dragging the background, zoom with the wheel around the pointer
+     */
+    attachPanZoom(svg) {
+        let panStart = null;
+        
+        svg.addEventListener('pointerdown', (e) => {
+            if (e.target.closest('.graph-node')) return;
+            panStart = { x: e.clientX - this.transform.x, y: e.clientY - this.transform.y };
+            svg.setPointerCapture(e.pointerId);
+            svg.classList.add('panning');
+        });
+        
+        svg.addEventListener('pointermove', (e) => {
+            if (!panStart) return;
+            this.transform.x = e.clientX - panStart.x;
+            this.transform.y = e.clientY - panStart.y;
+            this.applyTransform();
+        });
+        
+        const endPan = () => {
+            panStart = null;
+            svg.classList.remove('panning');
+        };
+        svg.addEventListener('pointerup', endPan);
+        svg.addEventListener('pointercancel', endPan);
+        
+        svg.addEventListener('wheel', (e) => {
+            e.preventDefault();
+            
+            const rect = svg.getBoundingClientRect();
+            const px = e.clientX - rect.left;
+            const py = e.clientY - rect.top;
+            const k = Math.min(4, Math.max(0.1, this.transform.k * (e.deltaY < 0 ? 1.1 : 1 / 1.1)));
+            
+            // Keep the point under the pointer in place
+            this.transform.x = px - (px - this.transform.x) * (k / this.transform.k);
+            this.transform.y = py - (py - this.transform.y) * (k / this.transform.k);
+            this.transform.k = k;
+            this.applyTransform();
+        }, { passive: false });
+    }
+    
+    /**
+     * Drag a node to move it; a click without moving opens the element
+     */
+    attachNodeDrag(group, node) {
+        let start = null;
+        
+        group.addEventListener('pointerdown', (e) => {
+            e.stopPropagation();
+            start = { x: e.clientX, y: e.clientY, moved: false };
+            group.setPointerCapture(e.pointerId);
+            node.fixed = true;
+        });
+        
+        group.addEventListener('pointermove', (e) => {
+            if (!start) return;
+            
+            if (Math.abs(e.clientX - start.x) + Math.abs(e.clientY - start.y) > 4) {
+                start.moved = true;
+            }
+            
+            if (start.moved) {
+                const rect = this.modal.querySelector('#graph-svg').getBoundingClientRect();
+                node.x = (e.clientX - rect.left - this.transform.x) / this.transform.k;
+                node.y = (e.clientY - rect.top - this.transform.y) / this.transform.k;
+                
+                this.layout.reheat(0.3);
+                this.updatePositions();
+                if (!this.frame) {
+                    this.frame = requestAnimationFrame(() => this.tick());
+                }
+            }
+        });
+        
+        group.addEventListener('pointerup', () => {
+            if (!start) return;
+            
+            const clicked = !start.moved;
+            start = null;
+            node.fixed = false;
+            
+            if (clicked) {
+                this.openElement(node);
+            }
+        });
+    }
+    
+    /**
+     * Close the graph and show an element in the inline editor
+     */
+    async openElement(node) {
+        this.close();
+        
+        try {
+            await window.elementViewer?.openElement(node.type, node.id);
+        } catch (error) {
+            console.error('Could not open element:', error);
+            alert(`Could not open "${node.name}": ${error.message}`);
+        }
+    }
+}
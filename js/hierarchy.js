@@ -0,0 +1,118 @@
+/**
+ * Hierarchy Module
+ * Element types that nest inside elements of their own type through a parent
+ * field, and helpers to turn a flat list into a tree and keep it free of cycles
+ */
+
+import { getLinkIds } from './field-types.js';
+
+// The field pointing at an element's parent, per type that has one
+const HIERARCHY_FIELDS = {
+    institution: 'parent_institution',
+    law: 'parent_law',
+    location: 'parent_location',
+    map: 'parent_map',
+    narrative: 'parent_narrative',
+    object: 'parent_object',
+    species: 'parent_species',
+    title: 'superior_title'
+};
+
+/**
+ * Get the parent field of an element type
+ * @param {string} type - Element type
+ * @returns {string|null} Field name, or null if the type doesn't nest
+ */
+function getHierarchyField(type) {
+    return HIERARCHY_FIELDS[type] || null;
+}
+
+/**
+ * Get the ID of an element's parent
+ */
+function getParentId(element, field) {
+    return getLinkIds(element[field])[0] || null;
+}
+
+/**
+ * Arrange elements into a tree by their parent field
+ * Elements whose parent isn't in the list are roots. Elements caught in a cycle
+ * can't be reached from any root, so one element of each cycle becomes a root too.
+ * @param {Array} elements - Elements of one type
+ * @param {string} field - Parent field
+ * @returns {Object} { roots: Array, children: Map<id, Array> }
+ */
+function buildHierarchy(elements, field) {
+    const byId = new Map(elements.map(element => [element.id, element]));
+    const children = new Map();
+    const roots = [];
+    
+    elements.forEach(element => {
+        const parentId = getParentId(element, field);
+        if (parentId && parentId !== element.id && byId.has(parentId)) {
+            if (!children.has(parentId)) children.set(parentId, []);
+            children.get(parentId).push(element);
+        } else {
+            roots.push(element);
+        }
+    });
+    
+    const reached = new Set();
+    const visit = (element) => {
+        if (reached.has(element.id)) return;
+        reached.add(element.id);
+        (children.get(element.id) || []).forEach(visit);
+    };
+    roots.forEach(visit);
+    
+    elements.forEach(element => {
+        if (reached.has(element.id)) return;
+        
+        // The element may only hang below a cycle; climb until the walk comes back on
+        // itself, so the cut lands on an element of the cycle and not on a descendant
+        const walked = new Set();
+        let member = element;
+        while (!walked.has(member.id)) {
+            walked.add(member.id);
+            member = byId.get(getParentId(member, field));
+        }
+        
+        // Cut the cycle above that element so the tree stays finite
+        const siblings = children.get(getParentId(member, field));
+        siblings.splice(siblings.indexOf(member), 1);
+        roots.push(member);
+        visit(member);
+    });
+    
+    return { roots, children };
+}
+
+/**
+ * Check whether giving an element a new parent would make it its own ancestor
+ * @param {Array} elements - Elements of the type
+ * @param {string} field - Parent field
+ * @param {string} id - Element getting the new parent
+ * @param {string|null} parentId - New parent, or null for none
+ * @returns {boolean} True if the move would create a cycle
+ */
+function wouldCreateCycle(elements, field, id, parentId) {
+    const byId = new Map(elements.map(element => [element.id, element]));
+    const seen = new Set();
+    let current = parentId;
+    
+    while (current && !seen.has(current)) {
+        if (current === id) return true;
+        seen.add(current);
+        current = byId.has(current) ? getParentId(byId.get(current), field) : null;
+    }
+    
+    return false;
+}
+
+export {
+    HIERARCHY_FIELDS,
+    buildHierarchy,
+    getHierarchyField,
+    getParentId,
+    wouldCreateCycle
+};
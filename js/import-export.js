@@ -1,15 +1,20 @@
 /**
- * Export Manager for OnlyWorlds
+ * Import/Export Manager for OnlyWorlds
  * 
- * Handles JSON export functionality for entire worlds
- * Educational patterns demonstrated: Blob API, Promise.all(), retry logic
+ * Handles JSON import and export functionality for entire worlds
+ * Educational patterns demonstrated: Blob API, FileReader, Promise.all(), retry logic
  */
 
 import { authManager } from './auth.js';
+import { commands } from './commands.js';
+import { ONLYWORLDS } from './constants.js';
+import { getLinkIds, isRelationshipField } from './field-types.js';
+import { ImportMerger } from './import-merge.js';
 
 export class ImportExportManager {
     constructor(apiService) {
         this.api = apiService;
+        this.merger = new ImportMerger();
         
         // All 22 OnlyWorlds element types (capital case for website compatibility)
         this.ELEMENT_TYPES = [
@@ -21,6 +26,32 @@ export class ImportExportManager {
         ];
     }
     
+    /**
+     * Offer import and export in the command palette
+     */
+    registerCommands() {
+        commands.register(
+            {
+                id: 'world.export',
+                title: 'Export world',
+                group: 'World',
+                icon: 'download',
+                keywords: ['backup', 'download', 'json'],
+                when: () => Boolean(authManager.checkAuth()),
+                run: () => this.exportWorld()
+            },
+            {
+                id: 'world.import',
+                title: 'Import world',
+                group: 'World',
+                icon: 'upload',
+                keywords: ['restore', 'upload', 'json', 'merge'],
+                when: () => Boolean(authManager.checkAuth()),
+                run: () => this.importWorld()
+            }
+        );
+    }
+    
     /**
      * Export world to JSON file
      * Downloads all elements in website-compatible format
@@ -56,20 +87,52 @@ export class ImportExportManager {
         }
     }
     
+    /**
+     * Export some elements of one type, in the same format as a full export
+     * @param {string} type - Lowercase element type
+     * @param {Array} elements - Elements to export
+     */
+    exportElements(type, elements) {
+        const world = authManager.getCurrentWorld();
+        const typeName = this.ELEMENT_TYPES.find(name => name.toLowerCase() === type);
+        
+        const exportData = this.formatExportData([{ type: typeName, elements }], world);
+        
+        const timestamp = new Date().toISOString().split('T')[0];
+        const safeName = (world?.name || 'world').replace(/[^a-z0-9]/gi, '_').toLowerCase();
+        this.downloadAsFile(exportData, `onlyworlds_${safeName}_${type}_selection_${timestamp}.json`);
+        
+        this.showNotification(`✓ Exported ${elements.length} elements`, 'success');
+    }
+    
     /**
      * Fetch all elements from API in parallel
-     * Uses Promise.all() for concurrent requests
+     * Uses Promise.all() for concurrent requests; each type is collected page by page
+     * so the loading message can show progress on large worlds
+     * @param {Object} [options]
+     * @param {boolean} [options.strict] - Throw if any type fails to load, instead of
+     *   leaving it out; a merge must never compare against a partial world
      */
-    async fetchAllElements() {
+    async fetchAllElements({ strict = false } = {}) {
         this.showLoading(true, 'Fetching elements...');
         
+        const loadedCounts = {};
+        const reportProgress = (type, count) => {
+            loadedCounts[type] = count;
+            const total = Object.values(loadedCounts).reduce((sum, n) => sum + n, 0);
+            this.showLoading(true, `Fetching elements... ${total} loaded`);
+        };
+        
         const promises = this.ELEMENT_TYPES.map(type => 
             this.fetchWithRetry(() => 
-                this.api.getElements(type.toLowerCase())
+                this.collectElements(type.toLowerCase(), count => reportProgress(type, count))
             ).then(elements => ({
                 type,
                 elements: elements || []
             })).catch(error => {
+                if (strict) {
+                    throw new Error(`Could not load ${type.toLowerCase()} elements (${error.message})`);
+                }
                 console.warn(`Failed to fetch ${type}:`, error);
                 return { type, elements: [] };
             })
@@ -80,6 +143,23 @@ export class ImportExportManager {
         return results.filter(r => r.elements.length > 0);
     }
     
+    /**
+     * Collect every page of one element type
+     * Always reads from the API: exports and merges must not work from a stale local copy
+     * @param {string} elementType - Lowercase element type
+     * @param {Function} onBatch - Called with the running count after each page
+     */
+    async collectElements(elementType, onBatch) {
+        const elements = [];
+        
+        for await (const batch of this.api.iterateElements(elementType, {}, { fresh: true })) {
+            elements.push(...batch);
+            onBatch(elements.length);
+        }
+        
+        return elements;
+    }
+    
     /**
      * Format data for export (website-compatible)
      */
@@ -132,6 +212,645 @@ export class ImportExportManager {
         URL.revokeObjectURL(url);
     }
     
+    /**
+     * Open the import dialog
+     * Reads a file written by exportWorld() and recreates its elements in the current world
+     */
+    importWorld() {
+        document.getElementById('import-modal')?.remove();
+        
+        const modal = document.createElement('div');
+        modal.id = 'import-modal';
+        modal.className = 'modal compact';
+        modal.innerHTML = `
+            <div class="modal-content compact">
+                <div class="modal-header">
+                    <h2>Import World</h2>
+                    <button class="modal-close">&times;</button>
+                </div>
+                <div class="modal-body">
+                    <div class="form-group">
+                        <label for="import-file">OnlyWorlds export file (.json)</label>
+                        <input type="file" id="import-file" accept=".json,application/json" />
+                    </div>
+                    <div class="form-group">
+                        <label for="import-mode">Mode</label>
+                        <select id="import-mode">
+                            <option value="restore">Restore (keep original IDs)</option>
+                            <option value="copy">Copy into this world (new IDs)</option>
+                            <option value="merge">Merge into this world (resolve conflicts)</option>
+                        </select>
+                    </div>
+                    <div id="import-preview" class="preview hidden"></div>
+                    <div id="import-merge" class="merge-list hidden"></div>
+                    <div id="import-progress" class="progress-bar hidden">
+                        <div class="progress-fill" style="width: 0%">0%</div>
+                    </div>
+                    <div class="modal-footer">
+                        <button type="button" id="import-cancel" class="btn btn-secondary">Cancel</button>
+                        <button type="button" id="import-start" class="btn btn-primary" disabled>Import</button>
+                    </div>
+                </div>
+            </div>
+        `;
+        
+        document.body.appendChild(modal);
+        
+        const preview = modal.querySelector('#import-preview');
+        const progress = modal.querySelector('#import-progress');
+        const startBtn = modal.querySelector('#import-start');
+        const modeSelect = modal.querySelector('#import-mode');
+        const mergeList = modal.querySelector('#import-merge');
+        const cancelBtn = modal.querySelector('#import-cancel');
+        let importData = null;
+        let mergePlan = null;
+        let isImporting = false;
+        
+        // Closing is blocked while elements are being created
+        const closeModal = () => {
+            if (!isImporting) {
+                modal.remove();
+            }
+        };
+        
+        modal.querySelector('.modal-close').addEventListener('click', closeModal);
+        cancelBtn.addEventListener('click', closeModal);
+        modal.addEventListener('click', (e) => {
+            if (e.target === modal) {
+                closeModal();
+            }
+        });
+        
+        modal.querySelector('#import-file').addEventListener('change', async (e) => {
+            const file = e.target.files[0];
+            importData = null;
+            startBtn.disabled = true;
+            
+            if (!file) {
+                preview.classList.add('hidden');
+                return;
+            }
+            
+            try {
+                importData = this.parseImportData(await file.text());
+                preview.textContent = this.describeImport(importData);
+                
+                // Files exported from another world can't be restored in place
+                modeSelect.value = this.isFromCurrentWorld(importData) ? 'restore' : 'copy';
+                startBtn.disabled = false;
+            } catch (error) {
+                preview.textContent = `Cannot import ${file.name}: ${error.message}`;
+            }
+            
+            preview.classList.remove('hidden');
+        });
+        
+        startBtn.addEventListener('click', async () => {
+            if (!importData) return;
+            
+            const mode = modeSelect.value;
+            isImporting = true;
+            startBtn.disabled = true;
+            modal.querySelector('#import-file').disabled = true;
+            modeSelect.disabled = true;
+            
+            try {
+                // Merging takes two steps: compare with the world first, then apply the choices
+                if (mode === 'merge' && !mergePlan) {
+                    preview.textContent = 'Comparing with current world...';
+                    mergePlan = await this.prepareMerge(importData);
+                    
+                    preview.textContent = this.describeMergePlan(mergePlan);
+                    this.merger.renderConflicts(mergeList, mergePlan.conflicts, mergePlan.names);
+                    mergeList.classList.toggle('hidden', mergePlan.conflicts.length === 0);
+                    modal.querySelector('.modal-content').classList.add('wide');
+                    
+                    startBtn.textContent = 'Apply';
+                    startBtn.disabled = false;
+                    return;
+                }
+                
+                progress.classList.remove('hidden');
+                const onProgress = (done, total) => this.updateProgress(progress, done, total);
+                
+                const result = mode === 'merge'
+                    ? await this.applyMerge(mergePlan, onProgress)
+                    : await this.importElements(importData, { remapIds: mode === 'copy', onProgress });
+                
+                mergeList.classList.add('hidden');
+                preview.textContent = this.describeResult(result);
+                
+                const summary = mode === 'merge'
+                    ? `✓ Created ${result.created} and updated ${result.updated} elements`
+                    : `✓ Imported ${result.created} of ${result.total} elements`;
+                this.showNotification(summary, result.failed.length > 0 ? 'error' : 'success');
+                
+                this.refreshViewer();
+                cancelBtn.textContent = 'Close';
+            
+            } catch (error) {
+                if (mode === 'merge' && !mergePlan) {
+                    // Nothing was written yet, so the comparison can simply be tried again
+                    console.error('Merge comparison failed:', error);
+                    preview.textContent = `Could not compare with the current world: ${error.message}`;
+                    startBtn.disabled = false;
+                    modal.querySelector('#import-file').disabled = false;
+                    modeSelect.disabled = false;
+                    return;
+                }
+                
+                console.error('Import failed:', error);
+                preview.textContent = `Import failed: ${error.message}`;
+                this.showNotification(`Import failed: ${error.message}`, 'error');
+                cancelBtn.textContent = 'Close';
+            } finally {
+                isImporting = false;
+            }
+        });
+    }
+    
+    /**
+     * Parse and validate an export file
+     * Every top-level key other than metadata/world must be one of the 22 element types
+     * @param {string} text - Raw file contents
+     * @returns {Object} { metadata, world, elementsByType: [{ type, elements }] }
+     */
+    parseImportData(text) {
+        let data;
+        try {
+            data = JSON.parse(text);
+        } catch (error) {
+            throw new Error('File is not valid JSON');
+        }
+        
+        if (!data || typeof data !== 'object' || Array.isArray(data)) {
+            throw new Error('File is not an OnlyWorlds export');
+        }
+        
+        const elementsByType = [];
+        
+        for (const [key, elements] of Object.entries(data)) {
+            if (key === 'metadata' || key === 'world') {
+                continue;
+            }
+            
+            const type = key.toLowerCase();
+            if (!ONLYWORLDS.ELEMENT_TYPES.includes(type)) {
+                throw new Error(`Unknown element type "${key}"`);
+            }
+            
+            if (!Array.isArray(elements)) {
+                throw new Error(`"${key}" must be a list of elements`);
+            }
+            
+            if (elements.some(element => !element || typeof element !== 'object' || !element.name)) {
+                throw new Error(`Every ${ONLYWORLDS.ELEMENT_SINGULAR[type]} needs a name`);
+            }
+            
+            elementsByType.push({ type, elements });
+        }
+        
+        if (elementsByType.length === 0) {
+            throw new Error('No elements found in file');
+        }
+        
+        return {
+            metadata: data.metadata || {},
+            world: data.world || null,
+            elementsByType
+        };
+    }
+    
+    /**
+     * Create every element from parsed import data
+     * Elements are created after the elements they link to; links that form a cycle
+     * are left out on create and written in a second pass once everything exists.
+     * Auto-save is paused for the duration so open edits don't interleave with the import
+     * @param {Object} importData - Result of parseImportData()
+     * @param {Object} options - { remapIds: mint new IDs, onProgress: (done, total) callback }
+     * @returns {Promise<Object>} { total, created, droppedLinks, failed: [{ type, name, error }] }
+     */
+    async importElements(importData, { remapIds = false, onProgress = null } = {}) {
+        let droppedLinks = 0;
+        
+        if (remapIds) {
+            ({ importData, droppedLinks } = this.remapIds(importData));
+        }
+        
+        const ordered = this.orderByDependencies(importData);
+        const deferred = ordered.filter(item => item.deferredFields.length > 0);
+        const total = ordered.length + deferred.length;
+        
+        const result = { total: ordered.length, created: 0, droppedLinks, failed: [] };
+        const createdIds = new Set();
+        
+        const autoSaveManager = this.getAutoSaveManager();
+        autoSaveManager?.pause();
+        
+        try {
+            let done = 0;
+            const step = () => {
+                done++;
+                if (onProgress) {
+                    onProgress(done, total);
+                }
+            };
+            
+            for (const { type, element, deferredFields } of ordered) {
+                const data = { ...element };
+                deferredFields.forEach(field => delete data[field]);
+                
+                try {
+                    await this.api.createElement(type, this.prepareForImport(data, type));
+                    createdIds.add(element.id);
+                    result.created++;
+                } catch (error) {
+                    result.failed.push({ type, name: element.name, error: error.message });
+                }
+                step();
+            }
+            
+            // Second pass: restore links that were held back to break cycles
+            for (const { type, element, deferredFields } of deferred) {
+                if (createdIds.has(element.id)) {
+                    const updates = {};
+                    deferredFields.forEach(field => {
+                        updates[field] = element[field];
+                    });
+                    
+                    try {
+                        await this.api.updateElement(type, element.id, updates);
+                    } catch (error) {
+                        result.failed.push({ type, name: element.name, error: `Links not restored: ${error.message}` });
+                    }
+                }
+                step();
+            }
+        } finally {
+            autoSaveManager?.resume();
+        }
+        
+        return result;
+    }
+    
+    /**
+     * Give every element a new ID and rewrite relationship fields to match
+     * Links to elements that are neither in the file nor in knownIds can't be
+     * carried over and are dropped
+     * @param {Object} importData - Result of parseImportData()
+     * @param {Map} idMap - Old ID to new ID; defaults to a fresh ID for every element
+     * @param {Set} knownIds - IDs that already exist in the target world and may be linked as-is
+     * @returns {Object} { importData: remapped copy, droppedLinks: count }
+     */
+    remapIds(importData, idMap = null, knownIds = new Set()) {
+        if (!idMap) {
+            idMap = new Map();
+            importData.elementsByType.forEach(({ elements }) => {
+                elements.forEach(element => {
+                    if (element.id) {
+                        idMap.set(element.id, this.api.generateId());
+                    }
+                });
+            });
+        }
+        
+        let droppedLinks = 0;
+        
+        const elementsByType = importData.elementsByType.map(({ type, elements }) => ({
+            type,
+            elements: elements.map(element => {
+                const remapped = { ...element, id: idMap.get(element.id) || this.api.generateId() };
+                
+                for (const field of this.getLinkFields(element, type)) {
+                    const ids = getLinkIds(element[field]);
+                    const mapped = ids
+                        .filter(id => idMap.has(id) || knownIds.has(id))
+                        .map(id => idMap.get(id) || id);
+                    droppedLinks += ids.length - mapped.length;
+                    
+                    remapped[field] = Array.isArray(element[field]) ? mapped : (mapped[0] || null);
+                }
+                
+                return remapped;
+            })
+        }));
+        
+        return { importData: { ...importData, elementsByType }, droppedLinks };
+    }
+    
+    /**
+     * Prepare a merge: match the file against the current world and diff the matches
+     * Matched elements take over the existing IDs, so links in the file follow them.
+     * Unmatched elements keep their IDs when the file comes from this world and get
+     * fresh ones otherwise, so they can't collide with elements in the source world.
+     * An unmatched ID already taken here (by an element of another type) is replaced too.
+     * @param {Object} importData - Result of parseImportData()
+     * @returns {Promise<Object>} { conflicts, unchanged, createData, names, droppedLinks }
+     */
+    async prepareMerge(importData) {
+        let existingData;
+        try {
+            existingData = await this.fetchAllElements({ strict: true });
+        } finally {
+            this.showLoading(false);
+        }
+        
+        const { idMap, existingIds, matches } = this.merger.buildPlan(importData, existingData);
+        
+        const sameWorld = this.isFromCurrentWorld(importData);
+        importData.elementsByType.forEach(({ elements }) => {
+            elements.forEach(element => {
+                if (element.id && !idMap.has(element.id)) {
+                    const keepId = sameWorld && !existingIds.has(element.id);
+                    idMap.set(element.id, keepId ? element.id : this.api.generateId());
+                }
+            });
+        });
+        
+        const { importData: remapped, droppedLinks } = this.remapIds(importData, idMap, existingIds);
+        
+        // remapIds keeps order, so each original element lines up with its remapped copy
+        const remappedByOriginal = new Map();
+        importData.elementsByType.forEach(({ elements }, typeIndex) => {
+            elements.forEach((element, index) => {
+                remappedByOriginal.set(element, remapped.elementsByType[typeIndex].elements[index]);
+            });
+        });
+        
+        const matchedElements = new Set(matches.map(match => remappedByOriginal.get(match.incoming)));
+        const { conflicts, unchanged } = this.merger.diffMatches(matches.map(match => ({
+            ...match,
+            incoming: remappedByOriginal.get(match.incoming)
+        })));
+        
+        const createData = {
+            ...remapped,
+            elementsByType: remapped.elementsByType
+                .map(({ type, elements }) => ({
+                    type,
+                    elements: elements.filter(element => !matchedElements.has(element))
+                }))
+                .filter(item => item.elements.length > 0)
+        };
+        
+        const names = new Map();
+        existingData.forEach(({ elements }) => {
+            elements.forEach(element => names.set(element.id, element.name));
+        });
+        remapped.elementsByType.forEach(({ elements }) => {
+            elements.forEach(element => names.set(element.id, element.name));
+        });
+        
+        return { conflicts, unchanged, createData, names, droppedLinks };
+    }
+    
+    /**
+     * Apply a merge plan: create new elements, then update matched ones as resolved
+     * @param {Object} plan - Result of prepareMerge() with conflict choices filled in
+     * @param {Function} onProgress - Called with (done, total) after each step
+     * @returns {Promise<Object>} Import result extended with updated, kept and unchanged counts
+     */
+    async applyMerge(plan, onProgress) {
+        const updates = this.merger.collectUpdates(plan.conflicts);
+        let createSteps = 0;
+        
+        const result = await this.importElements(plan.createData, {
+            onProgress: (done, total) => {
+                createSteps = total;
+                if (onProgress) {
+                    onProgress(done, total + updates.length);
+                }
+            }
+        });
+        
+        result.droppedLinks = plan.droppedLinks;
+        result.updated = 0;
+        result.kept = plan.conflicts.length - updates.length;
+        result.unchanged = plan.unchanged;
+        
+        const autoSaveManager = this.getAutoSaveManager();
+        autoSaveManager?.pause();
+        
+        try {
+            for (const [index, { type, id, name, updates: values }] of updates.entries()) {
+                try {
+                    await this.api.updateElement(type, id, values);
+                    result.updated++;
+                } catch (error) {
+                    result.failed.push({ type, name, error: error.message });
+                }
+                
+                if (onProgress) {
+                    onProgress(createSteps + index + 1, createSteps + updates.length);
+                }
+            }
+        } finally {
+            autoSaveManager?.resume();
+        }
+        
+        return result;
+    }
+    
+    /**
+     * Order elements so link targets are created before the elements that link to them
+     * Depth-first walk over the links inside the file; a link back to an element still
+     * being visited closes a cycle, so that field is deferred to after creation
+     * @param {Object} importData - Result of parseImportData()
+     * @returns {Array<Object>} [{ type, element, deferredFields }] in creation order
+     */
+    orderByDependencies(importData) {
+        const nodes = new Map();
+        importData.elementsByType.forEach(({ type, elements }) => {
+            elements.forEach(element => {
+                if (element.id) {
+                    nodes.set(element.id, { type, element, deferredFields: [], state: 'new' });
+                }
+            });
+        });
+        
+        const ordered = [];
+        
+        // Depth-first with an explicit stack, so long link chains can't overflow the call stack
+        const visit = (root) => {
+            const edges = (node) => this.getLinkFields(node.element, node.type)
+                .flatMap(field => getLinkIds(node.element[field]).map(id => ({ field, id })));
+            const defer = (node, field) => {
+                if (!node.deferredFields.includes(field)) {
+                    node.deferredFields.push(field);
+                }
+            };
+            
+            root.state = 'visiting';
+            const stack = [{ node: root, edges: edges(root), next: 0 }];
+            
+            while (stack.length > 0) {
+                const frame = stack[stack.length - 1];
+                
+                if (frame.next === frame.edges.length) {
+                    frame.node.state = 'done';
+                    ordered.push(frame.node);
+                    stack.pop();
+                    continue;
+                }
+                
+                const { field, id } = frame.edges[frame.next++];
+                const target = nodes.get(id);
+                if (!target) continue;
+                
+                if (target === frame.node || target.state === 'visiting') {
+                    defer(frame.node, field);
+                } else if (target.state === 'new') {
+                    target.state = 'visiting';
+                    stack.push({ node: target, edges: edges(target), next: 0 });
+                }
+            }
+        };
+        
+        // Elements without an ID can't be linked to, so they never enter the map
+        importData.elementsByType.forEach(({ type, elements }) => {
+            elements.forEach(element => {
+                const node = nodes.get(element.id);
+                if (!element.id) {
+                    ordered.push({ type, element, deferredFields: [] });
+                } else if (node.state === 'new') {
+                    visit(node);
+                }
+            });
+        });
+        
+        return ordered.map(({ type, element, deferredFields }) => ({ type, element, deferredFields }));
+    }
+    
+    /**
+     * Get the names of an element's relationship fields (uuid and array<uuid>)
+     */
+    getLinkFields(element, type) {
+        return Object.keys(element).filter(field => 
+            field !== 'world' && isRelationshipField(field, type) && element[field]
+        );
+    }
+    
+    /**
+     * Strip server-managed fields and convert links to API format
+     * The world field is dropped so createElement() assigns the current world
+     */
+    prepareForImport(element, type) {
+        const data = { ...element };
+        delete data.world;
+        
+        return this.api.cleanLinkFields(data, type);
+    }
+    
+    /**
+     * Summarize parsed import data for the preview area
+     */
+    describeImport(importData) {
+        const lines = [];
+        
+        if (importData.metadata.worldName) {
+            lines.push(`World: ${importData.metadata.worldName}`);
+        }
+        if (importData.metadata.exportDate) {
+            lines.push(`Exported: ${new Date(importData.metadata.exportDate).toLocaleString()}`);
+        }
+        
+        let total = 0;
+        for (const { type, elements } of importData.elementsByType) {
+            lines.push(`${ONLYWORLDS.ELEMENT_LABELS[type]}: ${elements.length}`);
+            total += elements.length;
+        }
+        lines.push(`Total: ${total} elements`);
+        
+        return lines.join('\n');
+    }
+    
+    /**
+     * Summarize a merge plan before it is applied
+     */
+    describeMergePlan(plan) {
+        const newCount = plan.createData.elementsByType.reduce((sum, item) => 
+            sum + item.elements.length, 0);
+        
+        const lines = [
+            `New elements to create: ${newCount}`,
+            `Identical to current world: ${plan.unchanged}`,
+            `Different from current world: ${plan.conflicts.length}`
+        ];
+        
+        if (plan.droppedLinks > 0) {
+            lines.push(`Links to elements in neither world: ${plan.droppedLinks} (will be dropped)`);
+        }
+        
+        if (plan.conflicts.length > 0) {
+            lines.push('', 'Choose how to resolve each difference below, then click Apply.');
+        }
+        
+        return lines.join('\n');
+    }
+    
+    /**
+     * Summarize an import result, listing every failed element
+     */
+    describeResult(result) {
+        const lines = [`Created ${result.created} of ${result.total} elements`];
+        
+        if (result.updated !== undefined) {
+            lines.push(`Updated ${result.updated}, kept ${result.kept}, unchanged ${result.unchanged}`);
+        }
+        
+        if (result.droppedLinks > 0) {
+            lines.push(`Dropped ${result.droppedLinks} links to elements outside the file`);
+        }
+        
+        result.failed.forEach(({ type, name, error }) => {
+            lines.push(`✗ ${ONLYWORLDS.ELEMENT_SINGULAR[type]} "${name}": ${error}`);
+        });
+        
+        return lines.join('\n');
+    }
+    
+    /**
+     * Update an import progress bar
+     */
+    updateProgress(progress, done, total) {
+        const percent = total > 0 ? Math.round((done / total) * 100) : 100;
+        const fill = progress.querySelector('.progress-fill');
+        fill.style.width = `${percent}%`;
+        fill.textContent = `${done}/${total}`;
+    }
+    
+    /**
+     * Check whether an import file was exported from the world that is loaded now
+     * Files without a recorded world ID are assumed to belong here
+     */
+    isFromCurrentWorld(importData) {
+        const currentWorld = authManager.getCurrentWorld();
+        
+        return !importData.metadata.worldId || !currentWorld ||
+               importData.metadata.worldId === currentWorld.id;
+    }
+    
+    /**
+     * Get the auto-save manager of the open inline editor, if any
+     */
+    getAutoSaveManager() {
+        return window.elementViewer?.inlineEditor?.autoSaveManager || null;
+    }
+    
+    /**
+     * Refresh category counts and the open list after an import
+     */
+    refreshViewer() {
+        const viewer = window.elementViewer;
+        if (!viewer) return;
+        
+        viewer.updateCategoryCounts();
+        
+        if (viewer.currentCategory) {
+            viewer.loadElements(viewer.currentCategory);
+        }
+    }
+    
     /**
      * Retry failed requests with exponential backoff
      */
@@ -0,0 +1,276 @@
+/**
+ * Import Merge Module
+ * Matches imported elements against the current world and lets the user
+ * resolve each conflict (keep, overwrite or merge field by field)
+ * Extracted from import-export.js for better modularity
+ */
+
+import { ONLYWORLDS } from './constants.js';
+import { isSameFieldValue } from './field-types.js';
+import { escapeHtml, formatFieldValue, getFieldLabel } from './format.js';
+
+// Fields managed by the server, never compared or written during a merge
+const SYSTEM_FIELDS = ['id', 'world', 'created_at', 'updated_at'];
+
+export class ImportMerger {
+    /**
+     * Match incoming elements to existing ones
+     * Matching is by ID first, then by name within the same type
+     * @param {Object} importData - Parsed import data ({ elementsByType })
+     * @param {Array} existingData - Current world elements ([{ type, elements }], as fetchAllElements returns)
+     * @returns {Object} { idMap, existingIds, matches }
+     *   idMap maps incoming IDs of matched elements to the existing IDs
+     */
+    buildPlan(importData, existingData) {
+        const existingById = new Map();
+        const existingByName = new Map();
+        
+        existingData.forEach(({ type, elements }) => {
+            const elementType = type.toLowerCase();
+            elements.forEach(element => {
+                existingById.set(element.id, { type: elementType, element });
+                
+                const nameKey = this.getNameKey(elementType, element.name);
+                if (!existingByName.has(nameKey)) {
+                    existingByName.set(nameKey, []);
+                }
+                existingByName.get(nameKey).push(element);
+            });
+        });
+        
+        const idMap = new Map();
+        const claimed = new Set();
+        const matchByIncoming = new Map();
+        
+        const claim = (type, incoming, existing, matchedBy) => {
+            claimed.add(existing.id);
+            if (incoming.id) {
+                idMap.set(incoming.id, existing.id);
+            }
+            matchByIncoming.set(incoming, { type, existing, incoming, matchedBy });
+        };
+        
+        // IDs first, so a name match can never take an element another incoming one owns by ID
+        importData.elementsByType.forEach(({ type, elements }) => {
+            elements.forEach(incoming => {
+                const byId = existingById.get(incoming.id);
+                if (byId && byId.type === type && !claimed.has(byId.element.id)) {
+                    claim(type, incoming, byId.element, 'id');
+                }
+            });
+        });
+        
+        // Then names, among the elements left unclaimed
+        importData.elementsByType.forEach(({ type, elements }) => {
+            elements.forEach(incoming => {
+                // Skip elements matched already, and repeats of an ID that is mapped
+                if (matchByIncoming.has(incoming) || idMap.has(incoming.id)) return;
+                
+                const candidates = existingByName.get(this.getNameKey(type, incoming.name)) || [];
+                const existing = candidates.find(element => !claimed.has(element.id));
+                if (existing) {
+                    claim(type, incoming, existing, 'name');
+                }
+            });
+        });
+        
+        // Keep the matches in file order
+        const matches = importData.elementsByType.flatMap(({ elements }) =>
+            elements.filter(incoming => matchByIncoming.has(incoming)).map(incoming => matchByIncoming.get(incoming)));
+        
+        return {
+            idMap,
+            existingIds: new Set(existingById.keys()),
+            matches
+        };
+    }
+    
+    /**
+     * Diff matched pairs after incoming links have been remapped
+     * @param {Array} matches - [{ type, existing, incoming, matchedBy }]
+     * @returns {Object} { conflicts: [...matches with changes, choice, selectedFields], unchanged: count }
+     */
+    diffMatches(matches) {
+        const conflicts = [];
+        let unchanged = 0;
+        
+        matches.forEach(match => {
+            const changes = this.diffElements(match.existing, match.incoming, match.type);
+            
+            if (changes.length === 0) {
+                unchanged++;
+                return;
+            }
+            
+            conflicts.push({
+                ...match,
+                changes,
+                // Default to keeping local work; overwriting is always an explicit choice
+                choice: 'keep',
+                selectedFields: new Set()
+            });
+        });
+        
+        return { conflicts, unchanged };
+    }
+    
+    /**
+     * Compare two versions of an element field by field
+     * Only fields present in the incoming element are considered
+     * @returns {Array<Object>} [{ field, current, incoming }] for every differing field
+     */
+    diffElements(existing, incoming, type) {
+        const changes = [];
+        
+        for (const field of Object.keys(incoming)) {
+            if (SYSTEM_FIELDS.includes(field)) {
+                continue;
+            }
+            
+            if (!isSameFieldValue(field, existing[field], incoming[field], type)) {
+                changes.push({ field, current: existing[field], incoming: incoming[field] });
+            }
+        }
+        
+        return changes;
+    }
+    
+    /**
+     * Turn resolved conflicts into update payloads
+     * @param {Array} conflicts - Conflicts with choice and selectedFields set by the user
+     * @returns {Array<Object>} [{ type, id, name, updates }] for every element to update
+     */
+    collectUpdates(conflicts) {
+        const updates = [];
+        
+        conflicts.forEach(conflict => {
+            if (conflict.choice === 'keep') {
+                return;
+            }
+            
+            const fields = conflict.choice === 'overwrite'
+                ? conflict.changes.map(change => change.field)
+                : [...conflict.selectedFields];
+            
+            if (fields.length === 0) {
+                return;
+            }
+            
+            const values = {};
+            fields.forEach(field => {
+                values[field] = conflict.incoming[field];
+            });
+            
+            updates.push({
+                type: conflict.type,
+                id: conflict.existing.id,
+                name: conflict.existing.name,
+                updates: values
+            });
+        });
+        
+        return updates;
+    }
+    
+    /**
+     * Render the conflict list with a keep/overwrite/merge choice per element
+     * Choices are written straight back onto the conflict objects
+     * @param {HTMLElement} container - Container for the list
+     * @param {Array} conflicts - Conflicts from diffMatches()
+     * @param {Map} names - Element ID to name, used to display links
+     */
+    renderConflicts(container, conflicts, names) {
+        container.innerHTML = '';
+        
+        conflicts.forEach(conflict => {
+            const item = document.createElement('div');
+            item.className = 'merge-item';
+            
+            const header = document.createElement('div');
+            header.className = 'merge-item-header';
+            header.innerHTML = `
+                <span class="material-icons-outlined merge-icon">${ONLYWORLDS.ELEMENT_ICONS[conflict.type] || 'category'}</span>
+                <span class="merge-name">${escapeHtml(conflict.existing.name || 'Unnamed')}</span>
+                <span class="merge-match">matched by ${conflict.matchedBy}</span>
+                <select class="merge-choice">
+                    <option value="keep">Keep current</option>
+                    <option value="overwrite">Overwrite</option>
+                    <option value="fields">Merge fields</option>
+                </select>
+            `;
+            item.appendChild(header);
+            
+            const table = document.createElement('table');
+            table.className = 'merge-diff';
+            table.innerHTML = `
+                <tr>
+                    <th></th>
+                    <th>Field</th>
+                    <th>Current</th>
+                    <th>Incoming</th>
+                </tr>
+            `;
+            
+            const checkboxes = [];
+            
+            conflict.changes.forEach(change => {
+                const row = document.createElement('tr');
+                
+                const checkCell = document.createElement('td');
+                const checkbox = document.createElement('input');
+                checkbox.type = 'checkbox';
+                checkbox.disabled = true;
+                checkbox.title = 'Use incoming value';
+                checkbox.addEventListener('change', () => {
+                    if (checkbox.checked) {
+                        conflict.selectedFields.add(change.field);
+                    } else {
+                        conflict.selectedFields.delete(change.field);
+                    }
+                });
+                checkCell.appendChild(checkbox);
+                checkboxes.push(checkbox);
+                row.appendChild(checkCell);
+                
+                [
+                    getFieldLabel(conflict.type, change.field),
+                    formatFieldValue(conflict.type, change.field, change.current, names),
+                    formatFieldValue(conflict.type, change.field, change.incoming, names)
+                ].forEach((text, index) => {
+                    const cell = document.createElement('td');
+                    cell.textContent = text;
+                    if (index > 0) {
+                        cell.className = index === 1 ? 'merge-current' : 'merge-incoming';
+                    }
+                    row.appendChild(cell);
+                });
+                
+                table.appendChild(row);
+            });
+            
+            item.appendChild(table);
+            
+            const choiceSelect = header.querySelector('.merge-choice');
+            choiceSelect.value = conflict.choice;
+            choiceSelect.addEventListener('change', () => {
+                conflict.choice = choiceSelect.value;
+                item.dataset.choice = conflict.choice;
+                
+                // Field checkboxes only apply to a field-level merge
+                checkboxes.forEach(checkbox => {
+                    checkbox.disabled = conflict.choice !== 'fields';
+                });
+            });
+            item.dataset.choice = conflict.choice;
+            
+            container.appendChild(item);
+        });
+    }
+    
+    /**
+     * Build a case-insensitive name key scoped to an element type
+     */
+    getNameKey(type, name) {
+        return `${type}:${(name || '').trim().toLowerCase()}`;
+    }
+}
\ No newline at end of file
@@ -5,11 +5,15 @@
  */
 
 import { ONLYWORLDS } from './constants.js';
+import { getElementSchema } from './element-schemas.js';
 import { getFieldType, isRelationshipField } from './field-types.js';
+import { escapeHtml, getFieldLabel } from './format.js';
 import RelationshipEditor from './relationship-editor.js';
+import { references } from './references.js';
 import typeManager from './type-manager.js';
 import { FieldRenderer } from './field-renderer.js';
 import { AutoSaveManager } from './auto-save.js';
+import { RevisionHistory } from './revision-history.js';
 
 class InlineEditor {
     constructor(apiService) {
@@ -29,6 +33,7 @@ class InlineEditor {
             }
         });
         
+        this.revisionHistory = new RevisionHistory(apiService);
         this.relationshipEditor = null;
     }
     
@@ -59,13 +64,13 @@ class InlineEditor {
         const header = document.createElement('div');
         header.className = 'inline-editor-header';
         header.innerHTML = `
-            <h2>${this.escapeHtml(this.editingElement.name || 'Unnamed')}</h2>
+            <h2>${escapeHtml(this.editingElement.name || 'Unnamed')}</h2>
             <div class="header-actions">
                 <div class="save-status" id="save-status">
                     <span class="status-indicator"></span>
                     <span class="status-text">Ready</span>
                 </div>
-                <button class="delete-btn-icon" title="Delete ${this.escapeHtml(this.editingType)}" aria-label="Delete element">
+                <button class="delete-btn-icon" title="Move ${escapeHtml(this.editingType)} to trash" aria-label="Delete element">
                     <svg width="20" height="20" viewBox="0 0 24 24" fill="none" stroke="currentColor" stroke-width="2" stroke-linecap="round" stroke-linejoin="round">
                         <polyline points="3 6 5 6 21 6"></polyline>
                         <path d="M19 6v14a2 2 0 0 1-2 2H7a2 2 0 0 1-2-2V6m3 0V4a2 2 0 0 1 2-2h4a2 2 0 0 1 2 2v2"></path>
@@ -78,62 +83,92 @@ class InlineEditor {
         container.appendChild(header);
         
         const deleteBtn = header.querySelector('.delete-btn-icon');
-        deleteBtn.onclick = async () => {
-            if (confirm(`Are you sure you want to delete this ${this.editingType}?`)) {
-                try {
-                    await this.api.deleteElement(this.editingType, this.editingElement.id);
-                    window.elementViewer.deleteElement(this.editingType, this.editingElement.id);
-                } catch (error) {
-                    alert(`Failed to delete: ${error.message}`);
-                }
-            }
+        deleteBtn.onclick = () => {
+            window.elementViewer.deleteElement(this.editingType, this.editingElement.id);
         };
         
+        const tabs = document.createElement('div');
+        tabs.className = 'editor-tabs';
+        tabs.innerHTML = `
+            <button type="button" class="editor-tab active" data-tab="fields">Fields</button>
+            <button type="button" class="editor-tab" data-tab="history">History</button>
+        `;
+        container.appendChild(tabs);
+        
         const fieldsContainer = document.createElement('div');
         fieldsContainer.className = 'inline-editor-fields';
         
         this.renderCompactFields(fieldsContainer);
         
+        const backlinksContainer = document.createElement('div');
+        backlinksContainer.className = 'backlinks-section';
+        fieldsContainer.insertBefore(backlinksContainer, fieldsContainer.querySelector('.system-fields-section'));
+        this.renderBacklinks(backlinksContainer);
+        
         container.appendChild(fieldsContainer);
+        
+        const historyContainer = document.createElement('div');
+        historyContainer.className = 'revision-history hidden';
+        container.appendChild(historyContainer);
+        
+        tabs.querySelectorAll('.editor-tab').forEach(tab => {
+            tab.addEventListener('click', () => {
+                tabs.querySelectorAll('.editor-tab').forEach(other => other.classList.remove('active'));
+                tab.classList.add('active');
+                
+                const showHistory = tab.dataset.tab === 'history';
+                fieldsContainer.classList.toggle('hidden', showHistory);
+                historyContainer.classList.toggle('hidden', !showHistory);
+                
+                // Re-read on every visit so edits made since show up
+                if (showHistory) {
+                    this.revisionHistory.render(historyContainer, this.editingType, this.editingElement);
+                }
+            });
+        });
     }
     
     /**
      * Render fields in compact format
+     * Fields follow the element type's schema, group by group, so empty fields show
+     * too; fields the API returns that the schema doesn't know come after them
      * @param {HTMLElement} container - Container for the fields
      */
     renderCompactFields(container) {
         const element = this.editingElement;
+        const schema = getElementSchema(this.editingType);
         
-        const primaryFields = ['name', 'description'];
-        const metaFields = ['supertype', 'subtype', 'image_url'];
         const systemFields = ['id', 'world', 'created_at', 'updated_at'];
+        const schemaFields = schema ? [...schema.fields.keys()] : [];
+        
+        if (schema) {
+            schema.groups.forEach(group => {
+                const fields = group.fields.map(field => 
+                    this.createCompactField(field.name, element[field.name], field.type)
+                );
+                
+                // Base fields need no heading
+                if (group.name === 'Base') {
+                    fields.forEach(fieldDiv => container.appendChild(fieldDiv));
+                    return;
+                }
+                
+                const groupSection = document.createElement('div');
+                groupSection.className = 'field-group';
+                groupSection.innerHTML = `<h4>${group.name}</h4>`;
+                fields.forEach(fieldDiv => groupSection.appendChild(fieldDiv));
+                container.appendChild(groupSection);
+            });
+        }
         
-        const allFieldNames = Object.keys(element);
-        const otherFields = allFieldNames.filter(field => 
-            !primaryFields.includes(field) && 
-            !metaFields.includes(field) && 
+        // Render fields outside the schema
+        const otherFields = Object.keys(element).filter(field => 
+            !schemaFields.includes(field) && 
             !systemFields.includes(field)
         );
         
-        // Render primary fields
-        primaryFields.forEach(fieldName => {
-            if (fieldName in element) {
-                const fieldType = getFieldType(fieldName).type;
-                container.appendChild(this.createCompactField(fieldName, element[fieldName], fieldType));
-            }
-        });
-        
-        // Render meta fields
-        metaFields.forEach(fieldName => {
-            if (fieldName in element) {
-                const fieldType = getFieldType(fieldName).type;
-                container.appendChild(this.createCompactField(fieldName, element[fieldName], fieldType));
-            }
-        });
-        
-        // Render other fields
         otherFields.forEach(fieldName => {
-            const fieldType = getFieldType(fieldName).type;
+            const fieldType = getFieldType(fieldName, this.editingType).type;
             container.appendChild(this.createCompactField(fieldName, element[fieldName], fieldType));
         });
         
@@ -155,6 +190,89 @@ class InlineEditor {
         }
     }
     
+    /**
+     * Render the elements whose relationship fields point at this one
+     * Grouped by source type, then by field; the first lookup in a world builds the
+     * link index, so the section fills in after the rest of the editor
+     * @param {HTMLElement} container - Container for the section
+     */
+    async renderBacklinks(container) {
+        const element = this.editingElement;
+        
+        container.innerHTML = '<h4>Referenced by</h4><p class="backlinks-empty">Finding references...</p>';
+        
+        let inbound;
+        try {
+            inbound = await references.findInbound(element.id);
+        } catch (error) {
+            console.error('Could not find references:', error);
+            container.querySelector('.backlinks-empty').textContent = 'Could not load references';
+            return;
+        }
+        
+        // Another element may have been opened in the meantime
+        if (this.editingElement !== element) return;
+        
+        if (inbound.length === 0) {
+            container.querySelector('.backlinks-empty').textContent = 'Nothing links here yet';
+            return;
+        }
+        
+        container.querySelector('.backlinks-empty').remove();
+        
+        if (!this.relationshipEditor) {
+            this.relationshipEditor = new RelationshipEditor(this.api, this);
+        }
+        
+        const groups = new Map();
+        inbound.forEach(link => {
+            const key = `${link.type}:${link.field}`;
+            if (!groups.has(key)) {
+                groups.set(key, { type: link.type, field: link.field, links: [] });
+            }
+            groups.get(key).links.push(link);
+        });
+        
+        // Source types in the usual category order
+        const sorted = [...groups.values()].sort((a, b) => 
+            ONLYWORLDS.ELEMENT_TYPES.indexOf(a.type) - ONLYWORLDS.ELEMENT_TYPES.indexOf(b.type) ||
+            a.field.localeCompare(b.field)
+        );
+        
+        sorted.forEach(group => {
+            const groupDiv = document.createElement('div');
+            groupDiv.className = 'backlinks-group';
+            
+            const fieldLabel = getFieldLabel(group.type, group.field);
+            groupDiv.innerHTML = `
+                <div class="backlinks-source">
+                    <span class="material-icons-outlined">${ONLYWORLDS.ELEMENT_ICONS[group.type] || 'category'}</span>
+                    ${ONLYWORLDS.ELEMENT_LABELS[group.type]} · ${escapeHtml(fieldLabel)}
+                </div>
+                <div class="relationship-tags"></div>
+            `;
+            
+            const tags = groupDiv.querySelector('.relationship-tags');
+            group.links
+                .sort((a, b) => (a.name || '').localeCompare(b.name || ''))
+                .forEach(link => {
+                    const tag = document.createElement('span');
+                    tag.className = 'element-tag backlink-tag';
+                    
+                    const name = document.createElement('span');
+                    name.className = 'tag-name';
+                    name.textContent = link.name || 'Unnamed';
+                    name.title = `View ${ONLYWORLDS.ELEMENT_SINGULAR[link.type]}`;
+                    name.onclick = () => this.relationshipEditor.viewElement(link.id, link.type);
+                    tag.appendChild(name);
+                    
+                    tags.appendChild(tag);
+                });
+            
+            container.appendChild(groupDiv);
+        });
+    }
+    
     /**
      * Create a compact field display
      * @param {string} fieldName - Name of the field
@@ -170,14 +288,14 @@ class InlineEditor {
         
         const label = document.createElement('label');
         label.className = 'compact-label';
-        label.textContent = this.fieldRenderer.formatFieldName(fieldName) + ':';
+        label.textContent = this.fieldRenderer.getFieldLabel(fieldName) + ':';
         fieldDiv.appendChild(label);
         
         const valueContainer = document.createElement('div');
         valueContainer.className = 'compact-value';
         
         // Check if this is a generic UUID field with no specific target
-        const fieldInfo = getFieldType(fieldName);
+        const fieldInfo = getFieldType(fieldName, this.editingType);
         const isGenericUuid = (fieldType === 'uuid' || fieldType === 'array<uuid>') && 
                                fieldInfo.related_to === null;
         
@@ -216,7 +334,7 @@ class InlineEditor {
                 const mapId = typeof value === 'object' && value !== null ? value.id : value;
                 displayValue = mapId ? `${mapId} (Required - read only)` : 'N/A';
             }
-            valueContainer.innerHTML = `<span class="readonly-value">${this.escapeHtml(displayValue || 'N/A')}</span>`;
+            valueContainer.innerHTML = `<span class="readonly-value">${escapeHtml(displayValue || 'N/A')}</span>`;
         } else {
             let input;
             
@@ -310,17 +428,6 @@ class InlineEditor {
         return date.toLocaleString();
     }
     
-    /**
-     * Escape HTML to prevent XSS
-     * @param {string} text - Text to escape
-     * @returns {string} Escaped text
-     */
-    escapeHtml(text) {
-        const div = document.createElement('div');
-        div.textContent = text;
-        return div.innerHTML;
-    }
-    
     /**
      * Clean up when leaving edit mode
      */
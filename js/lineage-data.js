@@ -0,0 +1,86 @@
+/**
+ * Lineage Data Module
+ * Builds family trees from the links between Characters and Families.
+ * Characters have no parent field, so lineage runs through families: a
+ * character belongs to families (`family`), and a family names the characters
+ * it descends from (`ancestors`). Going up from a character leads to its
+ * families and their ancestors; going down leads to the families that name it
+ * as an ancestor and their members.
+ */
+
+import { getLinkIds } from './field-types.js';
+
+// Types whose names show up next to people and families in the tree
+const DETAIL_TYPES = ['location', 'object', 'construct'];
+
+// Links followed from each node type, per direction
+const LINEAGE_LINKS = {
+    ancestors: {
+        character: { type: 'family', relation: 'Family', label: 'Add a family' },
+        family: { type: 'character', relation: 'Ancestor', label: 'Add an ancestor' }
+    },
+    descendants: {
+        character: { type: 'family', relation: 'Descendant family', label: 'Add a descendant family' },
+        family: { type: 'character', relation: 'Member', label: 'Add a member' }
+    }
+};
+
+/**
+ * Load the characters and families of the current world, and the names of
+ * the elements shown alongside them
+ * @param {Object} api - API service
+ * @returns {Promise<Object>} { character: Map, family: Map, names: Map<id, name> }
+ */
+async function loadLineage(api) {
+    const [characters, families, ...details] = await Promise.all(
+        ['character', 'family', ...DETAIL_TYPES].map(type => api.getElements(type))
+    );
+    
+    const names = new Map();
+    [characters, families, ...details].forEach(elements => {
+        elements.forEach(element => names.set(element.id, element.name || 'Unnamed'));
+    });
+    
+    return {
+        character: new Map(characters.map(element => [element.id, element])),
+        family: new Map(families.map(element => [element.id, element])),
+        names
+    };
+}
+
+/**
+ * Get the next generation of a node in the tree
+ * @param {Object} data - Result of loadLineage
+ * @param {Object} node - { type: 'character'|'family', id }
+ * @param {string} mode - 'ancestors' or 'descendants'
+ * @returns {Array} Related nodes: { type, id, relation }, sorted by name
+ */
+function getLineageChildren(data, node, mode) {
+    const element = data[node.type].get(node.id);
+    if (!element) return [];
+    
+    const { type, relation } = LINEAGE_LINKS[mode][node.type];
+    let ids;
+    
+    if (mode === 'ancestors') {
+        // A character's families, or a family's ancestors
+        const field = node.type === 'character' ? 'family' : 'ancestors';
+        ids = getLinkIds(element[field]).filter(id => data[type].has(id));
+    } else {
+        // Families naming a character as an ancestor, or a family's members
+        const field = node.type === 'character' ? 'ancestors' : 'family';
+        ids = [...data[type].values()]
+            .filter(candidate => getLinkIds(candidate[field]).includes(node.id))
+            .map(candidate => candidate.id);
+    }
+    
+    return [...new Set(ids)]
+        .map(id => ({ type, id, relation }))
+        .sort((a, b) => data.names.get(a.id).localeCompare(data.names.get(b.id)));
+}
+
+export {
+    LINEAGE_LINKS,
+    getLineageChildren,
+    loadLineage
+};
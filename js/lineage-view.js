@@ -0,0 +1,496 @@
+/**
+ * Lineage View Module
+ * Family tree of a Character or Family, going up to its ancestors or down to
+ * its descendants. Branches expand and collapse, relatives can be added
+ * straight from the tree, and clicking a name opens it in the inline editor.
+ */
+
+import { saveWithConflictCheck } from './conflict-dialog.js';
+import { ONLYWORLDS } from './constants.js';
+import { getLinkIds } from './field-types.js';
+import { LINEAGE_LINKS, getLineageChildren, loadLineage } from './lineage-data.js';
+import { undoHistory } from './undo-history.js';
+
+// Generations shown when the tree opens
+const DEFAULT_DEPTH = 2;
+
+// Generations shown by "Expand all"; deeper lines stay collapsed
+const MAX_DEPTH = 12;
+
+// Links listed under each node
+const NODE_DETAILS = {
+    character: [['friends', 'Friends'], ['rivals', 'Rivals']],
+    family: [['estates', 'Estates'], ['heirlooms', 'Heirlooms'], ['traditions', 'Traditions']]
+};
+
+export class LineageView {
+    constructor(apiService) {
+        this.api = apiService;
+        this.modal = null;
+        this.data = null;
+        this.root = null;
+        this.mode = 'ancestors';
+        this.depth = DEFAULT_DEPTH;
+        this.expanded = new Map();
+        this.adding = null;
+        this.onKeydown = (e) => {
+            if (e.key === 'Escape' && !e.target.closest('.lineage-add-form')) {
+                this.close();
+            }
+        };
+    }
+    
+    /**
+     * Open the family tree
+     * @param {Object} [options] - { type, id } of the Character or Family to start from;
+     *   defaults to the element open in the viewer when it is one
+     */
+    async open({ type = null, id = null } = {}) {
+        this.close();
+        
+        if (!id) {
+            const viewer = window.elementViewer;
+            if (viewer?.selectedElement && ['character', 'family'].includes(viewer.currentCategory)) {
+                type = viewer.currentCategory;
+                id = viewer.selectedElement.id;
+            }
+        }
+        
+        const modal = document.createElement('div');
+        modal.id = 'lineage-modal';
+        modal.className = 'modal visualizer-modal';
+        modal.innerHTML = `
+            <div class="modal-content visualizer-content">
+                <div class="modal-header">
+                    <h2>Family Tree</h2>
+                    <button class="modal-close">&times;</button>
+                </div>
+                <div class="visualizer-toolbar">
+                    <input type="text" id="lineage-start" list="lineage-start-options" placeholder="Start from a character or family..." />
+                    <datalist id="lineage-start-options"></datalist>
+                    <select id="lineage-mode">
+                        <option value="ancestors">Ancestors</option>
+                        <option value="descendants">Descendants</option>
+                    </select>
+                    <button type="button" id="lineage-expand" class="btn btn-secondary btn-small">Expand all</button>
+                    <button type="button" id="lineage-collapse" class="btn btn-secondary btn-small">Collapse all</button>
+                    <label class="lineage-social">
+                        <input type="checkbox" id="lineage-social" /> Friends and rivals
+                    </label>
+                    <span id="lineage-status" class="visualizer-status"></span>
+                </div>
+                <div id="lineage-tree" class="lineage-tree"></div>
+            </div>
+        `;
+        
+        document.body.appendChild(modal);
+        this.modal = modal;
+        
+        modal.querySelector('.modal-close').addEventListener('click', () => this.close());
+        modal.addEventListener('click', (e) => {
+            if (e.target === modal) this.close();
+        });
+        document.addEventListener('keydown', this.onKeydown);
+        
+        modal.querySelector('#lineage-start').addEventListener('change', (e) => {
+            const option = [...modal.querySelectorAll('#lineage-start-options option')]
+                .find(candidate => candidate.value === e.target.value);
+            if (option) {
+                this.setRoot({ type: option.dataset.type, id: option.dataset.id });
+            }
+        });
+        
+        const modeSelect = modal.querySelector('#lineage-mode');
+        modeSelect.value = this.mode;
+        modeSelect.addEventListener('change', (e) => {
+            this.mode = e.target.value;
+            this.resetExpansion(DEFAULT_DEPTH);
+        });
+        
+        modal.querySelector('#lineage-expand').addEventListener('click', () => this.resetExpansion(MAX_DEPTH));
+        modal.querySelector('#lineage-collapse').addEventListener('click', () => this.resetExpansion(1));
+        modal.querySelector('#lineage-social').addEventListener('change', () => this.render());
+        
+        this.setStatus('Loading characters and families...');
+        
+        try {
+            this.data = await loadLineage(this.api);
+        } catch (error) {
+            console.error('Could not load lineage:', error);
+            if (this.modal === modal) {
+                this.setStatus(`Could not load the world: ${error.message}`);
+            }
+            return;
+        }
+        
+        // Closed while loading
+        if (this.modal !== modal) return;
+        
+        this.renderStartOptions();
+        this.setStatus('');
+        
+        if (id && this.data[type]?.has(id)) {
+            this.setRoot({ type, id });
+        } else {
+            this.render();
+        }
+    }
+    
+    /**
+     * Close the family tree
+     */
+    close() {
+        document.removeEventListener('keydown', this.onKeydown);
+        this.adding = null;
+        
+        if (this.modal) {
+            this.modal.remove();
+            this.modal = null;
+        }
+    }
+    
+    /**
+     * Start the tree from another Character or Family
+     */
+    setRoot(node) {
+        this.root = node;
+        this.modal.querySelector('#lineage-start').value = this.getOptionLabel(node);
+        this.resetExpansion(DEFAULT_DEPTH);
+    }
+    
+    /**
+     * Show every branch down to a depth, forgetting branches opened or closed by hand
+     */
+    resetExpansion(depth) {
+        this.depth = depth;
+        this.expanded.clear();
+        this.adding = null;
+        this.render();
+    }
+    
+    /**
+     * Fill the suggestions of the start field with every character and family
+     */
+    renderStartOptions() {
+        const options = this.modal.querySelector('#lineage-start-options');
+        options.innerHTML = '';
+        
+        ['character', 'family'].forEach(type => {
+            this.data[type].forEach(element => {
+                const option = document.createElement('option');
+                option.value = this.getOptionLabel({ type, id: element.id });
+                option.dataset.type = type;
+                option.dataset.id = element.id;
+                options.appendChild(option);
+            });
+        });
+    }
+    
+    /**
+     * Text of a node in the start field
+     */
+    getOptionLabel(node) {
+        return `${this.data.names.get(node.id) || 'Unnamed'} · ${ONLYWORLDS.ELEMENT_SINGULAR[node.type]}`;
+    }
+    
+    /**
+     * Whether a branch is open
+     * Branches follow the chosen depth unless opened or closed by hand
+     */
+    isExpanded(key, depth) {
+        return this.expanded.has(key) ? this.expanded.get(key) : depth < this.depth;
+    }
+    
+    /**
+     * Draw the tree
+     */
+    render() {
+        if (!this.modal || !this.data) return;
+        
+        const tree = this.modal.querySelector('#lineage-tree');
+        tree.innerHTML = '';
+        
+        if (!this.root) {
+            tree.innerHTML = '<p class="lineage-empty">Choose a character or family to start from.</p>';
+            return;
+        }
+        
+        const list = document.createElement('ul');
+        list.className = 'lineage-level root';
+        list.appendChild(this.renderNode({ ...this.root, relation: null }, [], 0));
+        tree.appendChild(list);
+        
+        const shown = tree.querySelectorAll('.lineage-node').length;
+        this.setStatus(`${shown} ${shown === 1 ? 'entry' : 'entries'} shown`);
+    }
+    
+    /**
+     * Draw one person or family and, when open, the next generation
+     * @param {Object} node - { type, id, relation }
+     * @param {Array} path - IDs from the root down to the node's parent
+     * @param {number} depth - Generation, 0 for the root
+     */
+    renderNode(node, path, depth) {
+        const key = [...path, node.id].join('/');
+        const element = this.data[node.type].get(node.id);
+        const repeats = path.includes(node.id);
+        const children = repeats ? [] : getLineageChildren(this.data, node, this.mode);
+        const expanded = children.length > 0 && this.isExpanded(key, depth);
+        
+        const item = document.createElement('li');
+        
+        const row = document.createElement('div');
+        row.className = `lineage-node ${node.type}${repeats ? ' repeat' : ''}`;
+        row.style.setProperty('--type-color', ONLYWORLDS.ELEMENT_COLORS[node.type]);
+        
+        const toggle = document.createElement('button');
+        toggle.type = 'button';
+        toggle.className = 'lineage-toggle';
+        if (children.length > 0) {
+            toggle.innerHTML = `<span class="material-icons-outlined">${expanded ? 'expand_more' : 'chevron_right'}</span>`;
+            toggle.title = expanded ? 'Collapse' : `Show ${children.length} more`;
+            toggle.addEventListener('click', () => {
+                this.expanded.set(key, !expanded);
+                this.render();
+            });
+        } else {
+            toggle.disabled = true;
+        }
+        row.appendChild(toggle);
+        
+        const icon = document.createElement('span');
+        icon.className = 'material-icons-outlined lineage-icon';
+        icon.textContent = ONLYWORLDS.ELEMENT_ICONS[node.type];
+        row.appendChild(icon);
+        
+        const name = document.createElement('button');
+        name.type = 'button';
+        name.className = 'lineage-name';
+        name.textContent = element?.name || 'Unnamed';
+        name.title = `Open ${ONLYWORLDS.ELEMENT_SINGULAR[node.type].toLowerCase()}`;
+        name.addEventListener('click', () => this.openElement(node));
+        row.appendChild(name);
+        
+        if (node.relation) {
+            const relation = document.createElement('span');
+            relation.className = 'lineage-relation';
+            relation.textContent = node.relation;
+            row.appendChild(relation);
+        }
+        
+        if (repeats) {
+            const note = document.createElement('span');
+            note.className = 'lineage-relation';
+            note.textContent = '(already shown above)';
+            row.appendChild(note);
+        } else {
+            const link = LINEAGE_LINKS[this.mode][node.type];
+            const add = document.createElement('button');
+            add.type = 'button';
+            add.className = 'lineage-add btn-icon';
+            add.title = link.label;
+            add.innerHTML = '<span class="material-icons-outlined">add</span>';
+            add.addEventListener('click', () => {
+                this.adding = key;
+                this.expanded.set(key, true);
+                this.render();
+            });
+            row.appendChild(add);
+        }
+        
+        item.appendChild(row);
+        
+        const details = this.getDetails(node, element);
+        if (details) {
+            const detailLine = document.createElement('div');
+            detailLine.className = 'lineage-details';
+            detailLine.textContent = details;
+            item.appendChild(detailLine);
+        }
+        
+        if (expanded || this.adding === key) {
+            const list = document.createElement('ul');
+            list.className = 'lineage-level';
+            
+            if (expanded) {
+                children.forEach(child => {
+                    list.appendChild(this.renderNode(child, [...path, node.id], depth + 1));
+                });
+            }
+            
+            if (this.adding === key) {
+                list.appendChild(this.renderAddForm(node));
+            }
+            
+            item.appendChild(list);
+        }
+        
+        return item;
+    }
+    
+    /**
+     * Summarize the links listed under a node, e.g. a family's estates
+     * Friends and rivals only show when asked for
+     */
+    getDetails(node, element) {
+        if (!element) return '';
+        if (node.type === 'character' && !this.modal.querySelector('#lineage-social').checked) return '';
+        
+        return NODE_DETAILS[node.type]
+            .map(([field, label]) => {
+                const names = getLinkIds(element[field])
+                    .map(id => this.data.names.get(id))
+                    .filter(Boolean);
+                return names.length > 0 ? `${label}: ${names.join(', ')}` : null;
+            })
+            .filter(Boolean)
+            .join(' · ');
+    }
+    
+    /**
+     * Inline form that adds a relative under a node
+     */
+    renderAddForm(node) {
+        const link = LINEAGE_LINKS[this.mode][node.type];
+        
+        const item = document.createElement('li');
+        const form = document.createElement('form');
+        form.className = 'lineage-add-form';
+        form.innerHTML = `
+            <span class="material-icons-outlined lineage-icon">${ONLYWORLDS.ELEMENT_ICONS[link.type]}</span>
+            <input type="text" required />
+            <button type="submit" class="btn btn-primary btn-small">Add</button>
+            <button type="button" class="btn btn-secondary btn-small lineage-add-cancel">Cancel</button>
+        `;
+        
+        const input = form.querySelector('input');
+        input.placeholder = `Name of the new ${ONLYWORLDS.ELEMENT_SINGULAR[link.type].toLowerCase()}`;
+        
+        const cancel = () => {
+            this.adding = null;
+            this.render();
+        };
+        
+        form.querySelector('.lineage-add-cancel').addEventListener('click', cancel);
+        input.addEventListener('keydown', (e) => {
+            if (e.key === 'Escape') cancel();
+        });
+        form.addEventListener('submit', async (e) => {
+            e.preventDefault();
+            
+            const name = input.value.trim();
+            if (!name) return;
+            
+            form.querySelectorAll('input, button').forEach(control => {
+                control.disabled = true;
+            });
+            await this.addRelative(node, name);
+        });
+        
+        item.appendChild(form);
+        setTimeout(() => input.focus(), 0);
+        return item;
+    }
+    
+    /**
+     * Create a relative and link it to a node
+     * Going up, the node gets a new family or ancestor; going down, the new
+     * family names the node as an ancestor, or the new character joins the family.
+     * A relative whose link is turned down in the conflict dialog is deleted again.
+     */
+    async addRelative(node, name) {
+        const { type } = LINEAGE_LINKS[this.mode][node.type];
+        const parent = this.data[node.type].get(node.id);
+        const data = { name };
+        
+        if (this.mode === 'descendants') {
+            data[node.type === 'character' ? 'ancestors' : 'family'] = [node.id];
+        }
+        
+        try {
+            const created = await this.api.createElement(type, data);
+            let link = null;
+            
+            if (this.mode === 'ancestors') {
+                const field = node.type === 'character' ? 'family' : 'ancestors';
+                const before = parent[field] ?? null;
+                const after = [...getLinkIds(before), created.id];
+                
+                const saved = await saveWithConflictCheck(this.api, node.type, parent, { [field]: after });
+                if (saved) {
+                    this.data[node.type].set(node.id, saved.element);
+                }
+                
+                if (!saved || !(field in saved.updates)) {
+                    await this.api.deleteElement(type, created.id);
+                    this.adding = null;
+                    this.render();
+                    alert(`"${created.name}" was not added, since "${parent.name}" was kept as changed elsewhere.`);
+                    return;
+                }
+                
+                link = {
+                    action: 'update',
+                    type: node.type,
+                    id: node.id,
+                    name: parent.name,
+                    before: { [field]: before },
+                    after: { [field]: after },
+                    label: `Link "${created.name}" to "${parent.name}"`
+                };
+            }
+            
+            undoHistory.record({
+                action: 'create',
+                type,
+                id: created.id,
+                name: created.name,
+                element: created
+            });
+            if (link) {
+                undoHistory.record(link);
+            }
+            
+            this.data[type].set(created.id, created);
+            this.data.names.set(created.id, created.name || 'Unnamed');
+            window.elementViewer?.updateCategoryCount(type);
+            
+            const viewer = window.elementViewer;
+            if (this.mode === 'ancestors' && viewer?.selectedElement?.id === node.id) {
+                await viewer.selectElement(this.data[node.type].get(node.id));
+            }
+            
+            this.renderStartOptions();
+        } catch (error) {
+            console.error('Could not add relative:', error);
+            alert(`Could not add "${name}": ${error.message}`);
+        }
+        
+        this.adding = null;
+        this.render();
+    }
+    
+    /**
+     * Close the tree and show an element in the inline editor
+     */
+    async openElement(node) {
+        this.close();
+        
+        try {
+            await window.elementViewer?.openElement(node.type, node.id);
+        } catch (error) {
+            console.error('Could not open element:', error);
+            alert(`Could not open the element: ${error.message}`);
+        }
+    }
+    
+    /**
+     * Show a message in the toolbar
+     */
+    setStatus(message) {
+        const status = this.modal?.querySelector('#lineage-status');
+        if (status) {
+            status.textContent = message;
+        }
+    }
+}
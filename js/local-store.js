@@ -0,0 +1,358 @@
+/**
+ * Local Store Module
+ * Persistent element cache backed by IndexedDB, keyed by world and type,
+ * plus the outbox of writes waiting to be sent to the API, the trash and
+ * per-element revision history
+ * Every method quietly does nothing when IndexedDB isn't available
+ */
+
+const DB_NAME = 'onlyworlds-tool';
+const DB_VERSION = 4;
+
+class LocalStore {
+    constructor() {
+        this.dbPromise = null;
+    }
+    
+    /**
+     * Open (and create on first use) the database
+     * @returns {Promise<IDBDatabase|null>} Database, or null when IndexedDB is unavailable
+     */
+    open() {
+        if (!this.dbPromise) {
+            this.dbPromise = new Promise((resolve) => {
+                if (typeof indexedDB === 'undefined') {
+                    resolve(null);
+                    return;
+                }
+                
+                const request = indexedDB.open(DB_NAME, DB_VERSION);
+                
+                request.onupgradeneeded = (event) => {
+                    const db = request.result;
+                    
+                    if (event.oldVersion < 1) {
+                        // Elements are keyed [world, type, id] so a whole category is one key range
+                        db.createObjectStore('elements', { keyPath: ['world', 'type', 'id'] });
+                        // One record per fully cached category
+                        db.createObjectStore('categories', { keyPath: ['world', 'type'] });
+                    }
+                    
+                    if (event.oldVersion < 2) {
+                        // Queued offline writes; the auto-incremented key keeps them in order
+                        db.createObjectStore('outbox', { keyPath: 'seq', autoIncrement: true });
+                    }
+                    
+                    if (event.oldVersion < 3) {
+                        // Snapshots of deleted elements, restorable with their original IDs
+                        db.createObjectStore('trash', { keyPath: ['world', 'type', 'id'] });
+                    }
+                    
+                    if (event.oldVersion < 4) {
+                        // Field-level change log, looked up per element
+                        const revisions = db.createObjectStore('revisions', { keyPath: 'seq', autoIncrement: true });
+                        revisions.createIndex('element', ['world', 'type', 'elementId']);
+                    }
+                };
+                
+                request.onsuccess = () => resolve(request.result);
+                request.onerror = () => {
+                    console.warn('IndexedDB unavailable, local cache disabled:', request.error);
+                    resolve(null);
+                };
+            });
+        }
+        
+        return this.dbPromise;
+    }
+    
+    /**
+     * Get a cached category
+     * @param {string} world - World ID
+     * @param {string} type - Element type
+     * @returns {Promise<Object|null>} { elements, fetchedAt }, or null if the category isn't cached
+     */
+    async getCategory(world, type) {
+        const db = await this.open();
+        if (!db) return null;
+        
+        const tx = db.transaction(['categories', 'elements'], 'readonly');
+        const meta = await this.request(tx.objectStore('categories').get([world, type]));
+        if (!meta) return null;
+        
+        const records = await this.request(tx.objectStore('elements').getAll(this.categoryRange(world, type)));
+        
+        return {
+            elements: records.map(record => record.data),
+            fetchedAt: meta.fetchedAt
+        };
+    }
+    
+    /**
+     * Replace a whole cached category
+     * @param {string} world - World ID
+     * @param {string} type - Element type
+     * @param {Array} elements - Every element of the category
+     */
+    async putCategory(world, type, elements) {
+        const db = await this.open();
+        if (!db) return;
+        
+        const tx = db.transaction(['categories', 'elements'], 'readwrite');
+        const store = tx.objectStore('elements');
+        
+        store.delete(this.categoryRange(world, type));
+        elements.forEach(element => store.put(this.toRecord(world, type, element)));
+        tx.objectStore('categories').put({ world, type, fetchedAt: Date.now() });
+        
+        await this.complete(tx);
+    }
+    
+    /**
+     * Apply a partial refresh to a cached category
+     * @param {string} world - World ID
+     * @param {string} type - Element type
+     * @param {Array} changed - New or updated elements
+     * @param {Array<string>} removedIds - IDs of elements that no longer exist
+     */
+    async updateCategory(world, type, changed, removedIds) {
+        const db = await this.open();
+        if (!db) return;
+        
+        const tx = db.transaction(['categories', 'elements'], 'readwrite');
+        const store = tx.objectStore('elements');
+        
+        changed.forEach(element => store.put(this.toRecord(world, type, element)));
+        removedIds.forEach(id => store.delete([world, type, id]));
+        tx.objectStore('categories').put({ world, type, fetchedAt: Date.now() });
+        
+        await this.complete(tx);
+    }
+    
+    /**
+     * Get a single cached element
+     * @returns {Promise<Object|null>} The element, or null if not cached
+     */
+    async getElement(world, type, id) {
+        const db = await this.open();
+        if (!db) return null;
+        
+        const tx = db.transaction('elements', 'readonly');
+        const record = await this.request(tx.objectStore('elements').get([world, type, id]));
+        
+        return record ? record.data : null;
+    }
+    
+    /**
+     * Store a single element
+     */
+    async putElement(world, type, element) {
+        const db = await this.open();
+        if (!db) return;
+        
+        const tx = db.transaction('elements', 'readwrite');
+        tx.objectStore('elements').put(this.toRecord(world, type, element));
+        
+        await this.complete(tx);
+    }
+    
+    /**
+     * Remove a single element
+     */
+    async deleteElement(world, type, id) {
+        const db = await this.open();
+        if (!db) return;
+        
+        const tx = db.transaction('elements', 'readwrite');
+        tx.objectStore('elements').delete([world, type, id]);
+        
+        await this.complete(tx);
+    }
+    
+    /**
+     * Get the key of every cached element, across all worlds
+     * @returns {Promise<Array>} [world, type, id] keys
+     */
+    async getElementKeys() {
+        const db = await this.open();
+        if (!db) return [];
+        
+        const tx = db.transaction('elements', 'readonly');
+        return await this.request(tx.objectStore('elements').getAllKeys());
+    }
+    
+    /**
+     * Get every queued outbox entry, oldest first
+     * @returns {Promise<Array>} Outbox entries
+     */
+    async getOutbox() {
+        const db = await this.open();
+        if (!db) return [];
+        
+        const tx = db.transaction('outbox', 'readonly');
+        return this.request(tx.objectStore('outbox').getAll());
+    }
+    
+    /**
+     * Add an entry to the outbox
+     * @param {Object} entry - Entry without a seq
+     * @returns {Promise<number|null>} The assigned seq, or null without IndexedDB
+     */
+    async addOutboxEntry(entry) {
+        const db = await this.open();
+        if (!db) return null;
+        
+        const tx = db.transaction('outbox', 'readwrite');
+        const seq = await this.request(tx.objectStore('outbox').add(entry));
+        await this.complete(tx);
+        
+        return seq;
+    }
+    
+    /**
+     * Overwrite an existing outbox entry
+     */
+    async putOutboxEntry(entry) {
+        const db = await this.open();
+        if (!db) return;
+        
+        const tx = db.transaction('outbox', 'readwrite');
+        tx.objectStore('outbox').put(entry);
+        
+        await this.complete(tx);
+    }
+    
+    /**
+     * Remove an outbox entry
+     */
+    async deleteOutboxEntry(seq) {
+        const db = await this.open();
+        if (!db) return;
+        
+        const tx = db.transaction('outbox', 'readwrite');
+        tx.objectStore('outbox').delete(seq);
+        
+        await this.complete(tx);
+    }
+    
+    /**
+     * Get every trashed element of every world
+     * @returns {Promise<Array>} Trash entries
+     */
+    async getTrash() {
+        const db = await this.open();
+        if (!db) return [];
+        
+        const tx = db.transaction('trash', 'readonly');
+        return this.request(tx.objectStore('trash').getAll());
+    }
+    
+    /**
+     * Store a trash entry
+     */
+    async putTrashEntry(entry) {
+        const db = await this.open();
+        if (!db) return;
+        
+        const tx = db.transaction('trash', 'readwrite');
+        tx.objectStore('trash').put(entry);
+        
+        await this.complete(tx);
+    }
+    
+    /**
+     * Remove a trash entry
+     */
+    async deleteTrashEntry(world, type, id) {
+        const db = await this.open();
+        if (!db) return;
+        
+        const tx = db.transaction('trash', 'readwrite');
+        tx.objectStore('trash').delete([world, type, id]);
+        
+        await this.complete(tx);
+    }
+    
+    /**
+     * Add a revision
+     * @param {Object} revision - Revision without a seq
+     * @returns {Promise<number|null>} The assigned seq, or null without IndexedDB
+     */
+    async addRevision(revision) {
+        const db = await this.open();
+        if (!db) return null;
+        
+        const tx = db.transaction('revisions', 'readwrite');
+        const seq = await this.request(tx.objectStore('revisions').add(revision));
+        await this.complete(tx);
+        
+        return seq;
+    }
+    
+    /**
+     * Get the revisions of one element, oldest first
+     * @returns {Promise<Array>} Revisions
+     */
+    async getRevisions(world, type, elementId) {
+        const db = await this.open();
+        if (!db) return [];
+        
+        const tx = db.transaction('revisions', 'readonly');
+        const index = tx.objectStore('revisions').index('element');
+        return this.request(index.getAll([world, type, elementId]));
+    }
+    
+    /**
+     * Remove all locally cached element data for every world
+     * The outbox, trash and revisions are left alone: they hold data that exists nowhere else
+     */
+    async clear() {
+        const db = await this.open();
+        if (!db) return;
+        
+        const tx = db.transaction(['categories', 'elements'], 'readwrite');
+        tx.objectStore('categories').clear();
+        tx.objectStore('elements').clear();
+        
+        await this.complete(tx);
+    }
+    
+    /**
+     * Key range covering every element of one category
+     * Arrays sort after strings in IndexedDB, so [world, type, []] is above any ID
+     */
+    categoryRange(world, type) {
+        return IDBKeyRange.bound([world, type], [world, type, []]);
+    }
+    
+    /**
+     * Wrap an element in a store record
+     */
+    toRecord(world, type, element) {
+        return { world, type, id: element.id, updated_at: element.updated_at || null, data: element };
+    }
+    
+    /**
+     * Promise for an IDBRequest result
+     */
+    request(request) {
+        return new Promise((resolve, reject) => {
+            request.onsuccess = () => resolve(request.result);
+            request.onerror = () => reject(request.error);
+        });
+    }
+    
+    /**
+     * Promise that resolves when a transaction commits
+     */
+    complete(tx) {
+        return new Promise((resolve, reject) => {
+            tx.oncomplete = () => resolve();
+            tx.onerror = () => reject(tx.error);
+            tx.onabort = () => reject(tx.error);
+        });
+    }
+}
+
+// Create and export singleton instance
+export const localStore = new LocalStore();
\ No newline at end of file
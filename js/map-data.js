@@ -0,0 +1,93 @@
+/**
+ * Map Data Module
+ * Loads what the map viewer shows for one Map: its Pins and Markers, the
+ * elements its Pins point at, and the maps above and below it
+ */
+
+import { ONLYWORLDS } from './constants.js';
+import { getLinkIds } from './field-types.js';
+
+/**
+ * Get the element type a Pin's numeric element_type stands for
+ * Types are numbered 1-22 in alphabetical order, the order of ELEMENT_TYPES
+ * @param {number} number - Value of element_type
+ * @returns {string|null} Element type, or null if the number is out of range
+ */
+function getPinElementType(number) {
+    return ONLYWORLDS.ELEMENT_TYPES[Number(number) - 1] || null;
+}
+
+/**
+ * Get the numeric element_type of an element type, for new Pins
+ * @param {string} type - Element type
+ * @returns {number} Number from 1 to 22
+ */
+function getPinTypeNumber(type) {
+    return ONLYWORLDS.ELEMENT_TYPES.indexOf(type) + 1;
+}
+
+/**
+ * Load a map with everything placed on it
+ * @param {Object} api - API service
+ * @param {string} mapId - ID of the Map
+ * @returns {Promise<Object>} { map, maps, parents, children, pins, markers }
+ *   parents runs from the top-level map down to the map's direct parent;
+ *   pins are { pin, target } with target { type, id, name } or null when unresolved
+ */
+async function loadMap(api, mapId) {
+    const maps = await api.getElements('map');
+    const map = maps.find(candidate => candidate.id === mapId);
+    if (!map) {
+        throw new Error('Map not found');
+    }
+    
+    const byId = new Map(maps.map(candidate => [candidate.id, candidate]));
+    const parents = [];
+    let parentId = getLinkIds(map.parent_map)[0];
+    
+    // Stop at a cycle rather than looping forever
+    while (parentId && byId.has(parentId) && parentId !== mapId && !parents.some(parent => parent.id === parentId)) {
+        const parent = byId.get(parentId);
+        parents.unshift(parent);
+        parentId = getLinkIds(parent.parent_map)[0];
+    }
+    
+    const children = maps.filter(candidate => getLinkIds(candidate.parent_map)[0] === mapId);
+    const onMap = element => getLinkIds(element.map)[0] === mapId;
+    
+    const [allPins, allMarkers] = await Promise.all([api.getElements('pin'), api.getElements('marker')]);
+    const pins = allPins.filter(onMap);
+    const markers = allMarkers.filter(onMap);
+    
+    // Load each linked type once rather than fetching every target on its own
+    const targetTypes = [...new Set(pins.map(pin => getPinElementType(pin.element_type)).filter(Boolean))];
+    const targets = new Map();
+    await Promise.all(targetTypes.map(async type => {
+        const elements = await api.getElements(type);
+        elements.forEach(element => targets.set(`${type}:${element.id}`, element));
+    }));
+    
+    return {
+        map,
+        maps,
+        parents,
+        children,
+        markers,
+        pins: pins.map(pin => {
+            const type = getPinElementType(pin.element_type);
+            const id = getLinkIds(pin.element_id)[0];
+            const element = targets.get(`${type}:${id}`);
+            
+            return {
+                pin,
+                target: element ? { type, id, name: element.name || 'Unnamed' } : null
+            };
+        })
+    };
+}
+
+export {
+    getPinElementType,
+    getPinTypeNumber,
+    loadMap
+};
@@ -0,0 +1,666 @@
+/**
+ * Map View Module
+ * Shows a Map's image with its Pins and Markers at their coordinates. Pins show
+ * the icon and name of the element they point at. Drag a pin or marker to move
+ * it, click the map to add a pin, and move between parent and child maps.
+ */
+
+import { saveWithConflictCheck } from './conflict-dialog.js';
+import { ONLYWORLDS } from './constants.js';
+import { getPinTypeNumber, loadMap } from './map-data.js';
+import { undoHistory } from './undo-history.js';
+
+// Size of a map without an image or dimensions
+const DEFAULT_SIZE = 1000;
+
+// Pointer travel, in pixels, that turns a click into a drag
+const DRAG_THRESHOLD = 4;
+
+// Types a new pin can point at; pins on pins are left out
+const PIN_TARGET_TYPES = ONLYWORLDS.ELEMENT_TYPES.filter(type => type !== 'pin');
+
+export class MapView {
+    constructor(apiService) {
+        this.api = apiService;
+        this.modal = null;
+        this.data = null;
+        this.mapId = null;
+        this.imageSize = { width: DEFAULT_SIZE, height: DEFAULT_SIZE };
+        this.transform = { x: 0, y: 0, k: 1 };
+        this.pointer = null;
+        this.onKeydown = (e) => {
+            if (e.key !== 'Escape') return;
+            
+            if (this.modal?.querySelector('.map-pin-form')) {
+                this.closePinForm();
+            } else {
+                this.close();
+            }
+        };
+    }
+    
+    /**
+     * Open the map viewer
+     * @param {Object} [options] - { mapId } to show; defaults to the first top-level map
+     */
+    async open({ mapId = null } = {}) {
+        this.close();
+        
+        const modal = document.createElement('div');
+        modal.id = 'map-modal';
+        modal.className = 'modal visualizer-modal';
+        modal.innerHTML = `
+            <div class="modal-content visualizer-content">
+                <div class="modal-header">
+                    <h2>Map</h2>
+                    <button class="modal-close">&times;</button>
+                </div>
+                <div class="visualizer-toolbar">
+                    <select id="map-select" title="Choose a map"></select>
+                    <nav id="map-breadcrumbs" class="map-breadcrumbs"></nav>
+                    <span class="visualizer-hint">Click the map to add a pin, drag pins to move them</span>
+                    <span id="map-status" class="visualizer-status"></span>
+                </div>
+                <div id="map-children" class="map-children hidden"></div>
+                <div class="map-stage">
+                    <div class="map-world">
+                        <img class="map-image hidden" alt="" draggable="false" />
+                        <div class="map-placeholder hidden"></div>
+                        <div class="map-items"></div>
+                    </div>
+                </div>
+            </div>
+        `;
+        
+        document.body.appendChild(modal);
+        this.modal = modal;
+        
+        modal.querySelector('.modal-close').addEventListener('click', () => this.close());
+        modal.addEventListener('click', (e) => {
+            if (e.target === modal) this.close();
+        });
+        document.addEventListener('keydown', this.onKeydown);
+        
+        modal.querySelector('#map-select').addEventListener('change', (e) => {
+            this.showMap(e.target.value);
+        });
+        
+        this.attachInteractions(modal.querySelector('.map-stage'));
+        
+        if (!mapId) {
+            this.setStatus('Loading maps...');
+            try {
+                const maps = await this.api.getElements('map');
+                const topLevel = maps.filter(map => !map.parent_map);
+                mapId = (topLevel[0] || maps[0])?.id || null;
+            } catch (error) {
+                console.error('Could not load maps:', error);
+                this.setStatus(`Could not load maps: ${error.message}`);
+                return;
+            }
+        }
+        
+        if (this.modal !== modal) return;
+        
+        if (!mapId) {
+            this.setStatus('This world has no maps yet');
+            return;
+        }
+        
+        await this.showMap(mapId);
+    }
+    
+    /**
+     * Close the map viewer
+     */
+    close() {
+        document.removeEventListener('keydown', this.onKeydown);
+        this.pointer = null;
+        
+        if (this.modal) {
+            this.modal.remove();
+            this.modal = null;
+        }
+    }
+    
+    /**
+     * Load a map and draw it with its pins and markers
+     */
+    async showMap(mapId) {
+        this.mapId = mapId;
+        this.closePinForm();
+        this.setStatus('Loading map...');
+        
+        let data;
+        try {
+            data = await loadMap(this.api, mapId);
+        } catch (error) {
+            console.error('Could not load map:', error);
+            if (this.mapId === mapId) {
+                this.setStatus(`Could not load the map: ${error.message}`);
+            }
+            return;
+        }
+        
+        // Another map was chosen, or the viewer closed, while this one loaded
+        if (!this.modal || this.mapId !== mapId) return;
+        
+        this.data = data;
+        this.modal.querySelector('h2').textContent = data.map.name || 'Map';
+        this.renderNavigation();
+        
+        await this.loadImage();
+        if (!this.modal || this.mapId !== mapId) return;
+        
+        this.fitView();
+        this.renderItems();
+        this.updateStatus();
+    }
+    
+    /**
+     * Fill the map choice, the path of parent maps and the child maps
+     */
+    renderNavigation() {
+        const { map, maps, parents, children } = this.data;
+        
+        const select = this.modal.querySelector('#map-select');
+        select.innerHTML = '';
+        [...maps].sort((a, b) => (a.name || '').localeCompare(b.name || '')).forEach(candidate => {
+            const option = document.createElement('option');
+            option.value = candidate.id;
+            option.textContent = candidate.name || 'Unnamed';
+            option.selected = candidate.id === map.id;
+            select.appendChild(option);
+        });
+        
+        const breadcrumbs = this.modal.querySelector('#map-breadcrumbs');
+        breadcrumbs.innerHTML = '';
+        [...parents, map].forEach((step, index) => {
+            if (index > 0) {
+                breadcrumbs.appendChild(document.createTextNode(' › '));
+            }
+            
+            if (step.id === map.id) {
+                const current = document.createElement('span');
+                current.textContent = step.name || 'Unnamed';
+                breadcrumbs.appendChild(current);
+            } else {
+                breadcrumbs.appendChild(this.createMapLink(step));
+            }
+        });
+        
+        const childList = this.modal.querySelector('#map-children');
+        childList.innerHTML = '';
+        childList.classList.toggle('hidden', children.length === 0);
+        if (children.length > 0) {
+            const label = document.createElement('span');
+            label.className = 'map-children-label';
+            label.textContent = 'Child maps:';
+            childList.appendChild(label);
+            children.forEach(child => childList.appendChild(this.createMapLink(child)));
+        }
+    }
+    
+    /**
+     * A button that shows another map
+     */
+    createMapLink(map) {
+        const link = document.createElement('button');
+        link.type = 'button';
+        link.className = 'map-link';
+        link.innerHTML = `<span class="material-icons-outlined">${ONLYWORLDS.ELEMENT_ICONS.map}</span>`;
+        link.appendChild(document.createTextNode(map.name || 'Unnamed'));
+        link.addEventListener('click', () => this.showMap(map.id));
+        return link;
+    }
+    
+    /**
+     * Load the map's image, falling back to a blank area of the map's size
+     */
+    async loadImage() {
+        const { map } = this.data;
+        const image = this.modal.querySelector('.map-image');
+        const placeholder = this.modal.querySelector('.map-placeholder');
+        
+        const loaded = map.image_url && await new Promise(resolve => {
+            image.onload = () => resolve(true);
+            image.onerror = () => resolve(false);
+            image.src = map.image_url;
+        });
+        
+        if (loaded) {
+            this.imageSize = { width: image.naturalWidth, height: image.naturalHeight };
+        } else {
+            image.removeAttribute('src');
+            this.imageSize = {
+                width: Number(map.width) || DEFAULT_SIZE,
+                height: Number(map.height) || DEFAULT_SIZE
+            };
+            placeholder.textContent = map.image_url ? 'The map image could not be loaded' : 'This map has no image';
+        }
+        
+        image.classList.toggle('hidden', !loaded);
+        placeholder.classList.toggle('hidden', Boolean(loaded));
+        
+        const world = this.modal.querySelector('.map-world');
+        world.style.width = `${this.imageSize.width}px`;
+        world.style.height = `${this.imageSize.height}px`;
+    }
+    
+    /**
+     * Size of the map's coordinate space
+     * Pin coordinates use the map's width and height when it has them, else image pixels
+     */
+    getCoordinateSize() {
+        const { map } = this.data;
+        const width = Number(map.width);
+        const height = Number(map.height);
+        return width > 0 && height > 0 ? { width, height } : this.imageSize;
+    }
+    
+    /**
+     * Convert map coordinates to image pixels
+     */
+    toImage(x, y) {
+        const size = this.getCoordinateSize();
+        return {
+            left: (Number(x) || 0) * this.imageSize.width / size.width,
+            top: (Number(y) || 0) * this.imageSize.height / size.height
+        };
+    }
+    
+    /**
+     * Map coordinates under a point on the screen, rounded to whole units
+     */
+    toCoordinates(clientX, clientY) {
+        const rect = this.modal.querySelector('.map-stage').getBoundingClientRect();
+        const size = this.getCoordinateSize();
+        const left = (clientX - rect.left - this.transform.x) / this.transform.k;
+        const top = (clientY - rect.top - this.transform.y) / this.transform.k;
+        
+        return {
+            x: Math.round(left * size.width / this.imageSize.width),
+            y: Math.round(top * size.height / this.imageSize.height)
+        };
+    }
+    
+    /**
+     * Zoom so the whole map fits
+     */
+    fitView() {
+        const stage = this.modal.querySelector('.map-stage');
+        const k = Math.min(stage.clientWidth / this.imageSize.width, stage.clientHeight / this.imageSize.height) || 1;
+        
+        this.transform = {
+            k,
+            x: (stage.clientWidth - this.imageSize.width * k) / 2,
+            y: (stage.clientHeight - this.imageSize.height * k) / 2
+        };
+        this.applyTransform();
+    }
+    
+    /**
+     * Apply the pan and zoom; pins keep their size on screen
+     */
+    applyTransform() {
+        const { x, y, k } = this.transform;
+        const world = this.modal.querySelector('.map-world');
+        world.style.transform = `translate(${x}px, ${y}px) scale(${k})`;
+        world.style.setProperty('--inverse-scale', 1 / k);
+    }
+    
+    /**
+     * Draw the pins and markers
+     */
+    renderItems() {
+        const layer = this.modal.querySelector('.map-items');
+        layer.innerHTML = '';
+        
+        this.data.markers.forEach(marker => {
+            layer.appendChild(this.createItem('marker', marker, {
+                icon: ONLYWORLDS.ELEMENT_ICONS.marker,
+                label: marker.name || 'Unnamed',
+                title: `${marker.name || 'Unnamed'} (Marker)`
+            }));
+        });
+        
+        this.data.pins.forEach(({ pin, target }) => {
+            layer.appendChild(this.createItem('pin', pin, {
+                icon: target ? ONLYWORLDS.ELEMENT_ICONS[target.type] : ONLYWORLDS.ELEMENT_ICONS.pin,
+                color: target ? ONLYWORLDS.ELEMENT_COLORS[target.type] : null,
+                label: target ? target.name : (pin.name || 'Unnamed'),
+                title: target
+                    ? `${target.name} (${ONLYWORLDS.ELEMENT_SINGULAR[target.type]}) - pin "${pin.name || 'Unnamed'}"`
+                    : `${pin.name || 'Unnamed'} (Pin - linked element not found)`
+            }));
+        });
+    }
+    
+    /**
+     * Create the element for one pin or marker
+     */
+    createItem(kind, element, { icon, color, label, title }) {
+        const item = document.createElement('div');
+        item.className = `map-item map-${kind}`;
+        item.dataset.kind = kind;
+        item.dataset.id = element.id;
+        item.title = title;
+        if (color) {
+            item.style.setProperty('--item-color', color);
+        }
+        
+        const { left, top } = this.toImage(element.x, element.y);
+        item.style.left = `${left}px`;
+        item.style.top = `${top}px`;
+        
+        item.innerHTML = `
+            <span class="material-icons-outlined">${icon}</span>
+            <span class="map-item-name"></span>
+        `;
+        item.querySelector('.map-item-name').textContent = label;
+        
+        return item;
+    }
+    
+    /**
+     * Pan by dragging the map, zoom with the wheel, drag pins to move them,
+     * click a pin to open its element and click the map to add a pin
+     */
+    attachInteractions(stage) {
+        stage.addEventListener('wheel', (e) => {
+            if (!this.data) return;
+            e.preventDefault();
+            
+            const rect = stage.getBoundingClientRect();
+            const px = e.clientX - rect.left;
+            const py = e.clientY - rect.top;
+            const k = Math.min(8, Math.max(0.05, this.transform.k * (e.deltaY < 0 ? 1.15 : 1 / 1.15)));
+            
+            // Keep the point under the pointer in place
+            this.transform.x = px - (px - this.transform.x) * (k / this.transform.k);
+            this.transform.y = py - (py - this.transform.y) * (k / this.transform.k);
+            this.transform.k = k;
+            this.applyTransform();
+        }, { passive: false });
+        
+        stage.addEventListener('pointerdown', (e) => {
+            if (!this.data || e.button !== 0 || e.target.closest('.map-pin-form')) return;
+            
+            this.closePinForm();
+            stage.setPointerCapture(e.pointerId);
+            
+            this.pointer = {
+                item: e.target.closest('.map-item'),
+                clientX: e.clientX,
+                clientY: e.clientY,
+                x: this.transform.x,
+                y: this.transform.y,
+                moved: false
+            };
+        });
+        
+        stage.addEventListener('pointermove', (e) => {
+            const pointer = this.pointer;
+            if (!pointer) return;
+            
+            const dx = e.clientX - pointer.clientX;
+            const dy = e.clientY - pointer.clientY;
+            if (Math.abs(dx) + Math.abs(dy) > DRAG_THRESHOLD) {
+                pointer.moved = true;
+            }
+            if (!pointer.moved) return;
+            
+            if (pointer.item) {
+                const { x, y } = this.toCoordinates(e.clientX, e.clientY);
+                const { left, top } = this.toImage(x, y);
+                pointer.item.style.left = `${left}px`;
+                pointer.item.style.top = `${top}px`;
+                pointer.item.classList.add('dragging');
+                pointer.position = { x, y };
+            } else {
+                this.transform.x = pointer.x + dx;
+                this.transform.y = pointer.y + dy;
+                this.applyTransform();
+                stage.classList.add('panning');
+            }
+        });
+        
+        const endPointer = (e) => {
+            const pointer = this.pointer;
+            if (!pointer) return;
+            this.pointer = null;
+            stage.classList.remove('panning');
+            
+            if (pointer.item) {
+                pointer.item.classList.remove('dragging');
+                if (pointer.moved && pointer.position) {
+                    this.moveItem(pointer.item.dataset.kind, pointer.item.dataset.id, pointer.position);
+                } else if (!pointer.moved) {
+                    this.openItem(pointer.item.dataset.kind, pointer.item.dataset.id);
+                }
+            } else if (!pointer.moved && e.type === 'pointerup') {
+                this.showPinForm(e.clientX, e.clientY);
+            }
+        };
+        stage.addEventListener('pointerup', endPointer);
+        stage.addEventListener('pointercancel', endPointer);
+    }
+    
+    /**
+     * Find a pin or marker of the current map
+     */
+    findItem(kind, id) {
+        return kind === 'pin'
+            ? this.data.pins.find(entry => entry.pin.id === id)?.pin
+            : this.data.markers.find(marker => marker.id === id);
+    }
+    
+    /**
+     * Save a dragged pin or marker's new position
+     * Checked against the server first, so a drag never overwrites someone else's move
+     */
+    async moveItem(kind, id, position) {
+        const element = this.findItem(kind, id);
+        if (!element) return;
+        
+        const before = { x: element.x ?? null, y: element.y ?? null };
+        if (before.x === position.x && before.y === position.y) return;
+        
+        this.setStatus(`Saving ${element.name || 'Unnamed'}...`);
+        
+        try {
+            const saved = await saveWithConflictCheck(this.api, kind, element, position);
+            if (saved) {
+                Object.assign(element, saved.element);
+                
+                const fields = Object.keys(saved.updates);
+                if (fields.length > 0) {
+                    undoHistory.record({
+                        action: 'update',
+                        type: kind,
+                        id,
+                        name: element.name,
+                        before: Object.fromEntries(fields.map(field => [field, before[field]])),
+                        after: saved.updates,
+                        label: `Move "${element.name || 'Unnamed'}" on the map`
+                    });
+                }
+            }
+            
+            // Cancelled, or their position kept: show where it really is
+            this.renderItems();
+            this.updateStatus();
+        } catch (error) {
+            console.error('Could not move item:', error);
+            alert(`Could not move "${element.name || 'Unnamed'}": ${error.message}`);
+            this.renderItems();
+            this.updateStatus();
+        }
+    }
+    
+    /**
+     * Open the element a pin points at, or the marker itself
+     * A pin whose element can't be found opens the pin
+     */
+    async openItem(kind, id) {
+        let type = kind;
+        let elementId = id;
+        
+        if (kind === 'pin') {
+            const entry = this.data.pins.find(candidate => candidate.pin.id === id);
+            if (entry?.target) {
+                type = entry.target.type;
+                elementId = entry.target.id;
+            }
+        }
+        
+        this.close();
+        
+        try {
+            await window.elementViewer?.openElement(type, elementId);
+        } catch (error) {
+            console.error('Could not open element:', error);
+            alert(`Could not open the element: ${error.message}`);
+        }
+    }
+    
+    /**
+     * Show the form for a new pin where the map was clicked
+     */
+    showPinForm(clientX, clientY) {
+        const position = this.toCoordinates(clientX, clientY);
+        const stage = this.modal.querySelector('.map-stage');
+        const rect = stage.getBoundingClientRect();
+        
+        const form = document.createElement('div');
+        form.className = 'map-pin-form';
+        form.style.left = `${Math.min(clientX - rect.left, rect.width - 260)}px`;
+        form.style.top = `${Math.min(clientY - rect.top, rect.height - 150)}px`;
+        form.innerHTML = `
+            <div class="map-pin-form-title">New pin at ${position.x}, ${position.y}</div>
+            <select class="map-pin-type">
+                ${PIN_TARGET_TYPES.map(type => `<option value="${type}">${ONLYWORLDS.ELEMENT_SINGULAR[type]}</option>`).join('')}
+            </select>
+            <select class="map-pin-element" disabled>
+                <option value="">Loading...</option>
+            </select>
+            <div class="map-pin-form-actions">
+                <button type="button" class="btn btn-secondary btn-small map-pin-cancel">Cancel</button>
+                <button type="button" class="btn btn-primary btn-small map-pin-add" disabled>Add pin</button>
+            </div>
+        `;
+        stage.appendChild(form);
+        
+        const typeSelect = form.querySelector('.map-pin-type');
+        const elementSelect = form.querySelector('.map-pin-element');
+        const addButton = form.querySelector('.map-pin-add');
+        let elements = [];
+        
+        const loadElements = async () => {
+            const type = typeSelect.value;
+            elementSelect.disabled = true;
+            addButton.disabled = true;
+            elementSelect.innerHTML = '<option value="">Loading...</option>';
+            
+            try {
+                elements = await this.api.getElements(type);
+            } catch (error) {
+                console.error('Could not load elements:', error);
+                elements = [];
+                
+                if (typeSelect.value === type) {
+                    elementSelect.innerHTML = '<option value="">Could not load elements</option>';
+                }
+                return;
+            }
+            
+            // Another type was chosen while loading
+            if (typeSelect.value !== type) return;
+            
+            elementSelect.innerHTML = elements.length === 0
+                ? `<option value="">No ${ONLYWORLDS.ELEMENT_LABELS[type].toLowerCase()} yet</option>`
+                : '';
+            [...elements].sort((a, b) => (a.name || '').localeCompare(b.name || '')).forEach(element => {
+                const option = document.createElement('option');
+                option.value = element.id;
+                option.textContent = element.name || 'Unnamed';
+                elementSelect.appendChild(option);
+            });
+            
+            elementSelect.disabled = elements.length === 0;
+            addButton.disabled = elements.length === 0;
+        };
+        
+        typeSelect.value = 'location';
+        typeSelect.addEventListener('change', loadElements);
+        form.querySelector('.map-pin-cancel').addEventListener('click', () => this.closePinForm());
+        addButton.addEventListener('click', async () => {
+            const element = elements.find(candidate => candidate.id === elementSelect.value);
+            if (!element) return;
+            
+            addButton.disabled = true;
+            await this.createPin(typeSelect.value, element, position);
+        });
+        
+        loadElements();
+    }
+    
+    /**
+     * Remove the new pin form
+     */
+    closePinForm() {
+        this.modal?.querySelector('.map-pin-form')?.remove();
+    }
+    
+    /**
+     * Create a pin on the current map pointing at an element
+     */
+    async createPin(type, element, position) {
+        try {
+            const pin = await this.api.createElement('pin', {
+                name: element.name || 'Unnamed',
+                map: this.mapId,
+                element_type: getPinTypeNumber(type),
+                element_id: element.id,
+                ...position
+            });
+            
+            undoHistory.record({
+                action: 'create',
+                type: 'pin',
+                id: pin.id,
+                name: pin.name,
+                element: pin
+            });
+            
+            window.elementViewer?.updateCategoryCount('pin');
+            
+            this.data.pins.push({ pin, target: { type, id: element.id, name: element.name || 'Unnamed' } });
+            this.closePinForm();
+            this.renderItems();
+            this.updateStatus();
+        } catch (error) {
+            console.error('Could not create pin:', error);
+            alert(`Could not create the pin: ${error.message}`);
+            this.closePinForm();
+        }
+    }
+    
+    /**
+     * Show how much is on the current map
+     */
+    updateStatus() {
+        const { pins, markers } = this.data;
+        this.setStatus(`${pins.length} pin${pins.length === 1 ? '' : 's'} · ${markers.length} marker${markers.length === 1 ? '' : 's'}`);
+    }
+    
+    /**
+     * Show a message in the toolbar
+     */
+    setStatus(message) {
+        const status = this.modal?.querySelector('#map-status');
+        if (status) {
+            status.textContent = message;
+        }
+    }
+}
@@ -0,0 +1,181 @@
+/**
+ * Outbox Panel Module
+ * Lists writes queued while offline and lets the user sync, retry,
+ * discard or resolve conflicts for them
+ */
+
+import { ONLYWORLDS } from './constants.js';
+import { escapeHtml } from './format.js';
+import { outbox } from './outbox.js';
+
+const ACTION_LABELS = {
+    create: 'Create',
+    update: 'Edit',
+    delete: 'Delete'
+};
+
+export class OutboxPanel {
+    constructor(apiService) {
+        this.api = apiService;
+        this.modal = null;
+        this.unsubscribe = null;
+    }
+    
+    /**
+     * Open the panel
+     */
+    open() {
+        this.close();
+        
+        const modal = document.createElement('div');
+        modal.id = 'outbox-modal';
+        modal.className = 'modal compact';
+        modal.innerHTML = `
+            <div class="modal-content compact">
+                <div class="modal-header">
+                    <h2>Pending Changes</h2>
+                    <button class="modal-close">&times;</button>
+                </div>
+                <div class="modal-body">
+                    <div id="outbox-status" class="outbox-status"></div>
+                    <div id="outbox-list" class="outbox-list"></div>
+                    <div class="modal-footer">
+                        <button type="button" id="outbox-close" class="btn btn-secondary">Close</button>
+                        <button type="button" id="outbox-sync" class="btn btn-primary">Sync now</button>
+                    </div>
+                </div>
+            </div>
+        `;
+        
+        document.body.appendChild(modal);
+        this.modal = modal;
+        
+        modal.querySelector('.modal-close').addEventListener('click', () => this.close());
+        modal.querySelector('#outbox-close').addEventListener('click', () => this.close());
+        modal.addEventListener('click', (e) => {
+            if (e.target === modal) {
+                this.close();
+            }
+        });
+        
+        modal.querySelector('#outbox-sync').addEventListener('click', () => {
+            this.runAction(() => this.api.syncOutbox());
+        });
+        
+        this.unsubscribe = outbox.onChange(() => this.render());
+        outbox.load().then(() => this.render());
+    }
+    
+    /**
+     * Close the panel
+     */
+    close() {
+        if (this.unsubscribe) {
+            this.unsubscribe();
+            this.unsubscribe = null;
+        }
+        
+        if (this.modal) {
+            this.modal.remove();
+            this.modal = null;
+        }
+    }
+    
+    /**
+     * Render the queued entries of the current world
+     */
+    render() {
+        if (!this.modal) return;
+        
+        const entries = outbox.list(this.api.getStoreScope());
+        const list = this.modal.querySelector('#outbox-list');
+        const status = this.modal.querySelector('#outbox-status');
+        
+        if (this.api.isOffline()) {
+            status.textContent = 'You are offline. Changes will be sent when the connection is back.';
+        } else if (entries.length === 0) {
+            status.textContent = 'All changes have been synced.';
+        } else {
+            status.textContent = `${entries.length} change${entries.length === 1 ? '' : 's'} waiting to be sent.`;
+        }
+        
+        this.modal.querySelector('#outbox-sync').disabled = entries.length === 0 || this.api.isOffline();
+        
+        list.innerHTML = '';
+        entries.forEach(entry => {
+            list.appendChild(this.renderEntry(entry));
+        });
+    }
+    
+    /**
+     * Build the row for one outbox entry
+     */
+    renderEntry(entry) {
+        const item = document.createElement('div');
+        item.className = 'outbox-item';
+        item.dataset.status = entry.status;
+        
+        const queuedAt = new Date(entry.queuedAt).toLocaleString();
+        
+        item.innerHTML = `
+            <span class="material-icons-outlined outbox-icon">${ONLYWORLDS.ELEMENT_ICONS[entry.type] || 'category'}</span>
+            <div class="outbox-info">
+                <div class="outbox-name">${escapeHtml(entry.name || 'Unnamed')}</div>
+                <div class="outbox-meta">${ACTION_LABELS[entry.action]} ${entry.type} · ${queuedAt}</div>
+                ${entry.error ? `<div class="outbox-error">${escapeHtml(entry.error)}</div>` : ''}
+            </div>
+            <div class="outbox-actions"></div>
+        `;
+        
+        const actions = item.querySelector('.outbox-actions');
+        
+        if (entry.status === 'conflict') {
+            this.addButton(actions, 'Keep mine', 'Send this change anyway, replacing the server version',
+                () => this.api.resolveOutboxEntry(entry.seq, 'mine'));
+            this.addButton(actions, 'Use theirs', 'Drop this change and keep the server version',
+                () => this.api.resolveOutboxEntry(entry.seq, 'theirs'));
+        } else if (entry.status === 'failed') {
+            this.addButton(actions, 'Retry', 'Try sending this change again',
+                () => this.api.resolveOutboxEntry(entry.seq, 'mine'));
+            this.addButton(actions, 'Discard', 'Drop this change',
+                () => this.api.discardOutboxEntry(entry.seq));
+        } else {
+            const badge = document.createElement('span');
+            badge.className = 'outbox-badge';
+            badge.textContent = 'pending';
+            actions.appendChild(badge);
+        }
+        
+        return item;
+    }
+    
+    /**
+     * Add an action button to an entry row
+     */
+    addButton(container, label, title, action) {
+        const button = document.createElement('button');
+        button.type = 'button';
+        button.className = 'btn btn-secondary btn-small';
+        button.textContent = label;
+        button.title = title;
+        button.addEventListener('click', () => this.runAction(action));
+        container.appendChild(button);
+    }
+    
+    /**
+     * Run an outbox action with the panel buttons disabled
+     */
+    async runAction(action) {
+        const buttons = this.modal ? this.modal.querySelectorAll('button:not(.modal-close):not(#outbox-close)') : [];
+        buttons.forEach(button => { button.disabled = true; });
+        
+        try {
+            await action();
+        } catch (error) {
+            console.error('Outbox action failed:', error);
+            alert(`Could not sync: ${error.message}`);
+        } finally {
+            this.render();
+        }
+    }
+}
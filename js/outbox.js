@@ -0,0 +1,150 @@
+/**
+ * Outbox Module
+ * Durable queue of element writes made while offline, replayed in order later
+ * Writes to an element that is already queued are folded into its entry, so each
+ * element has at most one entry and replay never races against itself
+ */
+
+import { localStore } from './local-store.js';
+
+class Outbox {
+    constructor() {
+        this.entries = [];
+        this.loadPromise = null;
+        this.listeners = new Set();
+        this.nextLocalSeq = 1;
+    }
+    
+    /**
+     * Load queued entries from the local store (once)
+     */
+    load() {
+        if (!this.loadPromise) {
+            this.loadPromise = localStore.getOutbox()
+                .then(entries => {
+                    this.entries = entries;
+                    this.notify();
+                })
+                .catch(error => {
+                    console.warn('Could not load outbox:', error);
+                });
+        }
+        
+        return this.loadPromise;
+    }
+    
+    /**
+     * Queue a write
+     * Folding a write into an entry makes it pending again, so a conflicted or failed
+     * entry is retried with the new write. After a queued delete, a delete is already
+     * covered, a create (a restore) becomes an update of the element still on the
+     * server, and an update is rejected: there is nothing left to update.
+     * @param {Object} entry - { world, action: 'create'|'update'|'delete', type, id, data, baseUpdatedAt, name }
+     */
+    async add(entry) {
+        await this.load();
+        
+        const existing = this.find(entry.world, entry.type, entry.id);
+        
+        if (existing) {
+            if (existing.action === 'delete') {
+                if (entry.action === 'delete') return;
+                if (entry.action === 'update') {
+                    throw new Error(`This ${entry.type} is waiting to be deleted`);
+                }
+                
+                existing.action = 'update';
+                existing.data = { ...entry.data };
+            } else if (entry.action === 'delete' && existing.action === 'create') {
+                // Never reached the server, so there is nothing to delete there
+                await this.remove(existing.seq);
+                return;
+            } else if (entry.action === 'delete') {
+                existing.action = 'delete';
+                existing.data = null;
+            } else {
+                existing.data = { ...existing.data, ...entry.data };
+            }
+            
+            existing.name = entry.name || existing.name;
+            existing.status = 'pending';
+            existing.error = null;
+            existing.queuedAt = Date.now();
+            await localStore.putOutboxEntry(existing);
+            this.notify();
+            return;
+        }
+        
+        const queued = { ...entry, status: 'pending', error: null, queuedAt: Date.now() };
+        // Without IndexedDB the entry lives in memory only, numbered locally
+        queued.seq = await localStore.addOutboxEntry(queued) ?? this.nextLocalSeq++;
+        
+        this.entries.push(queued);
+        this.notify();
+    }
+    
+    /**
+     * Update fields of a queued entry
+     */
+    async update(seq, changes) {
+        const entry = this.get(seq);
+        if (!entry) return;
+        
+        Object.assign(entry, changes);
+        await localStore.putOutboxEntry(entry);
+        this.notify();
+    }
+    
+    /**
+     * Remove an entry from the queue
+     */
+    async remove(seq) {
+        this.entries = this.entries.filter(entry => entry.seq !== seq);
+        await localStore.deleteOutboxEntry(seq);
+        this.notify();
+    }
+    
+    /**
+     * Get an entry by seq
+     */
+    get(seq) {
+        return this.entries.find(entry => entry.seq === seq) || null;
+    }
+    
+    /**
+     * Find the queued entry for an element, if any
+     */
+    find(world, type, id) {
+        return this.entries.find(entry =>
+            entry.world === world && entry.type === type && entry.id === id
+        ) || null;
+    }
+    
+    /**
+     * List the entries of one world, oldest first
+     */
+    list(world) {
+        return this.entries
+            .filter(entry => entry.world === world)
+            .sort((a, b) => a.seq - b.seq);
+    }
+    
+    /**
+     * Register a listener called whenever the queue changes
+     * @returns {Function} Unsubscribe function
+     */
+    onChange(listener) {
+        this.listeners.add(listener);
+        return () => this.listeners.delete(listener);
+    }
+    
+    /**
+     * Notify listeners of a change
+     */
+    notify() {
+        this.listeners.forEach(listener => listener());
+    }
+}
+
+// Create and export singleton instance
+export const outbox = new Outbox();
\ No newline at end of file
@@ -0,0 +1,455 @@
+/**
+ * Reference Check Panel Module
+ * Lists broken links across the world and repairs them in bulk: remove the link,
+ * relink it to another element, or create a placeholder for it to point at
+ */
+
+import { ONLYWORLDS } from './constants.js';
+import { getLinkIds } from './field-types.js';
+import { escapeHtml, getFieldLabel } from './format.js';
+import { references } from './references.js';
+import { undoHistory } from './undo-history.js';
+
+const KIND_LABELS = {
+    'missing': 'Missing',
+    'wrong-type': 'Wrong type',
+    'other-world': 'Other world'
+};
+
+export class ReferenceCheckPanel {
+    constructor(apiService) {
+        this.api = apiService;
+        this.modal = null;
+        this.issues = [];
+        this.selected = new Set();
+        this.candidates = new Map();
+    }
+    
+    /**
+     * Open the panel and scan the world
+     */
+    open() {
+        this.close();
+        
+        const modal = document.createElement('div');
+        modal.id = 'reference-check-modal';
+        modal.className = 'modal compact';
+        modal.innerHTML = `
+            <div class="modal-content compact">
+                <div class="modal-header">
+                    <h2>Broken References</h2>
+                    <button class="modal-close">&times;</button>
+                </div>
+                <div class="modal-body">
+                    <div id="reference-check-status" class="reference-check-status"></div>
+                    <div id="reference-check-list" class="reference-check-list"></div>
+                    <div class="reference-check-actions">
+                        <button type="button" id="reference-remove" class="btn btn-secondary btn-small">Remove links</button>
+                        <button type="button" id="reference-placeholder" class="btn btn-secondary btn-small">Create placeholders</button>
+                        <select id="reference-relink-target"></select>
+                        <button type="button" id="reference-relink" class="btn btn-secondary btn-small">Relink</button>
+                    </div>
+                    <div class="modal-footer">
+                        <button type="button" id="reference-close" class="btn btn-secondary">Close</button>
+                        <button type="button" id="reference-rescan" class="btn btn-primary">Scan again</button>
+                    </div>
+                </div>
+            </div>
+        `;
+        
+        document.body.appendChild(modal);
+        this.modal = modal;
+        
+        modal.querySelector('.modal-close').addEventListener('click', () => this.close());
+        modal.querySelector('#reference-close').addEventListener('click', () => this.close());
+        modal.addEventListener('click', (e) => {
+            if (e.target === modal) {
+                this.close();
+            }
+        });
+        
+        modal.querySelector('#reference-rescan').addEventListener('click', () => this.scan());
+        modal.querySelector('#reference-remove').addEventListener('click', () => {
+            this.runAction(issues => this.removeLinks(issues));
+        });
+        modal.querySelector('#reference-placeholder').addEventListener('click', () => {
+            this.runAction(issues => this.createPlaceholders(issues));
+        });
+        modal.querySelector('#reference-relink').addEventListener('click', () => {
+            const targetId = modal.querySelector('#reference-relink-target').value;
+            this.runAction(issues => this.relink(issues, targetId));
+        });
+        
+        this.scan();
+    }
+    
+    /**
+     * Close the panel
+     */
+    close() {
+        if (this.modal) {
+            this.modal.remove();
+            this.modal = null;
+        }
+    }
+    
+    /**
+     * Scan the world for broken links and show them
+     */
+    async scan() {
+        if (!this.modal) return;
+        
+        this.setBusy(true);
+        this.modal.querySelector('#reference-check-status').textContent = 'Scanning every link in the world...';
+        this.modal.querySelector('#reference-check-list').innerHTML = '';
+        
+        try {
+            this.issues = await references.findBroken();
+            this.selected = new Set(this.issues.map(issue => this.getKey(issue)));
+            this.candidates.clear();
+        } catch (error) {
+            console.error('Reference scan failed:', error);
+            this.issues = [];
+            this.selected.clear();
+            if (this.modal) {
+                this.modal.querySelector('#reference-check-status').textContent = `Scan failed: ${error.message}`;
+            }
+            return;
+        } finally {
+            this.setBusy(false);
+        }
+        
+        this.render();
+    }
+    
+    /**
+     * Render the scan results
+     */
+    render() {
+        if (!this.modal) return;
+        
+        const status = this.modal.querySelector('#reference-check-status');
+        const list = this.modal.querySelector('#reference-check-list');
+        list.innerHTML = '';
+        
+        if (this.issues.length === 0) {
+            status.textContent = '';
+            list.innerHTML = '<p class="empty-state">No broken references found</p>';
+            this.updateActions();
+            return;
+        }
+        
+        status.innerHTML = `
+            <label class="reference-select-all">
+                <input type="checkbox" ${this.selected.size === this.issues.length ? 'checked' : ''} />
+                ${this.issues.length} broken link${this.issues.length === 1 ? '' : 's'}
+            </label>
+        `;
+        status.querySelector('input').addEventListener('change', (e) => {
+            this.selected = e.target.checked
+                ? new Set(this.issues.map(issue => this.getKey(issue)))
+                : new Set();
+            this.render();
+        });
+        
+        this.issues.forEach(issue => {
+            list.appendChild(this.renderIssue(issue));
+        });
+        
+        this.updateActions();
+    }
+    
+    /**
+     * Build the row for one broken link
+     */
+    renderIssue(issue) {
+        const key = this.getKey(issue);
+        const item = document.createElement('label');
+        item.className = 'reference-issue';
+        
+        item.innerHTML = `
+            <input type="checkbox" ${this.selected.has(key) ? 'checked' : ''} />
+            <span class="material-icons-outlined reference-icon">${ONLYWORLDS.ELEMENT_ICONS[issue.type] || 'category'}</span>
+            <div class="reference-info">
+                <div class="reference-name">${escapeHtml(issue.name || 'Unnamed')} · ${escapeHtml(getFieldLabel(issue.type, issue.field))}</div>
+                <div class="reference-meta">
+                    <span class="reference-kind ${issue.kind}">${KIND_LABELS[issue.kind]}</span>
+                    ${escapeHtml(this.describe(issue))}
+                </div>
+            </div>
+        `;
+        
+        item.querySelector('input').addEventListener('change', (e) => {
+            if (e.target.checked) {
+                this.selected.add(key);
+            } else {
+                this.selected.delete(key);
+            }
+            
+            const selectAll = this.modal.querySelector('.reference-select-all input');
+            selectAll.checked = this.selected.size === this.issues.length;
+            this.updateActions();
+        });
+        
+        return item;
+    }
+    
+    /**
+     * Explain what is wrong with a link
+     */
+    describe(issue) {
+        const expected = issue.expectedType ? ONLYWORLDS.ELEMENT_SINGULAR[issue.expectedType] : 'element';
+        const actual = issue.actualType ? ONLYWORLDS.ELEMENT_SINGULAR[issue.actualType] : null;
+        
+        switch (issue.kind) {
+            case 'wrong-type':
+                return `${issue.targetId} is a ${actual}, not a ${expected}`;
+            case 'other-world':
+                return `${issue.targetId} is ${actual ? `a ${actual}` : 'an element'} in another world`;
+            default:
+                return `No ${expected} with ID ${issue.targetId}`;
+        }
+    }
+    
+    /**
+     * Enable the bulk actions that fit the selection and fill the relink choices
+     * Relinking needs every selected link to target the same element type
+     */
+    async updateActions() {
+        if (!this.modal) return;
+        
+        const selected = this.getSelectedIssues();
+        const targetTypes = new Set(selected.map(issue => issue.expectedType));
+        const targetType = targetTypes.size === 1 ? [...targetTypes][0] : null;
+        
+        this.modal.querySelector('#reference-remove').disabled = selected.length === 0;
+        this.modal.querySelector('#reference-placeholder').disabled = selected.length === 0 || !selected.some(issue => issue.expectedType);
+        
+        const select = this.modal.querySelector('#reference-relink-target');
+        const relinkBtn = this.modal.querySelector('#reference-relink');
+        
+        if (!targetType) {
+            select.innerHTML = `<option value="">${selected.length === 0 ? 'Relink to...' : 'Select links of one type to relink'}</option>`;
+            delete select.dataset.type;
+            select.disabled = true;
+            relinkBtn.disabled = true;
+            return;
+        }
+        
+        if (!this.candidates.has(targetType)) {
+            let candidates;
+            try {
+                candidates = await this.api.getElements(targetType);
+            } catch (error) {
+                console.error(`Could not load ${targetType} elements:`, error);
+                if (this.modal) {
+                    this.modal.querySelector('#reference-check-status').textContent =
+                        `Could not load ${ONLYWORLDS.ELEMENT_LABELS[targetType].toLowerCase()} to relink to: ${error.message}`;
+                    select.innerHTML = '<option value="">Relink to...</option>';
+                    delete select.dataset.type;
+                    select.disabled = true;
+                    relinkBtn.disabled = true;
+                }
+                return;
+            }
+            this.candidates.set(targetType, candidates);
+        }
+        
+        if (!this.modal) return;
+        
+        if (select.dataset.type !== targetType) {
+            const candidates = [...this.candidates.get(targetType)]
+                .sort((a, b) => (a.name || '').localeCompare(b.name || ''));
+            
+            select.innerHTML = `<option value="">Relink to ${ONLYWORLDS.ELEMENT_SINGULAR[targetType]}...</option>`;
+            candidates.forEach(candidate => {
+                const option = document.createElement('option');
+                option.value = candidate.id;
+                option.textContent = candidate.name || 'Unnamed';
+                select.appendChild(option);
+            });
+            select.dataset.type = targetType;
+        }
+        
+        select.disabled = false;
+        relinkBtn.disabled = false;
+    }
+    
+    /**
+     * Remove the selected links from their elements
+     */
+    async removeLinks(issues) {
+        await this.rewriteLinks(issues, () => null, 'Remove broken links from');
+    }
+    
+    /**
+     * Point the selected links at another element
+     */
+    async relink(issues, targetId) {
+        if (!targetId) {
+            alert('Choose an element to relink to.');
+            return;
+        }
+        
+        await this.rewriteLinks(issues, () => targetId, 'Relink broken links of');
+    }
+    
+    /**
+     * Create an element for each broken target to point at
+     * A missing element is recreated under its own ID, so the links stay as they
+     * are; links to the wrong type or another world are moved to a new element
+     */
+    async createPlaceholders(issues) {
+        const typed = issues.filter(issue => issue.expectedType);
+        const placeholders = new Map();
+        
+        for (const issue of typed) {
+            const key = `${issue.expectedType}:${issue.targetId}`;
+            if (placeholders.has(key)) continue;
+            
+            const singular = ONLYWORLDS.ELEMENT_SINGULAR[issue.expectedType];
+            const data = {
+                name: `Placeholder ${singular}`,
+                description: `Created to repair a broken link from "${issue.name || 'Unnamed'}" (${getFieldLabel(issue.type, issue.field)}).`
+            };
+            if (issue.kind === 'missing') {
+                data.id = issue.targetId;
+            }
+            
+            const element = await this.api.createElement(issue.expectedType, data);
+            placeholders.set(key, element.id);
+            
+            undoHistory.record({
+                action: 'create',
+                type: issue.expectedType,
+                id: element.id,
+                name: element.name,
+                element
+            });
+            
+            window.elementViewer?.updateCategoryCount(issue.expectedType);
+        }
+        
+        const moved = typed.filter(issue => issue.kind !== 'missing');
+        await this.rewriteLinks(moved, issue => placeholders.get(`${issue.expectedType}:${issue.targetId}`), 'Link placeholders to');
+        
+        const skipped = issues.length - typed.length;
+        if (skipped > 0) {
+            alert(`${skipped} link${skipped === 1 ? '' : 's'} can point at any kind of element, so no placeholder was created for ${skipped === 1 ? 'it' : 'them'}.`);
+        }
+    }
+    
+    /**
+     * Replace broken IDs field by field, one update per field
+     * @param {Array} issues - Broken links to rewrite
+     * @param {Function} replace - Returns the new ID for an issue, or null to drop the link
+     * @param {string} verb - Start of the undo label
+     */
+    async rewriteLinks(issues, replace, verb) {
+        const byField = new Map();
+        issues.forEach(issue => {
+            const key = `${issue.type}:${issue.id}:${issue.field}`;
+            if (!byField.has(key)) {
+                byField.set(key, []);
+            }
+            byField.get(key).push(issue);
+        });
+        
+        for (const fieldIssues of byField.values()) {
+            const { type, id, field, fieldType } = fieldIssues[0];
+            const element = await this.api.getElement(type, id);
+            
+            const replacements = new Map(fieldIssues.map(issue => [issue.targetId, replace(issue)]));
+            const ids = getLinkIds(element[field])
+                .map(linkedId => (replacements.has(linkedId) ? replacements.get(linkedId) : linkedId))
+                .filter((linkedId, index, all) => linkedId && all.indexOf(linkedId) === index);
+            
+            const value = fieldType === 'array<uuid>' ? ids : (ids[0] || null);
+            const before = element[field];
+            
+            await this.api.updateElement(type, id, { [field]: value });
+            
+            undoHistory.record({
+                action: 'update',
+                type,
+                id,
+                name: element.name,
+                before: { [field]: before },
+                after: { [field]: value },
+                label: `${verb} "${element.name}"`
+            });
+        }
+    }
+    
+    /**
+     * Run a repair on the selected links that are still broken on the server,
+     * then rescan and refresh the element views
+     * @param {Function} action - Called with the confirmed issues
+     */
+    async runAction(action) {
+        const selected = this.getSelectedIssues();
+        if (selected.length === 0) return;
+        
+        this.setBusy(true);
+        
+        try {
+            const { broken: issues, unverified } = await references.recheck(selected);
+            const resolved = selected.length - issues.length - unverified.length;
+            const notes = [];
+            if (resolved > 0) {
+                notes.push(`${resolved} link${resolved === 1 ? ' is' : 's are'} no longer broken and will be left as ${resolved === 1 ? 'it is' : 'they are'}.`);
+            }
+            if (unverified.length > 0) {
+                notes.push(`${unverified.length} link${unverified.length === 1 ? '' : 's'} could not be checked against the server and will be left for now.`);
+            }
+            if (notes.length > 0) {
+                alert(notes.join('\n'));
+            }
+            if (issues.length > 0) {
+                await action(issues);
+            }
+        } catch (error) {
+            console.error('Reference repair failed:', error);
+            alert(`Repair failed: ${error.message}`);
+        }
+        
+        const viewer = window.elementViewer;
+        if (viewer?.currentCategory) {
+            await viewer.loadElements(viewer.currentCategory);
+            if (viewer.selectedElement) {
+                await viewer.selectElement(await this.api.getElement(viewer.currentCategory, viewer.selectedElement.id));
+            }
+        }
+        
+        await this.scan();
+    }
+    
+    /**
+     * Disable every button while a scan or repair runs
+     */
+    setBusy(busy) {
+        if (!this.modal) return;
+        
+        this.modal.querySelectorAll('button:not(.modal-close):not(#reference-close), select').forEach(control => {
+            control.disabled = busy;
+        });
+        
+        if (!busy) {
+            this.updateActions();
+        }
+    }
+    
+    /**
+     * Get the selected broken links
+     */
+    getSelectedIssues() {
+        return this.issues.filter(issue => this.selected.has(this.getKey(issue)));
+    }
+    
+    /**
+     * Identify a broken link
+     */
+    getKey(issue) {
+        return `${issue.type}:${issue.id}:${issue.field}:${issue.targetId}`;
+    }
+}
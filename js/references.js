@@ -0,0 +1,380 @@
+/**
+ * References Module
+ * Finds links between elements, and links that point nowhere
+ * Links pointing at an element come from an index built once per world and kept
+ * up to date as elements are written; broken links are found by scanning every
+ * category straight from the API, since repairs act on what the scan reports
+ */
+
+import { ONLYWORLDS } from './constants.js';
+import { getFieldType, getLinkIds, isRelationshipField } from './field-types.js';
+import { localStore } from './local-store.js';
+
+// Server lookups in flight at once while rechecking broken links
+const RECHECK_CONCURRENCY = 4;
+
+class References {
+    constructor() {
+        this.api = null;
+        
+        // Links by the element they point at, and by the element they come from
+        this.inbound = new Map();
+        this.outbound = new Map();
+        this.scope = null;
+        this.staleTypes = new Set(ONLYWORLDS.ELEMENT_TYPES);
+        this.building = null;
+    }
+    
+    /**
+     * Set the API service used to read categories, and keep the link index
+     * current as elements are written and refreshed
+     */
+    init(apiService) {
+        this.api = apiService;
+        apiService.onRevalidate(type => this.staleTypes.add(type));
+        apiService.onWrite((type, id, element) => {
+            if (this.scope !== apiService.getStoreScope()) return;
+            
+            this.indexElement(type, id, element);
+            
+            // A category read in flight may predate this write
+            if (this.building) {
+                this.staleTypes.add(type);
+            }
+        });
+    }
+    
+    /**
+     * Find every link pointing at an element
+     * @param {string} elementId - ID of the linked-to element
+     * @returns {Promise<Array>} [{ type, id, name, field, fieldType }] for each referencing field
+     */
+    async findInbound(elementId) {
+        await this.ensureIndexed();
+        
+        return this.getInbound(elementId);
+    }
+    
+    /**
+     * Find every link pointing at any of several elements
+     * @param {Array<string>} elementIds - IDs of the linked-to elements
+     * @returns {Promise<Map>} Links as findInbound returns them, by element ID
+     */
+    async findInboundMany(elementIds) {
+        await this.ensureIndexed();
+        
+        return new Map(elementIds.map(elementId => [elementId, this.getInbound(elementId)]));
+    }
+    
+    /**
+     * Copy the indexed links pointing at an element
+     */
+    getInbound(elementId) {
+        return (this.inbound.get(elementId) || [])
+            .map(({ type, id, name, field, fieldType }) => ({ type, id, name, field, fieldType }));
+    }
+    
+    /**
+     * Make sure the link index covers the current world
+     * The whole world is read once; after that only categories refreshed in the
+     * background are read again
+     * @returns {Promise<void>}
+     */
+    async ensureIndexed() {
+        const scope = this.api.getStoreScope();
+        if (this.scope !== scope) {
+            this.inbound = new Map();
+            this.outbound = new Map();
+            this.scope = scope;
+            this.staleTypes = new Set(ONLYWORLDS.ELEMENT_TYPES);
+        }
+        
+        while (this.staleTypes.size > 0 || this.building) {
+            if (!this.building) {
+                const types = [...this.staleTypes];
+                this.staleTypes.clear();
+                this.building = this.indexTypes(scope, types).finally(() => {
+                    this.building = null;
+                });
+            }
+            await this.building;
+            
+            if (this.scope !== scope) return;
+        }
+    }
+    
+    /**
+     * Re-read the links of whole categories
+     */
+    async indexTypes(scope, types) {
+        let categories;
+        try {
+            categories = await Promise.all(types.map(async type => ({
+                type,
+                elements: await this.api.getElements(type)
+            })));
+        } catch (error) {
+            types.forEach(type => this.staleTypes.add(type));
+            throw error;
+        }
+        
+        // The world was switched while reading
+        if (this.scope !== scope) return;
+        
+        categories.forEach(({ type, elements }) => {
+            this.outbound.forEach((entry, id) => {
+                if (entry.type === type) {
+                    this.unindexElement(id);
+                }
+            });
+            elements.forEach(element => this.indexElement(type, element.id, element));
+        });
+    }
+    
+    /**
+     * Replace the indexed links of one element
+     * @param {string} type - Element type
+     * @param {string} id - Element ID
+     * @param {Object|null} element - The element as it is now, null once deleted
+     */
+    indexElement(type, id, element) {
+        this.unindexElement(id);
+        if (!element) return;
+        
+        const links = [];
+        this.getLinkFields(element, type).forEach(field => {
+            const fieldType = getFieldType(field, type).type;
+            
+            new Set(getLinkIds(element[field])).forEach(targetId => {
+                if (targetId === id) return;
+                links.push({ targetId, type, id, name: element.name, field, fieldType });
+            });
+        });
+        
+        this.outbound.set(id, { type, links });
+        links.forEach(link => {
+            if (!this.inbound.has(link.targetId)) {
+                this.inbound.set(link.targetId, []);
+            }
+            this.inbound.get(link.targetId).push(link);
+        });
+    }
+    
+    /**
+     * Drop the indexed links of one element
+     */
+    unindexElement(id) {
+        const entry = this.outbound.get(id);
+        if (!entry) return;
+        
+        entry.links.forEach(link => {
+            const remaining = this.inbound.get(link.targetId).filter(other => other !== link);
+            if (remaining.length > 0) {
+                this.inbound.set(link.targetId, remaining);
+            } else {
+                this.inbound.delete(link.targetId);
+            }
+        });
+        this.outbound.delete(id);
+    }
+    
+    /**
+     * Scan every link in the world for references that can't be right
+     * - missing: no element with that ID exists
+     * - wrong-type: the ID belongs to an element of another type than the field targets
+     * - other-world: the ID belongs to an element of another world
+     * @returns {Promise<Array>} [{ type, id, name, field, fieldType, targetId, kind, expectedType, actualType }]
+     */
+    async findBroken() {
+        const world = this.api.getStoreScope();
+        const typeById = new Map();
+        const categories = [];
+        
+        for (const type of ONLYWORLDS.ELEMENT_TYPES) {
+            const elements = [];
+            for await (const batch of this.api.iterateElements(type, {}, { fresh: true })) {
+                elements.push(...batch);
+            }
+            elements.forEach(element => typeById.set(element.id, type));
+            categories.push({ type, elements });
+        }
+        
+        // Elements of other worlds are only known from the local cache
+        const elsewhere = new Map();
+        const keys = await this.api.readStore(() => localStore.getElementKeys()) || [];
+        keys.forEach(([keyWorld, type, id]) => {
+            if (keyWorld !== world) {
+                elsewhere.set(id, type);
+            }
+        });
+        
+        const broken = [];
+        
+        categories.forEach(({ type, elements }) => {
+            elements.forEach(element => {
+                this.getLinkFields(element, type).forEach(field => {
+                    const fieldInfo = getFieldType(field, type);
+                    const expectedType = fieldInfo.related_to ? fieldInfo.related_to.toLowerCase() : null;
+                    const items = Array.isArray(element[field]) ? element[field] : [element[field]];
+                    
+                    items.forEach(item => {
+                        const targetId = getLinkIds(item)[0];
+                        if (!targetId) return;
+                        
+                        const actualType = typeById.get(targetId);
+                        const linkWorld = getLinkIds(item?.world)[0];
+                        let kind = null;
+                        
+                        if (!actualType) {
+                            kind = elsewhere.has(targetId) || (linkWorld && linkWorld !== world) ? 'other-world' : 'missing';
+                        } else if (expectedType && actualType !== expectedType) {
+                            kind = 'wrong-type';
+                        }
+                        
+                        if (kind) {
+                            broken.push({
+                                type,
+                                id: element.id,
+                                name: element.name,
+                                field,
+                                fieldType: fieldInfo.type,
+                                targetId,
+                                kind,
+                                expectedType,
+                                actualType: actualType || elsewhere.get(targetId) || null
+                            });
+                        }
+                    });
+                });
+            });
+        });
+        
+        return broken;
+    }
+    
+    /**
+     * Check broken links against the server again, just before repairing them
+     * A link counts as still broken when its element still holds it and its target
+     * is still missing, of the wrong type or in another world, as the scan found.
+     * Links whose element or target couldn't be looked up are left unverified.
+     * @param {Array} issues - Broken links as findBroken returns them
+     * @returns {Promise<Object>} { broken, unverified } lists of issues
+     */
+    async recheck(issues) {
+        const world = this.api.getStoreScope();
+        const sources = new Map();
+        const targets = new Map();
+        
+        issues.forEach(issue => {
+            sources.set(`${issue.type}:${issue.id}`, issue);
+            targets.set(issue.targetId, issue);
+        });
+        
+        // A failed lookup is recorded as undefined: neither found nor known to be missing
+        const sourceCopies = new Map();
+        await this.runLimited([...sources], async ([key, { type, id }]) => {
+            try {
+                sourceCopies.set(key, await this.api.fetchServerCopy(type, id));
+            } catch (error) {
+                console.warn(`Could not recheck ${type} ${id}:`, error);
+                sourceCopies.set(key, undefined);
+            }
+        });
+        
+        const targetCopies = new Map();
+        await this.runLimited([...targets], async ([targetId, issue]) => {
+            try {
+                targetCopies.set(targetId, await this.findTarget(targetId, issue, world));
+            } catch (error) {
+                console.warn(`Could not recheck link target ${targetId}:`, error);
+                targetCopies.set(targetId, undefined);
+            }
+        });
+        
+        const broken = [];
+        const unverified = [];
+        
+        issues.forEach(issue => {
+            const source = sourceCopies.get(`${issue.type}:${issue.id}`);
+            const target = targetCopies.get(issue.targetId);
+            
+            if (source === undefined) {
+                unverified.push(issue);
+                return;
+            }
+            if (!source || !getLinkIds(source[issue.field]).includes(issue.targetId)) {
+                return;
+            }
+            if (target === undefined) {
+                unverified.push(issue);
+                return;
+            }
+            
+            let stillBroken;
+            switch (issue.kind) {
+                case 'missing':
+                    stillBroken = !target;
+                    break;
+                case 'wrong-type':
+                    stillBroken = Boolean(target) && target.inWorld && target.type !== issue.expectedType;
+                    break;
+                default:
+                    stillBroken = !target || !target.inWorld;
+            }
+            
+            if (stillBroken) {
+                broken.push(issue);
+            }
+        });
+        
+        return { broken, unverified };
+    }
+    
+    /**
+     * Look a link target up on the server, one type at a time
+     * The types the scan saw are tried first. A missing ID is then tried under every
+     * other type too, so one created since as another type isn't taken for missing.
+     * @returns {Promise<Object|null>} { type, inWorld } of the first hit, or null if none
+     */
+    async findTarget(targetId, issue, world) {
+        const known = [...new Set([issue.expectedType, issue.actualType].filter(Boolean))];
+        const types = issue.kind === 'missing' || known.length === 0
+            ? known.concat(ONLYWORLDS.ELEMENT_TYPES.filter(type => !known.includes(type)))
+            : known;
+        
+        for (const type of types) {
+            const element = await this.api.fetchServerCopy(type, targetId);
+            if (element) {
+                const elementWorld = getLinkIds(element.world)[0];
+                return { type, inWorld: !elementWorld || elementWorld === world };
+            }
+        }
+        
+        return null;
+    }
+    
+    /**
+     * Run a task for every item, at most RECHECK_CONCURRENCY at a time
+     */
+    async runLimited(items, task) {
+        let next = 0;
+        const worker = async () => {
+            while (next < items.length) {
+                await task(items[next++]);
+            }
+        };
+        
+        await Promise.all(Array.from({ length: Math.min(RECHECK_CONCURRENCY, items.length) }, worker));
+    }
+    
+    /**
+     * Get the relationship fields of an element
+     * The world field is a link too, but to the world rather than an element
+     */
+    getLinkFields(element, type) {
+        return Object.keys(element).filter(field => field !== 'world' && isRelationshipField(field, type));
+    }
+}
+
+// Create and export singleton instance
+export const references = new References();
@@ -5,12 +5,19 @@
 
 import { ONLYWORLDS } from './constants.js';
 import { getFieldType, getRelationshipTarget } from './field-types.js';
+import { getHierarchyField, wouldCreateCycle } from './hierarchy.js';
+import { router } from './router.js';
+import { VirtualList } from './virtual-list.js';
+
+// Height of a result row in the selector
+const SELECTOR_ITEM_HEIGHT = 40;
 
 export default class RelationshipEditor {
     constructor(api, inlineEditor) {
         this.api = api;
         this.inlineEditor = inlineEditor;
         this.elementCache = new Map();
+        this.closeSelector = null;
     }
     
     /**
@@ -23,7 +30,7 @@ export default class RelationshipEditor {
         const targetType = this.guessElementType(fieldName);
         
         // Check if this is a generic UUID field with no specific target
-        const isGenericUuid = !targetType && (fieldName === 'element_id' || getRelationshipTarget(fieldName) === null);
+        const isGenericUuid = !targetType && (fieldName === 'element_id' || getRelationshipTarget(fieldName, this.inlineEditor.editingType) === null);
         
         const tagsContainer = document.createElement('div');
         tagsContainer.className = 'relationship-tags';
@@ -176,10 +183,10 @@ export default class RelationshipEditor {
      * Show inline selector dropdown
      */
     async showSelector(container, fieldName, fieldType, targetType, currentElement) {
-        const existingSelector = document.querySelector('.relationship-selector');
-        if (existingSelector) {
-            existingSelector.remove();
+        if (this.closeSelector) {
+            this.closeSelector();
         }
+        document.querySelector('.relationship-selector')?.remove();
         
         const selector = document.createElement('div');
         selector.className = 'relationship-selector';
@@ -190,6 +197,11 @@ export default class RelationshipEditor {
         searchInput.className = 'selector-search';
         selector.appendChild(searchInput);
         
+        const message = document.createElement('div');
+        message.className = 'selector-loading';
+        message.textContent = 'Loading...';
+        selector.appendChild(message);
+        
         const results = document.createElement('div');
         results.className = 'selector-results';
         selector.appendChild(results);
@@ -203,9 +215,95 @@ export default class RelationshipEditor {
         document.body.appendChild(selector);
         searchInput.focus();
         
-        const loadElements = async (searchTerm = '') => {
-            results.innerHTML = '<div class="selector-loading">Loading...</div>';
+        const getCurrentValues = () => (fieldType === 'array<uuid>'
+            ? (currentElement[fieldName] || [])
+            : (currentElement[fieldName] ? [currentElement[fieldName]] : []));
+        
+        const chooseElement = async (element) => {
+            const isSelected = getCurrentValues().includes(element.id);
             
+            if (fieldType === 'array<uuid>') {
+                if (!isSelected) {
+                    const values = currentElement[fieldName] || [];
+                    values.push(element.id);
+                    currentElement[fieldName] = values;
+                    
+                    if (!await this.validateWorldReference(currentElement, element, fieldName)) {
+                        return;
+                    }
+                    
+                    await this.inlineEditor.saveField(fieldName, values);
+                    
+                    await this.createRelationshipField(
+                        container, 
+                        fieldName, 
+                        values, 
+                        fieldType, 
+                        currentElement
+                    );
+                }
+            } else {
+                if (await this.wouldCreateCycle(currentElement, fieldName, element.id)) {
+                    alert(`"${element.name}" can't be the parent of "${currentElement.name}": that would make "${currentElement.name}" its own ancestor.`);
+                    return;
+                }
+                
+                currentElement[fieldName] = element.id;
+                
+                if (!await this.validateWorldReference(currentElement, element, fieldName)) {
+                    return;
+                }
+                
+                await this.inlineEditor.saveField(fieldName, element.id);
+                
+                await this.createRelationshipField(
+                    container, 
+                    fieldName, 
+                    element.id, 
+                    fieldType, 
+                    currentElement
+                );
+            }
+            
+            closeSelector();
+        };
+        
+        // Every match is listed; only the rows in view are drawn
+        const list = new VirtualList(results, {
+            itemHeight: SELECTOR_ITEM_HEIGHT,
+            renderItem: (element) => {
+                const item = document.createElement('div');
+                item.className = 'selector-item';
+                item.setAttribute('role', 'option');
+                
+                if (getCurrentValues().includes(element.id)) {
+                    item.classList.add('selected');
+                }
+                
+                const icon = document.createElement('span');
+                icon.className = 'material-icons-outlined selector-icon';
+                icon.textContent = ONLYWORLDS.ELEMENT_ICONS[targetType] || 'category';
+                item.appendChild(icon);
+                
+                const name = document.createElement('span');
+                name.className = 'selector-name';
+                name.textContent = element.name || element.title || 'Unnamed';
+                item.appendChild(name);
+                
+                if (element.description) {
+                    const desc = document.createElement('span');
+                    desc.className = 'selector-desc';
+                    desc.textContent = element.description.substring(0, 50) + '...';
+                    item.appendChild(desc);
+                }
+                
+                item.onclick = () => chooseElement(element);
+                return item;
+            },
+            onActivate: (element) => chooseElement(element)
+        });
+        
+        const loadElements = async (searchTerm = '') => {
             try {
                 let elements = await this.api.getElements(targetType);
                 
@@ -217,97 +315,29 @@ export default class RelationshipEditor {
                     );
                 }
                 
-                elements = elements.slice(0, 50);
-                
-                results.innerHTML = '';
+                message.className = `selector-empty${elements.length > 0 ? ' hidden' : ''}`;
+                message.textContent = 'No elements found';
                 
-                if (elements.length === 0) {
-                    results.innerHTML = '<div class="selector-empty">No elements found</div>';
-                    return;
-                }
-                
-                const currentValues = fieldType === 'array<uuid>'
-                    ? (currentElement[fieldName] || [])
-                    : (currentElement[fieldName] ? [currentElement[fieldName]] : []);
-                
-                elements.forEach(element => {
-                    const item = document.createElement('div');
-                    item.className = 'selector-item';
-                    
-                    const isSelected = currentValues.includes(element.id);
-                    if (isSelected) {
-                        item.classList.add('selected');
-                    }
-                    
-                    const icon = document.createElement('span');
-                    icon.className = 'material-icons-outlined selector-icon';
-                    icon.textContent = ONLYWORLDS.ELEMENT_ICONS[targetType] || 'category';
-                    item.appendChild(icon);
-                    
-                    const name = document.createElement('span');
-                    name.className = 'selector-name';
-                    name.textContent = element.name || element.title || 'Unnamed';
-                    item.appendChild(name);
-                    
-                    if (element.description) {
-                        const desc = document.createElement('span');
-                        desc.className = 'selector-desc';
-                        desc.textContent = element.description.substring(0, 50) + '...';
-                        item.appendChild(desc);
-                    }
-                    
-                    item.onclick = async () => {
-                        if (fieldType === 'array<uuid>') {
-                            if (!isSelected) {
-                                const values = currentElement[fieldName] || [];
-                                values.push(element.id);
-                                currentElement[fieldName] = values;
-                                
-                                if (!await this.validateWorldReference(currentElement, element, fieldName)) {
-                                    return;
-                                }
-                                
-                                await this.inlineEditor.saveField(fieldName, values);
-                                
-                                await this.createRelationshipField(
-                                    container, 
-                                    fieldName, 
-                                    values, 
-                                    fieldType, 
-                                    currentElement
-                                );
-                            }
-                        } else {
-                            currentElement[fieldName] = element.id;
-                            
-                            if (!await this.validateWorldReference(currentElement, element, fieldName)) {
-                                return;
-                            }
-                            
-                            await this.inlineEditor.saveField(fieldName, element.id);
-                            
-                            await this.createRelationshipField(
-                                container, 
-                                fieldName, 
-                                element.id, 
-                                fieldType, 
-                                currentElement
-                            );
-                        }
-                        
-                        selector.remove();
-                    };
-                    
-                    results.appendChild(item);
-                });
+                list.setItems(elements);
+                list.setActive(0);
             } catch (error) {
-                results.innerHTML = '<div class="selector-error">Error loading elements</div>';
+                list.setItems([]);
+                message.className = 'selector-error';
+                message.textContent = 'Error loading elements';
                 console.error('Error loading elements:', error);
             }
         };
         
         loadElements();
         
+        // Arrow keys, Page Up/Down and Enter move through the results while typing
+        searchInput.addEventListener('keydown', (e) => {
+            if (e.key === 'Home' || e.key === 'End') return;
+            if (list.handleKeydown(e)) {
+                e.preventDefault();
+            }
+        });
+        
         let searchTimeout;
         searchInput.oninput = () => {
             clearTimeout(searchTimeout);
@@ -316,21 +346,27 @@ export default class RelationshipEditor {
             }, 300);
         };
         
-        const closeSelector = (e) => {
-            if (e.key === 'Escape') {
-                selector.remove();
-                document.removeEventListener('keydown', handleKeydown);
-                document.removeEventListener('click', handleClickOutside);
+        // The list watches the picker's size, so it has to be stopped along with it
+        const closeSelector = () => {
+            list.destroy();
+            selector.remove();
+            document.removeEventListener('keydown', handleKeydown);
+            document.removeEventListener('click', handleClickOutside);
+            if (this.closeSelector === closeSelector) {
+                this.closeSelector = null;
             }
         };
+        this.closeSelector = closeSelector;
         
-        const handleKeydown = (e) => closeSelector(e);
+        const handleKeydown = (e) => {
+            if (e.key === 'Escape') {
+                closeSelector();
+            }
+        };
         
         const handleClickOutside = (e) => {
             if (!selector.contains(e.target) && !container.contains(e.target)) {
-                selector.remove();
-                document.removeEventListener('keydown', handleKeydown);
-                document.removeEventListener('click', handleClickOutside);
+                closeSelector();
             }
         };
         
@@ -340,6 +376,17 @@ export default class RelationshipEditor {
         }, 100);
     }
     
+    /**
+     * Check whether setting a parent field would make the element its own ancestor
+     */
+    async wouldCreateCycle(currentElement, fieldName, parentId) {
+        const type = this.inlineEditor.editingType;
+        if (getHierarchyField(type) !== fieldName) return false;
+        
+        const elements = await this.api.getElements(type);
+        return wouldCreateCycle(elements, fieldName, currentElement.id, parentId);
+    }
+    
     /**
      * Validate world references to prevent cross-world links
      */
@@ -376,42 +423,17 @@ export default class RelationshipEditor {
     }
     
     /**
-     * View element in detail
+     * View element in detail, through the router so back returns here
      */
     async viewElement(elementId, targetType) {
-        if (window.elementViewer && window.elementViewer.currentCategory === targetType) {
-            const elementCard = document.querySelector(`[data-id="${elementId}"]`);
-            if (elementCard) {
-                elementCard.click();
-                return;
-            }
-        }
-        
-        if (window.elementViewer) {
-            await window.elementViewer.selectCategory(targetType);
-            
-            setTimeout(() => {
-                const elementCard = document.querySelector(`[data-id="${elementId}"]`);
-                if (elementCard) {
-                    elementCard.click();
-                } else {
-                    this.api.getElement(targetType, elementId).then(element => {
-                        if (element) {
-                            window.elementViewer.selectElement(element);
-                        }
-                    }).catch(error => {
-                        console.error('Could not load linked element:', error);
-                    });
-                }
-            }, 500);
-        }
+        await router.navigate({ type: targetType, id: elementId });
     }
     
     /**
-     * Get exact element type from field name using authoritative schema
+     * Get exact element type from field name using the edited element's schema
      */
     guessElementType(fieldName) {
-        const target = getRelationshipTarget(fieldName);
+        const target = getRelationshipTarget(fieldName, this.inlineEditor.editingType);
         if (target) {
             return target.toLowerCase();
         }
@@ -0,0 +1,283 @@
+/**
+ * Revision History Module
+ * History tab of the inline editor: a timeline of local revisions of one element,
+ * side-by-side field diffs and reverting to an earlier version
+ */
+
+import { saveWithConflictCheck } from './conflict-dialog.js';
+import { formatFieldValue, getFieldLabel } from './format.js';
+import { revisions } from './revisions.js';
+import { undoHistory } from './undo-history.js';
+
+// Word diffs above this many token comparisons fall back to whole-text replacement
+const MAX_DIFF_CELLS = 4000000;
+
+export class RevisionHistory {
+    constructor(api) {
+        this.api = api;
+    }
+    
+    /**
+     * Render the history of an element
+     * @param {HTMLElement} container - Container for the history tab
+     * @param {string} type - Element type
+     * @param {Object} element - The element as it is now
+     */
+    async render(container, type, element) {
+        container.innerHTML = '<p class="empty-state">Loading history...</p>';
+        
+        const history = await revisions.list(this.api.getStoreScope(), type, element.id);
+        
+        container.innerHTML = '';
+        
+        if (history.length === 0) {
+            container.innerHTML = '<p class="empty-state">No revisions recorded yet. Changes saved from now on will appear here.</p>';
+            return;
+        }
+        
+        const timeline = document.createElement('div');
+        timeline.className = 'revision-timeline';
+        
+        const detail = document.createElement('div');
+        detail.className = 'revision-detail';
+        
+        history.forEach((revision, index) => {
+            const item = document.createElement('button');
+            item.type = 'button';
+            item.className = 'revision-item';
+            item.innerHTML = `
+                <span class="revision-time">${new Date(revision.at).toLocaleString()}</span>
+                <span class="revision-fields"></span>
+            `;
+            item.querySelector('.revision-fields').textContent = revision.changes
+                .map(change => getFieldLabel(type, change.field))
+                .join(', ');
+            
+            item.addEventListener('click', () => {
+                timeline.querySelectorAll('.revision-item').forEach(other => other.classList.remove('active'));
+                item.classList.add('active');
+                this.renderRevision(detail, type, element, history, revision, index === 0);
+            });
+            
+            timeline.appendChild(item);
+        });
+        
+        // Rolling back every recorded change gives the version before the first one
+        const oldest = history[history.length - 1];
+        const original = document.createElement('button');
+        original.type = 'button';
+        original.className = 'revision-item original';
+        original.innerHTML = `
+            <span class="revision-time">Before ${new Date(oldest.at).toLocaleString()}</span>
+            <span class="revision-fields">Earliest recorded version</span>
+        `;
+        original.addEventListener('click', () => {
+            timeline.querySelectorAll('.revision-item').forEach(other => other.classList.remove('active'));
+            original.classList.add('active');
+            this.renderRevision(detail, type, element, history, { seq: 0, at: oldest.at, changes: [] }, false);
+        });
+        timeline.appendChild(original);
+        
+        container.appendChild(timeline);
+        container.appendChild(detail);
+        
+        timeline.firstElementChild.click();
+    }
+    
+    /**
+     * Show the changes of one revision
+     */
+    renderRevision(detail, type, element, history, revision, isLatest) {
+        detail.innerHTML = '';
+        
+        const header = document.createElement('div');
+        header.className = 'revision-header';
+        
+        const title = document.createElement('span');
+        title.textContent = revision.seq === 0
+            ? 'The element as it was before any recorded change'
+            : `${revision.changes.length} field${revision.changes.length === 1 ? '' : 's'} changed`;
+        header.appendChild(title);
+        
+        const revertBtn = document.createElement('button');
+        revertBtn.type = 'button';
+        revertBtn.className = 'btn btn-secondary btn-small';
+        revertBtn.textContent = isLatest ? 'Current version' : 'Revert to this version';
+        revertBtn.disabled = isLatest;
+        revertBtn.addEventListener('click', () => this.revert(type, element, history, revision));
+        header.appendChild(revertBtn);
+        
+        detail.appendChild(header);
+        
+        revision.changes.forEach(change => {
+            const section = document.createElement('div');
+            section.className = 'revision-change';
+            
+            const label = document.createElement('div');
+            label.className = 'revision-field';
+            label.textContent = getFieldLabel(type, change.field);
+            section.appendChild(label);
+            
+            const columns = document.createElement('div');
+            columns.className = 'revision-diff';
+            
+            const oldSide = document.createElement('div');
+            oldSide.className = 'revision-old';
+            const newSide = document.createElement('div');
+            newSide.className = 'revision-new';
+            
+            if (typeof change.old === 'string' && typeof change.new === 'string') {
+                this.diffWords(change.old, change.new).forEach(segment => {
+                    if (segment.type !== 'added') {
+                        oldSide.appendChild(this.createSegment(segment, 'del'));
+                    }
+                    if (segment.type !== 'removed') {
+                        newSide.appendChild(this.createSegment(segment, 'ins'));
+                    }
+                });
+            } else {
+                oldSide.textContent = formatFieldValue(type, change.field, change.old);
+                newSide.textContent = formatFieldValue(type, change.field, change.new);
+            }
+            
+            columns.appendChild(oldSide);
+            columns.appendChild(newSide);
+            section.appendChild(columns);
+            detail.appendChild(section);
+        });
+    }
+    
+    /**
+     * Build a diff segment node; changed text is wrapped in <del> or <ins>
+     */
+    createSegment(segment, tag) {
+        if (segment.type === 'same') {
+            return document.createTextNode(segment.text);
+        }
+        
+        const node = document.createElement(tag);
+        node.textContent = segment.text;
+        return node;
+    }
+    
+    /**
+     * Revert the element to how it was right after a revision
+     * Checked against the server first, so fields changed elsewhere since the tab was
+     * drawn aren't silently overwritten
+     */
+    async revert(type, element, history, revision) {
+        const updates = revisions.getRevertUpdates(element, history, revision.seq, type);
+        const fields = Object.keys(updates);
+        
+        if (fields.length === 0) {
+            alert('The element already matches this version.');
+            return;
+        }
+        
+        const when = `${revision.seq === 0 ? 'before ' : ''}${new Date(revision.at).toLocaleString()}`;
+        if (!confirm(`Revert ${fields.length} field${fields.length === 1 ? '' : 's'} of "${element.name}" to the version from ${when}?`)) {
+            return;
+        }
+        
+        const before = {};
+        fields.forEach(field => {
+            before[field] = element[field];
+        });
+        
+        try {
+            const saved = await saveWithConflictCheck(this.api, type, element, updates);
+            if (!saved) return;
+            
+            const reverted = Object.keys(saved.updates);
+            if (reverted.length > 0) {
+                undoHistory.record({
+                    action: 'update',
+                    type,
+                    id: element.id,
+                    name: element.name,
+                    before: Object.fromEntries(reverted.map(field => [field, before[field]])),
+                    after: saved.updates,
+                    label: `Revert "${element.name}" to ${when}`
+                });
+            }
+            
+            await window.elementViewer?.selectElement(saved.element);
+        } catch (error) {
+            console.error('Revert failed:', error);
+            alert(`Failed to revert: ${error.message}`);
+        }
+    }
+    
+    /**
+     * Word-level diff of two texts
+     * @returns {Array<Object>} [{ type: 'same'|'removed'|'added', text }]
+     */
+    diffWords(oldText, newText) {
+        // Whitespace is kept as tokens so the text can be reassembled exactly
+        const a = oldText.split(/(\s+)/).filter(token => token);
+        const b = newText.split(/(\s+)/).filter(token => token);
+        
+        let start = 0;
+        while (start < a.length && start < b.length && a[start] === b[start]) {
+            start++;
+        }
+        
+        let endA = a.length;
+        let endB = b.length;
+        while (endA > start && endB > start && a[endA - 1] === b[endB - 1]) {
+            endA--;
+            endB--;
+        }
+        
+        const segments = [];
+        const push = (type, text) => {
+            const last = segments[segments.length - 1];
+            if (last && last.type === type) {
+                last.text += text;
+            } else {
+                segments.push({ type, text });
+            }
+        };
+        
+        push('same', a.slice(0, start).join(''));
+        
+        const midA = a.slice(start, endA);
+        const midB = b.slice(start, endB);
+        
+        if (midA.length * midB.length > MAX_DIFF_CELLS) {
+            push('removed', midA.join(''));
+            push('added', midB.join(''));
+        } else {
+            // Longest common subsequence table, built from the end
+            const width = midB.length + 1;
+            const lcs = new Uint32Array((midA.length + 1) * width);
+            for (let i = midA.length - 1; i >= 0; i--) {
+                for (let j = midB.length - 1; j >= 0; j--) {
+                    lcs[i * width + j] = midA[i] === midB[j]
+                        ? lcs[(i + 1) * width + j + 1] + 1
+                        : Math.max(lcs[(i + 1) * width + j], lcs[i * width + j + 1]);
+                }
+            }
+            
+            let i = 0;
+            let j = 0;
+            while (i < midA.length && j < midB.length) {
+                if (midA[i] === midB[j]) {
+                    push('same', midA[i]);
+                    i++;
+                    j++;
+                } else if (lcs[(i + 1) * width + j] >= lcs[i * width + j + 1]) {
+                    push('removed', midA[i++]);
+                } else {
+                    push('added', midB[j++]);
+                }
+            }
+            while (i < midA.length) push('removed', midA[i++]);
+            while (j < midB.length) push('added', midB[j++]);
+        }
+        
+        push('same', a.slice(endA).join(''));
+        
+        return segments.filter(segment => segment.text);
+    }
+}
@@ -0,0 +1,117 @@
+/**
+ * Revisions Module
+ * Local per-element change log: every successful update records which fields
+ * changed, with their old and new values
+ */
+
+import { isSameFieldValue } from './field-types.js';
+import { localStore } from './local-store.js';
+
+// Server-managed fields that change on every save and aren't worth a revision
+const IGNORED_FIELDS = ['created_at', 'updated_at'];
+
+class Revisions {
+    constructor() {
+        // Only used when IndexedDB is unavailable
+        this.memory = [];
+        this.nextLocalSeq = 1;
+    }
+    
+    /**
+     * Record the difference between two versions of an element
+     * Nothing is recorded when no field actually changed
+     * @param {string} world - Store scope (world ID)
+     * @param {string} type - Element type
+     * @param {Object} before - Element before the update
+     * @param {Object} after - Element as returned by the API
+     * @returns {Promise<Object|null>} The revision, or null if nothing changed
+     */
+    async record(world, type, before, after) {
+        const changes = this.diff(before, after, type);
+        if (changes.length === 0) return null;
+        
+        const revision = {
+            world,
+            type,
+            elementId: after.id,
+            name: after.name,
+            at: Date.now(),
+            changes
+        };
+        
+        const seq = await localStore.addRevision(revision);
+        if (seq === null) {
+            revision.seq = this.nextLocalSeq++;
+            this.memory.push(revision);
+        } else {
+            revision.seq = seq;
+        }
+        
+        return revision;
+    }
+    
+    /**
+     * Get the revisions of an element, newest first
+     */
+    async list(world, type, elementId) {
+        const stored = await localStore.getRevisions(world, type, elementId);
+        const inMemory = this.memory.filter(revision =>
+            revision.world === world && revision.type === type && revision.elementId === elementId
+        );
+        
+        return [...stored, ...inMemory].sort((a, b) => b.seq - a.seq);
+    }
+    
+    /**
+     * Compare two versions of an element field by field
+     * @returns {Array<Object>} [{ field, old, new }] for every changed field
+     */
+    diff(before, after, type) {
+        const fields = new Set([...Object.keys(before), ...Object.keys(after)]);
+        const changes = [];
+        
+        fields.forEach(field => {
+            if (IGNORED_FIELDS.includes(field)) return;
+            
+            if (!isSameFieldValue(field, before[field], after[field], type)) {
+                changes.push({ field, old: before[field] ?? null, new: after[field] ?? null });
+            }
+        });
+        
+        return changes;
+    }
+    
+    /**
+     * Rebuild the element as it was right after a revision
+     * Later revisions are rolled back newest first, so each field ends up with the
+     * value it had before the first later change to it
+     * @param {Object} current - The element as it is now
+     * @param {Array} revisions - All revisions of the element, newest first
+     * @param {number} seq - Seq of the revision to go back to
+     * @param {string} type - Element type
+     * @returns {Object} Field values that differ from the current element
+     */
+    getRevertUpdates(current, revisions, seq, type) {
+        const state = { ...current };
+        
+        revisions
+            .filter(revision => revision.seq > seq)
+            .forEach(revision => {
+                revision.changes.forEach(change => {
+                    state[change.field] = change.old;
+                });
+            });
+        
+        const updates = {};
+        Object.keys(state).forEach(field => {
+            if (!IGNORED_FIELDS.includes(field) && !isSameFieldValue(field, state[field], current[field], type)) {
+                updates[field] = state[field];
+            }
+        });
+        
+        return updates;
+    }
+}
+
+// Create and export singleton instance
+export const revisions = new Revisions();
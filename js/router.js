@@ -0,0 +1,154 @@
+/**
+ * Router Module
+ * Keeps the URL hash in step with what the viewer shows, so categories and
+ * elements can be linked to, bookmarked, reloaded and reached with back/forward.
+ *
+ *   #/character                  - a category
+ *   #/location?supertype=city    - a category, listing only matching elements
+ *   #/character/<id>             - an element
+ */
+
+import { ONLYWORLDS } from './constants.js';
+
+class Router {
+    constructor() {
+        this.viewer = null;
+        this.started = false;
+        this.applying = false;
+    }
+    
+    /**
+     * Set the viewer that routes are shown in
+     */
+    init(viewer) {
+        this.viewer = viewer;
+    }
+    
+    /**
+     * Show the route in the URL and follow every later change
+     * Called once a world is loaded; links opened before that wait until then
+     */
+    async start() {
+        if (!this.started) {
+            this.started = true;
+            window.addEventListener('hashchange', () => this.apply());
+        }
+        
+        await this.apply();
+    }
+    
+    /**
+     * Parse a URL hash
+     * @param {string} hash - e.g. '#/location/<id>?supertype=city'
+     * @returns {Object} { type, id, filters } - type and id are null when missing
+     */
+    parse(hash) {
+        const [path, query = ''] = hash.replace(/^#\/?/, '').split('?');
+        const [type = null, id = null] = path.split('/').filter(Boolean).map(decodeURIComponent);
+        
+        const filters = {};
+        new URLSearchParams(query).forEach((value, key) => {
+            filters[key] = value;
+        });
+        
+        return { type, id, filters };
+    }
+    
+    /**
+     * Build the URL hash of a route
+     * @param {Object|null} route - { type, id, filters }, or null for no route
+     * @returns {string} Hash, or '' for no route
+     */
+    format(route) {
+        const { type = null, id = null, filters = {} } = route || {};
+        if (!type) return '';
+        
+        const path = id ? `#/${type}/${encodeURIComponent(id)}` : `#/${type}`;
+        const query = new URLSearchParams(filters).toString();
+        return query ? `${path}?${query}` : path;
+    }
+    
+    /**
+     * Go to a route, adding it to the browser history
+     * @param {Object} route - { type, id, filters }
+     */
+    async navigate(route) {
+        const hash = this.format(route);
+        
+        if (hash === window.location.hash) {
+            // Nothing changes in the URL, so no hashchange will come; show it anyway
+            await this.apply();
+        } else {
+            window.location.hash = hash;
+        }
+    }
+    
+    /**
+     * Write what the viewer now shows into the URL without showing it again
+     * Ignored while a route is being applied, so following a link doesn't add history twice
+     * @param {Object} route - { type, id, filters }
+     * @param {Object} [options] - { replace: true to overwrite the current history entry }
+     */
+    record(route, { replace = false } = {}) {
+        if (this.applying || !this.started) return;
+        
+        const hash = this.format(route);
+        if (hash === window.location.hash) return;
+        
+        const url = hash || `${window.location.pathname}${window.location.search}`;
+        if (replace) {
+            history.replaceState(null, '', url);
+        } else {
+            history.pushState(null, '', url);
+        }
+    }
+    
+    /**
+     * Show the route in the URL
+     * A link to an element that doesn't exist falls back to its category
+     */
+    async apply() {
+        if (!this.started || !this.viewer) return;
+        
+        const { type, id, filters } = this.parse(window.location.hash);
+        if (!type) return;
+        
+        if (!ONLYWORLDS.ELEMENT_TYPES.includes(type)) {
+            console.warn(`Unknown element type in link: ${type}`);
+            this.record(null, { replace: true });
+            return;
+        }
+        
+        this.applying = true;
+        
+        try {
+            if (this.viewer.currentCategory !== type || !this.isSameFilters(this.viewer.listFilters, filters)) {
+                await this.viewer.selectCategory(type, filters);
+            }
+            
+            if (id && this.viewer.selectedElement?.id !== id) {
+                await this.viewer.openElement(type, id);
+            } else if (!id && this.viewer.selectedElement) {
+                this.viewer.clearSelection();
+            }
+        } catch (error) {
+            console.warn('Could not open link:', error);
+            this.applying = false;
+            this.record({ type, filters }, { replace: true });
+            alert(`Could not find that ${ONLYWORLDS.ELEMENT_SINGULAR[type].toLowerCase()}. It may have been deleted.`);
+        } finally {
+            this.applying = false;
+        }
+    }
+    
+    /**
+     * Compare two sets of list filters
+     */
+    isSameFilters(a = {}, b = {}) {
+        const keys = Object.keys(a);
+        return keys.length === Object.keys(b).length && keys.every(key => a[key] === b[key]);
+    }
+}
+
+// Create and export singleton instance
+export const router = new Router();
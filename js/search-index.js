@@ -0,0 +1,276 @@
+/**
+ * Search Index Module
+ * Full-text index over every text field of every element in the world, with
+ * typo-tolerant ranking. Built from the locally cached elements and rebuilt
+ * after anything changes.
+ */
+
+import { ONLYWORLDS } from './constants.js';
+import { getSchemaField } from './element-schemas.js';
+import { getFieldType } from './field-types.js';
+
+const TEXT_TYPES = ['string', 'longtext'];
+
+// Text fields that aren't worth searching
+const SKIPPED_FIELDS = ['id', 'world', 'image_url', 'created_at', 'updated_at'];
+
+// How much a match counts, per field
+const FIELD_WEIGHTS = {
+    name: 3,
+    supertype: 1.5,
+    subtype: 1.5,
+    description: 1.2
+};
+
+// How much a match counts, per kind of match
+const MATCH_SCORES = {
+    word: 1,
+    prefix: 0.8,
+    substring: 0.6,
+    typo: 0.4,
+    subsequence: 0.2
+};
+
+const WORD_PATTERN = /[\p{L}\p{N}]+/gu;
+
+class SearchIndex {
+    constructor() {
+        this.api = null;
+        this.documents = [];
+        this.scope = null;
+        this.stale = true;
+        this.building = null;
+    }
+    
+    /**
+     * Set the API service and rebuild after changes
+     */
+    init(apiService) {
+        this.api = apiService;
+        apiService.onRevalidate(() => this.invalidate());
+        apiService.onWrite(() => this.invalidate());
+    }
+    
+    /**
+     * Mark the index out of date; it is rebuilt on the next search
+     */
+    invalidate() {
+        this.stale = true;
+    }
+    
+    /**
+     * Make sure the index covers the current world
+     * @returns {Promise<void>}
+     */
+    async ensureBuilt() {
+        const scope = this.api.getStoreScope();
+        if (!this.stale && this.scope === scope) return;
+        
+        if (!this.building) {
+            this.building = this.build(scope).finally(() => {
+                this.building = null;
+            });
+        }
+        await this.building;
+    }
+    
+    /**
+     * Index every element of every type
+     */
+    async build(scope) {
+        this.stale = false;
+        
+        const perType = await Promise.all(ONLYWORLDS.ELEMENT_TYPES.map(async type => {
+            const elements = await this.api.getElements(type);
+            return elements.map(element => this.createDocument(type, element));
+        }));
+        
+        this.documents = perType.flat();
+        this.scope = scope;
+    }
+    
+    /**
+     * Collect the searchable text of one element
+     */
+    createDocument(type, element) {
+        const fields = [];
+        
+        Object.entries(element).forEach(([field, value]) => {
+            if (typeof value !== 'string' || !value.trim() || SKIPPED_FIELDS.includes(field)) return;
+            if (!TEXT_TYPES.includes(getFieldType(field, type).type)) return;
+            
+            const words = [];
+            for (const match of value.toLowerCase().matchAll(WORD_PATTERN)) {
+                words.push({ word: match[0], start: match.index });
+            }
+            
+            fields.push({ field, text: value, lower: value.toLowerCase(), words });
+        });
+        
+        return { type, id: element.id, name: element.name || 'Unnamed', fields };
+    }
+    
+    /**
+     * Search the world
+     * Every word of the query has to match somewhere in the element; closer
+     * matches and matches in the name rank higher
+     * @param {string} query - Search text
+     * @param {Object} [options] - { types: Array to search only some types, limit }
+     * @returns {Promise<Array>} Results, best first: { type, id, name, score, field, label, text, ranges, nameRanges }
+     *   field/text is the best matching field, ranges the [start, end) of each match in it
+     *   and nameRanges the matches in the name
+     */
+    async search(query, { types = null, limit = 50 } = {}) {
+        const terms = (query.toLowerCase().match(WORD_PATTERN) || []);
+        if (terms.length === 0) return [];
+        
+        await this.ensureBuilt();
+        
+        const results = [];
+        
+        this.documents.forEach(doc => {
+            if (types && !types.includes(doc.type)) return;
+            
+            let score = 0;
+            const matchesByField = new Map();
+            
+            for (const term of terms) {
+                let best = null;
+                
+                doc.fields.forEach(entry => {
+                    const match = this.matchTerm(term, entry);
+                    if (!match) return;
+                    
+                    const weighted = match.score * (FIELD_WEIGHTS[entry.field] || 1);
+                    if (!best || weighted > best.score) {
+                        best = { ...match, score: weighted, entry };
+                    }
+                });
+                
+                // Every term has to match
+                if (!best) return;
+                
+                score += best.score;
+                if (!matchesByField.has(best.entry)) {
+                    matchesByField.set(best.entry, []);
+                }
+                matchesByField.get(best.entry).push(best.range);
+            }
+            
+            // Show the field holding most of the matches, preferring a field other than the name
+            const shown = [...matchesByField.entries()]
+                .sort((a, b) => b[1].length - a[1].length || (a[0].field === 'name') - (b[0].field === 'name'))[0];
+            
+            results.push({
+                type: doc.type,
+                id: doc.id,
+                name: doc.name,
+                score,
+                field: shown[0].field,
+                label: getSchemaField(doc.type, shown[0].field)?.label || shown[0].field,
+                text: shown[0].text,
+                ranges: shown[1].filter(Boolean).sort((a, b) => a[0] - b[0]),
+                nameRanges: (matchesByField.get(doc.fields.find(entry => entry.field === 'name')) || []).filter(Boolean)
+            });
+        });
+        
+        return results
+            .sort((a, b) => b.score - a.score || a.name.localeCompare(b.name))
+            .slice(0, limit);
+    }
+    
+    /**
+     * Find the best match of one query word in a field
+     * @returns {Object|null} { score, range: [start, end) or null }
+     */
+    matchTerm(term, entry) {
+        let best = null;
+        const consider = (kind, range) => {
+            if (!best || MATCH_SCORES[kind] > best.score) {
+                best = { score: MATCH_SCORES[kind], range };
+            }
+        };
+        
+        for (const { word, start } of entry.words) {
+            if (word === term) {
+                return { score: MATCH_SCORES.word, range: [start, start + word.length] };
+            }
+            if (word.startsWith(term)) {
+                consider('prefix', [start, start + term.length]);
+            }
+        }
+        if (best) return best;
+        
+        const index = entry.lower.indexOf(term);
+        if (index !== -1) {
+            return { score: MATCH_SCORES.substring, range: [index, index + term.length] };
+        }
+        
+        // Short words have to be typed exactly; longer ones may have a typo or two
+        const allowed = term.length <= 3 ? 0 : term.length <= 6 ? 1 : 2;
+        if (allowed > 0) {
+            for (const { word, start } of entry.words) {
+                if (Math.abs(word.length - term.length) <= allowed && editDistance(term, word, allowed) <= allowed) {
+                    return { score: MATCH_SCORES.typo, range: [start, start + word.length] };
+                }
+                // A typo in the start of a longer word
+                if (word.length > term.length && editDistance(term, word.slice(0, term.length), allowed) <= allowed) {
+                    consider('typo', [start, start + term.length]);
+                }
+            }
+        }
+        if (best) return best;
+        
+        // Letters in order, e.g. "mrdrd" for Mordred; names only
+        if (entry.field === 'name' && isSubsequence(term, entry.lower)) {
+            return { score: MATCH_SCORES.subsequence, range: null };
+        }
+        
+        return null;
+    }
+}
+
+/**
+ * Number of edits (insertions, deletions, substitutions, swaps) between two words
+ * Stops counting once the distance is over the limit
+ */
+function editDistance(a, b, limit) {
+    let previous2 = null;
+    let previous = Array.from({ length: b.length + 1 }, (_, index) => index);
+    
+    for (let i = 1; i <= a.length; i++) {
+        const current = [i];
+        let rowMin = i;
+        
+        for (let j = 1; j <= b.length; j++) {
+            const cost = a[i - 1] === b[j - 1] ? 0 : 1;
+            current[j] = Math.min(previous[j] + 1, current[j - 1] + 1, previous[j - 1] + cost);
+            
+            if (previous2 && i > 1 && j > 1 && a[i - 1] === b[j - 2] && a[i - 2] === b[j - 1]) {
+                current[j] = Math.min(current[j], previous2[j - 2] + 1);
+            }
+            rowMin = Math.min(rowMin, current[j]);
+        }
+        
+        if (rowMin > limit) return limit + 1;
+        previous2 = previous;
+        previous = current;
+    }
+    
+    return previous[b.length];
+}
+
+/**
+ * Check whether the letters of a word appear in order in a text
+ */
+function isSubsequence(word, text) {
+    let position = 0;
+    for (const letter of word) {
+        position = text.indexOf(letter, position);
+        if (position === -1) return false;
+        position++;
+    }
+    return true;
+}
+
+export const searchIndex = new SearchIndex();
@@ -0,0 +1,715 @@
+/**
+ * Table View Module
+ * Spreadsheet view of one category: a column per field of the type, which can
+ * be shown or hidden, sorted, resized and filtered. Cells are edited in place
+ * and saved through the API. Column choices and widths are remembered per type.
+ */
+
+import { saveWithConflictCheck } from './conflict-dialog.js';
+import { ONLYWORLDS } from './constants.js';
+import { getElementSchema } from './element-schemas.js';
+import { getLinkIds } from './field-types.js';
+import { undoHistory } from './undo-history.js';
+import { readInputValue, showFieldError, validateField } from './validation.js';
+
+const STORAGE_KEY = 'ow_table_settings';
+
+// Columns shown for a type the first time, besides the number fields
+const DEFAULT_COLUMNS = ['name', 'supertype', 'subtype'];
+const MAX_DEFAULT_COLUMNS = 10;
+
+const MIN_COLUMN_WIDTH = 60;
+const DEFAULT_COLUMN_WIDTH = 150;
+
+// Filter value standing for "no value"
+const EMPTY = '__empty__';
+
+export class TableView {
+    constructor(apiService) {
+        this.api = apiService;
+        this.modal = null;
+        this.type = null;
+        this.elements = [];
+        this.columns = [];
+        this.visible = new Set();
+        this.widths = {};
+        this.sort = null;
+        this.filters = new Map();
+        this.names = new Map();
+        this.editing = null;
+        this.onKeydown = (e) => {
+            if (e.key === 'Escape' && !this.editing && !e.target.closest('.table-column-menu')) {
+                this.close();
+            }
+        };
+    }
+    
+    /**
+     * Open the table for a category
+     * @param {string} type - Element type
+     */
+    async open(type) {
+        this.close();
+        
+        const schema = getElementSchema(type);
+        if (!schema) return;
+        
+        this.type = type;
+        this.columns = [...schema.fields.values()];
+        this.sort = null;
+        this.filters.clear();
+        this.loadSettings();
+        
+        const modal = document.createElement('div');
+        modal.id = 'table-modal';
+        modal.className = 'modal visualizer-modal';
+        modal.innerHTML = `
+            <div class="modal-content visualizer-content">
+                <div class="modal-header">
+                    <h2>${ONLYWORLDS.ELEMENT_LABELS[type]}</h2>
+                    <button class="modal-close">&times;</button>
+                </div>
+                <div class="visualizer-toolbar">
+                    <div class="table-columns-picker">
+                        <button type="button" id="table-columns-btn" class="btn btn-secondary btn-small">
+                            <span class="material-icons-outlined">view_column</span> Columns
+                        </button>
+                    </div>
+                    <button type="button" id="table-clear-filters" class="btn btn-secondary btn-small">Clear filters</button>
+                    <span class="visualizer-hint">Click a cell to edit it</span>
+                    <span id="table-status" class="visualizer-status"></span>
+                </div>
+                <div class="table-scroll">
+                    <table class="element-table">
+                        <colgroup></colgroup>
+                        <thead></thead>
+                        <tbody></tbody>
+                    </table>
+                </div>
+            </div>
+        `;
+        
+        document.body.appendChild(modal);
+        this.modal = modal;
+        
+        modal.querySelector('.modal-close').addEventListener('click', () => this.close());
+        modal.addEventListener('click', (e) => {
+            if (e.target === modal) this.close();
+        });
+        document.addEventListener('keydown', this.onKeydown);
+        
+        modal.querySelector('#table-columns-btn').addEventListener('click', () => this.toggleColumnMenu());
+        modal.querySelector('#table-clear-filters').addEventListener('click', () => {
+            this.filters.clear();
+            this.renderHeader();
+            this.renderBody();
+        });
+        
+        this.setStatus('Loading...');
+        
+        try {
+            this.elements = await this.api.getElements(type);
+            await this.loadLinkedNames();
+        } catch (error) {
+            console.error('Could not load table:', error);
+            if (this.modal === modal) {
+                this.setStatus(`Could not load ${ONLYWORLDS.ELEMENT_LABELS[type].toLowerCase()}: ${error.message}`);
+            }
+            return;
+        }
+        
+        // Closed while loading
+        if (this.modal !== modal) return;
+        
+        this.renderHeader();
+        this.renderBody();
+    }
+    
+    /**
+     * Close the table
+     */
+    close() {
+        document.removeEventListener('keydown', this.onKeydown);
+        this.editing = null;
+        
+        if (this.modal) {
+            this.modal.remove();
+            this.modal = null;
+        }
+    }
+    
+    /**
+     * Restore the columns and widths used last time for this type
+     */
+    loadSettings() {
+        let settings = {};
+        try {
+            settings = JSON.parse(localStorage.getItem(STORAGE_KEY) || '{}')[this.type] || {};
+        } catch {
+            settings = {};
+        }
+        
+        const known = new Set(this.columns.map(column => column.name));
+        const saved = (settings.columns || []).filter(name => known.has(name));
+        
+        if (saved.length > 0) {
+            this.visible = new Set(saved);
+        } else {
+            const numbers = this.columns.filter(column => column.type === 'number').map(column => column.name);
+            this.visible = new Set([...DEFAULT_COLUMNS, ...numbers].slice(0, MAX_DEFAULT_COLUMNS));
+        }
+        
+        this.widths = settings.widths || {};
+    }
+    
+    /**
+     * Remember the columns and widths for this type
+     */
+    saveSettings() {
+        try {
+            const all = JSON.parse(localStorage.getItem(STORAGE_KEY) || '{}');
+            all[this.type] = { columns: [...this.visible], widths: this.widths };
+            localStorage.setItem(STORAGE_KEY, JSON.stringify(all));
+        } catch (error) {
+            console.warn('Could not save table settings:', error);
+        }
+    }
+    
+    /**
+     * Load the names of every element the link columns can point at
+     */
+    async loadLinkedNames() {
+        const targets = [...new Set(this.columns
+            .filter(column => column.target)
+            .map(column => column.target.toLowerCase()))];
+        
+        const lists = await Promise.all(targets.map(target => this.api.getElements(target)));
+        
+        this.names.clear();
+        this.linkOptions = new Map();
+        targets.forEach((target, index) => {
+            lists[index].forEach(element => this.names.set(element.id, element.name || 'Unnamed'));
+            this.linkOptions.set(target, [...lists[index]].sort((a, b) => (a.name || '').localeCompare(b.name || '')));
+        });
+    }
+    
+    /**
+     * Visible columns, in schema order
+     */
+    getVisibleColumns() {
+        return this.columns.filter(column => this.visible.has(column.name));
+    }
+    
+    /**
+     * Kind of filter a column gets
+     * @returns {string} 'range', 'choice', 'link' or 'text'
+     */
+    getFilterKind(column) {
+        if (column.name === 'supertype' || column.name === 'subtype') return 'choice';
+        if (column.type === 'number') return 'range';
+        if (column.target) return 'link';
+        return 'text';
+    }
+    
+    /**
+     * Draw the column headers and their filters
+     */
+    renderHeader() {
+        const columns = this.getVisibleColumns();
+        const colgroup = this.modal.querySelector('colgroup');
+        const thead = this.modal.querySelector('thead');
+        
+        colgroup.innerHTML = '<col class="table-open-col" />';
+        columns.forEach(column => {
+            const col = document.createElement('col');
+            col.style.width = `${this.widths[column.name] || DEFAULT_COLUMN_WIDTH}px`;
+            colgroup.appendChild(col);
+        });
+        
+        thead.innerHTML = '';
+        const headRow = document.createElement('tr');
+        const filterRow = document.createElement('tr');
+        filterRow.className = 'table-filter-row';
+        
+        headRow.appendChild(document.createElement('th'));
+        filterRow.appendChild(document.createElement('th'));
+        
+        columns.forEach((column, index) => {
+            const th = document.createElement('th');
+            th.className = 'table-heading';
+            th.title = `${column.label} - click to sort`;
+            
+            const label = document.createElement('span');
+            label.className = 'table-heading-label';
+            label.textContent = column.label;
+            th.appendChild(label);
+            
+            if (this.sort?.field === column.name) {
+                const arrow = document.createElement('span');
+                arrow.className = 'material-icons-outlined table-sort-icon';
+                arrow.textContent = this.sort.direction === 'asc' ? 'arrow_upward' : 'arrow_downward';
+                th.appendChild(arrow);
+            }
+            
+            th.addEventListener('click', (e) => {
+                if (e.target.closest('.table-resize-handle')) return;
+                this.toggleSort(column.name);
+            });
+            
+            const handle = document.createElement('span');
+            handle.className = 'table-resize-handle';
+            this.attachResize(handle, column, colgroup.children[index + 1]);
+            th.appendChild(handle);
+            
+            headRow.appendChild(th);
+            
+            const filterCell = document.createElement('th');
+            filterCell.appendChild(this.createFilter(column));
+            filterRow.appendChild(filterCell);
+        });
+        
+        thead.appendChild(headRow);
+        thead.appendChild(filterRow);
+    }
+    
+    /**
+     * Create the filter control of a column
+     */
+    createFilter(column) {
+        const kind = this.getFilterKind(column);
+        const filter = this.filters.get(column.name) || {};
+        const update = (changes) => {
+            const next = { ...(this.filters.get(column.name) || {}), ...changes };
+            const active = Object.values(next).some(value => value !== '' && value !== null && value !== undefined);
+            if (active) {
+                this.filters.set(column.name, next);
+            } else {
+                this.filters.delete(column.name);
+            }
+            this.renderBody();
+        };
+        
+        if (kind === 'range') {
+            const wrapper = document.createElement('div');
+            wrapper.className = 'table-range-filter';
+            ['min', 'max'].forEach(bound => {
+                const input = document.createElement('input');
+                input.type = 'number';
+                input.placeholder = bound;
+                input.value = filter[bound] ?? '';
+                input.addEventListener('input', () => {
+                    update({ [bound]: input.value === '' ? null : Number(input.value) });
+                });
+                wrapper.appendChild(input);
+            });
+            return wrapper;
+        }
+        
+        if (kind === 'text') {
+            const input = document.createElement('input');
+            input.type = 'text';
+            input.placeholder = 'Contains...';
+            input.value = filter.text || '';
+            input.addEventListener('input', () => update({ text: input.value.trim() }));
+            return input;
+        }
+        
+        const select = document.createElement('select');
+        const options = [['', 'Any'], [EMPTY, '(none)']];
+        
+        if (kind === 'choice') {
+            const values = [...new Set(this.elements.map(element => element[column.name]).filter(Boolean))].sort();
+            values.forEach(value => options.push([value, value]));
+        } else {
+            (this.linkOptions.get(column.target.toLowerCase()) || []).forEach(element => {
+                options.push([element.id, `Has ${element.name || 'Unnamed'}`]);
+            });
+        }
+        
+        options.forEach(([value, label]) => {
+            const option = document.createElement('option');
+            option.value = value;
+            option.textContent = label;
+            select.appendChild(option);
+        });
+        select.value = filter.value || '';
+        select.addEventListener('change', () => update({ value: select.value }));
+        return select;
+    }
+    
+    /**
+     * Check an element against the filter of one column
+     */
+    matchesFilter(element, column, filter) {
+        const value = element[column.name];
+        
+        switch (this.getFilterKind(column)) {
+            case 'range': {
+                if (filter.min === null && filter.max === null) return true;
+                if (value === null || value === undefined || value === '') return false;
+                const number = Number(value);
+                return (filter.min === null || filter.min === undefined || number >= filter.min) &&
+                    (filter.max === null || filter.max === undefined || number <= filter.max);
+            }
+            
+            case 'text':
+                return !filter.text || this.formatCell(element, column).toLowerCase().includes(filter.text.toLowerCase());
+            
+            case 'choice':
+                if (!filter.value) return true;
+                return filter.value === EMPTY ? !value : value === filter.value;
+            
+            case 'link': {
+                if (!filter.value) return true;
+                const ids = getLinkIds(value);
+                return filter.value === EMPTY ? ids.length === 0 : ids.includes(filter.value);
+            }
+        }
+        
+        return true;
+    }
+    
+    /**
+     * Elements that pass every filter, in the chosen order
+     */
+    getRows() {
+        const columns = new Map(this.columns.map(column => [column.name, column]));
+        let rows = this.elements.filter(element =>
+            [...this.filters.entries()].every(([field, filter]) => this.matchesFilter(element, columns.get(field), filter))
+        );
+        
+        if (this.sort) {
+            const column = columns.get(this.sort.field);
+            const direction = this.sort.direction === 'asc' ? 1 : -1;
+            const sortValue = (element) => {
+                const value = element[column.name];
+                if (value === null || value === undefined || value === '') return null;
+                return column.type === 'number' ? Number(value) : this.formatCell(element, column).toLowerCase();
+            };
+            
+            rows = [...rows].sort((a, b) => {
+                const valueA = sortValue(a);
+                const valueB = sortValue(b);
+                
+                // Empty cells go last either way
+                if (valueA === null || valueB === null) return (valueA === null) - (valueB === null);
+                if (typeof valueA === 'number') return (valueA - valueB) * direction;
+                return valueA.localeCompare(valueB) * direction;
+            });
+        }
+        
+        return rows;
+    }
+    
+    /**
+     * Draw the rows
+     */
+    renderBody() {
+        const tbody = this.modal.querySelector('tbody');
+        const columns = this.getVisibleColumns();
+        const rows = this.getRows();
+        
+        tbody.innerHTML = '';
+        const fragment = document.createDocumentFragment();
+        
+        rows.forEach(element => {
+            const tr = document.createElement('tr');
+            tr.dataset.id = element.id;
+            
+            const openCell = document.createElement('td');
+            openCell.className = 'table-open-cell';
+            const openButton = document.createElement('button');
+            openButton.className = 'btn-icon';
+            openButton.title = 'Open in the editor';
+            openButton.innerHTML = '<span class="material-icons-outlined">open_in_new</span>';
+            openButton.addEventListener('click', () => this.openElement(element));
+            openCell.appendChild(openButton);
+            tr.appendChild(openCell);
+            
+            columns.forEach(column => {
+                const td = document.createElement('td');
+                td.dataset.field = column.name;
+                this.fillCell(td, element, column);
+                tr.appendChild(td);
+            });
+            
+            fragment.appendChild(tr);
+        });
+        
+        tbody.appendChild(fragment);
+        
+        this.setStatus(`${rows.length} of ${this.elements.length} shown`);
+    }
+    
+    /**
+     * Show a value in a cell and make it editable
+     * Links are edited in the element editor, so their cells only show names
+     */
+    fillCell(td, element, column) {
+        td.innerHTML = '';
+        td.className = column.type === 'number' ? 'numeric' : '';
+        td.title = '';
+        
+        if (column.target !== undefined) {
+            td.classList.add('readonly');
+            td.textContent = this.formatCell(element, column);
+            td.title = 'Edit links in the element editor';
+            return;
+        }
+        
+        td.textContent = this.formatCell(element, column);
+        td.classList.add('editable');
+        td.addEventListener('click', () => this.editCell(td, element, column), { once: true });
+    }
+    
+    /**
+     * Text shown for a value
+     */
+    formatCell(element, column) {
+        const value = element[column.name];
+        if (value === null || value === undefined) return '';
+        
+        if (column.target !== undefined) {
+            return getLinkIds(value).map(id => this.names.get(id) || id).join(', ');
+        }
+        if (typeof value === 'object') {
+            return JSON.stringify(value);
+        }
+        return String(value);
+    }
+    
+    /**
+     * Replace a cell's text with an input
+     * Enter or leaving the cell saves, Escape cancels. An invalid value keeps the
+     * cell in edit mode with the error shown under the input.
+     */
+    editCell(td, element, column) {
+        const input = document.createElement(column.type === 'longtext' ? 'textarea' : 'input');
+        if (column.type === 'number') {
+            input.type = 'number';
+        } else if (column.type !== 'longtext') {
+            input.type = 'text';
+        }
+        input.className = 'table-cell-input';
+        input.value = element[column.name] ?? '';
+        
+        td.innerHTML = '';
+        td.classList.remove('editable');
+        td.appendChild(input);
+        input.focus();
+        
+        this.editing = { td, element, column };
+        
+        const fieldType = column.type === 'longtext' ? 'string' : column.type;
+        
+        let finished = false;
+        const finish = async (save) => {
+            if (finished) return;
+            
+            const value = readInputValue(input, fieldType);
+            const before = element[column.name] ?? null;
+            
+            if (!save || value === before || (value === null && before === '')) {
+                finished = true;
+                this.editing = null;
+                showFieldError(td, null);
+                this.fillCell(td, element, column);
+                return;
+            }
+            
+            const error = validateField(this.type, column.name, value);
+            showFieldError(td, error);
+            if (error) return;
+            
+            finished = true;
+            this.editing = null;
+            await this.saveCell(element, column, value, td);
+        };
+        
+        input.addEventListener('input', () => {
+            if (td.classList.contains('invalid')) {
+                showFieldError(td, validateField(this.type, column.name, readInputValue(input, fieldType)));
+            }
+        });
+        
+        input.addEventListener('keydown', (e) => {
+            if (e.key === 'Escape') {
+                e.stopPropagation();
+                finish(false);
+            } else if (e.key === 'Enter' && (column.type !== 'longtext' || e.ctrlKey || e.metaKey)) {
+                e.preventDefault();
+                finish(true);
+            }
+        });
+        input.addEventListener('blur', () => finish(true));
+    }
+    
+    /**
+     * Save one cell through the conflict check and record it for undo
+     */
+    async saveCell(element, column, value, td) {
+        const before = element[column.name] ?? null;
+        td.classList.add('saving');
+        
+        try {
+            const saved = await saveWithConflictCheck(this.api, this.type, element, { [column.name]: value });
+            if (saved) {
+                Object.assign(element, saved.element);
+            }
+            
+            if (saved && column.name in saved.updates) {
+                undoHistory.record({
+                    action: 'update',
+                    type: this.type,
+                    id: element.id,
+                    name: element.name,
+                    before: { [column.name]: before },
+                    after: { [column.name]: value }
+                });
+            }
+            
+            const viewer = window.elementViewer;
+            if (viewer?.selectedElement?.id === element.id) {
+                await viewer.selectElement(element);
+            }
+        } catch (error) {
+            console.error('Could not save cell:', error);
+            alert(`Could not save ${column.label} of "${element.name}": ${error.message}`);
+        }
+        
+        td.classList.remove('saving');
+        if (this.modal?.contains(td)) {
+            this.fillCell(td, element, column);
+        }
+    }
+    
+    /**
+     * Sort by a column: ascending, then descending, then unsorted
+     */
+    toggleSort(field) {
+        if (this.sort?.field !== field) {
+            this.sort = { field, direction: 'asc' };
+        } else if (this.sort.direction === 'asc') {
+            this.sort = { field, direction: 'desc' };
+        } else {
+            this.sort = null;
+        }
+        
+        this.renderHeader();
+        this.renderBody();
+    }
+    
+    /**
+     * Drag a column's right edge to resize it
+     */
+    attachResize(handle, column, col) {
+        handle.addEventListener('pointerdown', (e) => {
+            e.preventDefault();
+            e.stopPropagation();
+            handle.setPointerCapture(e.pointerId);
+            
+            const startX = e.clientX;
+            const startWidth = this.widths[column.name] || DEFAULT_COLUMN_WIDTH;
+            
+            const move = (moveEvent) => {
+                const width = Math.max(MIN_COLUMN_WIDTH, startWidth + moveEvent.clientX - startX);
+                this.widths[column.name] = width;
+                col.style.width = `${width}px`;
+            };
+            const end = () => {
+                handle.removeEventListener('pointermove', move);
+                handle.removeEventListener('pointerup', end);
+                this.saveSettings();
+            };
+            
+            handle.addEventListener('pointermove', move);
+            handle.addEventListener('pointerup', end);
+        });
+    }
+    
+    /**
+     * Show or hide the list of columns to choose from
+     */
+    toggleColumnMenu() {
+        const picker = this.modal.querySelector('.table-columns-picker');
+        const existing = picker.querySelector('.table-column-menu');
+        if (existing) {
+            existing.remove();
+            return;
+        }
+        
+        const menu = document.createElement('div');
+        menu.className = 'table-column-menu';
+        
+        getElementSchema(this.type).groups.forEach(group => {
+            const heading = document.createElement('h4');
+            heading.textContent = group.name;
+            menu.appendChild(heading);
+            
+            const seen = new Set();
+            group.fields.forEach(field => {
+                if (seen.has(field.name)) return;
+                seen.add(field.name);
+                
+                const label = document.createElement('label');
+                const checkbox = document.createElement('input');
+                checkbox.type = 'checkbox';
+                checkbox.checked = this.visible.has(field.name);
+                checkbox.addEventListener('change', () => {
+                    if (checkbox.checked) {
+                        this.visible.add(field.name);
+                    } else {
+                        this.visible.delete(field.name);
+                        this.filters.delete(field.name);
+                        if (this.sort?.field === field.name) {
+                            this.sort = null;
+                        }
+                    }
+                    this.saveSettings();
+                    this.renderHeader();
+                    this.renderBody();
+                });
+                label.appendChild(checkbox);
+                label.appendChild(document.createTextNode(` ${field.label}`));
+                menu.appendChild(label);
+            });
+        });
+        
+        picker.appendChild(menu);
+        
+        const closeMenu = (e) => {
+            if (!menu.isConnected) {
+                document.removeEventListener('pointerdown', closeMenu);
+            } else if (!picker.contains(e.target)) {
+                menu.remove();
+                document.removeEventListener('pointerdown', closeMenu);
+            }
+        };
+        document.addEventListener('pointerdown', closeMenu);
+    }
+    
+    /**
+     * Close the table and show an element in the inline editor
+     */
+    async openElement(element) {
+        const type = this.type;
+        this.close();
+        
+        try {
+            await window.elementViewer?.openElement(type, element.id);
+        } catch (error) {
+            console.error('Could not open element:', error);
+            alert(`Could not open "${element.name}": ${error.message}`);
+        }
+    }
+    
+    /**
+     * Show a message in the toolbar
+     */
+    setStatus(message) {
+        const status = this.modal?.querySelector('#table-status');
+        if (status) {
+            status.textContent = message;
+        }
+    }
+}
@@ -0,0 +1,97 @@
+/**
+ * Timeline Data Module
+ * Turns the numeric date fields of a world's elements into timeline items:
+ * spans with a start and end, open spans that run on from a start (lifespans,
+ * foundings) and single points in time
+ */
+
+import { ONLYWORLDS } from './constants.js';
+
+// Date fields per element type; open spans have no end field and run to the end of the timeline
+const TIMELINE_FIELDS = {
+    event: { start: 'start_date', end: 'end_date' },
+    character: { start: 'birth_date', open: true },
+    creature: { start: 'birth_date', open: true },
+    institution: { start: 'founding_date', open: true },
+    location: { start: 'founding_date', open: true },
+    collective: { start: 'formation_date', open: true },
+    construct: { start: 'start_date', end: 'end_date' },
+    narrative: { start: 'start_date', end: 'end_date' },
+    relation: { start: 'start_date', end: 'end_date' },
+    zone: { start: 'start_date', end: 'end_date' },
+    title: { start: 'grant_date', end: 'revoke_date' },
+    law: { start: 'date' }
+};
+
+/**
+ * Collect every dated element of the current world
+ * Elements without a start date are left out
+ * @param {Object} api - API service
+ * @returns {Promise<Array>} Items: { id, type, name, supertype, start, end, open, fields, element }
+ *   end is null for points and open spans; fields is the type's TIMELINE_FIELDS entry
+ */
+async function buildTimeline(api) {
+    const items = [];
+    
+    for (const type of ONLYWORLDS.ELEMENT_TYPES) {
+        const fields = TIMELINE_FIELDS[type];
+        if (!fields) continue;
+        
+        const elements = await api.getElements(type);
+        elements.forEach(element => {
+            const start = toDate(element[fields.start]);
+            if (start === null) return;
+            
+            const end = fields.end ? toDate(element[fields.end]) : null;
+            
+            items.push({
+                id: element.id,
+                type,
+                name: element.name || 'Unnamed',
+                supertype: element.supertype || null,
+                start,
+                // An end before the start is treated as missing rather than drawn backwards
+                end: end !== null && end >= start ? end : null,
+                open: Boolean(fields.open),
+                fields,
+                element
+            });
+        });
+    }
+    
+    return items;
+}
+
+/**
+ * Get the earliest and latest date on the timeline
+ * @param {Array} items - Timeline items
+ * @returns {Object|null} { min, max }, or null when there are no items
+ */
+function getTimeRange(items) {
+    if (items.length === 0) return null;
+    
+    let min = Infinity;
+    let max = -Infinity;
+    items.forEach(item => {
+        min = Math.min(min, item.start);
+        max = Math.max(max, item.end ?? item.start);
+    });
+    
+    return { min, max };
+}
+
+/**
+ * Read a date field; dates are plain numbers in the world's own calendar
+ */
+function toDate(value) {
+    if (value === null || value === undefined || value === '') return null;
+    
+    const date = Number(value);
+    return Number.isFinite(date) ? date : null;
+}
+
+export {
+    TIMELINE_FIELDS,
+    buildTimeline,
+    getTimeRange
+};
@@ -0,0 +1,644 @@
+/**
+ * Timeline View Module
+ * Full-screen timeline of every dated element, in lanes per type or supertype.
+ * Zoom with the wheel, pan by dragging the background, and drag items or their
+ * ends to change their dates; a click opens the element in the inline editor.
+ */
+
+import { saveWithConflictCheck } from './conflict-dialog.js';
+import { ONLYWORLDS } from './constants.js';
+import { buildTimeline, getTimeRange } from './timeline-data.js';
+import { undoHistory } from './undo-history.js';
+
+const SVG_NS = 'http://www.w3.org/2000/svg';
+const LABEL_WIDTH = 150;
+const AXIS_HEIGHT = 28;
+const ROW_HEIGHT = 24;
+const BAR_HEIGHT = 16;
+const LANE_PADDING = 8;
+const HANDLE_WIDTH = 6;
+
+// Rough width of one character of an item label, used to keep labels from overlapping
+const CHAR_WIDTH = 6.5;
+
+// Closest zoom: pixels per unit of time
+const MAX_SCALE = 200;
+
+export class TimelineView {
+    constructor(apiService) {
+        this.api = apiService;
+        this.modal = null;
+        this.items = [];
+        this.groupBy = 'type';
+        this.view = { start: 0, scale: 1 };
+        this.rows = new Map();
+        this.lanes = [];
+        this.drag = null;
+        this.onKeydown = (e) => {
+            if (e.key === 'Escape' && !this.drag) {
+                this.close();
+            }
+        };
+    }
+    
+    /**
+     * Open the timeline
+     */
+    async open() {
+        this.close();
+        
+        const modal = document.createElement('div');
+        modal.id = 'timeline-modal';
+        modal.className = 'modal visualizer-modal';
+        modal.innerHTML = `
+            <div class="modal-content visualizer-content">
+                <div class="modal-header">
+                    <h2>Timeline</h2>
+                    <button class="modal-close">&times;</button>
+                </div>
+                <div class="visualizer-toolbar">
+                    <label for="timeline-group">Lanes</label>
+                    <select id="timeline-group">
+                        <option value="type">By type</option>
+                        <option value="supertype">By supertype</option>
+                    </select>
+                    <button type="button" id="timeline-fit" class="btn btn-secondary btn-small">Fit</button>
+                    <span class="visualizer-hint">Drag an item or its ends to change dates</span>
+                    <span id="timeline-status" class="visualizer-status"></span>
+                </div>
+                <div class="timeline-canvas">
+                    <svg id="timeline-svg"></svg>
+                </div>
+            </div>
+        `;
+        
+        document.body.appendChild(modal);
+        this.modal = modal;
+        
+        modal.querySelector('.modal-close').addEventListener('click', () => this.close());
+        modal.addEventListener('click', (e) => {
+            if (e.target === modal) this.close();
+        });
+        document.addEventListener('keydown', this.onKeydown);
+        
+        const groupSelect = modal.querySelector('#timeline-group');
+        groupSelect.value = this.groupBy;
+        groupSelect.addEventListener('change', (e) => {
+            this.groupBy = e.target.value;
+            this.render();
+        });
+        
+        modal.querySelector('#timeline-fit').addEventListener('click', () => {
+            this.fit();
+            this.render();
+        });
+        
+        this.attachInteractions(modal.querySelector('#timeline-svg'));
+        
+        this.setStatus('Loading the world...');
+        
+        try {
+            this.items = await buildTimeline(this.api);
+        } catch (error) {
+            console.error('Could not build timeline:', error);
+            if (this.modal === modal) {
+                this.setStatus(`Could not load the world: ${error.message}`);
+            }
+            return;
+        }
+        
+        // Closed while loading
+        if (this.modal !== modal) return;
+        
+        this.fit();
+        this.render();
+    }
+    
+    /**
+     * Close the timeline
+     */
+    close() {
+        document.removeEventListener('keydown', this.onKeydown);
+        this.drag = null;
+        
+        if (this.modal) {
+            this.modal.remove();
+            this.modal = null;
+        }
+    }
+    
+    /**
+     * Zoom so every item is in view
+     */
+    fit() {
+        const range = getTimeRange(this.items);
+        const width = this.getWidth();
+        
+        if (!range) {
+            this.view = { start: 0, scale: 1 };
+            return;
+        }
+        
+        // Leave a margin on both sides, and some room around a single date
+        const span = Math.max(range.max - range.min, 10);
+        const margin = span * 0.05;
+        const start = range.min - margin - (span - (range.max - range.min)) / 2;
+        
+        this.view = {
+            start,
+            scale: Math.min(MAX_SCALE, (width - LABEL_WIDTH) / (span + margin * 2))
+        };
+    }
+    
+    /**
+     * Furthest zoom: the whole timeline takes a tenth of the width
+     */
+    getMinScale() {
+        const range = getTimeRange(this.items);
+        const span = range ? Math.max(range.max - range.min, 10) : 10;
+        return (this.getWidth() - LABEL_WIDTH) / (span * 10);
+    }
+    
+    /**
+     * Width of the drawing area
+     */
+    getWidth() {
+        return this.modal.querySelector('.timeline-canvas').clientWidth || 800;
+    }
+    
+    /**
+     * Screen position of a date
+     */
+    xOf(date) {
+        return LABEL_WIDTH + (date - this.view.start) * this.view.scale;
+    }
+    
+    /**
+     * Date at a screen position
+     */
+    dateAt(x) {
+        return this.view.start + (x - LABEL_WIDTH) / this.view.scale;
+    }
+    
+    /**
+     * Start and end of an item, taking an ongoing drag into account
+     */
+    getDates(item) {
+        if (this.drag?.item === item) {
+            return { start: this.drag.start, end: this.drag.end };
+        }
+        return { start: item.start, end: item.end };
+    }
+    
+    /**
+     * Group the items into lanes
+     * @returns {Array} Lanes: { key, label, items }
+     */
+    getLanes() {
+        const lanes = new Map();
+        
+        this.items.forEach(item => {
+            const key = this.groupBy === 'type' ? item.type : (item.supertype || '');
+            if (!lanes.has(key)) {
+                lanes.set(key, {
+                    key,
+                    label: this.groupBy === 'type' ? ONLYWORLDS.ELEMENT_LABELS[key] : (key || 'No supertype'),
+                    items: []
+                });
+            }
+            lanes.get(key).items.push(item);
+        });
+        
+        const order = this.groupBy === 'type'
+            ? (a, b) => ONLYWORLDS.ELEMENT_TYPES.indexOf(a.key) - ONLYWORLDS.ELEMENT_TYPES.indexOf(b.key)
+            : (a, b) => (!a.key) - (!b.key) || a.key.localeCompare(b.key);
+        
+        return [...lanes.values()].sort(order);
+    }
+    
+    /**
+     * Give every item a row in its lane so neither bars nor labels overlap
+     * Rows are kept while dragging so the dragged item doesn't jump between rows
+     */
+    packRows(lanes, width) {
+        this.rows.clear();
+        
+        lanes.forEach(lane => {
+            const rowEnds = [];
+            const sorted = [...lane.items].sort((a, b) => a.start - b.start);
+            
+            sorted.forEach(item => {
+                const { left, right } = this.getExtent(item, width);
+                
+                let row = rowEnds.findIndex(end => end < left);
+                if (row === -1) {
+                    row = rowEnds.length;
+                }
+                rowEnds[row] = right;
+                this.rows.set(item.id, row);
+            });
+            
+            lane.rowCount = Math.max(1, rowEnds.length);
+        });
+    }
+    
+    /**
+     * Horizontal space an item takes up, including its label
+     */
+    getExtent(item, width) {
+        const { start, end } = this.getDates(item);
+        const left = this.xOf(start);
+        const right = item.open ? width : this.xOf(end ?? start);
+        const labelWidth = item.name.length * CHAR_WIDTH + 12;
+        
+        // Labels that don't fit inside a bar go after it
+        const labelEnd = right - left >= labelWidth ? right : right + labelWidth;
+        return { left: left - HANDLE_WIDTH, right: labelEnd + 8 };
+    }
+    
+    /**
+     * Draw the lanes, items and axis
+     */
+    render() {
+        if (!this.modal) return;
+        
+        const svg = this.modal.querySelector('#timeline-svg');
+        const width = this.getWidth();
+        
+        if (!this.drag) {
+            this.lanes = this.getLanes();
+            this.packRows(this.lanes, width);
+        }
+        
+        const height = AXIS_HEIGHT + this.lanes.reduce((sum, lane) => sum + lane.rowCount * ROW_HEIGHT + LANE_PADDING * 2, 0);
+        svg.setAttribute('width', width);
+        svg.setAttribute('height', Math.max(height, 120));
+        svg.innerHTML = '';
+        
+        const ticks = this.getTicks(width);
+        
+        const grid = this.createSvg('g', { class: 'timeline-grid' });
+        ticks.forEach(tick => {
+            grid.appendChild(this.createSvg('line', { x1: this.xOf(tick), x2: this.xOf(tick), y1: AXIS_HEIGHT, y2: height }));
+        });
+        svg.appendChild(grid);
+        
+        const itemLayer = this.createSvg('g');
+        const labelLayer = this.createSvg('g', { class: 'timeline-lane-labels' });
+        let y = AXIS_HEIGHT;
+        
+        this.lanes.forEach((lane, index) => {
+            const laneHeight = lane.rowCount * ROW_HEIGHT + LANE_PADDING * 2;
+            
+            svg.insertBefore(this.createSvg('rect', {
+                class: `timeline-lane${index % 2 ? ' odd' : ''}`,
+                x: 0, y, width, height: laneHeight
+            }), grid);
+            
+            labelLayer.appendChild(this.createSvg('rect', { class: 'timeline-lane-label-bg', x: 0, y, width: LABEL_WIDTH, height: laneHeight }));
+            const label = this.createSvg('text', { class: 'timeline-lane-label', x: 10, y: y + LANE_PADDING + ROW_HEIGHT / 2 });
+            label.textContent = `${lane.label} (${lane.items.length})`;
+            labelLayer.appendChild(label);
+            
+            lane.items.forEach(item => {
+                const rowY = y + LANE_PADDING + this.rows.get(item.id) * ROW_HEIGHT;
+                itemLayer.appendChild(this.renderItem(item, rowY, width));
+            });
+            
+            y += laneHeight;
+        });
+        
+        svg.appendChild(itemLayer);
+        svg.appendChild(labelLayer);
+        svg.appendChild(this.renderAxis(ticks, width));
+        
+        if (this.items.length === 0) {
+            const empty = this.createSvg('text', { class: 'timeline-empty', x: width / 2, y: AXIS_HEIGHT + 50 });
+            empty.textContent = 'No elements have dates yet';
+            svg.appendChild(empty);
+        }
+        
+        this.setStatus(`${this.items.length} dated element${this.items.length === 1 ? '' : 's'}`);
+    }
+    
+    /**
+     * Draw one item: a bar for spans, a diamond for single dates
+     */
+    renderItem(item, rowY, width) {
+        const { start, end } = this.getDates(item);
+        const color = ONLYWORLDS.ELEMENT_COLORS[item.type];
+        const x1 = this.xOf(start);
+        const barY = rowY + (ROW_HEIGHT - BAR_HEIGHT) / 2;
+        const midY = rowY + ROW_HEIGHT / 2;
+        
+        const group = this.createSvg('g', { class: 'timeline-item', 'data-id': item.id });
+        if (this.drag?.item === item) {
+            group.classList.add('dragging');
+        }
+        
+        const title = this.createSvg('title');
+        title.textContent = `${item.name} (${ONLYWORLDS.ELEMENT_SINGULAR[item.type]})\n${this.formatRange(item, start, end)}`;
+        group.appendChild(title);
+        
+        let labelX;
+        let inside = false;
+        
+        if (item.open || end !== null) {
+            const x2 = item.open ? width : this.xOf(end);
+            const bar = this.createSvg('rect', {
+                class: `timeline-bar${item.open ? ' open' : ''}`,
+                x: x1, y: barY, width: Math.max(x2 - x1, 2), height: BAR_HEIGHT, rx: 3,
+                fill: color, 'data-handle': 'move'
+            });
+            group.appendChild(bar);
+            
+            group.appendChild(this.createSvg('rect', {
+                class: 'timeline-handle', x: x1 - HANDLE_WIDTH / 2, y: barY, width: HANDLE_WIDTH, height: BAR_HEIGHT, 'data-handle': 'start'
+            }));
+            if (!item.open) {
+                group.appendChild(this.createSvg('rect', {
+                    class: 'timeline-handle', x: x2 - HANDLE_WIDTH / 2, y: barY, width: HANDLE_WIDTH, height: BAR_HEIGHT, 'data-handle': 'end'
+                }));
+            }
+            
+            // Keep the label of a bar that starts off screen in view
+            const visibleStart = Math.max(x1, LABEL_WIDTH);
+            inside = x2 - visibleStart >= item.name.length * CHAR_WIDTH + 12;
+            labelX = inside ? visibleStart + 6 : x2 + 6;
+        } else {
+            const size = BAR_HEIGHT / 2;
+            group.appendChild(this.createSvg('path', {
+                class: 'timeline-point',
+                d: `M ${x1} ${midY - size} L ${x1 + size} ${midY} L ${x1} ${midY + size} L ${x1 - size} ${midY} Z`,
+                fill: color, 'data-handle': 'move'
+            }));
+            labelX = x1 + size + 4;
+        }
+        
+        const label = this.createSvg('text', { class: `timeline-item-label${inside ? ' inside' : ''}`, x: labelX, y: midY });
+        label.textContent = item.name;
+        group.appendChild(label);
+        
+        return group;
+    }
+    
+    /**
+     * Draw the date axis along the top
+     */
+    renderAxis(ticks, width) {
+        const axis = this.createSvg('g', { class: 'timeline-axis' });
+        axis.appendChild(this.createSvg('rect', { x: 0, y: 0, width, height: AXIS_HEIGHT }));
+        
+        ticks.forEach(tick => {
+            const x = this.xOf(tick);
+            if (x < LABEL_WIDTH) return;
+            
+            axis.appendChild(this.createSvg('line', { x1: x, x2: x, y1: AXIS_HEIGHT - 6, y2: AXIS_HEIGHT }));
+            const label = this.createSvg('text', { x, y: AXIS_HEIGHT - 10 });
+            label.textContent = String(tick);
+            axis.appendChild(label);
+        });
+        
+        return axis;
+    }
+    
+    /**
+     * Whole-number dates for the axis, at least 80 pixels apart
+     * Steps go 1, 2, 5, 10, 20, 50, ...
+     */
+    getTicks(width) {
+        const minStep = 80 / this.view.scale;
+        let step = 1;
+        while (step < minStep) {
+            const magnitude = Math.pow(10, Math.floor(Math.log10(step)));
+            const leading = step / magnitude;
+            step = leading < 2 ? 2 * magnitude : leading < 5 ? 5 * magnitude : 10 * magnitude;
+        }
+        
+        const ticks = [];
+        const last = this.dateAt(width);
+        for (let tick = Math.ceil(this.view.start / step) * step; tick <= last; tick += step) {
+            ticks.push(tick);
+        }
+        return ticks;
+    }
+    
+    /**
+     * Zoom with the wheel, pan by dragging the background, drag items to change dates
+     */
+    attachInteractions(svg) {
+        const canvas = this.modal.querySelector('.timeline-canvas');
+        let pan = null;
+        
+        svg.addEventListener('wheel', (e) => {
+            e.preventDefault();
+            
+            const x = e.clientX - svg.getBoundingClientRect().left;
+            const date = this.dateAt(x);
+            const scale = Math.min(MAX_SCALE, Math.max(this.getMinScale(), this.view.scale * (e.deltaY < 0 ? 1.2 : 1 / 1.2)));
+            
+            // Keep the date under the pointer in place
+            this.view = { start: date - (x - LABEL_WIDTH) / scale, scale };
+            this.render();
+        }, { passive: false });
+        
+        svg.addEventListener('pointerdown', (e) => {
+            const itemEl = e.target.closest('.timeline-item');
+            const item = itemEl && this.items.find(candidate => candidate.id === itemEl.dataset.id);
+            svg.setPointerCapture(e.pointerId);
+            
+            if (item) {
+                this.drag = {
+                    item,
+                    handle: e.target.dataset.handle || 'move',
+                    clientX: e.clientX,
+                    start: item.start,
+                    end: item.end,
+                    moved: false
+                };
+                return;
+            }
+            
+            pan = { clientX: e.clientX, clientY: e.clientY, start: this.view.start, scrollTop: canvas.scrollTop };
+            svg.classList.add('panning');
+        });
+        
+        svg.addEventListener('pointermove', (e) => {
+            if (pan) {
+                this.view.start = pan.start - (e.clientX - pan.clientX) / this.view.scale;
+                canvas.scrollTop = pan.scrollTop - (e.clientY - pan.clientY);
+                this.render();
+                return;
+            }
+            
+            if (!this.drag) return;
+            
+            const dx = e.clientX - this.drag.clientX;
+            if (Math.abs(dx) > 3) {
+                this.drag.moved = true;
+            }
+            if (!this.drag.moved) return;
+            
+            this.updateDrag(Math.round(dx / this.view.scale));
+            this.render();
+        });
+        
+        const endPointer = async () => {
+            if (pan) {
+                pan = null;
+                svg.classList.remove('panning');
+                return;
+            }
+            
+            const drag = this.drag;
+            if (!drag) return;
+            this.drag = null;
+            
+            if (!drag.moved) {
+                this.render();
+                this.openElement(drag.item);
+                return;
+            }
+            
+            await this.saveDates(drag.item, drag.start, drag.end);
+        };
+        svg.addEventListener('pointerup', endPointer);
+        svg.addEventListener('pointercancel', endPointer);
+    }
+    
+    /**
+     * Work out the dragged item's new dates from how far it was dragged
+     * Dragging an end never moves it past the other end
+     */
+    updateDrag(delta) {
+        const { item, handle } = this.drag;
+        
+        if (handle === 'start') {
+            const limit = item.end ?? Infinity;
+            this.drag.start = Math.min(item.start + delta, limit);
+        } else if (handle === 'end') {
+            this.drag.end = Math.max(item.end + delta, item.start);
+        } else {
+            this.drag.start = item.start + delta;
+            this.drag.end = item.end === null ? null : item.end + delta;
+        }
+    }
+    
+    /**
+     * Save changed dates through the API and record them for undo
+     */
+    async saveDates(item, start, end) {
+        const before = {};
+        const after = {};
+        
+        if (start !== item.start) {
+            before[item.fields.start] = item.element[item.fields.start] ?? null;
+            after[item.fields.start] = start;
+        }
+        if (item.fields.end && end !== item.end) {
+            before[item.fields.end] = item.element[item.fields.end] ?? null;
+            after[item.fields.end] = end;
+        }
+        
+        if (Object.keys(after).length === 0) {
+            this.render();
+            return;
+        }
+        
+        // Show the new dates right away; they are put back if saving fails
+        const previous = { start: item.start, end: item.end };
+        item.start = start;
+        item.end = end;
+        this.render();
+        this.setStatus(`Saving ${item.name}...`);
+        
+        try {
+            const saved = await saveWithConflictCheck(this.api, item.type, item.element, after);
+            if (!saved) {
+                item.start = previous.start;
+                item.end = previous.end;
+                this.render();
+                this.setStatus(`Left ${item.name} as it was`);
+                return;
+            }
+            item.element = saved.element;
+            
+            const fields = Object.keys(saved.updates);
+            if (fields.length > 0) {
+                undoHistory.record({
+                    action: 'update',
+                    type: item.type,
+                    id: item.id,
+                    name: item.name,
+                    before: Object.fromEntries(fields.map(field => [field, before[field]])),
+                    after: saved.updates,
+                    label: `Change dates of "${item.name}"`
+                });
+            }
+            
+            // Their dates may have been kept
+            if (fields.length < Object.keys(after).length) {
+                item.start = item.element[item.fields.start] ?? item.start;
+                if (item.fields.end) {
+                    item.end = item.element[item.fields.end] ?? item.end;
+                }
+                this.render();
+            }
+            
+            const viewer = window.elementViewer;
+            if (viewer?.selectedElement?.id === item.id) {
+                await viewer.selectElement(item.element);
+            }
+            
+            this.setStatus(`Saved ${item.name}`);
+        } catch (error) {
+            console.error('Could not save dates:', error);
+            item.start = previous.start;
+            item.end = previous.end;
+            this.render();
+            alert(`Could not save the dates of "${item.name}": ${error.message}`);
+        }
+    }
+    
+    /**
+     * Close the timeline and show an element in the inline editor
+     */
+    async openElement(item) {
+        this.close();
+        
+        try {
+            await window.elementViewer?.openElement(item.type, item.id);
+        } catch (error) {
+            console.error('Could not open element:', error);
+            alert(`Could not open "${item.name}": ${error.message}`);
+        }
+    }
+    
+    /**
+     * Describe an item's dates for its tooltip
+     */
+    formatRange(item, start, end) {
+        if (item.open) return `From ${start}`;
+        if (end === null) return String(start);
+        return `${start} – ${end}`;
+    }
+    
+    /**
+     * Show a message in the toolbar
+     */
+    setStatus(message) {
+        const status = this.modal?.querySelector('#timeline-status');
+        if (status) {
+            status.textContent = message;
+        }
+    }
+    
+    /**
+     * Create an SVG element with attributes
+     */
+    createSvg(tag, attributes = {}) {
+        const el = document.createElementNS(SVG_NS, tag);
+        Object.entries(attributes).forEach(([name, value]) => el.setAttribute(name, value));
+        return el;
+    }
+}
@@ -0,0 +1,180 @@
+/**
+ * Trash Panel Module
+ * Lists deleted elements of the current world for restoring or permanent removal
+ */
+
+import { ONLYWORLDS } from './constants.js';
+import { escapeHtml } from './format.js';
+import { trash } from './trash.js';
+
+export class TrashPanel {
+    constructor() {
+        this.modal = null;
+        this.unsubscribe = null;
+    }
+    
+    /**
+     * Open the panel
+     */
+    open() {
+        this.close();
+        
+        const modal = document.createElement('div');
+        modal.id = 'trash-modal';
+        modal.className = 'modal compact';
+        modal.innerHTML = `
+            <div class="modal-content compact">
+                <div class="modal-header">
+                    <h2>Trash</h2>
+                    <button class="modal-close">&times;</button>
+                </div>
+                <div class="modal-body">
+                    <div id="trash-list" class="trash-list"></div>
+                    <div class="modal-footer">
+                        <button type="button" id="trash-close" class="btn btn-secondary">Close</button>
+                        <button type="button" id="trash-empty" class="btn btn-danger">Empty trash</button>
+                    </div>
+                </div>
+            </div>
+        `;
+        
+        document.body.appendChild(modal);
+        this.modal = modal;
+        
+        modal.querySelector('.modal-close').addEventListener('click', () => this.close());
+        modal.querySelector('#trash-close').addEventListener('click', () => this.close());
+        modal.addEventListener('click', (e) => {
+            if (e.target === modal) {
+                this.close();
+            }
+        });
+        
+        modal.querySelector('#trash-empty').addEventListener('click', () => {
+            const count = trash.list().length;
+            if (confirm(`Permanently forget ${count} deleted element${count === 1 ? '' : 's'}? They can't be restored afterwards.`)) {
+                this.runAction(() => trash.empty());
+            }
+        });
+        
+        this.unsubscribe = trash.onChange(() => this.render());
+        trash.load().then(() => this.render());
+    }
+    
+    /**
+     * Close the panel
+     */
+    close() {
+        if (this.unsubscribe) {
+            this.unsubscribe();
+            this.unsubscribe = null;
+        }
+        
+        if (this.modal) {
+            this.modal.remove();
+            this.modal = null;
+        }
+    }
+    
+    /**
+     * Render the trashed elements of the current world
+     */
+    render() {
+        if (!this.modal) return;
+        
+        const entries = trash.list();
+        const list = this.modal.querySelector('#trash-list');
+        list.innerHTML = '';
+        
+        if (entries.length === 0) {
+            list.innerHTML = '<p class="empty-state">The trash is empty</p>';
+        }
+        
+        entries.forEach(entry => {
+            list.appendChild(this.renderEntry(entry));
+        });
+        
+        this.modal.querySelector('#trash-empty').disabled = entries.length === 0;
+    }
+    
+    /**
+     * Build the row for one trashed element
+     */
+    renderEntry(entry) {
+        const item = document.createElement('div');
+        item.className = 'trash-item';
+        
+        const links = entry.inbound.length > 0
+            ? ` · ${entry.inbound.length} link${entry.inbound.length === 1 ? '' : 's'} to restore`
+            : '';
+        
+        item.innerHTML = `
+            <span class="material-icons-outlined trash-icon">${ONLYWORLDS.ELEMENT_ICONS[entry.type] || 'category'}</span>
+            <div class="trash-info">
+                <div class="trash-name">${escapeHtml(entry.name || 'Unnamed')}</div>
+                <div class="trash-meta">${ONLYWORLDS.ELEMENT_SINGULAR[entry.type] || entry.type} · deleted ${new Date(entry.deletedAt).toLocaleString()}${links}</div>
+            </div>
+            <div class="trash-actions">
+                <button type="button" class="btn btn-secondary btn-small trash-restore">Restore</button>
+                <button type="button" class="btn-icon trash-forget" title="Delete permanently">
+                    <span class="material-icons-outlined">delete_forever</span>
+                </button>
+            </div>
+        `;
+        
+        item.querySelector('.trash-restore').addEventListener('click', () => {
+            this.runAction(() => this.restore(entry));
+        });
+        
+        item.querySelector('.trash-forget').addEventListener('click', () => {
+            if (confirm(`Permanently forget "${entry.name || 'Unnamed'}"?`)) {
+                this.runAction(() => trash.remove(entry.type, entry.id));
+            }
+        });
+        
+        return item;
+    }
+    
+    /**
+     * Restore an element and refresh the views showing it
+     */
+    async restore(entry) {
+        const { element, skipped, dropped } = await trash.restore(entry.type, entry.id);
+        
+        const viewer = window.elementViewer;
+        if (viewer) {
+            viewer.updateCategoryCounts();
+            if (viewer.currentCategory === entry.type) {
+                await viewer.loadElements(entry.type);
+                await viewer.selectElement(element);
+            }
+        }
+        
+        const notes = [];
+        if (skipped > 0) {
+            notes.push(`${skipped} link${skipped === 1 ? '' : 's'} to it could not be put back because the linking elements no longer exist`);
+        }
+        if (dropped > 0) {
+            notes.push(`${dropped} of its own link${dropped === 1 ? '' : 's'} pointed at elements deleted since and ${dropped === 1 ? 'was' : 'were'} left out`);
+        }
+        if (notes.length > 0) {
+            alert(`"${element.name}" was restored, but ${notes.join(', and ')}.`);
+        }
+    }
+    
+    /**
+     * Run a trash action with the panel buttons disabled
+     */
+    async runAction(action) {
+        const buttons = this.modal ? this.modal.querySelectorAll('.trash-actions button, #trash-empty') : [];
+        buttons.forEach(button => { button.disabled = true; });
+        
+        try {
+            await action();
+        } catch (error) {
+            console.error('Trash action failed:', error);
+            alert(`Trash action failed: ${error.message}`);
+        } finally {
+            this.render();
+        }
+    }
+}
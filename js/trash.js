@@ -0,0 +1,223 @@
+/**
+ * Trash Module
+ * Deletes go through the trash: the full element and the links pointing at it are
+ * snapshotted first, so it can be recreated with its original ID and relinked
+ */
+
+import { ONLYWORLDS } from './constants.js';
+import { getLinkIds, getRelationshipTarget, isRelationshipField } from './field-types.js';
+import { localStore } from './local-store.js';
+import { references } from './references.js';
+
+class Trash {
+    constructor() {
+        this.api = null;
+        this.entries = [];
+        this.loadPromise = null;
+        this.listeners = new Set();
+    }
+    
+    /**
+     * Set the API service used to delete and restore elements
+     */
+    init(apiService) {
+        this.api = apiService;
+    }
+    
+    /**
+     * Load trashed elements from the local store (once)
+     */
+    load() {
+        if (!this.loadPromise) {
+            this.loadPromise = localStore.getTrash()
+                .then(entries => {
+                    this.entries = entries;
+                    this.notify();
+                })
+                .catch(error => {
+                    console.warn('Could not load trash:', error);
+                });
+        }
+        
+        return this.loadPromise;
+    }
+    
+    /**
+     * Snapshot an element and its inbound links, then delete it
+     * @param {string} type - Element type
+     * @param {string} id - Element ID
+     * @param {Array} [inbound] - Links pointing at it, when the caller already looked them up
+     * @returns {Promise<Object>} The trash entry
+     */
+    async deleteElement(type, id, inbound = null) {
+        await this.load();
+        
+        const element = await this.api.getElement(type, id);
+        if (!inbound) {
+            inbound = await references.findInbound(id);
+        }
+        
+        await this.api.deleteElement(type, id);
+        
+        const entry = {
+            world: this.api.getStoreScope(),
+            type,
+            id,
+            name: element.name,
+            element,
+            inbound,
+            deletedAt: Date.now()
+        };
+        
+        this.entries = this.entries.filter(existing => !this.isSame(existing, entry));
+        this.entries.push(entry);
+        await localStore.putTrashEntry(entry);
+        this.notify();
+        
+        return entry;
+    }
+    
+    /**
+     * Recreate a trashed element with its original ID and restore the links to it
+     * Its own links to elements deleted since are dropped, since the API refuses to
+     * create an element linking to nothing. Elements that linked to it and have since
+     * been deleted are skipped, and each inbound link is put back on its own.
+     * @param {string} type - Element type
+     * @param {string} id - Element ID
+     * @returns {Promise<Object>} { element, relinked, skipped, dropped }
+     */
+    async restore(type, id) {
+        const entry = this.get(type, id);
+        if (!entry) {
+            throw new Error('Element is not in the trash');
+        }
+        
+        const { data, dropped } = await this.dropMissingLinks(type, { ...entry.element });
+        const element = await this.api.createElement(type, this.api.cleanLinkFields(data, type));
+        
+        let relinked = 0;
+        let skipped = 0;
+        
+        for (const link of entry.inbound) {
+            try {
+                // Cached copies may still show the link the server dropped on delete
+                const source = await this.api.fetchElement(link.type, link.id);
+                const ids = getLinkIds(source[link.field]);
+                
+                if (!ids.includes(id)) {
+                    const value = link.fieldType === 'array<uuid>' ? [...ids, id] : id;
+                    await this.api.updateElement(link.type, link.id, { [link.field]: value });
+                }
+                relinked++;
+            } catch (error) {
+                console.warn(`Could not relink ${link.type} ${link.id}.${link.field}:`, error);
+                skipped++;
+            }
+        }
+        
+        await this.remove(type, id);
+        
+        return { element, relinked, skipped, dropped };
+    }
+    
+    /**
+     * Remove the links of a snapshot whose targets no longer exist on the server
+     * Links are kept as they are while offline: the restore is queued, not checked
+     * @param {string} type - Element type
+     * @param {Object} data - Element snapshot, changed in place
+     * @returns {Promise<Object>} { data, dropped: number of links removed }
+     */
+    async dropMissingLinks(type, data) {
+        if (this.api.isOffline()) {
+            return { data, dropped: 0 };
+        }
+        
+        const exists = new Map();
+        const check = async (targetType, targetId) => {
+            const types = targetType ? [targetType.toLowerCase()] : ONLYWORLDS.ELEMENT_TYPES;
+            const found = await Promise.all(types.map(candidate => this.api.fetchServerCopy(candidate, targetId)));
+            exists.set(targetId, found.some(Boolean));
+        };
+        
+        const fields = Object.keys(data).filter(field => field !== 'world' && isRelationshipField(field, type));
+        await Promise.all(fields.flatMap(field => getLinkIds(data[field])
+            .map(targetId => check(getRelationshipTarget(field, type), targetId))));
+        
+        let dropped = 0;
+        fields.forEach(field => {
+            const ids = getLinkIds(data[field]);
+            const kept = ids.filter(targetId => exists.get(targetId));
+            if (kept.length === ids.length) return;
+            
+            dropped += ids.length - kept.length;
+            data[field] = Array.isArray(data[field]) ? kept : (kept[0] || null);
+        });
+        
+        return { data, dropped };
+    }
+    
+    /**
+     * Permanently forget a trashed element
+     */
+    async remove(type, id) {
+        const entry = this.get(type, id);
+        if (!entry) return;
+        
+        this.entries = this.entries.filter(existing => existing !== entry);
+        await localStore.deleteTrashEntry(entry.world, type, id);
+        this.notify();
+    }
+    
+    /**
+     * Permanently forget every trashed element of the current world
+     */
+    async empty() {
+        for (const entry of this.list()) {
+            await this.remove(entry.type, entry.id);
+        }
+    }
+    
+    /**
+     * Get the trash entry for an element of the current world
+     */
+    get(type, id) {
+        const world = this.api.getStoreScope();
+        return this.entries.find(entry => this.isSame(entry, { world, type, id })) || null;
+    }
+    
+    /**
+     * List the trashed elements of the current world, most recently deleted first
+     */
+    list() {
+        const world = this.api.getStoreScope();
+        return this.entries
+            .filter(entry => entry.world === world)
+            .sort((a, b) => b.deletedAt - a.deletedAt);
+    }
+    
+    /**
+     * Check whether two entries describe the same element
+     */
+    isSame(a, b) {
+        return a.world === b.world && a.type === b.type && a.id === b.id;
+    }
+    
+    /**
+     * Register a listener called whenever the trash changes
+     * @returns {Function} Unsubscribe function
+     */
+    onChange(listener) {
+        this.listeners.add(listener);
+        return () => this.listeners.delete(listener);
+    }
+    
+    /**
+     * Notify listeners of a change
+     */
+    notify() {
+        this.listeners.forEach(listener => listener());
+    }
+}
+
+// Create and export singleton instance
+export const trash = new Trash();
@@ -0,0 +1,220 @@
+/**
+ * Undo History Module
+ * Session-wide undo/redo stack for element edits, link changes, creates and deletes
+ * Entries are plain data and are replayed through the API service; undoing a
+ * delete restores the element from the trash with its original ID
+ */
+
+import { getLinkIds, isRelationshipField } from './field-types.js';
+import { getFieldLabel } from './format.js';
+import { trash } from './trash.js';
+
+// Oldest entries are dropped beyond this
+const MAX_ENTRIES = 100;
+
+class UndoHistory {
+    constructor() {
+        this.api = null;
+        this.undoStack = [];
+        this.redoStack = [];
+        this.listeners = new Set();
+        this.isApplying = false;
+    }
+    
+    /**
+     * Set the API service used to replay entries
+     */
+    init(apiService) {
+        this.api = apiService;
+    }
+    
+    /**
+     * Record a completed change
+     * @param {Object} entry - One of:
+     *   { action: 'update', type, id, name, before, after, label? } - field values before/after
+     *   { action: 'create', type, id, name, element } - the created element
+     *   { action: 'delete', type, id, name, element } - the element as it was before deletion
+     *   { action: 'batch', type, id, name, label, entries } - several of the above, undone and redone as one
+     */
+    record(entry) {
+        if (this.isApplying) return;
+        
+        this.undoStack.push({ ...entry, label: entry.label || this.describe(entry), at: Date.now() });
+        if (this.undoStack.length > MAX_ENTRIES) {
+            this.undoStack.shift();
+        }
+        
+        // A new change makes the undone branch unreachable
+        this.redoStack = [];
+        this.notify();
+    }
+    
+    /**
+     * Undo the most recent change
+     * @returns {Promise<Object|null>} The undone entry, or null if there was nothing to undo
+     */
+    async undo() {
+        const entry = this.undoStack[this.undoStack.length - 1];
+        if (!entry || this.isApplying) return null;
+        
+        await this.apply(entry, 'undo');
+        
+        this.undoStack.pop();
+        this.redoStack.push(entry);
+        this.notify();
+        
+        return entry;
+    }
+    
+    /**
+     * Redo the most recently undone change
+     * @returns {Promise<Object|null>} The redone entry, or null if there was nothing to redo
+     */
+    async redo() {
+        const entry = this.redoStack[this.redoStack.length - 1];
+        if (!entry || this.isApplying) return null;
+        
+        await this.apply(entry, 'redo');
+        
+        this.redoStack.pop();
+        this.undoStack.push(entry);
+        this.notify();
+        
+        return entry;
+    }
+    
+    /**
+     * Replay an entry in either direction
+     * Nothing is recorded while this runs, so replays don't land on the stack again.
+     * A batch replays its entries in order, or in reverse order when undone.
+     */
+    async apply(entry, direction) {
+        const forward = direction === 'redo';
+        const steps = entry.action === 'batch' ? entry.entries : [entry];
+        
+        this.isApplying = true;
+        this.notify();
+        
+        try {
+            for (const step of forward ? steps : [...steps].reverse()) {
+                await this.replay(step, forward);
+            }
+        } finally {
+            this.isApplying = false;
+        }
+        
+        for (const step of steps) {
+            await this.refreshViews(step, direction);
+        }
+    }
+    
+    /**
+     * Replay a single change in either direction
+     */
+    async replay(entry, forward) {
+        if (entry.action === 'update') {
+            await this.api.updateElement(entry.type, entry.id, forward ? entry.after : entry.before);
+        } else if (entry.action === 'delete' && !forward && trash.get(entry.type, entry.id)) {
+            // Restoring from the trash also puts back the links pointing at it
+            await trash.restore(entry.type, entry.id);
+        } else if (entry.action === 'delete' && forward) {
+            await trash.deleteElement(entry.type, entry.id);
+        } else if ((entry.action === 'create') === forward) {
+            // Redoing a create and undoing a delete both bring the element back
+            await this.api.createElement(entry.type, this.api.cleanLinkFields({ ...entry.element }, entry.type));
+        } else {
+            await this.api.deleteElement(entry.type, entry.id);
+        }
+    }
+    
+    /**
+     * Redraw the list and detail view after a replay
+     */
+    async refreshViews(entry, direction) {
+        const viewer = window.elementViewer;
+        if (!viewer) return;
+        
+        viewer.updateCategoryCount(entry.type);
+        
+        if (viewer.currentCategory === entry.type) {
+            await viewer.loadElements(entry.type);
+        }
+        
+        if (viewer.selectedElement?.id !== entry.id) return;
+        
+        const exists = entry.action === 'update' || (entry.action === 'create') === (direction === 'redo');
+        if (exists) {
+            const element = await this.api.getElement(entry.type, entry.id);
+            await viewer.selectElement(element);
+        } else {
+            viewer.clearSelection();
+        }
+    }
+    
+    /**
+     * Build a readable label for an entry
+     */
+    describe(entry) {
+        const name = entry.name || `Unnamed ${entry.type}`;
+        
+        if (entry.action === 'create') return `Create ${entry.type} "${name}"`;
+        if (entry.action === 'delete') return `Delete ${entry.type} "${name}"`;
+        
+        const fields = Object.keys(entry.after);
+        
+        // Relationship editor changes are one link at a time
+        if (fields.length === 1 && isRelationshipField(fields[0], entry.type)) {
+            const field = getFieldLabel(entry.type, fields[0]).toLowerCase();
+            const before = getLinkIds(entry.before[fields[0]]);
+            const after = getLinkIds(entry.after[fields[0]]);
+            
+            if (after.length > before.length) return `Add ${field} link to "${name}"`;
+            if (after.length < before.length) return `Remove ${field} link from "${name}"`;
+            return `Change ${field} link of "${name}"`;
+        }
+        
+        return `Edit ${fields.map(field => getFieldLabel(entry.type, field).toLowerCase()).join(', ')} of "${name}"`;
+    }
+    
+    /**
+     * Check whether there is anything to undo
+     */
+    canUndo() {
+        return this.undoStack.length > 0 && !this.isApplying;
+    }
+    
+    /**
+     * Check whether there is anything to redo
+     */
+    canRedo() {
+        return this.redoStack.length > 0 && !this.isApplying;
+    }
+    
+    /**
+     * Forget all history (e.g. when switching worlds)
+     */
+    clear() {
+        this.undoStack = [];
+        this.redoStack = [];
+        this.notify();
+    }
+    
+    /**
+     * Register a listener called whenever the stacks change
+     * @returns {Function} Unsubscribe function
+     */
+    onChange(listener) {
+        this.listeners.add(listener);
+        return () => this.listeners.delete(listener);
+    }
+    
+    /**
+     * Notify listeners of a change
+     */
+    notify() {
+        this.listeners.forEach(listener => listener());
+    }
+}
+
+// Create and export singleton instance
+export const undoHistory = new UndoHistory();
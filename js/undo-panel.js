@@ -0,0 +1,139 @@
+/**
+ * Undo Panel Module
+ * Shows the session's undo/redo history and steps through it
+ */
+
+import { ONLYWORLDS } from './constants.js';
+import { undoHistory } from './undo-history.js';
+
+export class UndoPanel {
+    constructor() {
+        this.modal = null;
+        this.unsubscribe = null;
+    }
+    
+    /**
+     * Open the panel
+     */
+    open() {
+        this.close();
+        
+        const modal = document.createElement('div');
+        modal.id = 'undo-modal';
+        modal.className = 'modal compact';
+        modal.innerHTML = `
+            <div class="modal-content compact">
+                <div class="modal-header">
+                    <h2>Undo History</h2>
+                    <button class="modal-close">&times;</button>
+                </div>
+                <div class="modal-body">
+                    <div id="undo-list" class="undo-list"></div>
+                    <div class="modal-footer">
+                        <button type="button" id="undo-close" class="btn btn-secondary">Close</button>
+                        <button type="button" id="undo-redo" class="btn btn-secondary" title="Ctrl+Shift+Z">Redo</button>
+                        <button type="button" id="undo-undo" class="btn btn-primary" title="Ctrl+Z">Undo</button>
+                    </div>
+                </div>
+            </div>
+        `;
+        
+        document.body.appendChild(modal);
+        this.modal = modal;
+        
+        modal.querySelector('.modal-close').addEventListener('click', () => this.close());
+        modal.querySelector('#undo-close').addEventListener('click', () => this.close());
+        modal.addEventListener('click', (e) => {
+            if (e.target === modal) {
+                this.close();
+            }
+        });
+        
+        modal.querySelector('#undo-undo').addEventListener('click', () => this.step('undo'));
+        modal.querySelector('#undo-redo').addEventListener('click', () => this.step('redo'));
+        
+        this.unsubscribe = undoHistory.onChange(() => this.render());
+        this.render();
+    }
+    
+    /**
+     * Close the panel
+     */
+    close() {
+        if (this.unsubscribe) {
+            this.unsubscribe();
+            this.unsubscribe = null;
+        }
+        
+        if (this.modal) {
+            this.modal.remove();
+            this.modal = null;
+        }
+    }
+    
+    /**
+     * Render both stacks, newest first; undone entries are shown above the current point
+     */
+    render() {
+        if (!this.modal) return;
+        
+        const list = this.modal.querySelector('#undo-list');
+        list.innerHTML = '';
+        
+        if (undoHistory.undoStack.length === 0 && undoHistory.redoStack.length === 0) {
+            list.innerHTML = '<p class="empty-state">No changes in this session yet</p>';
+        }
+        
+        undoHistory.redoStack.forEach(entry => {
+            list.appendChild(this.renderEntry(entry, true));
+        });
+        
+        [...undoHistory.undoStack].reverse().forEach(entry => {
+            list.appendChild(this.renderEntry(entry, false));
+        });
+        
+        this.modal.querySelector('#undo-undo').disabled = !undoHistory.canUndo();
+        this.modal.querySelector('#undo-redo').disabled = !undoHistory.canRedo();
+    }
+    
+    /**
+     * Build the row for one history entry
+     */
+    renderEntry(entry, isUndone) {
+        const item = document.createElement('div');
+        item.className = `undo-item${isUndone ? ' undone' : ''}`;
+        
+        const icon = document.createElement('span');
+        icon.className = 'material-icons-outlined undo-icon';
+        icon.textContent = ONLYWORLDS.ELEMENT_ICONS[entry.type] || 'category';
+        
+        const label = document.createElement('span');
+        label.className = 'undo-label';
+        label.textContent = entry.label;
+        
+        const time = document.createElement('span');
+        time.className = 'undo-time';
+        time.textContent = new Date(entry.at).toLocaleTimeString();
+        
+        item.appendChild(icon);
+        item.appendChild(label);
+        item.appendChild(time);
+        
+        return item;
+    }
+    
+    /**
+     * Undo or redo one step, reporting failures
+     * @param {string} direction - 'undo' or 'redo'
+     */
+    async step(direction) {
+        try {
+            await undoHistory[direction]();
+        } catch (error) {
+            console.error(`${direction} failed:`, error);
+            alert(`Could not ${direction}: ${error.message}`);
+        } finally {
+            this.render();
+        }
+    }
+}
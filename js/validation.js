@@ -0,0 +1,203 @@
+/**
+ * Validation Module
+ * Checks field values against the element type's schema before they reach the
+ * API, and shows the problems inline next to the field
+ */
+
+import { getElementSchema, getSchemaField } from './element-schemas.js';
+import { getFieldType, getLinkIds } from './field-types.js';
+
+const UUID_PATTERN = /^[0-9a-f]{8}-[0-9a-f]{4}-[0-9a-f]{4}-[0-9a-f]{4}-[0-9a-f]{12}$/i;
+
+/**
+ * Read the value of a field input, converted to the field's type
+ * Values that can't be converted are kept as they are so validation can report them
+ * @param {HTMLElement} input - Input, textarea or checkbox
+ * @param {string} fieldType - Field type
+ * @returns {*} Field value
+ */
+function readInputValue(input, fieldType) {
+    switch (fieldType) {
+        case 'boolean':
+            return input.checked;
+        
+        case 'number':
+            // Number inputs report unparseable text as an empty value
+            if (input.validity?.badInput) return NaN;
+            return input.value.trim() ? Number(input.value) : null;
+        
+        case 'array<uuid>':
+        case 'array<string>':
+            return input.value
+                .split(',')
+                .map(v => v.trim())
+                .filter(v => v);
+        
+        case 'object':
+            if (!input.value.trim()) return null;
+            try {
+                return JSON.parse(input.value);
+            } catch {
+                return input.value; // Keep as string if invalid JSON
+            }
+        
+        default:
+            return input.value.trim() || null;
+    }
+}
+
+/**
+ * Check one field value
+ * @param {string} elementType - Element type
+ * @param {string} fieldName - Name of the field
+ * @param {*} value - Field value
+ * @returns {string|null} Error message, or null if the value is valid
+ */
+function validateField(elementType, fieldName, value) {
+    const schemaField = getSchemaField(elementType, fieldName);
+    const type = schemaField ? schemaField.type : getFieldType(fieldName, elementType).type;
+    const rules = schemaField ? schemaField.rules : {};
+    const label = schemaField ? schemaField.label : fieldName;
+    
+    const isEmpty = value === null || value === undefined || value === '' ||
+        (Array.isArray(value) && value.length === 0);
+    
+    if (isEmpty) {
+        return schemaField?.required ? `${label} is required` : null;
+    }
+    
+    switch (type) {
+        case 'number': {
+            if (typeof value !== 'number' || !Number.isFinite(value)) {
+                return `${label} must be a number`;
+            }
+            if (rules.integer && !Number.isInteger(value)) {
+                return `${label} must be a whole number`;
+            }
+            if (rules.min !== undefined && rules.max !== undefined && (value < rules.min || value > rules.max)) {
+                return `${label} must be between ${rules.min} and ${rules.max}`;
+            }
+            if (rules.min !== undefined && value < rules.min) {
+                return `${label} can't be less than ${rules.min}`;
+            }
+            if (rules.max !== undefined && value > rules.max) {
+                return `${label} can't be more than ${rules.max}`;
+            }
+            break;
+        }
+        
+        case 'uuid':
+        case 'array<uuid>': {
+            const items = Array.isArray(value) ? value : [value];
+            const invalid = items.filter(item => {
+                const id = getLinkIds(item)[0];
+                return !id || !UUID_PATTERN.test(id);
+            });
+            if (invalid.length > 0) {
+                const shown = invalid.map(item => (typeof item === 'object' ? JSON.stringify(item) : item));
+                return `Not a valid element ID: ${shown.join(', ')}`;
+            }
+            break;
+        }
+        
+        case 'object':
+            if (typeof value !== 'object') {
+                return `${label} is not valid JSON`;
+            }
+            break;
+        
+        case 'boolean':
+            if (typeof value !== 'boolean') {
+                return `${label} must be yes or no`;
+            }
+            break;
+        
+        case 'date':
+            if (Number.isNaN(Date.parse(value))) {
+                return `${label} is not a valid date`;
+            }
+            break;
+    }
+    
+    if (rules.format === 'url' && !isHttpUrl(value)) {
+        return `${label} must be a full http:// or https:// address`;
+    }
+    
+    return null;
+}
+
+/**
+ * Check every field of an element, including required fields that are missing
+ * @param {string} elementType - Element type
+ * @param {Object} data - Field values
+ * @param {Object} [options] - { partial: true } skips required fields not in data
+ * @returns {Object} Error message per invalid field (empty when all is valid)
+ */
+function validateElement(elementType, data, { partial = false } = {}) {
+    const errors = {};
+    
+    Object.entries(data).forEach(([fieldName, value]) => {
+        const error = validateField(elementType, fieldName, value);
+        if (error) {
+            errors[fieldName] = error;
+        }
+    });
+    
+    if (!partial) {
+        const schema = getElementSchema(elementType);
+        const required = schema ? [...schema.fields.values()].filter(field => field.required) : [];
+        
+        required.forEach(field => {
+            if (!(field.name in data)) {
+                errors[field.name] = `${field.label} is required`;
+            }
+        });
+    }
+    
+    return errors;
+}
+
+/**
+ * Show or clear the error of a field
+ * @param {HTMLElement} container - The field's wrapper (compact field or form group)
+ * @param {string|null} message - Error message, or null to clear it
+ */
+function showFieldError(container, message) {
+    if (!container) return;
+    
+    let errorEl = container.querySelector(':scope > .field-error');
+    
+    if (!message) {
+        container.classList.remove('invalid');
+        errorEl?.remove();
+        return;
+    }
+    
+    if (!errorEl) {
+        errorEl = document.createElement('small');
+        errorEl.className = 'field-error';
+        container.appendChild(errorEl);
+    }
+    
+    errorEl.textContent = message;
+    container.classList.add('invalid');
+}
+
+/**
+ * Check whether a string is an absolute http(s) URL
+ */
+function isHttpUrl(value) {
+    try {
+        const url = new URL(value);
+        return url.protocol === 'http:' || url.protocol === 'https:';
+    } catch {
+        return false;
+    }
+}
+
+export {
+    readInputValue,
+    showFieldError,
+    validateElement,
+    validateField
+};
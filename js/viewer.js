@@ -3,8 +3,21 @@
  * Handles displaying elements in the UI
  */
 
+import { authManager } from './auth.js';
+import { commands } from './commands.js';
+import { saveWithConflictCheck } from './conflict-dialog.js';
 import { ONLYWORLDS } from './constants.js';
+import { getLinkIds } from './field-types.js';
+import { escapeHtml } from './format.js';
+import { buildHierarchy, getHierarchyField, getParentId, wouldCreateCycle } from './hierarchy.js';
 import InlineEditor from './inline-editor.js';
+import { router } from './router.js';
+import { trash } from './trash.js';
+import { undoHistory } from './undo-history.js';
+import { VirtualList } from './virtual-list.js';
+
+// Height of a card in the list plus the gap below it; cards are cut to fit
+const CARD_HEIGHT = 120;
 
 export default class ElementViewer {
     constructor(apiService) {
@@ -12,6 +25,22 @@ export default class ElementViewer {
         this.currentCategory = null;
         this.currentElements = [];
         this.selectedElement = null;
+        this.loadCounter = 0;
+        
+        // Field values the list is narrowed to, e.g. { supertype: 'city' }
+        this.listFilters = {};
+        
+        // 'list' or 'tree'; types without a parent field always show as a list
+        this.listMode = 'list';
+        this.collapsed = new Set();
+        this.draggingId = null;
+        
+        // Elements ticked for bulk actions, and the last one ticked for shift-click ranges
+        this.checkedIds = new Set();
+        this.lastCheckedId = null;
+        
+        // Only the cards in view are in the DOM
+        this.listView = null;
     }
     
     /**
@@ -20,6 +49,55 @@ export default class ElementViewer {
     init() {
         this.populateCategories();
         this.attachEventListeners();
+        this.registerCommands();
+        
+        // Locally cached categories are refreshed in the background; redraw when they change
+        this.api.onRevalidate((type) => this.handleRevalidated(type));
+    }
+    
+    /**
+     * Offer category navigation and list commands in the command palette
+     */
+    registerCommands() {
+        commands.register(
+            ...ONLYWORLDS.ELEMENT_TYPES.map(type => ({
+                id: `go.${type}`,
+                title: `Go to ${ONLYWORLDS.ELEMENT_LABELS[type]}`,
+                group: 'Go to',
+                icon: ONLYWORLDS.ELEMENT_ICONS[type],
+                keywords: ['category', 'list'],
+                when: () => Boolean(authManager.checkAuth()),
+                run: () => router.navigate({ type })
+            })),
+            {
+                id: 'list.mode',
+                title: 'Switch between list and tree',
+                group: 'List',
+                icon: 'account_tree',
+                when: () => Boolean(getHierarchyField(this.currentCategory)),
+                run: () => this.toggleListMode()
+            },
+            {
+                id: 'list.select-all',
+                title: 'Select every element listed',
+                group: 'List',
+                icon: 'checklist',
+                keywords: ['bulk', 'multi-select'],
+                when: () => Boolean(this.currentCategory),
+                run: () => this.checkAllShown()
+            },
+            {
+                id: 'list.focus',
+                title: 'Move through the list with the keyboard',
+                group: 'List',
+                icon: 'format_list_bulleted',
+                when: () => Boolean(this.listView?.isAttached()),
+                run: () => {
+                    document.getElementById('element-list').focus();
+                    this.listView.setActive(Math.max(0, this.listView.activeIndex));
+                }
+            }
+        );
     }
     
     /**
@@ -29,6 +107,8 @@ export default class ElementViewer {
         this.currentCategory = null;
         this.currentElements = [];
         this.selectedElement = null;
+        this.listFilters = {};
+        this.uncheckElements();
         
         if (this.inlineEditor && this.inlineEditor.cleanup) {
             this.inlineEditor.cleanup();
@@ -65,44 +145,89 @@ export default class ElementViewer {
      */
     async updateCategoryCounts() {
         // Create all promises at once to ensure true parallel execution
-        const countPromises = ONLYWORLDS.ELEMENT_TYPES.map((type) => 
-            this.api.getElements(type)
-                .then(elements => {
-                    const countElement = document.getElementById(`count-${type}`);
-                    if (countElement) {
-                        requestAnimationFrame(() => {
-                            countElement.textContent = elements.length;
-                        });
-                    }
-                    return elements.length;
-                })
-                .catch(error => {
-                    console.warn(`Could not get count for ${type}:`, error);
-                    const countElement = document.getElementById(`count-${type}`);
-                    if (countElement) {
-                        requestAnimationFrame(() => {
-                            countElement.textContent = '0';
-                        });
-                    }
-                    return 0;
-                })
-        );
+        const countPromises = ONLYWORLDS.ELEMENT_TYPES.map(type => this.updateCategoryCount(type));
         
         // Wait for all to complete (they're still parallel)
         await Promise.all(countPromises);
     }
     
+    /**
+     * Update the element count of one category
+     * The count grows page by page as the category streams in
+     * @param {string} type - Element type to count
+     * @returns {Promise<number>} Number of elements
+     */
+    async updateCategoryCount(type) {
+        const setCount = (text) => {
+            const countElement = document.getElementById(`count-${type}`);
+            if (countElement) {
+                requestAnimationFrame(() => {
+                    countElement.textContent = text;
+                });
+            }
+        };
+        
+        let count = 0;
+        
+        try {
+            for await (const batch of this.api.iterateElements(type)) {
+                count += batch.length;
+                setCount(count);
+            }
+            
+            if (count === 0) {
+                setCount(0);
+            }
+        } catch (error) {
+            console.warn(`Could not get count for ${type}:`, error);
+            setCount('0');
+            count = 0;
+        }
+        
+        return count;
+    }
+    
+    /**
+     * Redraw after a background refresh changed a category
+     * @param {string} type - Element type that changed
+     */
+    async handleRevalidated(type) {
+        this.updateCategoryCount(type);
+        
+        if (type !== this.currentCategory) return;
+        
+        const searchTerm = document.getElementById('search-input')?.value;
+        
+        await this.loadElements(type);
+        
+        if (searchTerm) {
+            await this.searchElements(searchTerm);
+        }
+        
+        if (this.selectedElement) {
+            document.querySelector(`.element-card[data-id="${this.selectedElement.id}"]`)?.classList.add('selected');
+        }
+    }
+    
     /**
      * Select a category and load its elements
      * @param {string} type - Element type to select
+     * @param {Object} [filters] - Field values to narrow the list to, e.g. { supertype: 'city' }
      */
-    async selectCategory(type) {
+    async selectCategory(type, filters = {}) {
         document.querySelectorAll('.category-item').forEach(item => {
             item.classList.remove('active');
         });
         document.querySelector(`[data-type="${type}"]`)?.classList.add('active');
         
+        if (type !== this.currentCategory) {
+            this.uncheckElements();
+        }
+        
         this.currentCategory = type;
+        this.listFilters = filters;
+        this.renderListFilters();
+        router.record({ type, filters });
         
         document.getElementById('list-title').textContent = ONLYWORLDS.ELEMENT_LABELS[type];
         
@@ -114,72 +239,529 @@ export default class ElementViewer {
             createBtn.dataset.elementType = type;
         }
         
+        document.getElementById('table-view-btn')?.classList.remove('hidden');
+        
+        this.updateListModeButton();
+        
         await this.loadElements(type);
     }
     
     /**
      * Load elements for a category
+     * Renders each page as it arrives instead of waiting for the whole category
      * @param {string} type - Element type to load
      */
     async loadElements(type) {
         const elementList = document.getElementById('element-list');
+        const loadId = ++this.loadCounter;
         
         elementList.innerHTML = '<p class="loading-text">Loading...</p>';
+        this.currentElements = [];
         
         try {
-            const elements = await this.api.getElements(type);
-            this.currentElements = elements;
+            for await (const batch of this.api.iterateElements(type)) {
+                // A newer load (another category or a refresh) has taken over the list
+                if (loadId !== this.loadCounter) return;
+                
+                if (this.currentElements.length === 0) {
+                    elementList.innerHTML = '';
+                }
+                
+                this.currentElements.push(...batch);
+                if (this.isTreeMode()) {
+                    this.renderTree();
+                } else {
+                    this.displayElements(this.getListedElements());
+                }
+            }
+            
+            if (loadId !== this.loadCounter) return;
             
-            if (elements.length === 0) {
+            // Forget ticked elements that are gone
+            const loadedIds = new Set(this.currentElements.map(element => element.id));
+            this.uncheckElements([...this.checkedIds].filter(id => !loadedIds.has(id)));
+            
+            if (this.currentElements.length === 0) {
                 elementList.innerHTML = `<p class="empty-state">No ${ONLYWORLDS.ELEMENT_LABELS[type].toLowerCase()} found</p>`;
-                return;
+            } else if (this.getListedElements().length === 0) {
+                elementList.innerHTML = `<p class="empty-state">No ${ONLYWORLDS.ELEMENT_LABELS[type].toLowerCase()} match the filters</p>`;
             }
             
-            this.displayElements(elements);
-            
         } catch (error) {
+            if (loadId !== this.loadCounter) return;
+            
             elementList.innerHTML = `<p class="error-text">Error loading ${type}s: ${error.message}</p>`;
             console.error('Error loading elements:', error);
         }
     }
     
+    /**
+     * Get the loaded elements that pass the list filters
+     * A link field matches when it links to the filter value, other fields when they equal it
+     * @returns {Array} Elements
+     */
+    getListedElements() {
+        const filters = Object.entries(this.listFilters);
+        if (filters.length === 0) return this.currentElements;
+        
+        return this.currentElements.filter(element => filters.every(([field, value]) => {
+            const fieldValue = element[field];
+            if (typeof fieldValue === 'string' && fieldValue.toLowerCase() === value.toLowerCase()) return true;
+            return getLinkIds(fieldValue).includes(value) || String(fieldValue ?? '') === value;
+        }));
+    }
+    
+    /**
+     * Show the list filters as chips that can be removed
+     */
+    renderListFilters() {
+        const container = document.getElementById('list-filters');
+        if (!container) return;
+        
+        container.innerHTML = '';
+        container.classList.toggle('hidden', Object.keys(this.listFilters).length === 0);
+        
+        Object.entries(this.listFilters).forEach(([field, value]) => {
+            const chip = document.createElement('span');
+            chip.className = 'list-filter';
+            chip.textContent = `${field.replace(/_/g, ' ')}: ${value}`;
+            
+            const remove = document.createElement('button');
+            remove.className = 'list-filter-remove';
+            remove.title = 'Remove filter';
+            remove.innerHTML = '&times;';
+            remove.addEventListener('click', () => {
+                const filters = { ...this.listFilters };
+                delete filters[field];
+                router.navigate({ type: this.currentCategory, filters });
+            });
+            
+            chip.appendChild(remove);
+            container.appendChild(chip);
+        });
+    }
+    
     /**
      * Display a list of elements
+     * The list is virtual: calling this again as more pages arrive keeps the scroll position
      * @param {Array} elements - Elements to display
      */
     displayElements(elements) {
         const elementList = document.getElementById('element-list');
+        
+        // Anything else drawn into the list (a message, the tree) replaced the virtual list
+        if (this.listView && !this.listView.isAttached()) {
+            this.listView.destroy();
+            this.listView = null;
+        }
+        
+        if (!this.listView) {
+            elementList.innerHTML = '';
+            this.listView = new VirtualList(elementList, {
+                itemHeight: CARD_HEIGHT,
+                renderItem: (element, index) => {
+                    const icon = ONLYWORLDS.ELEMENT_ICONS[this.currentCategory] || 'category';
+                    const card = this.createElementCard(element, icon);
+                    card.classList.toggle('selected', element.id === this.selectedElement?.id);
+                    card.addEventListener('click', () => this.listView?.setActive(index));
+                    return card;
+                },
+                onActivate: (element) => this.selectElement(element)
+            });
+        }
+        
+        this.listView.setItems(elements);
+    }
+    
+    /**
+     * Create the card of one element in the list
+     * @param {Object} element - Element to show
+     * @param {string} icon - Icon of the current category
+     * @returns {HTMLElement} Element card
+     */
+    createElementCard(element, icon) {
+        const elementCard = document.createElement('div');
+        elementCard.className = 'element-card';
+        elementCard.dataset.id = element.id;
+        elementCard.classList.toggle('checked', this.checkedIds.has(element.id));
+        
+        const isPending = this.api.hasPendingChanges(this.currentCategory, element.id);
+        if (isPending) {
+            elementCard.classList.add('pending');
+        }
+        
+        const pendingBadge = isPending
+            ? '<span class="element-pending material-icons-outlined" title="Not synced yet">cloud_upload</span>'
+            : '';
+        
+        const displayName = element.name || element.title || `Unnamed ${this.currentCategory}`;
+        
+        elementCard.innerHTML = `
+            <div class="element-header">
+                <input type="checkbox" class="element-check" title="Select for bulk actions (shift-click for a range)" ${this.checkedIds.has(element.id) ? 'checked' : ''} />
+                <span class="element-icon material-icons-outlined">${icon}</span>
+                <div class="element-info">
+                    <h3 class="element-name">${escapeHtml(displayName)}</h3>
+                </div>
+                ${pendingBadge}
+            </div>
+            ${element.description ? `<p class="element-description">${escapeHtml(element.description)}</p>` : ''}
+        `;
+        
+        if (element.supertype) {
+            // Built with the DOM: the supertype also goes into an attribute
+            const supertype = document.createElement('span');
+            supertype.className = 'element-supertype';
+            supertype.title = `List every ${element.supertype}`;
+            supertype.textContent = element.supertype;
+            supertype.addEventListener('click', (e) => {
+                e.stopPropagation();
+                router.navigate({ type: this.currentCategory, filters: { supertype: element.supertype } });
+            });
+            elementCard.querySelector('.element-info').appendChild(supertype);
+        }
+        
+        const checkbox = elementCard.querySelector('.element-check');
+        checkbox.addEventListener('click', (e) => {
+            e.stopPropagation();
+            if (e.shiftKey) {
+                this.checkRange(element.id);
+            } else {
+                this.toggleChecked(element.id, checkbox.checked);
+            }
+        });
+        
+        elementCard.addEventListener('click', (e) => {
+            if (e.shiftKey) {
+                this.checkRange(element.id);
+            } else if (e.ctrlKey || e.metaKey) {
+                this.toggleChecked(element.id, !this.checkedIds.has(element.id));
+            } else {
+                this.selectElement(element);
+            }
+        });
+        return elementCard;
+    }
+    
+    /**
+     * Tick or untick one element for bulk actions
+     * @param {string} id - Element ID
+     * @param {boolean} checked - Whether it should be ticked
+     */
+    toggleChecked(id, checked) {
+        if (checked) {
+            this.checkedIds.add(id);
+        } else {
+            this.checkedIds.delete(id);
+        }
+        this.lastCheckedId = id;
+        this.updateChecked();
+    }
+    
+    /**
+     * Tick every card shown between the last ticked one and this one
+     * @param {string} id - Element ID clicked with shift
+     */
+    checkRange(id) {
+        const ids = this.getShownIds();
+        const from = ids.indexOf(this.lastCheckedId);
+        const to = ids.indexOf(id);
+        
+        if (from === -1) {
+            this.toggleChecked(id, true);
+            return;
+        }
+        
+        ids.slice(Math.min(from, to), Math.max(from, to) + 1).forEach(rangeId => this.checkedIds.add(rangeId));
+        this.lastCheckedId = id;
+        this.updateChecked();
+    }
+    
+    /**
+     * Tick every card shown (e.g. all search results)
+     */
+    checkAllShown() {
+        this.getShownIds().forEach(id => this.checkedIds.add(id));
+        this.updateChecked();
+    }
+    
+    /**
+     * IDs of the elements listed, in order, including the ones scrolled out of view
+     * @returns {Array} Element IDs
+     */
+    getShownIds() {
+        if (this.listView?.isAttached()) {
+            return this.listView.items.map(element => element.id);
+        }
+        return [...document.querySelectorAll('#element-list .element-card')].map(card => card.dataset.id);
+    }
+    
+    /**
+     * Untick elements
+     * @param {Iterable} [ids] - Element IDs; all of them if left out
+     */
+    uncheckElements(ids = null) {
+        if (ids) {
+            [...ids].forEach(id => this.checkedIds.delete(id));
+        } else {
+            this.checkedIds.clear();
+            this.lastCheckedId = null;
+        }
+        this.updateChecked();
+    }
+    
+    /**
+     * Get the ticked elements of the current category
+     * @returns {Array} Elements
+     */
+    getCheckedElements() {
+        return this.currentElements.filter(element => this.checkedIds.has(element.id));
+    }
+    
+    /**
+     * Sync the checkboxes and the bulk action bar with the ticked elements
+     */
+    updateChecked() {
+        document.querySelectorAll('#element-list .element-card').forEach(card => {
+            const checked = this.checkedIds.has(card.dataset.id);
+            card.classList.toggle('checked', checked);
+            const checkbox = card.querySelector('.element-check');
+            if (checkbox) {
+                checkbox.checked = checked;
+            }
+        });
+        
+        const count = this.checkedIds.size;
+        document.getElementById('element-list')?.classList.toggle('selecting', count > 0);
+        document.getElementById('bulk-bar')?.classList.toggle('hidden', count === 0);
+        
+        const label = document.getElementById('bulk-count');
+        if (label) {
+            label.textContent = `${count} selected`;
+        }
+    }
+    
+    /**
+     * Whether the current category is shown as a tree of parents and children
+     */
+    isTreeMode() {
+        return this.listMode === 'tree' && Boolean(getHierarchyField(this.currentCategory)) &&
+            Object.keys(this.listFilters).length === 0;
+    }
+    
+    /**
+     * Show the list/tree switch for types that nest, with the icon of the other mode
+     */
+    updateListModeButton() {
+        const button = document.getElementById('list-mode-btn');
+        if (!button) return;
+        
+        button.classList.toggle('hidden', !getHierarchyField(this.currentCategory));
+        button.title = this.listMode === 'tree' ? 'Show as a list' : 'Show as a tree';
+        button.querySelector('.material-icons-outlined').textContent = this.listMode === 'tree' ? 'view_list' : 'account_tree';
+    }
+    
+    /**
+     * Switch between the flat list and the tree
+     */
+    async toggleListMode() {
+        this.listMode = this.listMode === 'tree' ? 'list' : 'tree';
+        this.updateListModeButton();
+        
+        const searchTerm = document.getElementById('search-input')?.value;
+        if (searchTerm) {
+            await this.searchElements(searchTerm);
+        } else if (this.isTreeMode()) {
+            this.renderTree();
+        } else {
+            this.displayElements(this.getListedElements());
+        }
+    }
+    
+    /**
+     * Show the current category as a tree; drag a card onto another to move it there
+     * Search results stay a flat list
+     */
+    renderTree() {
+        const elementList = document.getElementById('element-list');
+        const field = getHierarchyField(this.currentCategory);
+        const icon = ONLYWORLDS.ELEMENT_ICONS[this.currentCategory] || 'category';
+        const { roots, children } = buildHierarchy(this.currentElements, field);
+        const byName = (a, b) => (a.name || '').localeCompare(b.name || '');
+        
         elementList.innerHTML = '';
         
-        // Use DocumentFragment for batch DOM operations
+        const rootDrop = document.createElement('div');
+        rootDrop.className = 'tree-root-drop';
+        rootDrop.textContent = 'Drop here to move to the top level';
+        this.attachDropTarget(rootDrop, null);
+        elementList.appendChild(rootDrop);
+        
+        const renderBranch = (elements, container) => {
+            [...elements].sort(byName).forEach(element => {
+                const childElements = children.get(element.id) || [];
+                const isCollapsed = this.collapsed.has(element.id);
+                
+                const node = document.createElement('div');
+                node.className = 'tree-node';
+                
+                const row = document.createElement('div');
+                row.className = 'tree-row';
+                
+                const toggle = document.createElement('button');
+                toggle.className = 'tree-toggle';
+                if (childElements.length > 0) {
+                    toggle.innerHTML = `<span class="material-icons-outlined">${isCollapsed ? 'chevron_right' : 'expand_more'}</span>`;
+                    toggle.title = isCollapsed ? `Show ${childElements.length} inside` : 'Collapse';
+                    toggle.addEventListener('click', () => {
+                        if (isCollapsed) {
+                            this.collapsed.delete(element.id);
+                        } else {
+                            this.collapsed.add(element.id);
+                        }
+                        this.renderTree();
+                    });
+                } else {
+                    toggle.disabled = true;
+                }
+                row.appendChild(toggle);
+                
+                const card = this.createElementCard(element, icon);
+                card.draggable = true;
+                card.addEventListener('dragstart', (e) => {
+                    this.draggingId = element.id;
+                    e.dataTransfer.effectAllowed = 'move';
+                    e.dataTransfer.setData('text/plain', element.id);
+                    elementList.classList.add('tree-dragging');
+                });
+                card.addEventListener('dragend', () => {
+                    this.draggingId = null;
+                    elementList.classList.remove('tree-dragging');
+                });
+                this.attachDropTarget(card, element.id);
+                row.appendChild(card);
+                
+                node.appendChild(row);
+                
+                if (childElements.length > 0 && !isCollapsed) {
+                    const branch = document.createElement('div');
+                    branch.className = 'tree-children';
+                    renderBranch(childElements, branch);
+                    node.appendChild(branch);
+                }
+                
+                container.appendChild(node);
+            });
+        };
+        
         const fragment = document.createDocumentFragment();
-        const icon = ONLYWORLDS.ELEMENT_ICONS[this.currentCategory] || 'category';
+        renderBranch(roots, fragment);
+        elementList.appendChild(fragment);
         
-        elements.forEach(element => {
-            const elementCard = document.createElement('div');
-            elementCard.className = 'element-card';
-            elementCard.dataset.id = element.id;
-            
-            const supertype = element.supertype ? `<span class="element-supertype">${element.supertype}</span>` : '';
+        if (this.selectedElement) {
+            elementList.querySelector(`.element-card[data-id="${this.selectedElement.id}"]`)?.classList.add('selected');
+        }
+    }
+    
+    /**
+     * Let a card (or the top-level zone) take a dragged element as its child
+     * Drops that would make an element its own ancestor are refused
+     * @param {HTMLElement} target - Drop target
+     * @param {string|null} parentId - New parent, or null for the top level
+     */
+    attachDropTarget(target, parentId) {
+        target.addEventListener('dragover', (e) => {
+            if (!this.draggingId) return;
             
-            const displayName = element.name || element.title || `Unnamed ${this.currentCategory}`;
+            if (this.canReparent(this.draggingId, parentId)) {
+                e.preventDefault();
+                e.dataTransfer.dropEffect = 'move';
+                target.classList.add('drop-target');
+            } else {
+                target.classList.add('drop-invalid');
+            }
+        });
+        
+        target.addEventListener('dragleave', () => {
+            target.classList.remove('drop-target', 'drop-invalid');
+        });
+        
+        target.addEventListener('drop', (e) => {
+            e.preventDefault();
+            target.classList.remove('drop-target', 'drop-invalid');
             
-            elementCard.innerHTML = `
-                <div class="element-header">
-                    <span class="element-icon material-icons-outlined">${icon}</span>
-                    <div class="element-info">
-                        <h3 class="element-name">${this.escapeHtml(displayName)}</h3>
-                        ${supertype}
-                    </div>
-                </div>
-                ${element.description ? `<p class="element-description">${this.escapeHtml(element.description)}</p>` : ''}
-            `;
+            const id = this.draggingId;
+            this.draggingId = null;
+            document.getElementById('element-list').classList.remove('tree-dragging');
             
-            elementCard.addEventListener('click', () => this.selectElement(element));
-            fragment.appendChild(elementCard);
+            if (id && this.canReparent(id, parentId)) {
+                this.reparentElement(id, parentId);
+            }
         });
+    }
+    
+    /**
+     * Check whether an element can move under a parent
+     * @param {string} id - Element to move
+     * @param {string|null} parentId - New parent, or null for the top level
+     * @returns {boolean} False when nothing would change or the move would create a cycle
+     */
+    canReparent(id, parentId) {
+        const field = getHierarchyField(this.currentCategory);
+        const element = this.currentElements.find(candidate => candidate.id === id);
+        if (!field || !element || getParentId(element, field) === parentId) return false;
         
-        elementList.appendChild(fragment);
+        return !wouldCreateCycle(this.currentElements, field, id, parentId);
+    }
+    
+    /**
+     * Move an element under another parent by writing its parent field
+     * Checked against the server first, so a drop never overwrites someone else's move
+     * @param {string} id - Element to move
+     * @param {string|null} parentId - New parent, or null for the top level
+     */
+    async reparentElement(id, parentId) {
+        const type = this.currentCategory;
+        const field = getHierarchyField(type);
+        const element = this.currentElements.find(candidate => candidate.id === id);
+        const parent = parentId ? this.currentElements.find(candidate => candidate.id === parentId) : null;
+        const before = element[field] ?? null;
+        
+        try {
+            const saved = await saveWithConflictCheck(this.api, type, element, { [field]: parentId });
+            if (saved) {
+                Object.assign(element, saved.element);
+            }
+            
+            if (saved && field in saved.updates) {
+                undoHistory.record({
+                    action: 'update',
+                    type,
+                    id,
+                    name: element.name,
+                    before: { [field]: before },
+                    after: saved.updates,
+                    label: parent
+                        ? `Move "${element.name}" into "${parent.name}"`
+                        : `Move "${element.name}" to the top level`
+                });
+            }
+            
+            if (saved && field in saved.updates && parentId) {
+                this.collapsed.delete(parentId);
+            }
+            
+            if (type === this.currentCategory && this.isTreeMode()) {
+                this.renderTree();
+            }
+            
+            if (this.selectedElement?.id === id) {
+                await this.selectElement(element);
+            }
+        } catch (error) {
+            alert(`Error moving element: ${error.message}`);
+            console.error('Error moving element:', error);
+        }
     }
     
     /**
@@ -193,10 +775,40 @@ export default class ElementViewer {
         document.querySelector(`[data-id="${element.id}"]`)?.classList.add('selected');
         
         this.selectedElement = element;
+        router.record({ type: this.currentCategory, id: element.id, filters: this.listFilters });
         
         await this.displayElementDetails(element);
     }
     
+    /**
+     * Show no element in the detail view
+     */
+    clearSelection() {
+        this.selectedElement = null;
+        
+        document.querySelectorAll('.element-card.selected').forEach(card => {
+            card.classList.remove('selected');
+        });
+        document.getElementById('element-detail').innerHTML = '<p class="empty-state">Select an element to view details</p>';
+        
+        router.record({ type: this.currentCategory, filters: this.listFilters }, { replace: true });
+    }
+    
+    /**
+     * Show an element of any category: switch to its category, then select it
+     * @param {string} type - Element type
+     * @param {string} id - Element ID
+     */
+    async openElement(type, id) {
+        if (this.currentCategory !== type) {
+            await this.selectCategory(type);
+        }
+        
+        const element = this.currentElements.find(candidate => candidate.id === id)
+            || await this.api.getElement(type, id);
+        await this.selectElement(element);
+    }
+    
     /**
      * Display detailed view of an element with inline editing
      * @param {Object} element - Element to display in detail
@@ -214,45 +826,38 @@ export default class ElementViewer {
     }
     
     /**
-     * Delete element with confirmation
+     * Move an element to the trash after confirmation
      * @param {string} type - Element type
      * @param {string} id - Element ID
      */
-    async deleteElementWithConfirm(type, id) {
+    async deleteElement(type, id) {
         const element = this.currentElements.find(e => e.id === id);
         const name = element?.name || 'this element';
         
-        if (!confirm(`Are you sure you want to delete "${name}"? This cannot be undone.`)) {
-            return;
-        }
-        
-        await this.deleteElement(type, id);
-    }
-    
-    /**
-     * Delete an element after confirmation
-     * @param {string} type - Element type
-     * @param {string} id - Element ID
-     */
-    async deleteElement(type, id) {
-        if (!confirm('Are you sure you want to delete this element? This cannot be undone.')) {
+        if (!confirm(`Move "${name}" to the trash? It can be restored from there.`)) {
             return;
         }
         
         try {
-            await this.api.deleteElement(type, id);
+            const entry = await trash.deleteElement(type, id);
+            
+            undoHistory.record({
+                action: 'delete',
+                type,
+                id,
+                name: entry.name,
+                element: entry.element
+            });
             
             await this.loadElements(type);
             
-            document.getElementById('element-detail').innerHTML = '<p class="empty-state">Select an element to view details</p>';
+            this.clearSelection();
             
             const countElement = document.getElementById(`count-${type}`);
             if (countElement) {
                 countElement.textContent = this.currentElements.length;
             }
             
-            alert('Element deleted successfully');
-            
         } catch (error) {
             alert(`Error deleting element: ${error.message}`);
             console.error('Error deleting element:', error);
@@ -272,7 +877,7 @@ export default class ElementViewer {
         }
         
         // Filter current elements locally for quick response
-        const filtered = this.currentElements.filter(element => 
+        const filtered = this.getListedElements().filter(element => 
             element.name?.toLowerCase().includes(searchTerm.toLowerCase()) ||
             element.description?.toLowerCase().includes(searchTerm.toLowerCase()) ||
             element.supertype?.toLowerCase().includes(searchTerm.toLowerCase())
@@ -294,18 +899,18 @@ export default class ElementViewer {
                 this.searchElements(e.target.value);
             }, 300);
         });
-    }
-    
-    /**
-     * Escape HTML to prevent XSS
-     * @param {string} text - Text to escape
-     * @returns {string} Escaped text
-     */
-    escapeHtml(text) {
-        if (!text) return '';
-        const div = document.createElement('div');
-        div.textContent = text;
-        return div.innerHTML;
+        
+        document.getElementById('list-mode-btn')?.addEventListener('click', () => {
+            this.toggleListMode();
+        });
+        
+        document.getElementById('bulk-select-all')?.addEventListener('click', () => {
+            this.checkAllShown();
+        });
+        
+        document.getElementById('bulk-clear')?.addEventListener('click', () => {
+            this.uncheckElements();
+        });
     }
     
     /**
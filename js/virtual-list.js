@@ -0,0 +1,207 @@
+/**
+ * Virtual List Module
+ * Scrolling list that only keeps the rows in view (plus a few around them) in
+ * the DOM, so categories and pickers with tens of thousands of elements stay
+ * smooth. Every row has the same height. Includes keyboard navigation over the
+ * whole list, not just the rows that happen to be drawn.
+ */
+
+// Rows drawn above and below the visible ones
+const OVERSCAN = 6;
+
+export class VirtualList {
+    /**
+     * @param {HTMLElement} container - Scrolling element the list fills
+     * @param {Object} options
+     * @param {number} options.itemHeight - Height of a row in pixels, including any gap
+     * @param {Function} options.renderItem - (item, index) => HTMLElement for a row
+     * @param {Function} [options.onActivate] - (item, index) called on Enter
+     */
+    constructor(container, { itemHeight, renderItem, onActivate = null }) {
+        this.container = container;
+        this.itemHeight = itemHeight;
+        this.renderItem = renderItem;
+        this.onActivate = onActivate;
+        this.items = [];
+        this.rows = new Map();
+        this.activeIndex = -1;
+        this.frame = null;
+        
+        // Rows are placed against the container, so it has to be positioned
+        container.classList.add('virtual-list-container');
+        
+        this.spacer = document.createElement('div');
+        this.spacer.className = 'virtual-list';
+        this.spacer.setAttribute('role', 'listbox');
+        container.appendChild(this.spacer);
+        
+        this.onScroll = () => {
+            if (this.frame) return;
+            this.frame = requestAnimationFrame(() => {
+                this.frame = null;
+                this.render();
+            });
+        };
+        this.onKeydown = (e) => {
+            if (e.target === container && this.handleKeydown(e)) {
+                e.preventDefault();
+            }
+        };
+        
+        container.addEventListener('scroll', this.onScroll, { passive: true });
+        container.addEventListener('keydown', this.onKeydown);
+        
+        // The container can be focused to move through the list with the keyboard
+        if (!container.hasAttribute('tabindex')) {
+            container.tabIndex = 0;
+        }
+        
+        this.resizeObserver = new ResizeObserver(() => this.render());
+        this.resizeObserver.observe(container);
+    }
+    
+    /**
+     * Check whether the list is still what the container shows
+     */
+    isAttached() {
+        return this.spacer.parentNode === this.container;
+    }
+    
+    /**
+     * Stop listening to the container
+     */
+    destroy() {
+        this.container.removeEventListener('scroll', this.onScroll);
+        this.container.removeEventListener('keydown', this.onKeydown);
+        this.resizeObserver.disconnect();
+        this.container.classList.remove('virtual-list-container');
+        if (this.frame) {
+            cancelAnimationFrame(this.frame);
+            this.frame = null;
+        }
+        this.spacer.remove();
+    }
+    
+    /**
+     * Replace the items; the scroll position is kept where possible
+     * @param {Array} items - Items to list
+     */
+    setItems(items) {
+        this.items = items;
+        this.activeIndex = Math.min(this.activeIndex, items.length - 1);
+        this.spacer.style.height = `${items.length * this.itemHeight}px`;
+        this.refresh();
+    }
+    
+    /**
+     * Redraw the rows in view, e.g. after the state they show has changed
+     */
+    refresh() {
+        this.rows.forEach(row => row.remove());
+        this.rows.clear();
+        this.render();
+    }
+    
+    /**
+     * Draw the rows in view and drop the ones that scrolled out
+     */
+    render() {
+        if (!this.isAttached()) return;
+        
+        const offset = this.spacer.offsetTop;
+        const top = this.container.scrollTop - offset;
+        const first = Math.max(0, Math.floor(top / this.itemHeight) - OVERSCAN);
+        const last = Math.min(this.items.length - 1,
+            Math.ceil((top + this.container.clientHeight) / this.itemHeight) + OVERSCAN);
+        
+        this.rows.forEach((row, index) => {
+            if (index < first || index > last) {
+                row.remove();
+                this.rows.delete(index);
+            }
+        });
+        
+        const fragment = document.createDocumentFragment();
+        for (let index = first; index <= last; index++) {
+            if (this.rows.has(index)) continue;
+            
+            const row = this.renderItem(this.items[index], index);
+            row.classList.add('virtual-item');
+            row.classList.toggle('active', index === this.activeIndex);
+            row.style.top = `${index * this.itemHeight}px`;
+            row.dataset.index = index;
+            this.rows.set(index, row);
+            fragment.appendChild(row);
+        }
+        this.spacer.appendChild(fragment);
+    }
+    
+    /**
+     * Handle a navigation key
+     * Also called by inputs that drive the list, like a picker's search box
+     * @param {KeyboardEvent} e - Key event
+     * @returns {boolean} True if the key was used
+     */
+    handleKeydown(e) {
+        const page = Math.max(1, Math.floor(this.container.clientHeight / this.itemHeight) - 1);
+        
+        switch (e.key) {
+            case 'ArrowDown':
+                this.setActive(this.activeIndex + 1);
+                return true;
+            case 'ArrowUp':
+                this.setActive(this.activeIndex - 1);
+                return true;
+            case 'PageDown':
+                this.setActive(this.activeIndex + page);
+                return true;
+            case 'PageUp':
+                this.setActive(this.activeIndex - page);
+                return true;
+            case 'Home':
+                this.setActive(0);
+                return true;
+            case 'End':
+                this.setActive(this.items.length - 1);
+                return true;
+            case 'Enter':
+                if (this.activeIndex < 0 || !this.onActivate) return false;
+                this.onActivate(this.items[this.activeIndex], this.activeIndex);
+                return true;
+        }
+        
+        return false;
+    }
+    
+    /**
+     * Highlight a row and scroll it into view
+     * @param {number} index - Row index, clamped to the list
+     */
+    setActive(index) {
+        if (this.items.length === 0) return;
+        
+        this.activeIndex = Math.max(0, Math.min(this.items.length - 1, index));
+        this.scrollToIndex(this.activeIndex);
+        
+        this.render();
+        this.rows.forEach((row, rowIndex) => {
+            row.classList.toggle('active', rowIndex === this.activeIndex);
+        });
+    }
+    
+    /**
+     * Scroll just far enough to show a row
+     * @param {number} index - Row index
+     */
+    scrollToIndex(index) {
+        const offset = this.spacer.offsetTop;
+        const rowTop = offset + index * this.itemHeight;
+        const rowBottom = rowTop + this.itemHeight;
+        
+        if (rowTop < this.container.scrollTop) {
+            this.container.scrollTop = rowTop;
+        } else if (rowBottom > this.container.scrollTop + this.container.clientHeight) {
+            this.container.scrollTop = rowBottom - this.container.clientHeight;
+        }
+    }
+}